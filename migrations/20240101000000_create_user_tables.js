@@ -0,0 +1,101 @@
+// migrations/20240101000000_create_user_tables.js
+// The five tables behind src/routes/users.js. Related tables reference users(id)
+// so inserts for unknown users fail with ER_NO_REFERENCED_ROW_2 and deleting a
+// user removes its related rows.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE users (
+      id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      first_name VARCHAR(100) NULL,
+      last_name VARCHAR(100) NULL,
+      phone VARCHAR(20) NULL,
+      date_of_birth DATE NULL,
+      gender ENUM('male', 'female', 'other') NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_users_username (username),
+      UNIQUE KEY uq_users_email (email),
+      KEY idx_users_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE user_accounts (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      role VARCHAR(20) NOT NULL DEFAULT 'user',
+      subscription VARCHAR(20) NOT NULL DEFAULT 'free',
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_accounts_user_id (user_id),
+      KEY idx_user_accounts_status (status),
+      KEY idx_user_accounts_role (role),
+      KEY idx_user_accounts_subscription (subscription),
+      CONSTRAINT fk_user_accounts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE user_addresses (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      street VARCHAR(255) NULL,
+      city VARCHAR(100) NULL,
+      province VARCHAR(100) NULL,
+      postal_code VARCHAR(20) NULL,
+      country VARCHAR(100) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_addresses_user_id (user_id),
+      KEY idx_user_addresses_city (city),
+      KEY idx_user_addresses_province (province),
+      CONSTRAINT fk_user_addresses_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE user_preferences (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      language VARCHAR(10) NOT NULL DEFAULT 'en',
+      timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Jakarta',
+      notify_email TINYINT(1) NOT NULL DEFAULT 1,
+      notify_sms TINYINT(1) NOT NULL DEFAULT 0,
+      notify_push TINYINT(1) NOT NULL DEFAULT 1,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_preferences_user_id (user_id),
+      CONSTRAINT fk_user_preferences_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE user_profiles (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      avatar VARCHAR(500) NULL,
+      bio TEXT NULL,
+      website VARCHAR(500) NULL,
+      instagram VARCHAR(31) NULL,
+      linkedin VARCHAR(500) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_profiles_user_id (user_id),
+      CONSTRAINT fk_user_profiles_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS user_profiles');
+  await db.query('DROP TABLE IF EXISTS user_preferences');
+  await db.query('DROP TABLE IF EXISTS user_addresses');
+  await db.query('DROP TABLE IF EXISTS user_accounts');
+  await db.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// migrations/20240101000100_create_auth_tables.js
+// Password credentials and revoked bearer tokens used by /api/auth
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE user_credentials (
+      user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      password_hash VARCHAR(255) NOT NULL,
+      failed_attempts INT NOT NULL DEFAULT 0,
+      locked_until DATETIME NULL,
+      last_login_at DATETIME NULL,
+      password_changed_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_user_credentials_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE revoked_tokens (
+      jti VARCHAR(64) NOT NULL PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      expires_at DATETIME NOT NULL,
+      KEY idx_revoked_tokens_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS revoked_tokens');
+  await db.query('DROP TABLE IF EXISTS user_credentials');
+}
+
+module.exports = { up, down };
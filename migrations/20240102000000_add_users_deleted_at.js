@@ -0,0 +1,20 @@
+// migrations/20240102000000_add_users_deleted_at.js
+// Soft delete: trashed users keep their row (and related rows) until purged
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN deleted_at DATETIME NULL AFTER updated_at,
+      ADD KEY idx_users_deleted_at (deleted_at)
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE users
+      DROP KEY idx_users_deleted_at,
+      DROP COLUMN deleted_at
+  `);
+}
+
+module.exports = { up, down };
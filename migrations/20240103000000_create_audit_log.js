@@ -0,0 +1,31 @@
+// migrations/20240103000000_create_audit_log.js
+// Who changed what on a user and their related records. No foreign key on
+// user_id: the history has to outlive the user it describes.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE audit_log (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      entity VARCHAR(32) NOT NULL,
+      entity_id BIGINT UNSIGNED NOT NULL,
+      user_id BIGINT UNSIGNED NOT NULL,
+      action VARCHAR(16) NOT NULL,
+      actor_id BIGINT UNSIGNED NULL,
+      request_id VARCHAR(64) NULL,
+      \`before\` JSON NULL,
+      \`after\` JSON NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY idx_audit_log_user (user_id, created_at),
+      KEY idx_audit_log_actor (actor_id, created_at),
+      KEY idx_audit_log_entity_action (entity, action),
+      KEY idx_audit_log_request (request_id),
+      KEY idx_audit_log_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
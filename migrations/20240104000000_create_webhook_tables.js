@@ -0,0 +1,50 @@
+// migrations/20240104000000_create_webhook_tables.js
+// Outbound webhook subscriptions and their persistent delivery queue
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE webhook_subscriptions (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      url VARCHAR(500) NOT NULL,
+      events JSON NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      description VARCHAR(255) NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // status: pending -> succeeded, or pending -> dead once retries run out
+  await db.query(`
+    CREATE TABLE webhook_deliveries (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      subscription_id INT UNSIGNED NOT NULL,
+      event VARCHAR(64) NOT NULL,
+      event_id CHAR(36) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('pending', 'succeeded', 'dead') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      last_attempt_at DATETIME(3) NULL,
+      response_status SMALLINT NULL,
+      last_error VARCHAR(1000) NULL,
+      claimed_by CHAR(36) NULL,
+      claimed_until DATETIME(3) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY idx_webhook_deliveries_due (status, next_attempt_at),
+      KEY idx_webhook_deliveries_subscription (subscription_id, created_at),
+      CONSTRAINT fk_webhook_deliveries_subscription FOREIGN KEY (subscription_id)
+        REFERENCES webhook_subscriptions (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+  await db.query('DROP TABLE IF EXISTS webhook_subscriptions');
+}
+
+module.exports = { up, down };
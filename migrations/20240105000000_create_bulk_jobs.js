@@ -0,0 +1,33 @@
+// migrations/20240105000000_create_bulk_jobs.js
+// Large /users/bulk batches run in the background; this is their status
+
+async function up(db) {
+  // status: queued -> running -> completed, or failed when an atomic batch rolls back
+  await db.query(`
+    CREATE TABLE bulk_jobs (
+      id CHAR(36) NOT NULL PRIMARY KEY,
+      operation ENUM('create', 'update', 'delete') NOT NULL,
+      mode ENUM('atomic', 'partial') NOT NULL,
+      options JSON NULL,
+      status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+      total INT NOT NULL,
+      processed INT NOT NULL DEFAULT 0,
+      succeeded INT NOT NULL DEFAULT 0,
+      failed INT NOT NULL DEFAULT 0,
+      skipped INT NOT NULL DEFAULT 0,
+      results JSON NULL,
+      error VARCHAR(1000) NULL,
+      created_by BIGINT UNSIGNED NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      started_at DATETIME(3) NULL,
+      finished_at DATETIME(3) NULL,
+      KEY idx_bulk_jobs_finished (finished_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS bulk_jobs');
+}
+
+module.exports = { up, down };
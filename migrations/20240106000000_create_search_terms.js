@@ -0,0 +1,22 @@
+// migrations/20240106000000_create_search_terms.js
+// Inverted index behind /users/search?q= (filled by the app; run `npm run search:reindex` after migrating)
+
+async function up(db) {
+  // One row per distinct word of a searchable field; the prefix and typo lookups scan idx_search_terms_term
+  await db.query(`
+    CREATE TABLE search_terms (
+      user_id BIGINT UNSIGNED NOT NULL,
+      field VARCHAR(32) NOT NULL,
+      term VARCHAR(64) NOT NULL,
+      PRIMARY KEY (user_id, field, term),
+      KEY idx_search_terms_term (term),
+      CONSTRAINT fk_search_terms_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS search_terms');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// migrations/20240107000000_create_rate_limits.js
+// Token buckets and daily quota counters, for instances sharing their rate limits (RATE_LIMIT_STORE=database)
+
+async function up(db) {
+  // A row is either a bucket (tokens, refilled_at) or a counter (hits); both expire once idle
+  await db.query(`
+    CREATE TABLE rate_limits (
+      bucket_key VARCHAR(191) NOT NULL PRIMARY KEY,
+      tokens DOUBLE NULL,
+      refilled_at DATETIME(3) NULL,
+      hits INT UNSIGNED NOT NULL DEFAULT 0,
+      expires_at DATETIME(3) NOT NULL,
+      KEY idx_rate_limits_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS rate_limits');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// migrations/20240108000000_add_users_version.js
+// Optimistic concurrency: users.version goes up on every write to a user or its related
+// records, and is what the ETag / If-Match headers of /users/:id carry
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1 AFTER updated_at
+  `);
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE users DROP COLUMN version');
+}
+
+module.exports = { up, down };
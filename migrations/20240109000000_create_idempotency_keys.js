@@ -0,0 +1,26 @@
+// migrations/20240109000000_create_idempotency_keys.js
+// Idempotency-Key bookkeeping: the first response to each key, replayed to retries
+
+async function up(db) {
+  // scope is the caller ("user:<id>"), so two clients never share a key; a row is
+  // "processing" until its response is stored, and may be reclaimed once past expires_at
+  await db.query(`
+    CREATE TABLE idempotency_keys (
+      scope VARCHAR(64) NOT NULL,
+      idempotency_key VARCHAR(255) NOT NULL,
+      fingerprint CHAR(64) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'processing',
+      response JSON NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY (scope, idempotency_key),
+      KEY idx_idempotency_keys_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS idempotency_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// migrations/20240110000000_add_address_book.js
+// Several addresses per user: each has a type and a country code, and exactly one of a user's
+// addresses is primary. The singular /users/:id/address routes serve the primary one.
+// primary_user_id is user_id for the primary address and NULL otherwise, so its unique key
+// allows one primary per user and any number of others.
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE user_addresses
+      ADD COLUMN type VARCHAR(20) NOT NULL DEFAULT 'home' AFTER user_id,
+      ADD COLUMN country_code CHAR(2) NULL AFTER country,
+      ADD COLUMN is_primary TINYINT(1) NOT NULL DEFAULT 0 AFTER country_code,
+      ADD COLUMN primary_user_id BIGINT UNSIGNED GENERATED ALWAYS AS (IF(is_primary = 1, user_id, NULL)) STORED AFTER is_primary,
+      ADD KEY idx_user_addresses_user_id (user_id),
+      DROP INDEX uq_user_addresses_user_id
+  `);
+
+  // Every existing address was its user's only one
+  await db.query('UPDATE user_addresses SET is_primary = 1');
+
+  await db.query('ALTER TABLE user_addresses ADD UNIQUE KEY uq_user_addresses_primary (primary_user_id)');
+}
+
+// Only the primary addresses survive a rollback
+async function down(db) {
+  await db.query('DELETE FROM user_addresses WHERE is_primary = 0');
+  await db.query(`
+    ALTER TABLE user_addresses
+      DROP INDEX uq_user_addresses_primary,
+      ADD UNIQUE KEY uq_user_addresses_user_id (user_id),
+      DROP INDEX idx_user_addresses_user_id,
+      DROP COLUMN primary_user_id,
+      DROP COLUMN is_primary,
+      DROP COLUMN country_code,
+      DROP COLUMN type
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// migrations/20240111000000_create_user_tokens.js
+// Email verification and password reset. A token is mailed to the user and only its SHA-256 is
+// kept; it is good once (used_at) until expires_at, and only for the address it was sent to.
+
+async function up(db) {
+  await db.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL AFTER email');
+
+  await db.query(`
+    CREATE TABLE user_tokens (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      purpose VARCHAR(32) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_tokens_token_hash (token_hash),
+      KEY idx_user_tokens_user_purpose (user_id, purpose),
+      KEY idx_user_tokens_expires_at (expires_at),
+      CONSTRAINT fk_user_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS user_tokens');
+  await db.query('ALTER TABLE users DROP COLUMN email_verified_at');
+}
+
+module.exports = { up, down };
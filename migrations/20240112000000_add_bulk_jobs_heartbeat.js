@@ -0,0 +1,23 @@
+// migrations/20240112000000_add_bulk_jobs_heartbeat.js
+// A bulk job runs in the process that queued it (runner_id), which touches updated_at while the
+// job is unfinished; a job whose updated_at has gone stale lost its process and is failed.
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE bulk_jobs
+      ADD COLUMN runner_id CHAR(36) NULL AFTER created_by,
+      ADD COLUMN updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) AFTER created_at,
+      ADD KEY idx_bulk_jobs_status_updated (status, updated_at)
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE bulk_jobs
+      DROP KEY idx_bulk_jobs_status_updated,
+      DROP COLUMN updated_at,
+      DROP COLUMN runner_id
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// scripts/issue-token.js - mint a bearer token for an existing user
+// Usage: npm run token -- <userId>
+require('dotenv').config();
+
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET must be set, otherwise the server cannot verify the token');
+  process.exit(1);
+}
+
+const { signToken } = require('../src/utils/tokens');
+
+const userId = process.argv[2];
+if (!userId) {
+  console.error('Usage: npm run token -- <userId>');
+  process.exit(1);
+}
+
+console.log(signToken(userId));
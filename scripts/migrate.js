@@ -0,0 +1,77 @@
+// scripts/migrate.js - schema migrations CLI
+// Usage:
+//   npm run migrate:up [-- --steps=N]
+//   npm run migrate:down [-- --steps=N]
+//   npm run migrate:status
+//   npm run migrate:create -- <name>
+const migrator = require('../src/db/migrator');
+const { openConnection } = require('../src/db/connection');
+
+function parseSteps(args, fallback) {
+  const option = args.find(arg => arg.startsWith('--steps='));
+  if (!option) {
+    return fallback;
+  }
+
+  const steps = parseInt(option.split('=')[1]);
+  if (!(steps > 0)) {
+    throw new Error('--steps must be a positive number');
+  }
+  return steps;
+}
+
+async function run(command, args) {
+  if (command === 'create') {
+    const file = migrator.create(args.filter(arg => !arg.startsWith('--')).join('_'));
+    console.log(`✅ Created ${file}`);
+    return;
+  }
+
+  const connection = await openConnection();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.up(connection, { steps: parseSteps(args, Infinity) });
+        if (applied.length === 0) {
+          console.log('✅ Database is up to date');
+        }
+        applied.forEach(m => console.log(`⬆️  ${m.version}_${m.name}`));
+        break;
+      }
+
+      case 'down': {
+        const reverted = await migrator.down(connection, { steps: parseSteps(args, 1) });
+        if (reverted.length === 0) {
+          console.log('✅ Nothing to roll back');
+        }
+        reverted.forEach(m => console.log(`⬇️  ${m.version}_${m.name}`));
+        break;
+      }
+
+      case 'status': {
+        const rows = await migrator.status(connection);
+        if (rows.length === 0) {
+          console.log('No migrations found');
+        }
+        rows.forEach(row => {
+          const state = row.missing ? 'missing' : (row.applied ? `applied (batch ${row.batch})` : 'pending');
+          console.log(`${row.version}_${row.name}  ${state}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+run(command, args).catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+});
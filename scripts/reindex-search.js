@@ -0,0 +1,21 @@
+// scripts/reindex-search.js - rebuild the search_terms index behind /users/search?q=
+// Usage: npm run search:reindex
+const { openConnection } = require('../src/db/connection');
+const { createMysqlRepositories } = require('../src/repositories/mysql');
+const { reindexAll } = require('../src/search/indexer');
+
+async function run() {
+  const connection = await openConnection();
+
+  try {
+    const count = await reindexAll(createMysqlRepositories(connection));
+    console.log(`🔎 Indexed ${count} users for search`);
+  } finally {
+    await connection.end();
+  }
+}
+
+run().catch(error => {
+  console.error('❌ Reindexing failed:', error.message);
+  process.exitCode = 1;
+});
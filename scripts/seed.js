@@ -0,0 +1,33 @@
+// scripts/seed.js - load development data from seeds/ into MySQL
+// Usage: npm run seed [-- <file name filter>] [-- --force]
+const { openConnection } = require('../src/db/connection');
+const { runSeeds } = require('../src/db/seeder');
+const { createMysqlRepositories } = require('../src/repositories/mysql');
+const { withAudit } = require('../src/repositories/audited');
+const { withSearchIndex } = require('../src/repositories/indexed');
+
+async function run(args) {
+  if (process.env.NODE_ENV === 'production' && !args.includes('--force')) {
+    throw new Error('Refusing to seed with NODE_ENV=production (pass --force to override)');
+  }
+
+  const filter = args.find(arg => !arg.startsWith('--'));
+  const connection = await openConnection();
+
+  try {
+    const results = await runSeeds(withAudit(withSearchIndex(createMysqlRepositories(connection))), { filter });
+    if (results.length === 0) {
+      console.log('No seed files found');
+    }
+    results.forEach(({ file, count }) => {
+      console.log(`🌱 ${file}${count !== undefined ? ` (${count} records)` : ''}`);
+    });
+  } finally {
+    await connection.end();
+  }
+}
+
+run(process.argv.slice(2)).catch(error => {
+  console.error('❌ Seeding failed:', error.message);
+  process.exitCode = 1;
+});
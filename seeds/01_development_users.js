@@ -0,0 +1,73 @@
+// seeds/01_development_users.js - sample users with every related record
+// Fixed IDs keep re-runs idempotent: users that already exist are skipped.
+const { hashPassword } = require('../src/utils/password');
+
+const users = [
+  {
+    id: 1000000000000001, username: 'admin', email: 'admin@example.com',
+    first_name: 'Admin', last_name: 'User', phone: '+6281200000001', date_of_birth: '1985-04-12', gender: 'other',
+    account: { status: 'active', role: 'admin', subscription: 'enterprise' },
+    address: { street: 'Jl. Sudirman No. 1', city: 'Jakarta', province: 'DKI Jakarta', postal_code: '10220', country: 'Indonesia' },
+    preferences: { language: 'en', timezone: 'Asia/Jakarta', notify_email: 1, notify_sms: 0, notify_push: 1 },
+    profile: { avatar: null, bio: 'Seeded administrator', website: 'https://example.com', instagram: null, linkedin: null }
+  },
+  {
+    id: 1000000000000002, username: 'budi', email: 'budi@example.com',
+    first_name: 'Budi', last_name: 'Santoso', phone: '+6281200000002', date_of_birth: '1992-08-17', gender: 'male',
+    account: { status: 'active', role: 'user', subscription: 'premium' },
+    address: { street: 'Jl. Asia Afrika No. 8', city: 'Bandung', province: 'Jawa Barat', postal_code: '40111', country: 'Indonesia' },
+    preferences: { language: 'id', timezone: 'Asia/Jakarta', notify_email: 1, notify_sms: 1, notify_push: 1 },
+    profile: { avatar: null, bio: 'Coffee and cycling', website: null, instagram: 'budi.s', linkedin: 'https://www.linkedin.com/in/budi' }
+  },
+  {
+    id: 1000000000000003, username: 'siti', email: 'siti@example.com',
+    first_name: 'Siti', last_name: 'Rahma', phone: null, date_of_birth: '1998-01-30', gender: 'female',
+    account: { status: 'active', role: 'user', subscription: 'free' },
+    address: { street: 'Jl. Malioboro No. 52', city: 'Yogyakarta', province: 'DI Yogyakarta', postal_code: '55271', country: 'Indonesia' },
+    preferences: { language: 'id', timezone: 'Asia/Jakarta', notify_email: 1, notify_sms: 0, notify_push: 0 },
+    profile: { avatar: null, bio: null, website: null, instagram: null, linkedin: null }
+  },
+  {
+    id: 1000000000000004, username: 'john', email: 'john@example.com',
+    first_name: 'John', last_name: 'Doe', phone: '+14155550100', date_of_birth: '1979-11-05', gender: 'male',
+    account: { status: 'suspended', role: 'user', subscription: 'basic' },
+    address: null,
+    preferences: { language: 'en', timezone: 'America/Los_Angeles', notify_email: 0, notify_sms: 0, notify_push: 0 },
+    profile: null
+  }
+];
+
+async function seed(repositories) {
+  const adminPassword = process.env.SEED_ADMIN_PASSWORD || 'admin12345';
+  const userPassword = process.env.SEED_USER_PASSWORD || 'password123';
+  let created = 0;
+
+  for (const user of users) {
+    if (await repositories.users.exists(user.id)) {
+      continue;
+    }
+
+    const password = user.account.role === 'admin' ? adminPassword : userPassword;
+    const passwordHash = await hashPassword(password);
+
+    await repositories.transaction(async (tx) => {
+      await tx.users.create(user);
+      await tx.accounts.create(user.id, user.account);
+      await tx.preferences.create(user.id, user.preferences);
+
+      if (user.address) {
+        await tx.addresses.create(user.id, user.address);
+      }
+      if (user.profile) {
+        await tx.profiles.create(user.id, user.profile);
+      }
+
+      await tx.credentials.create(user.id, passwordHash);
+    });
+    created++;
+  }
+
+  return created;
+}
+
+module.exports = { seed, users };
@@ -2,28 +2,60 @@
 const express = require('express');
 const app = express();
 const PORT = process.env.PORT || 3000;
+const storageConfig = require('./src/config/storage');
+const serverConfig = require('./src/config/server');
+const { testConnection, closePool } = require('./src/config/database');
+const { repositories } = require('./src/repositories');
+const { runSeeds } = require('./src/db/seeder');
+const { startTrashPurge } = require('./src/jobs/purgeTrash');
+const { startWebhookWorker } = require('./src/jobs/deliverWebhooks');
+const { startBulkJobWatch } = require('./src/jobs/watchBulkJobs');
+const { requestContext } = require('./src/middleware/requestContext');
+const { requestLog } = require('./src/middleware/requestLog');
+const { logger } = require('./src/logging/logger');
+const { rateLimit } = require('./src/middleware/rateLimit');
 
-// Basic middleware
-app.use(express.json());
+// Client addresses from X-Forwarded-For, when the proxy in front is trusted (see src/config/server.js)
+app.set('trust proxy', serverConfig.trustProxy);
+
+// Basic middleware (PATCH bodies may come as JSON Merge Patch, RFC 7396)
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
+app.use(requestLog);
+
+// Per-client limits on everything under /api (see src/config/rateLimit.js)
+app.use('/api', rateLimit());
 
 // Import routes
+const authRoutes = require('./src/routes/auth');
+const docsRoutes = require('./src/routes/docs');
+const auditRoutes = require('./src/routes/audit');
+const webhookRoutes = require('./src/routes/webhooks');
+const statsRoutes = require('./src/routes/stats');
+const graphqlRoutes = require('./src/routes/graphql');
 const userRoutes = require('./src/routes/users');
+const { listEndpoints } = require('./src/docs/openapi');
 
-// Use routes
+// Use routes (auth, docs, audit, webhooks, stats and graphql first: the users router requires a token for everything under /api)
+app.use('/api/auth', authRoutes);
+app.use('/api', docsRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', statsRoutes);
+app.use('/api', graphqlRoutes);
 app.use('/api', userRoutes);
 
 // Root route
 app.get('/', (req, res) => {
   res.json({
     message: 'API Server is running!',
+    docs: '/api/docs',
+    openapi: '/api/openapi.json',
     endpoints: [
       'GET /',
       'GET /health',
-      'GET /api/test',
-      'GET /api/users',
-      'GET /api/users/:id',
-      'POST /api/users'
+      ...listEndpoints()
     ]
   });
 });
@@ -48,23 +80,47 @@ app.use('*', (req, res) => {
 
 // Error handler
 app.use((error, req, res, next) => {
-  console.error('Error:', error.message);
+  logger.error('Unhandled error', { error });
   res.status(500).json({ 
     error: 'Internal server error',
     message: error.message
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📋 Available endpoints:`);
-  console.log(`   GET  http://localhost:${PORT}/`);
-  console.log(`   GET  http://localhost:${PORT}/health`);
-  console.log(`   GET  http://localhost:${PORT}/api/test`);
-  console.log(`   GET  http://localhost:${PORT}/api/users`);
-  console.log(`   GET  http://localhost:${PORT}/api/users/1`);
-  console.log(`   POST http://localhost:${PORT}/api/users`);
-});
+// Start server (only when run directly, so tests can require the app)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('Server running', {
+      url: `http://localhost:${PORT}`,
+      storage_driver: repositories.driver,
+      endpoints: listEndpoints().length,
+      docs: `http://localhost:${PORT}/api/docs`,
+      openapi: `http://localhost:${PORT}/api/openapi.json`
+    });
+  
+    if (repositories.driver === 'mysql') {
+      testConnection().then(success => {
+        if (!success) {
+          logger.error('Initial database connection failed - server may have issues');
+        }
+      });
+    } else if (storageConfig.seedMemory) {
+      runSeeds(repositories)
+        .then(results => results.forEach(({ file, count }) => logger.info('Seeded memory store', { file, count })))
+        .catch(error => logger.error('Seeding memory store failed', { error }));
+    }
+
+    startTrashPurge(repositories);
+    logger.info('Trash purge scheduled', { retention_days: storageConfig.trashRetentionDays });
+    startWebhookWorker(repositories);
+    startBulkJobWatch(repositories);
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    await closePool();
+    process.exit(0);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
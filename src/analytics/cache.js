@@ -0,0 +1,57 @@
+// src/analytics/cache.js - in-process TTL cache for aggregation results
+const analyticsConfig = require('../config/analytics');
+
+class TtlCache {
+  constructor({ ttlSeconds, maxEntries }) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  // The cached value for key, or compute() it. Callers asking while it is being computed share
+  // the same promise, so a dashboard refreshing ten panels at once runs each query once.
+  // Resolves to { value, hit, expiresAt }; failures are not cached.
+  async wrap(key, compute) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return { value: await entry.promise, hit: !entry.pending, expiresAt: entry.expiresAt };
+    }
+
+    const fresh = { promise: compute(), pending: true, expiresAt: Date.now() + this.ttlMs };
+    this.entries.delete(key);
+    this.entries.set(key, fresh);
+    this.evict();
+
+    try {
+      const value = await fresh.promise;
+      fresh.pending = false;
+      return { value, hit: false, expiresAt: fresh.expiresAt };
+    } catch (error) {
+      if (this.entries.get(key) === fresh) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  // Maps keep insertion order, so the first keys are the oldest
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const analyticsCache = new TtlCache({
+  ttlSeconds: analyticsConfig.cacheTtlSeconds,
+  maxEntries: analyticsConfig.cacheMaxEntries
+});
+
+module.exports = { TtlCache, analyticsCache };
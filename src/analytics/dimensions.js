@@ -0,0 +1,87 @@
+// src/analytics/dimensions.js - what the /stats/users endpoints group users by
+
+// Signup periods; weeks start on Monday, everything is in UTC
+const INTERVALS = ['day', 'week', 'month'];
+
+// Offered by GET /stats/users/breakdown?by=
+const BREAKDOWNS = ['city', 'province', 'country', 'language', 'age_band', 'gender', 'role', 'subscription', 'status'];
+
+// [label, youngest, oldest] by age today; users without a date of birth have no band
+const AGE_BANDS = [
+  ['under 18', 0, 17],
+  ['18-24', 18, 24],
+  ['25-34', 25, 34],
+  ['35-44', 35, 44],
+  ['45-54', 45, 54],
+  ['55-64', 55, 64],
+  ['65+', 65, null]
+];
+
+// Everything countBy() can group on: the breakdowns, the signup period, and
+// retained (1 for users still live with an active account, 0 for the rest)
+const DIMENSIONS = [...BREAKDOWNS, ...INTERVALS, 'retained'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole years from a date of birth to now
+function ageOn(dateOfBirth, now = new Date()) {
+  const birth = new Date(dateOfBirth);
+  const age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const birthdayPassed = now.getUTCMonth() > birth.getUTCMonth()
+    || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() >= birth.getUTCDate());
+  return birthdayPassed ? age : age - 1;
+}
+
+function ageBand(dateOfBirth, now = new Date()) {
+  if (!dateOfBirth) {
+    return null;
+  }
+  const age = ageOn(dateOfBirth, now);
+  const band = AGE_BANDS.find(([, youngest, oldest]) => age >= youngest && (oldest === null || age <= oldest));
+  return band ? band[0] : null;
+}
+
+// The first instant of the period `date` falls in
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') {
+    start.setTime(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  return start;
+}
+
+function nextPeriod(start, interval) {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setTime(next.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+  }
+  return next;
+}
+
+// "2024-03-01": how a period is labelled in responses (and by the mysql driver's DATE_FORMAT)
+const periodLabel = (date) => date.toISOString().slice(0, 10);
+
+// Labels of every period overlapping [from, to), or null when there are more than `max`
+function periodsBetween(from, to, interval, max = Infinity) {
+  const labels = [];
+  for (let start = periodStart(from, interval); start < to; start = nextPeriod(start, interval)) {
+    if (labels.length === max) {
+      return null;
+    }
+    labels.push(periodLabel(start));
+  }
+  return labels;
+}
+
+module.exports = {
+  INTERVALS,
+  BREAKDOWNS,
+  AGE_BANDS,
+  DIMENSIONS,
+  ageBand,
+  periodStart,
+  periodLabel,
+  periodsBetween
+};
@@ -0,0 +1,112 @@
+// src/analytics/stats.js - the aggregations behind /stats/users, built on repositories.analytics.countBy()
+//
+// filters are the search filters ({ where, ids }, see src/search/filters.js); range is { from, to }
+// (to exclusive), limiting users to those who signed up in it.
+const { periodsBetween } = require('./dimensions');
+
+const sumCounts = (rows) => rows.reduce((total, row) => total + row.count, 0);
+
+// filters plus from <= created_at < to
+function inRange(filters, { from, to }) {
+  const bounds = [];
+  if (from) {
+    bounds.push({ record: 'user', column: 'created_at', op: 'gte', value: from });
+  }
+  if (to) {
+    bounds.push({ record: 'user', column: 'created_at', op: 'lt', value: to });
+  }
+  const nodes = [filters.where, ...bounds].filter(Boolean);
+  return { ...filters, where: nodes.length === 0 ? null : { and: nodes } };
+}
+
+// [{ <column>: value, count }] for one dimension of a countBy() result, biggest first
+function fold(rows, column, { withNull = false } = {}) {
+  const counts = new Map();
+  for (const row of rows) {
+    if (row[column] !== null || withNull) {
+      counts.set(row[column], (counts.get(row[column]) || 0) + row.count);
+    }
+  }
+  return [...counts]
+    .map(([value, count]) => ({ [column]: value, count }))
+    .sort((a, b) => b.count - a.count || String(a[column]).localeCompare(String(b[column])));
+}
+
+// Totals by role, subscription and gender, from a single grouped count
+async function summary(repositories, filters, range) {
+  const rows = await repositories.analytics.countBy(inRange(filters, range), ['status', 'role', 'subscription', 'gender']);
+
+  return {
+    total_users: sumCounts(rows),
+    active_users: sumCounts(rows.filter(row => row.status === 'active')),
+    by_role: fold(rows, 'role'),
+    by_subscription: fold(rows, 'subscription'),
+    by_gender: fold(rows, 'gender')
+  };
+}
+
+// Signups per period, each split by the account status its users have now ("inactive_now" is every
+// status but active). This is the current make-up of each signup cohort, not a history: a status
+// change today moves users between the *_now counts of the period they signed up in. The
+// cumulative_*_now counts are running totals of users who signed up by the end of each period,
+// starting from everyone matching the filters before range.from.
+async function signupSeries(repositories, filters, { interval, from, to }) {
+  const periods = new Map(periodsBetween(from, to, interval).map(period => [period, { period, signups: 0, active_now: 0, inactive_now: 0 }]));
+
+  const rows = await repositories.analytics.countBy(inRange(filters, { from, to }), [interval, 'status']);
+  for (const row of rows) {
+    const bucket = periods.get(row[interval]);
+    if (bucket) {
+      bucket.signups += row.count;
+      bucket[row.status === 'active' ? 'active_now' : 'inactive_now'] += row.count;
+    }
+  }
+
+  const before = await repositories.analytics.countBy(inRange(filters, { to: from }), ['status']);
+  let active = sumCounts(before.filter(row => row.status === 'active'));
+  let inactive = sumCounts(before) - active;
+
+  return [...periods.values()].map(bucket => {
+    active += bucket.active_now;
+    inactive += bucket.inactive_now;
+    return { ...bucket, cumulative_active_now: active, cumulative_inactive_now: inactive };
+  });
+}
+
+// [{ value, count, share }] for one of BREAKDOWNS, biggest first; value null is "not on file"
+async function breakdown(repositories, filters, range, by) {
+  const rows = await repositories.analytics.countBy(inRange(filters, range), [by]);
+  const total = sumCounts(rows);
+
+  return fold(rows, by, { withNull: true }).map(row => ({
+    value: row[by],
+    count: row.count,
+    share: total > 0 ? Math.round((row.count / total) * 10000) / 10000 : 0
+  }));
+}
+
+// Signup cohorts per subscription: how many users signed up in each period, and how many of
+// them are still retained (not trashed, account active). Trashed users count as churned.
+async function cohortRetention(repositories, filters, { interval, from, to }) {
+  const rows = await repositories.analytics.countBy(
+    inRange({ ...filters, withDeleted: true }, { from, to }),
+    [interval, 'subscription', 'retained']
+  );
+
+  const cohorts = new Map();
+  for (const row of rows) {
+    const cohortKey = `${row[interval]}|${row.subscription}`;
+    if (!cohorts.has(cohortKey)) {
+      cohorts.set(cohortKey, { cohort: row[interval], subscription: row.subscription, users: 0, retained: 0 });
+    }
+    const cohort = cohorts.get(cohortKey);
+    cohort.users += row.count;
+    cohort.retained += Number(row.retained) === 1 ? row.count : 0;
+  }
+
+  return [...cohorts.values()]
+    .map(cohort => ({ ...cohort, retention_rate: Math.round((cohort.retained / cohort.users) * 10000) / 10000 }))
+    .sort((a, b) => a.cohort.localeCompare(b.cohort) || String(a.subscription).localeCompare(String(b.subscription)));
+}
+
+module.exports = { summary, signupSeries, breakdown, cohortRetention };
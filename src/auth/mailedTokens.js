@@ -0,0 +1,76 @@
+// src/auth/mailedTokens.js - email verification and password reset links
+//
+// The token in a link is 32 random bytes; user_tokens only keeps its SHA-256, so a leaked table
+// cannot be turned into working links. A token is good once, until it expires, and only for the
+// address it was mailed to. Mailing a new one drops the user's unused ones for the same purpose.
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { repositories } = require('../repositories');
+const { mailer } = require('../mail');
+
+const PURPOSES = {
+  VERIFY_EMAIL: 'verify_email',
+  RESET_PASSWORD: 'reset_password'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const linkTo = (url, token) => url.replace('{token}', encodeURIComponent(token));
+
+// Store a new token for the user and mail them the link; resolves to its expiry
+async function mailToken(user, purpose, ttlMs, template, values) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  await repositories.userTokens.purgeExpired(now);
+  await repositories.userTokens.revokeForUser(user.id, purpose);
+  await repositories.userTokens.create({
+    user_id: user.id,
+    purpose,
+    token_hash: hashToken(token),
+    email: user.email,
+    expires_at: expiresAt
+  });
+
+  try {
+    await mailer.sendToUser(user, template, values(token));
+  } catch (error) {
+    // A link nobody received is of no use to anyone
+    await repositories.userTokens.revokeForUser(user.id, purpose);
+    throw error;
+  }
+
+  return expiresAt;
+}
+
+function sendVerificationEmail(user) {
+  const hours = authConfig.verifyEmailTtlHours;
+  return mailToken(user, PURPOSES.VERIFY_EMAIL, hours * 60 * 60 * 1000, 'verifyEmail', token => ({
+    url: linkTo(mailConfig.verifyEmailUrl, token),
+    hours
+  }));
+}
+
+function sendPasswordReset(user) {
+  const minutes = authConfig.resetPasswordTtlMinutes;
+  return mailToken(user, PURPOSES.RESET_PASSWORD, minutes * 60 * 1000, 'resetPassword', token => ({
+    url: linkTo(mailConfig.resetPasswordUrl, token),
+    minutes
+  }));
+}
+
+// Spend a token: its user_tokens row, or null when it is unknown, used, expired or meant for
+// something else
+async function redeemToken(purpose, token) {
+  const now = new Date();
+  const row = await repositories.userTokens.findUsable(purpose, hashToken(token), now);
+
+  if (!row || !(await repositories.userTokens.consume(row.id, now))) {
+    return null;
+  }
+  return row;
+}
+
+module.exports = { PURPOSES, hashToken, sendVerificationEmail, sendPasswordReset, redeemToken };
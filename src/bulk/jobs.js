@@ -0,0 +1,78 @@
+// src/bulk/jobs.js - run large /users/bulk batches in the background
+const crypto = require('crypto');
+const bulkConfig = require('../config/bulk');
+const { runBulk } = require('./runBulk');
+const { logger } = require('../logging/logger');
+
+// Progress is written every this many items rather than after each one
+const PROGRESS_EVERY = 25;
+
+// Jobs run in the process that queued them (their items are not stored); this one's jobs carry its ID
+const RUNNER_ID = crypto.randomUUID();
+
+async function runJob(id, operation, items, { mode, options, results, repositories }) {
+  await repositories.bulkJobs.update(id, { status: 'running', started_at: new Date() });
+
+  try {
+    const { summary } = await runBulk(operation, items, {
+      mode,
+      options,
+      results,
+      repositories,
+      onProgress: async (processed) => {
+        if (processed % PROGRESS_EVERY === 0) {
+          await repositories.bulkJobs.update(id, { processed });
+        }
+      }
+    });
+
+    await repositories.bulkJobs.update(id, {
+      status: mode === 'atomic' && summary.failed > 0 ? 'failed' : 'completed',
+      processed: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      skipped: summary.skipped,
+      results,
+      error: mode === 'atomic' && summary.failed > 0 ? 'Batch rolled back' : null,
+      finished_at: new Date()
+    });
+  } catch (error) {
+    logger.error('Bulk job failed', { job_id: id, error });
+    await repositories.bulkJobs.update(id, {
+      status: 'failed',
+      error: String(error.message).slice(0, 1000),
+      finished_at: new Date()
+    });
+  }
+}
+
+// Record the job and start it once the current request has been answered.
+// results come from prepare(), so invalid items are already settled.
+async function queueBulkJob(operation, items, { mode, options = {}, results, repositories, createdBy }) {
+  const retentionMs = bulkConfig.jobRetentionHours * 60 * 60 * 1000;
+  await repositories.bulkJobs.purgeFinishedBefore(new Date(Date.now() - retentionMs));
+
+  const id = crypto.randomUUID();
+  await repositories.bulkJobs.create({ id, operation, mode, options, total: items.length, created_by: createdBy, runner_id: RUNNER_ID });
+
+  setImmediate(() => {
+    runJob(id, operation, items, { mode, options, results, repositories })
+      .catch(error => logger.error('Bulk job could not record its outcome', { job_id: id, error }));
+  });
+
+  return repositories.bulkJobs.findById(id);
+}
+
+// Keep the unfinished jobs of this process from looking abandoned; resolves to how many it runs
+function heartbeat(repositories) {
+  return repositories.bulkJobs.touchRunner(RUNNER_ID);
+}
+
+// A job whose process stopped (restarted, crashed, scaled away) stops being touched and cannot be
+// resumed; mark it failed so clients polling it stop. Resolves to the number of jobs marked.
+function failStaleJobs(repositories, { now = new Date() } = {}) {
+  const staleBefore = new Date(now.getTime() - bulkConfig.jobStaleSeconds * 1000);
+  return repositories.bulkJobs.failStale(staleBefore, 'The server running the job stopped; submit the batch again');
+}
+
+module.exports = { queueBulkJob, heartbeat, failStaleJobs, RUNNER_ID };
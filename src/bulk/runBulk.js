@@ -0,0 +1,233 @@
+// src/bulk/runBulk.js - apply one operation to every item of a /users/bulk request
+const { ajv, formatErrors } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const webhooks = require('../webhooks/dispatcher');
+const { emitAccountChanges } = require('../webhooks/userEvents');
+
+// Why an item failed; the route turns the first one into the status of an atomic batch
+const ERROR_STATUSES = { validation: 422, not_found: 404, duplicate: 409 };
+
+// An item that cannot be applied as asked
+class ItemError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function toItemError(error) {
+  if (error instanceof ItemError) {
+    return error;
+  }
+  if (error.code === 'ER_DUP_ENTRY') {
+    return new ItemError('duplicate', 'Username or email already exists');
+  }
+  return null;
+}
+
+// apply(tx, item, options) makes the writes and resolves to { id, status? };
+// announce(repositories, item, outcome, options) emits the webhooks once they are committed
+const OPERATIONS = {
+  create: {
+    done: 'created',
+    check: ajv.compile(schemas.userBase),
+    idOf: () => null,
+
+    async apply(tx, item) {
+      return { id: await tx.users.create(item) };
+    },
+
+    async announce(repositories, item, outcome) {
+      await webhooks.emit('user.created', { user: await repositories.users.findById(outcome.id) });
+    }
+  },
+
+  update: {
+    done: 'updated',
+    check: ajv.compile(schemas.bulkUpdateItem),
+    idOf: (item) => (item && /^[0-9]+$/.test(item.id) ? Number(item.id) : null),
+
+    async apply(tx, { id, account, ...fields }) {
+      if (!(await tx.users.findById(id))) {
+        throw new ItemError('not_found', 'User not found');
+      }
+
+      if (Object.keys(fields).length > 0) {
+        await tx.users.update(id, fields);
+      }
+
+      let accountBefore = null;
+      if (account) {
+        accountBefore = await tx.accounts.findByUserId(id);
+        if (!accountBefore) {
+          throw new ItemError('not_found', 'Account not found');
+        }
+        await tx.accounts.update(id, account);
+      }
+
+      return { id: Number(id), accountBefore };
+    },
+
+    async announce(repositories, { id, account, ...fields }, outcome) {
+      const changedFields = Object.keys(fields);
+      if (changedFields.length > 0) {
+        await webhooks.emit('user.updated', {
+          user: await repositories.users.findById(id),
+          changed_fields: changedFields
+        });
+      }
+      if (account) {
+        await emitAccountChanges(id, outcome.accountBefore, account);
+      }
+    }
+  },
+
+  // Items are user IDs. Deleting a user that is already gone changes nothing, so it is skipped, not failed.
+  delete: {
+    done: 'deleted',
+    check: () => true,
+    idOf: (id) => Number(id),
+
+    async apply(tx, id, { permanent }) {
+      const deleted = permanent ? await tx.users.delete(id) : await tx.users.softDelete(id);
+      return deleted ? { id: Number(id) } : { id: Number(id), status: 'skipped', error: 'User not found' };
+    },
+
+    async announce(repositories, id, outcome, { permanent }) {
+      await webhooks.emit('user.deleted', { user_id: Number(id), permanent });
+    }
+  }
+};
+
+// One result per item, in request order. Items failing validation are settled here,
+// so an atomic batch with a bad item is refused before anything is written.
+function prepare(operation, items) {
+  const { check, idOf } = OPERATIONS[operation];
+
+  return items.map((item, index) => {
+    if (check(item)) {
+      return { index, id: idOf(item), status: 'pending', error: null };
+    }
+    return {
+      index,
+      id: idOf(item),
+      status: 'failed',
+      error: 'Validation failed',
+      code: 'validation',
+      details: formatErrors(check.errors)
+    };
+  });
+}
+
+function fail(result, error) {
+  result.status = 'failed';
+  result.error = error.message;
+  result.code = error.code;
+  if (error.details) {
+    result.details = error.details;
+  }
+}
+
+function settle(result, outcome, done) {
+  result.id = outcome.id;
+  result.status = outcome.status || done;
+  result.error = outcome.error || null;
+}
+
+const SUCCEEDED = ['created', 'updated', 'deleted'];
+
+function summarize(results) {
+  const count = (statuses) => results.filter(result => statuses.includes(result.status)).length;
+
+  return {
+    total: results.length,
+    succeeded: count(SUCCEEDED),
+    failed: count(['failed']),
+    skipped: count(['skipped', 'rolled_back'])
+  };
+}
+
+// Atomic: one transaction for the batch; the first failing item rolls it back.
+// Partial: one transaction per item, failures are recorded and the batch carries on.
+// onProgress(processed) is called after every item. Errors other than item errors are thrown.
+async function runBulk(operation, items, { mode, options = {}, repositories, results = prepare(operation, items), onProgress }) {
+  const op = OPERATIONS[operation];
+  const pending = results.filter(result => result.status === 'pending');
+  let processed = results.length - pending.length;
+
+  const progress = async () => {
+    processed++;
+    if (onProgress) {
+      await onProgress(processed);
+    }
+  };
+
+  if (mode === 'atomic') {
+    const applied = [];
+    if (pending.length < results.length) {
+      for (const result of pending) {
+        settle(result, { id: result.id, status: 'skipped', error: 'Batch not applied: another item is invalid' });
+      }
+      return { results, summary: summarize(results) };
+    }
+
+    let current = null;
+    try {
+      await repositories.transaction(async (tx) => {
+        for (const result of pending) {
+          current = result;
+          const outcome = await op.apply(tx, items[result.index], options);
+          settle(result, outcome, op.done);
+          applied.push([result, outcome]);
+          await progress();
+        }
+      });
+    } catch (error) {
+      const itemError = toItemError(error);
+      if (!itemError) {
+        throw error;
+      }
+
+      // Created IDs went with the rollback, so only the requested ones are reported
+      fail(current, itemError);
+      for (const result of pending) {
+        if (result.status === 'pending' || result.status === op.done) {
+          settle(result, {
+            id: op.idOf(items[result.index]),
+            status: result.status === op.done ? 'rolled_back' : 'skipped',
+            error: 'Batch rolled back'
+          });
+        }
+      }
+      return { results, summary: summarize(results) };
+    }
+
+    for (const [result, outcome] of applied) {
+      if (result.status === op.done) {
+        await op.announce(repositories, items[result.index], outcome, options);
+      }
+    }
+  } else {
+    for (const result of pending) {
+      try {
+        const outcome = await repositories.transaction(tx => op.apply(tx, items[result.index], options));
+        settle(result, outcome, op.done);
+        if (result.status === op.done) {
+          await op.announce(repositories, items[result.index], outcome, options);
+        }
+      } catch (error) {
+        const itemError = toItemError(error);
+        if (!itemError) {
+          throw error;
+        }
+        fail(result, itemError);
+      }
+      await progress();
+    }
+  }
+
+  return { results, summary: summarize(results) };
+}
+
+module.exports = { ERROR_STATUSES, OPERATIONS, prepare, runBulk, summarize };
@@ -0,0 +1,15 @@
+// src/config/analytics.js - caching and limits for the /stats/users endpoints
+require('dotenv').config();
+
+const analyticsConfig = {
+  // Seconds an aggregation is served from memory before it is computed again
+  cacheTtlSeconds: parseInt(process.env.ANALYTICS_CACHE_TTL) || 300,
+
+  // Distinct queries kept at once; the oldest go first
+  cacheMaxEntries: parseInt(process.env.ANALYTICS_CACHE_MAX_ENTRIES) || 500,
+
+  // Periods one series or cohort table may span (a year of days)
+  maxPeriods: parseInt(process.env.ANALYTICS_MAX_PERIODS) || 366
+};
+
+module.exports = analyticsConfig;
@@ -0,0 +1,39 @@
+// src/config/auth.js
+const crypto = require('crypto');
+require('dotenv').config();
+const { logger } = require('../logging/logger');
+
+let jwtSecret = process.env.JWT_SECRET;
+
+if (!jwtSecret) {
+  // Tokens signed with an ephemeral secret stop working on restart,
+  // so this is only acceptable for local development.
+  logger.warn('JWT_SECRET is not set - using a random secret for this process');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const authConfig = {
+  jwtSecret,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+  jwtIssuer: process.env.JWT_ISSUER || 'user-management-api',
+
+  // Values of user_accounts.role
+  roles: {
+    ADMIN: 'admin',
+    USER: 'user'
+  },
+
+  // Values of user_accounts.status that may not use the API
+  blockedStatuses: ['suspended', 'banned'],
+
+  // Passwords and login lockout
+  passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxFailedLogins: parseInt(process.env.MAX_FAILED_LOGINS) || 5,
+  lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES) || 15,
+
+  // How long the links mailed by the email verification and password reset flows work
+  verifyEmailTtlHours: parseInt(process.env.VERIFY_EMAIL_TTL_HOURS) || 48,
+  resetPasswordTtlMinutes: parseInt(process.env.RESET_PASSWORD_TTL_MINUTES) || 60
+};
+
+module.exports = authConfig;
@@ -0,0 +1,21 @@
+// src/config/bulk.js - limits for the /users/bulk endpoints
+require('dotenv').config();
+
+const bulkConfig = {
+  // Items accepted by one bulk request
+  maxItems: parseInt(process.env.BULK_MAX_ITEMS) || 10000,
+
+  // Batches with more items than this run as a background job and answer 202
+  jobThreshold: parseInt(process.env.BULK_JOB_THRESHOLD) || 100,
+
+  // Finished jobs stay visible on GET /users/bulk/jobs/:jobId for this long
+  jobRetentionHours: parseInt(process.env.BULK_JOB_RETENTION_HOURS) || 24,
+
+  // A process touches the unfinished jobs it runs this often, and sweeps up stale ones
+  jobHeartbeatSeconds: parseInt(process.env.BULK_JOB_HEARTBEAT_SECONDS) || 15,
+
+  // An unfinished job untouched for this long lost its process (a restart or a crash) and is failed
+  jobStaleSeconds: parseInt(process.env.BULK_JOB_STALE_SECONDS) || 60
+};
+
+module.exports = bulkConfig;
@@ -0,0 +1,34 @@
+// src/config/dbConfig.js - MySQL connection settings shared by the pool and the CLI scripts
+require('dotenv').config();
+
+const dbConfig = {
+  // Try these hosts in order of preference:
+  host: process.env.MYSQL_URL ? 
+    new URL(process.env.MYSQL_URL).hostname : 
+    (process.env.DB_HOST || 'mysql.railway.internal'),
+  
+  user: process.env.MYSQL_USER || process.env.DB_USER || 'root',
+  password: process.env.MYSQL_PASSWORD || process.env.DB_PASSWORD || 'DYchNFdlLeBxiWfIJMOBUnyDEWmbCRtd',
+  database: process.env.MYSQL_DATABASE || process.env.DB_NAME || 'railway',
+  port: process.env.MYSQL_URL ? 
+    new URL(process.env.MYSQL_URL).port : 
+    (process.env.DB_PORT || 3306),
+  
+  // FIXED: Only use valid MySQL2 options
+  connectionLimit: 10,
+  waitForConnections: true,
+  queueLimit: 0,
+  charset: 'utf8mb4',
+  
+  // Connection-level options (valid for MySQL2)
+  connectTimeout: 60000,    // Replaces 'timeout'
+  ssl: false,
+  timezone: 'Z'
+  
+  // REMOVED these invalid options that were causing warnings:
+  // acquireTimeout: 60000,  // Not valid for individual connections
+  // timeout: 60000,         // Not valid for MySQL2
+  // reconnect: true,        // Not valid for MySQL2
+};
+
+module.exports = dbConfig;
@@ -0,0 +1,15 @@
+// src/config/idempotency.js - Idempotency-Key handling on the create endpoints
+require('dotenv').config();
+
+const idempotencyConfig = {
+  // A key answers with its first response for this long, then may be used afresh
+  ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+
+  // A request still running after this long is taken for dead, and its key may be retried
+  lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60,
+
+  // Longest Idempotency-Key accepted
+  maxKeyLength: 255
+};
+
+module.exports = idempotencyConfig;
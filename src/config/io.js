@@ -0,0 +1,12 @@
+// src/config/io.js - limits for streamed user imports and exports
+require('dotenv').config();
+
+const ioConfig = {
+  // Rows read from one POST /users/import upload; the rest of the file is ignored
+  importMaxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 10000,
+
+  // Users fetched per query while streaming GET /users/export
+  exportBatchSize: parseInt(process.env.EXPORT_BATCH_SIZE) || 500
+};
+
+module.exports = ioConfig;
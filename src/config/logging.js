@@ -0,0 +1,25 @@
+// src/config/logging.js - structured logs, what they leave out and when a query counts as slow
+require('dotenv').config();
+
+const list = (value) => value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const loggingConfig = {
+  // debug, info (default), warn, error or silent; debug also logs every query
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+
+  // Fields whose values never reach the logs, at any depth, matched by name regardless of case
+  redactFields: process.env.LOG_REDACT_FIELDS
+    ? list(process.env.LOG_REDACT_FIELDS)
+    : [
+      'email', 'phone', 'first_name', 'last_name', 'date_of_birth', 'street', 'postal_code',
+      'password', 'password_hash', 'current_password', 'new_password', 'token', 'authorization', 'cookie', 'q'
+    ],
+
+  // Also mask email addresses and phone numbers (+62...) inside free text: messages, paths, SQL
+  redactText: process.env.LOG_REDACT_TEXT !== 'false',
+
+  // Queries taking at least this long are logged as warnings
+  slowQueryMs: parseInt(process.env.SLOW_QUERY_MS) || 500
+};
+
+module.exports = loggingConfig;
@@ -0,0 +1,28 @@
+// src/config/mail.js - outgoing mail (email verification and password reset)
+require('dotenv').config();
+const path = require('path');
+
+const mailConfig = {
+  // "smtp" sends through the server below; "file" (default) writes each message as an .eml file
+  // under `directory`; "memory" keeps them in the process
+  transport: (process.env.MAIL_TRANSPORT || 'file').toLowerCase(),
+  from: process.env.MAIL_FROM || 'User Management API <no-reply@localhost>',
+  directory: process.env.MAIL_DIR || path.join(__dirname, '../../mail'),
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null
+  },
+
+  // Links in the mails, pointing at the client app; {token} is replaced with the token
+  verifyEmailUrl: process.env.VERIFY_EMAIL_URL || 'http://localhost:3000/verify-email?token={token}',
+  resetPasswordUrl: process.env.RESET_PASSWORD_URL || 'http://localhost:3000/reset-password?token={token}',
+
+  // Template language for users without preferences, or whose language has no templates
+  defaultLanguage: 'en'
+};
+
+module.exports = mailConfig;
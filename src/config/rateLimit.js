@@ -0,0 +1,51 @@
+// src/config/rateLimit.js - request rate limits and daily quotas per client
+require('dotenv').config();
+
+// Token bucket for one route group: up to `burst` requests at once, refilled at `perMinute`
+const bucket = (name, burst, perMinute) => ({
+  burst: parseInt(process.env[`RATE_LIMIT_${name}_BURST`]) || burst,
+  perMinute: parseInt(process.env[`RATE_LIMIT_${name}_PER_MINUTE`]) || perMinute
+});
+
+// Unlike `parseInt(...) || fallback`, keeps an explicit 0
+function parseCount(value, fallback) {
+  const count = parseInt(value);
+  return Number.isNaN(count) ? fallback : count;
+}
+
+// "user:2000000000000001=500000,ip:10.0.0.5=1000" -> { 'user:2000000000000001': 500000, 'ip:10.0.0.5': 1000 }
+function parseQuotas(value) {
+  const quotas = {};
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const at = entry.lastIndexOf('=');
+    const limit = parseInt(entry.slice(at + 1));
+    if (at > 0 && limit >= 0) {
+      quotas[entry.slice(0, at)] = limit;
+    }
+  }
+  return quotas;
+}
+
+const rateLimitConfig = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  // "memory" keeps buckets in this process; "database" shares them between instances through
+  // the rate_limits table (one extra transaction per request)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  // Route groups, from strictest to loosest (see groupOf() in src/middleware/rateLimit.js)
+  groups: {
+    auth: bucket('AUTH', 10, 10),
+    bulk: bucket('BULK', 5, 5),
+    write: bucket('WRITE', 60, 60),
+    read: bucket('READ', 300, 300)
+  },
+
+  // Requests per client per UTC day, across all groups; 0 turns the quota off
+  dailyQuota: parseCount(process.env.RATE_LIMIT_DAILY_QUOTA, 100000),
+
+  // Per-client overrides of dailyQuota, keyed like clientOf(): "user:<id>" or "ip:<address>"
+  clientQuotas: parseQuotas(process.env.RATE_LIMIT_CLIENT_QUOTAS)
+};
+
+module.exports = rateLimitConfig;
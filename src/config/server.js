@@ -0,0 +1,27 @@
+// src/config/server.js - how the HTTP server sees its clients
+require('dotenv').config();
+
+// Express "trust proxy": "true"/"false", a number of proxy hops, or a comma-separated list of
+// addresses, subnets or the names loopback, linklocal and uniquelocal
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const serverConfig = {
+  // Behind a reverse proxy (Railway, n8n) req.ip is the proxy's address unless the proxy is
+  // trusted to report the client's in X-Forwarded-For; anonymous rate limits key on req.ip
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  parseTrustProxy
+};
+
+module.exports = serverConfig;
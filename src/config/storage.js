@@ -0,0 +1,16 @@
+// src/config/storage.js - which repository implementation backs the API
+require('dotenv').config();
+
+const storageConfig = {
+  // "mysql" (default) or "memory" for running without a database service
+  driver: (process.env.DB_DRIVER || 'mysql').toLowerCase(),
+
+  // Load seeds/ into the memory driver on startup
+  seedMemory: process.env.MEMORY_SEED !== 'false',
+
+  // Soft-deleted users are purged for good once they have been in the trash this long
+  trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  trashPurgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60
+};
+
+module.exports = storageConfig;
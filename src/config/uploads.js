@@ -0,0 +1,17 @@
+// src/config/uploads.js - stored uploads (avatars) and where they are kept
+require('dotenv').config();
+const path = require('path');
+
+const uploadsConfig = {
+  // "local" (default) keeps files under `directory`; "memory" keeps them in the process
+  storage: (process.env.UPLOAD_STORAGE || 'local').toLowerCase(),
+  directory: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+
+  // Largest avatar accepted by PUT /users/:id/avatar
+  avatarMaxBytes: parseInt(process.env.AVATAR_MAX_BYTES) || 2 * 1024 * 1024,
+
+  // max-age of GET /users/:id/avatar; the URL changes with the file, so this can be long
+  avatarCacheSeconds: parseInt(process.env.AVATAR_CACHE_SECONDS) || 7 * 24 * 60 * 60
+};
+
+module.exports = uploadsConfig;
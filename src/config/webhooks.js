@@ -0,0 +1,20 @@
+// src/config/webhooks.js - outbound webhook delivery
+require('dotenv').config();
+
+const webhookConfig = {
+  // Attempts per delivery before it moves to the dead-letter list
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+
+  // Retry n waits retryBaseSeconds * 2^(n-1), capped at retryMaxSeconds
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+
+  // Per request; a receiver slower than this counts as a failed attempt
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+
+  // How often the worker looks for due deliveries, and how many it sends per run
+  pollIntervalSeconds: parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 5,
+  batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20
+};
+
+module.exports = webhookConfig;
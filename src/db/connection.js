@@ -0,0 +1,12 @@
+// src/db/connection.js - single connections for CLI scripts (migrations, seeds)
+const mysql = require('mysql2/promise');
+const dbConfig = require('../config/dbConfig');
+
+// Pool-only settings are not valid for a single connection
+const { connectionLimit, waitForConnections, queueLimit, ...connectionConfig } = dbConfig;
+
+function openConnection() {
+  return mysql.createConnection(connectionConfig);
+}
+
+module.exports = { openConnection };
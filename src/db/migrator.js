@@ -0,0 +1,164 @@
+// src/db/migrator.js - versioned schema migrations tracked in schema_migrations
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const LOCK_NAME = 'schema_migrations';
+
+// Migration files are named "<YYYYMMDDHHMMSS>_<name>.js" and run in filename order
+const FILE_PATTERN = /^(\d{14})_([a-z0-9_]+)\.js$/;
+
+function listMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      return { version, name, file: path.join(dir, file) };
+    });
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(14) NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      batch INT NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function getApplied(connection) {
+  const [rows] = await connection.query(
+    'SELECT version, name, batch, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return rows;
+}
+
+// Only one process may migrate at a time
+async function withLock(connection, fn) {
+  const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, 30) AS acquired', [LOCK_NAME]);
+  if (acquired !== 1) {
+    throw new Error('Another migration is already running');
+  }
+
+  try {
+    await ensureMigrationsTable(connection);
+    return await fn();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+// Apply every pending migration (or only the next `steps`) as one batch
+async function up(connection, { steps = Infinity, dir } = {}) {
+  return withLock(connection, async () => {
+    const applied = new Set((await getApplied(connection)).map(row => row.version));
+    const pending = listMigrations(dir).filter(m => !applied.has(m.version)).slice(0, steps);
+
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const [[{ lastBatch }]] = await connection.query(
+      'SELECT COALESCE(MAX(batch), 0) AS lastBatch FROM schema_migrations'
+    );
+    const batch = lastBatch + 1;
+
+    for (const migration of pending) {
+      const { up: migrateUp } = require(migration.file);
+      await migrateUp(connection);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name, batch) VALUES (?, ?, ?)',
+        [migration.version, migration.name, batch]
+      );
+    }
+
+    return pending;
+  });
+}
+
+// Roll back the most recent `steps` migrations, newest first
+async function down(connection, { steps = 1, dir } = {}) {
+  return withLock(connection, async () => {
+    const available = new Map(listMigrations(dir).map(m => [m.version, m]));
+    const applied = (await getApplied(connection)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = available.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration file for ${row.version}_${row.name} is missing`);
+      }
+
+      const { down: migrateDown } = require(migration.file);
+      await migrateDown(connection);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+// Every known migration with its applied state
+async function status(connection, { dir } = {}) {
+  await ensureMigrationsTable(connection);
+  const applied = new Map((await getApplied(connection)).map(row => [row.version, row]));
+  const files = listMigrations(dir);
+  const known = new Set(files.map(m => m.version));
+
+  const rows = files.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    batch: applied.has(m.version) ? applied.get(m.version).batch : null,
+    applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null
+  }));
+
+  // Applied in the database but no longer on disk
+  for (const [version, row] of applied) {
+    if (!known.has(version)) {
+      rows.push({ ...row, applied: true, missing: true });
+    }
+  }
+
+  return rows.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// Write an empty migration file and return its path
+function create(name, { dir = MIGRATIONS_DIR } = {}) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${timestamp()}_${slug}.js`);
+
+  fs.writeFileSync(file, `// ${path.relative(path.join(dir, '..'), file)}
+
+async function up(db) {
+  // await db.query('ALTER TABLE ...');
+}
+
+async function down(db) {
+  // Undo everything up() did
+}
+
+module.exports = { up, down };
+`);
+
+  return file;
+}
+
+module.exports = { MIGRATIONS_DIR, listMigrations, up, down, status, create };
@@ -0,0 +1,23 @@
+// src/db/seeder.js - run the files in seeds/ against a set of repositories
+const fs = require('fs');
+const path = require('path');
+
+const SEEDS_DIR = path.join(__dirname, '..', '..', 'seeds');
+
+// Resolves to [{ file, count }] for every seed file that ran
+async function runSeeds(repositories, { filter, dir = SEEDS_DIR } = {}) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .filter(file => !filter || file.includes(filter))
+    .sort();
+
+  const results = [];
+  for (const file of files) {
+    const { seed } = require(path.join(dir, file));
+    results.push({ file, count: await seed(repositories) });
+  }
+
+  return results;
+}
+
+module.exports = { SEEDS_DIR, runSeeds };
@@ -0,0 +1,73 @@
+// src/db/timing.js - time every query of a mysql2 pool and log the slow ones
+const loggingConfig = require('../config/logging');
+const { logger } = require('../logging/logger');
+
+const TIMED = Symbol('timed');
+
+// Enough of the statement to recognize it; values are parameters and never logged
+const MAX_SQL_LENGTH = 500;
+
+function describeSql(sql) {
+  const text = typeof sql === 'string' ? sql : (sql && sql.sql) || '';
+  const compact = text.replace(/\s+/g, ' ').trim();
+  return compact.length > MAX_SQL_LENGTH ? `${compact.slice(0, MAX_SQL_LENGTH)}...` : compact;
+}
+
+function timeMethod(target, method, settings) {
+  const original = target[method];
+
+  target[method] = async function timedQuery(sql, values) {
+    const started = process.hrtime.bigint();
+    let failed = null;
+    try {
+      return await original.apply(this, arguments);
+    } catch (error) {
+      failed = error;
+      throw error;
+    } finally {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const fields = {
+        sql: describeSql(sql),
+        params: Array.isArray(values) ? values.length : 0,
+        duration_ms: Math.round(durationMs * 100) / 100
+      };
+      if (failed) {
+        fields.error_code = failed.code;
+      }
+
+      if (durationMs >= settings.slowQueryMs) {
+        settings.logger.warn('Slow query', fields);
+      } else {
+        settings.logger.debug('Query', fields);
+      }
+    }
+  };
+}
+
+function timeQueries(target, settings) {
+  if (!target[TIMED]) {
+    timeMethod(target, 'execute', settings);
+    timeMethod(target, 'query', settings);
+    target[TIMED] = true;
+  }
+  return target;
+}
+
+// Patches pool.execute/query, and those of the connections pool.getConnection() hands out
+// (pooled connections are reused, so each is patched once). options: { slowQueryMs, logger }
+function withQueryTiming(pool, options = {}) {
+  const settings = { slowQueryMs: loggingConfig.slowQueryMs, logger, ...options };
+
+  if (pool[TIMED]) {
+    return pool;
+  }
+
+  const getConnection = pool.getConnection;
+  pool.getConnection = async function timedGetConnection() {
+    return timeQueries(await getConnection.apply(this, arguments), settings);
+  };
+
+  return timeQueries(pool, settings);
+}
+
+module.exports = { withQueryTiming };
@@ -0,0 +1,1205 @@
+// src/docs/openapi.js - OpenAPI 3.1 document for the /api routers
+// Request bodies reuse the JSON Schemas in src/validation/schemas.js, so the
+// spec and the validation middleware cannot drift apart.
+const schemas = require('../validation/schemas');
+const { FILTER_COLUMNS, RECORDS, OPERATORS } = require('../search/filters');
+const { INTERVALS, BREAKDOWNS, AGE_BANDS } = require('../analytics/dimensions');
+const { SUB_RESOURCES, AUDIT_ENTITIES, AUDIT_ACTIONS, USER_LISTING, SEARCH_LISTING } = require('../repositories/tables');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../webhooks/events');
+const { EXPORT_COLUMNS, IMPORT_COLUMNS } = require('../io/userRecords');
+const bulkConfig = require('../config/bulk');
+const authConfig = require('../config/auth');
+const uploadsConfig = require('../config/uploads');
+const { IMAGE_TYPES } = require('../uploads/avatars');
+const pkg = require('../../package.json');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const timestamps = {
+  created_at: { type: 'string', format: 'date-time' },
+  updated_at: { type: 'string', format: 'date-time' }
+};
+
+// Stored rows, as returned by the API
+const rowOf = (input, extra = {}) => ({
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    user_id: { type: 'integer' },
+    ...input.properties,
+    ...extra,
+    ...timestamps
+  }
+});
+
+const userRow = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    ...schemas.userBase.properties,
+    date_of_birth: { type: ['string', 'null'], format: 'date-time' },
+    email_verified_at: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'When the user confirmed their current email address; null until then and after it changes'
+    },
+    ...timestamps,
+    version: { type: 'integer', description: 'Goes up on every change to the user or its related records' },
+    deleted_at: { type: ['string', 'null'], format: 'date-time', description: 'Set while the user is in the trash' }
+  }
+};
+
+const componentSchemas = {
+  // Request bodies
+  UserCreate: schemas.userCreate,
+  UserUpdate: schemas.userUpdate,
+  UserReplace: schemas.userReplace,
+  BulkCreate: schemas.bulkCreate,
+  BulkUpdate: schemas.bulkUpdate,
+  BulkDelete: schemas.bulkDelete,
+  AccountInput: schemas.account,
+  AccountReplace: schemas.accountReplace,
+  AccountPatch: schemas.accountPatch,
+  AddressInput: schemas.address,
+  AddressReplace: schemas.addressReplace,
+  AddressPatch: schemas.addressPatch,
+  AddressEntry: schemas.addressEntry,
+  AddressEntryReplace: schemas.addressEntryReplace,
+  AddressEntryPatch: schemas.addressEntryPatch,
+  PreferencesInput: schemas.preferences,
+  PreferencesReplace: schemas.preferencesReplace,
+  PreferencesPatch: schemas.preferencesPatch,
+  ProfileInput: schemas.profile,
+  ProfileReplace: schemas.profileReplace,
+  ProfilePatch: schemas.profilePatch,
+  SearchRequest: {
+    ...schemas.searchRequest,
+    properties: { ...schemas.searchRequest.properties, filter: { type: 'object', description: 'See the filter parameter of GET /users/search' } }
+  },
+  Register: schemas.register,
+  Login: schemas.login,
+  ChangePassword: schemas.changePassword,
+  VerifyEmail: schemas.verifyEmail,
+  ForgotPassword: schemas.forgotPassword,
+  ResetPassword: schemas.resetPassword,
+  WebhookCreate: schemas.webhookCreate,
+  WebhookUpdate: schemas.webhookUpdate,
+
+  // Responses
+  User: userRow,
+  UserSummary: {
+    allOf: [ref('User')],
+    properties: {
+      status: { type: ['string', 'null'] },
+      role: { type: ['string', 'null'] },
+      subscription: { type: ['string', 'null'] }
+    }
+  },
+  Account: rowOf(schemas.account),
+  Address: rowOf(schemas.address, {
+    is_primary: { type: 'integer', enum: [0, 1], description: 'Exactly one of a user\'s addresses is primary' }
+  }),
+  Preferences: rowOf(schemas.preferences, {
+    notify_email: { type: 'integer', enum: [0, 1] },
+    notify_sms: { type: 'integer', enum: [0, 1] },
+    notify_push: { type: 'integer', enum: [0, 1] }
+  }),
+  Profile: rowOf(schemas.profile),
+  UserDetail: {
+    allOf: [ref('User')],
+    properties: {
+      account: { oneOf: [ref('Account'), { type: 'null' }] },
+      address: { oneOf: [ref('Address'), { type: 'null' }] },
+      preferences: { oneOf: [ref('Preferences'), { type: 'null' }] },
+      profile: { oneOf: [ref('Profile'), { type: 'null' }] }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' }
+    }
+  },
+  CursorPagination: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      sort: { type: 'string', description: 'The sort applied, ending with id as the tie-breaker' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the following page' },
+      prev_cursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the preceding page' },
+      page: { type: 'integer', description: 'Offset paging only' },
+      totalPages: { type: 'integer', description: 'Offset paging only' }
+    }
+  },
+  UserList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref('UserSummary'), description: 'Only the requested ?fields when given' },
+      pagination: ref('CursorPagination')
+    }
+  },
+  SearchResults: {
+    type: 'object',
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          allOf: [ref('UserSummary')],
+          properties: {
+            score: { type: 'number', description: 'Relevance to ?q; higher is better' },
+            highlights: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              description: 'Matched field -> HTML-escaped snippet with the matching words in <mark>'
+            }
+          }
+        },
+        description: 'score and highlights only when ?q is given'
+      },
+      pagination: ref('CursorPagination')
+    }
+  },
+  Stats: {
+    type: 'object',
+    properties: {
+      total_users: { type: 'integer' },
+      active_users: { type: 'integer' },
+      by_role: { type: 'array', items: { type: 'object', properties: { role: { type: 'string' }, count: { type: 'integer' } } } },
+      by_subscription: { type: 'array', items: { type: 'object', properties: { subscription: { type: 'string' }, count: { type: 'integer' } } } },
+      by_gender: { type: 'array', items: { type: 'object', properties: { gender: { type: 'string' }, count: { type: 'integer' } } } },
+      generated_at: { type: 'string', format: 'date-time', description: 'When the numbers were computed; they are cached for a while' }
+    }
+  },
+  SignupSeries: {
+    type: 'object',
+    properties: {
+      interval: { type: 'string', enum: INTERVALS },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      data: {
+        type: 'array',
+        description: 'One entry per period, empty periods included. Period labels are the first day of the period (UTC; weeks start on Monday)',
+        items: {
+          type: 'object',
+          properties: {
+            period: { type: 'string', format: 'date' },
+            signups: { type: 'integer' },
+            active_now: { type: 'integer', description: 'Of the signups, accounts active today (not at the time)' },
+            inactive_now: { type: 'integer', description: 'Of the signups, every other status today (or no account)' },
+            cumulative_active_now: { type: 'integer', description: 'Matching users signed up by the end of the period and active today' },
+            cumulative_inactive_now: { type: 'integer', description: 'Matching users signed up by the end of the period and not active today' }
+          }
+        }
+      },
+      generated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Breakdown: {
+    type: 'object',
+    properties: {
+      by: { type: 'string', enum: BREAKDOWNS },
+      total: { type: 'integer' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            value: { type: ['string', 'null'], description: 'null when not on file' },
+            count: { type: 'integer' },
+            share: { type: 'number', description: 'Fraction of total' }
+          }
+        }
+      },
+      generated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Cohorts: {
+    type: 'object',
+    properties: {
+      interval: { type: 'string', enum: INTERVALS },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            cohort: { type: 'string', format: 'date', description: 'First day of the signup period' },
+            subscription: { type: ['string', 'null'] },
+            users: { type: 'integer', description: 'Signed up in the period, trashed users included' },
+            retained: { type: 'integer', description: 'Of those, not trashed and with an active account' },
+            retention_rate: { type: 'number' }
+          }
+        }
+      },
+      generated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      entity: { type: 'string', enum: Object.values(AUDIT_ENTITIES) },
+      entity_id: { type: 'integer', description: 'ID of the changed row' },
+      user_id: { type: 'integer', description: 'User the row belongs to' },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      actor_id: { type: ['integer', 'null'], description: 'Authenticated user who made the change' },
+      request_id: { type: ['string', 'null'], description: 'X-Request-Id of the request that made the change' },
+      before: { type: ['object', 'null'], description: 'Previous values (only the changed columns for updates)' },
+      after: { type: ['object', 'null'], description: 'New values (only the changed columns for updates)' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  AuditList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref('AuditEntry') },
+      pagination: ref('Pagination')
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: { type: 'string', enum: [...WEBHOOK_EVENTS, ALL_EVENTS] } },
+      description: { type: ['string', 'null'] },
+      active: { type: 'boolean', description: 'While false, no events are queued and queued deliveries wait' },
+      created_by: { type: ['integer', 'null'] },
+      ...timestamps
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      subscription_id: { type: 'integer' },
+      event: { type: 'string' },
+      event_id: { type: 'string', format: 'uuid' },
+      payload: ref('WebhookPayload'),
+      status: { type: 'string', enum: ['pending', 'succeeded', 'dead'] },
+      attempts: { type: 'integer' },
+      next_attempt_at: { type: 'string', format: 'date-time' },
+      last_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+      response_status: { type: ['integer', 'null'] },
+      last_error: { type: ['string', 'null'] },
+      ...timestamps
+    }
+  },
+  WebhookDeliveryList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref('WebhookDelivery') },
+      pagination: ref('Pagination')
+    }
+  },
+  WebhookPayload: {
+    type: 'object',
+    description: 'Body POSTed to the subscriber. X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of '
+      + '"<X-Webhook-Timestamp>.<raw body>" keyed with the subscription secret.',
+    properties: {
+      id: { type: 'string', format: 'uuid', description: 'Event ID, also sent as X-Webhook-Id; the same on every retry' },
+      event: { type: 'string', enum: [...WEBHOOK_EVENTS, 'webhook.ping'] },
+      occurred_at: { type: 'string', format: 'date-time' },
+      actor_id: { type: ['integer', 'null'] },
+      request_id: { type: ['string', 'null'] },
+      data: { type: 'object' }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      dry_run: { type: 'boolean' },
+      processed: { type: 'integer', description: 'Rows read' },
+      created: { type: 'integer', description: 'Rows imported (real runs)' },
+      valid: { type: 'integer', description: 'Rows that would import (dry runs)' },
+      failed: { type: 'integer' },
+      truncated: { type: 'boolean', description: 'The file had more rows than the import limit; the rest were ignored' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', description: '1-based data row (the CSV header is not counted)' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, rule: { type: 'string' }, message: { type: 'string' } }
+              }
+            }
+          }
+        }
+      },
+      ids: { type: 'array', items: { type: 'integer' }, description: 'IDs of the created users (real runs)' }
+    }
+  },
+  BulkResult: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: 'Position of the item in the request' },
+      id: { type: ['integer', 'null'], description: 'User ID (null for a create that did not happen)' },
+      status: { type: 'string', enum: ['created', 'updated', 'deleted', 'failed', 'skipped', 'rolled_back'] },
+      error: { type: ['string', 'null'] },
+      code: { type: 'string', enum: ['validation', 'not_found', 'duplicate'], description: 'Failed items only' },
+      details: {
+        type: 'array',
+        description: 'Validation failures of the item',
+        items: {
+          type: 'object',
+          properties: { field: { type: 'string' }, rule: { type: 'string' }, message: { type: 'string' } }
+        }
+      }
+    }
+  },
+  BulkSummary: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      skipped: { type: 'integer', description: 'Not applied: already gone, or undone with an atomic batch' }
+    }
+  },
+  BulkReport: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      error: { type: 'string', description: 'Why an atomic batch was not applied' },
+      mode: { type: 'string', enum: schemas.BULK_MODES },
+      summary: ref('BulkSummary'),
+      results: { type: 'array', items: ref('BulkResult') }
+    }
+  },
+  BulkJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      operation: { type: 'string', enum: ['create', 'update', 'delete'] },
+      mode: { type: 'string', enum: schemas.BULK_MODES },
+      options: { type: 'object' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      total: { type: 'integer' },
+      processed: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      skipped: { type: 'integer' },
+      results: { type: ['array', 'null'], items: ref('BulkResult'), description: 'Set once the job has finished' },
+      error: { type: ['string', 'null'] },
+      created_by: { type: ['integer', 'null'] },
+      runner_id: { type: ['string', 'null'], description: 'The server process running the job' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time', description: 'Touched while the job is unfinished; a stale one is failed' },
+      started_at: { type: ['string', 'null'], format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  BulkJobQueued: {
+    type: 'object',
+    properties: { message: { type: 'string' }, job: ref('BulkJob') }
+  },
+  GraphqlRequest: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', description: 'A GraphQL document; the schema can be introspected' },
+      variables: { type: ['object', 'null'] },
+      operationName: { type: ['string', 'null'] }
+    }
+  },
+  GraphqlResponse: {
+    type: 'object',
+    properties: {
+      data: { type: ['object', 'null'] },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            path: { type: 'array', items: { type: ['string', 'integer'] } },
+            extensions: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: ['FORBIDDEN', 'NOT_FOUND', 'BAD_USER_INPUT', 'BAD_REQUEST', 'CONFLICT', 'INTERNAL_SERVER_ERROR'] },
+                details: { description: 'With BAD_USER_INPUT, the details of a 422 ValidationError' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  Token: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      token: { type: 'string' },
+      token_type: { type: 'string', const: 'Bearer' },
+      expires_in: { type: 'string' }
+    }
+  },
+  Message: {
+    type: 'object',
+    properties: { message: { type: 'string' } }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' }, message: { type: 'string' } }
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', examples: ['users[1].email'] },
+            rule: { type: 'string' },
+            message: { type: 'string' },
+            allowed: { type: 'array' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Response helpers
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+const error = (description) => json(ref('Error'), description);
+const message = (description) => json(ref('Message'), description);
+
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9]+$' }, description: 'User ID' };
+const webhookIdParam = { ...idParam, description: 'Webhook subscription ID' };
+
+const bulkDescription = 'mode "atomic" (the default) applies every item or none; "partial" applies each valid item '
+  + `on its own and reports the others. Batches of more than ${bulkConfig.jobThreshold} items run as a background job.`;
+
+const bulkResponses = {
+  202: json(ref('BulkJobQueued'), 'Queued as a background job; poll the Location header'),
+  207: json(ref('BulkReport'), 'Partial batch: some items failed, the rest were applied'),
+  422: json(ref('ValidationError'), 'Atomic batch: invalid items; nothing was applied')
+};
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+// filter[column][op]=value; see src/search/filters.js
+const filterParam = {
+  name: 'filter',
+  in: 'query',
+  required: false,
+  style: 'deepObject',
+  explode: true,
+  schema: { type: 'object' },
+  description: `Conditions that must all hold, e.g. filter[created_at][gte]=now-30d&filter[account.role][in]=admin,user. `
+    + `Operators: ${OPERATORS.join(', ')} (a bare value means eq; in/nin take comma-separated lists; null takes true/false). `
+    + `Dates also accept now-<n>[hdw]. Nest and/or groups as filter[or][0][...]. Columns: ${Object.keys(FILTER_COLUMNS).join(', ')}; `
+    + `${Object.keys(RECORDS).join(', ')} alone take null to find users without that record. `
+    + 'A condition on address columns holds when any of the user\'s addresses meets it.'
+};
+
+// The search criteria plus the signup range, taken by every /stats/users endpoint
+const statsParams = [
+  query('q', { type: 'string' }, 'Only users matching every word, as in /users/search'),
+  query('status', { type: 'string', enum: schemas.ACCOUNT_STATUSES }),
+  query('role', { type: 'string', enum: schemas.ACCOUNT_ROLES }),
+  query('subscription', { type: 'string', enum: schemas.SUBSCRIPTIONS }),
+  query('city', { type: 'string' }),
+  query('province', { type: 'string' }),
+  filterParam,
+  query('from', { type: 'string', format: 'date-time' }, 'Only users who signed up at or after this'),
+  query('to', { type: 'string', format: 'date-time' }, 'Only users who signed up before this (a bare date includes that day)')
+];
+const intervalParam = (fallback) => query('interval', { type: 'string', enum: INTERVALS, default: fallback });
+const statsResponses = (schema, description) => ({
+  200: json(ref(schema), `${description}. X-Cache tells whether it came from the cache`),
+  422: json(ref('ValidationError'), 'Invalid filter or range')
+});
+
+const pageParams = [
+  query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 10 }, 'Page size')
+];
+// ?cursor / ?sort / ?fields, see src/middleware/pagination.js
+const listingParams = ({ sortable, fields }) => [
+  query('cursor', { type: 'string' }, 'next_cursor or prev_cursor of an earlier page; ?page is then ignored'),
+  query('sort', { type: 'string', default: '-created_at' },
+    `Comma-separated, "-" for descending. Columns: ${sortable.join(', ')}`),
+  query('fields', { type: 'string' }, `Comma-separated columns to return: ${fields.join(', ')}`),
+  ...pageParams
+];
+const historyParams = [
+  query('entity', { type: 'string', enum: Object.values(AUDIT_ENTITIES) }),
+  query('action', { type: 'string', enum: AUDIT_ACTIONS }),
+  query('actor_id', { type: 'string', pattern: '^[0-9]+$' }, 'Who made the change'),
+  query('request_id', { type: 'string' }, 'X-Request-Id of the request that made the change'),
+  query('from', { type: 'string', format: 'date-time' }, 'Date or date-time, inclusive'),
+  query('to', { type: 'string', format: 'date-time' }, 'Date or date-time, inclusive'),
+  query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size')
+];
+const deliveryParams = [
+  query('status', { type: 'string', enum: ['pending', 'succeeded', 'dead'] }),
+  query('event', { type: 'string' }),
+  query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size')
+];
+const permanentParam = query('permanent', { type: 'boolean', default: false }, 'Delete for good instead of moving to the trash');
+
+// A user and its records share one ETag (src/middleware/conditional.js)
+const etagHeaders = {
+  ETag: { schema: { type: 'string' }, description: 'The user\'s current version, the same on the user and each of its records' }
+};
+const header = (name, description) => ({ name, in: 'header', required: false, schema: { type: 'string' }, description });
+const ifNoneMatchParam = header('If-None-Match', 'ETag of a copy already held; answered with 304 while it is current');
+const ifMatchParam = header('If-Match', 'ETag the write was based on; refused with 412 once the user has changed');
+
+// GETs send the ETag and honor If-None-Match; writes honor If-Match
+const versionedRead = (ok) => ({
+  parameters: [ifNoneMatchParam],
+  responses: {
+    200: { ...ok, headers: etagHeaders },
+    304: { description: 'Not modified since the If-None-Match ETag', headers: etagHeaders }
+  }
+});
+const versionedWrite = (parameters = []) => ({
+  parameters: [...parameters, ifMatchParam],
+  responses: { 412: error('If-Match does not hold the current ETag; nothing was changed') }
+});
+
+// Idempotency-Key on the create endpoints (src/middleware/idempotency.js)
+const idempotentCreate = () => ({
+  parameters: [header('Idempotency-Key', 'Any unique string, up to 255 characters; a retry with the same key and body '
+    + 'gets the first response back (Idempotent-Replayed: true) instead of running again')],
+  responses: {
+    409: error('A request with this Idempotency-Key is still running'),
+    422: error('The Idempotency-Key was used for a different request')
+  }
+});
+
+// spec with the parameters and responses of a header convention added; its own responses win
+const withHeaders = (convention, spec) => ({
+  ...spec,
+  parameters: [...(spec.parameters || []), ...convention.parameters],
+  responses: { ...convention.responses, ...spec.responses }
+});
+
+// Which callers may use an operation
+const ACCESS = {
+  public: { security: [], note: 'No token required.' },
+  authenticated: { note: 'Any valid bearer token.' },
+  admin: { note: 'Admins only.' },
+  selfOrAdmin: { note: 'Admins, or the user whose ID is in the path.' }
+};
+
+// Every route of the /api routers: [method, path, access, operation]
+const operations = [
+  // Auth
+  ['post', '/auth/register', 'public', {
+    tags: ['Auth'], summary: 'Register a user with a password',
+    body: 'Register',
+    responses: { 201: json(ref('Token'), 'Registered and signed in'), 409: error('Username or email already exists') }
+  }],
+  ['post', '/auth/login', 'public', {
+    tags: ['Auth'], summary: 'Exchange username or email and password for a bearer token',
+    body: 'Login',
+    responses: {
+      200: json(ref('Token'), 'Signed in'),
+      401: error('Invalid credentials'),
+      403: error('Account is suspended or banned'),
+      423: error('Temporarily locked after too many failed logins')
+    }
+  }],
+  ['post', '/auth/logout', 'authenticated', {
+    tags: ['Auth'], summary: 'Revoke the current token',
+    responses: { 200: message('Logged out') }
+  }],
+  ['post', '/auth/change-password', 'authenticated', {
+    tags: ['Auth'], summary: 'Change the password and invalidate older tokens',
+    body: 'ChangePassword',
+    responses: { 200: json(ref('Token'), 'Password changed; a fresh token is returned'), 401: error('Current password is incorrect') }
+  }],
+  ['post', '/auth/verify-email', 'public', {
+    tags: ['Auth'], summary: 'Confirm an email address with the token of a verification link',
+    body: 'VerifyEmail',
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          data: {
+            type: 'object',
+            properties: { id: { type: 'integer' }, email: { type: 'string' }, email_verified_at: { type: 'string', format: 'date-time' } }
+          }
+        }
+      }, 'Verified'),
+      400: error('Unknown, used or expired token, or the user has changed their email address since')
+    }
+  }],
+  ['post', '/auth/forgot-password', 'public', {
+    tags: ['Auth'], summary: 'Mail a single-use password reset link to the user with this email address',
+    description: 'Answers the same whether or not the address is in use. '
+      + `The link expires after ${authConfig.resetPasswordTtlMinutes} minutes.`,
+    body: 'ForgotPassword',
+    responses: { 202: message('Accepted') }
+  }],
+  ['post', '/auth/reset-password', 'public', {
+    tags: ['Auth'], summary: 'Set a new password with the token of a reset link, invalidating older bearer tokens',
+    body: 'ResetPassword',
+    responses: { 200: message('Password reset'), 400: error('Unknown, used or expired token') }
+  }],
+
+  // Docs and debugging
+  ['get', '/openapi.json', 'public', {
+    tags: ['Meta'], summary: 'This OpenAPI document',
+    responses: { 200: json({ type: 'object' }, 'OpenAPI 3.1 document') }
+  }],
+  ['get', '/docs', 'public', {
+    tags: ['Meta'], summary: 'Interactive API documentation',
+    responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+  }],
+  ['get', '/test', 'public', {
+    tags: ['Meta'], summary: 'Check that the API is up',
+    responses: { 200: message('API is working') }
+  }],
+  ['get', '/debug/db-test', 'admin', {
+    tags: ['Meta'], summary: 'Check the storage connection and show sample users',
+    responses: { 200: json({ type: 'object' }, 'Storage reachable'), 500: json({ type: 'object' }, 'Storage unreachable') }
+  }],
+
+  // Search and stats
+  ['get', '/users/search', 'admin', {
+    tags: ['Users'], summary: 'Search users',
+    parameters: [
+      query('q', { type: 'string' }, 'Ranked full-text search over names, email, profile and address, tolerating prefixes and typos; sorts by -score unless ?sort is given'),
+      query('status', { type: 'string', enum: schemas.ACCOUNT_STATUSES }),
+      query('role', { type: 'string', enum: schemas.ACCOUNT_ROLES }),
+      query('subscription', { type: 'string', enum: schemas.SUBSCRIPTIONS }),
+      query('city', { type: 'string' }),
+      query('province', { type: 'string' }),
+      filterParam,
+      ...listingParams(SEARCH_LISTING)
+    ],
+    responses: {
+      200: json(ref('SearchResults'), 'Matching users'),
+      400: error('Malformed cursor, or one issued for another sort'),
+      422: json(ref('ValidationError'), 'Invalid filter, unknown sort column or field, or sort by score without q')
+    }
+  }],
+  ['post', '/users/search', 'admin', {
+    tags: ['Users'], summary: 'Search users with the criteria in a JSON body',
+    body: 'SearchRequest',
+    responses: {
+      200: json(ref('SearchResults'), 'Matching users'),
+      400: error('Malformed cursor, or one issued for another sort')
+    }
+  }],
+  ['get', '/users/search/email/:email', 'admin', {
+    tags: ['Users'], summary: 'Find a user by exact email',
+    parameters: [{ name: 'email', in: 'path', required: true, schema: { type: 'string', format: 'email' } }],
+    responses: { 200: json(ref('UserSummary'), 'The user'), 404: error('No user with that email') }
+  }],
+  ['get', '/stats/users', 'admin', {
+    tags: ['Stats'], summary: 'User totals by role, subscription and gender',
+    parameters: statsParams,
+    responses: statsResponses('Stats', 'Statistics')
+  }],
+  ['get', '/stats/users/signups', 'admin', {
+    tags: ['Stats'], summary: 'Signups per period, split by the current status of each signup cohort',
+    description: 'The *_now counts describe account status today, so past periods change when a status changes; this is not a status history.',
+    parameters: [intervalParam('day'), ...statsParams],
+    responses: statsResponses('SignupSeries', 'The series; without from it covers the last 30 days, 12 weeks or 12 months')
+  }],
+  ['get', '/stats/users/breakdown', 'admin', {
+    tags: ['Stats'], summary: 'Users per city, province, country, language, age band and more',
+    parameters: [
+      { ...query('by', { type: 'string', enum: BREAKDOWNS }, `Age bands: ${AGE_BANDS.map(([label]) => label).join(', ')}`), required: true },
+      ...statsParams
+    ],
+    responses: statsResponses('Breakdown', 'Counts, biggest first')
+  }],
+  ['get', '/stats/users/cohorts', 'admin', {
+    tags: ['Stats'], summary: 'Signup cohort retention by subscription',
+    parameters: [intervalParam('month'), ...statsParams],
+    responses: statsResponses('Cohorts', 'One row per cohort and subscription')
+  }],
+
+  // GraphQL
+  ['post', '/graphql', 'authenticated', {
+    tags: ['GraphQL'], summary: 'Run a GraphQL query or mutation over users and their related records',
+    description: 'Fields and mutations follow the REST routes, and so does who may use them.',
+    body: 'GraphqlRequest',
+    responses: {
+      200: json(ref('GraphqlResponse'), 'Ran; errors lists the fields that failed'),
+      400: json(ref('GraphqlResponse'), 'No query, a syntax error or a query the schema does not allow')
+    }
+  }],
+  ['get', '/graphql', 'authenticated', {
+    tags: ['GraphQL'], summary: 'Run a GraphQL query (mutations need POST)',
+    parameters: [
+      { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+      { name: 'variables', in: 'query', schema: { type: 'string' }, description: 'A JSON object' },
+      { name: 'operationName', in: 'query', schema: { type: 'string' } }
+    ],
+    responses: {
+      200: json(ref('GraphqlResponse'), 'Ran; errors lists the fields that failed'),
+      400: json(ref('GraphqlResponse'), 'No query, a syntax error or a query the schema does not allow'),
+      405: json(ref('GraphqlResponse'), 'A mutation sent with GET')
+    }
+  }],
+
+  // Bulk
+  ['post', '/users/bulk', 'admin', withHeaders(idempotentCreate(), {
+    tags: ['Bulk'], summary: 'Create several users',
+    description: bulkDescription,
+    body: 'BulkCreate',
+    responses: {
+      ...bulkResponses,
+      201: json({
+        allOf: [ref('BulkReport')],
+        properties: { data: { type: 'array', items: ref('User') } }
+      }, 'Every user created'),
+      409: json(ref('BulkReport'), 'Atomic batch: a username or email already exists, or the Idempotency-Key is in use; nothing was created')
+    }
+  })],
+  ['patch', '/users/bulk', 'admin', {
+    tags: ['Bulk'], summary: 'Change user and account columns of several users',
+    description: bulkDescription,
+    body: 'BulkUpdate',
+    responses: {
+      ...bulkResponses,
+      200: json(ref('BulkReport'), 'Every user updated'),
+      404: json(ref('BulkReport'), 'Atomic batch: a user or account does not exist; nothing was changed')
+    }
+  }],
+  ['delete', '/users/bulk', 'admin', {
+    tags: ['Bulk'], summary: 'Move several users to the trash, or purge them',
+    description: `${bulkDescription} Users that are already gone are skipped rather than failed.`,
+    body: 'BulkDelete',
+    parameters: [permanentParam],
+    responses: {
+      ...bulkResponses,
+      200: json({
+        allOf: [ref('BulkReport')],
+        properties: { deleted_count: { type: 'integer' }, permanent: { type: 'boolean' } }
+      }, 'Deleted')
+    }
+  }],
+  ['get', '/users/bulk/jobs/:jobId', 'admin', {
+    tags: ['Bulk'], summary: 'Progress of a background bulk job',
+    parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+    responses: { 200: json(ref('BulkJob'), 'The job, with per-item results once finished'), 404: error('No such job') }
+  }],
+
+  // Import and export
+  ['post', '/users/import', 'admin', {
+    tags: ['Bulk'], summary: 'Create users with related records from a CSV or NDJSON upload',
+    parameters: [
+      query('format', { type: 'string', enum: ['csv', 'ndjson'] }, 'Overrides the Content-Type'),
+      query('dry_run', { type: 'boolean', default: false }, 'Validate and check every row, then roll it back')
+    ],
+    requestBody: {
+      required: true,
+      description: `CSV columns (or NDJSON keys, flat or nested like POST /users): ${IMPORT_COLUMNS.join(', ')}. `
+        + 'Generated columns (id, timestamps) are ignored so exports can be imported again. '
+        + 'Each row is imported on its own; failures are listed per row.',
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/x-ndjson': { schema: { type: 'string' } }
+      }
+    },
+    responses: {
+      200: json(ref('ImportReport'), 'Per-row report'),
+      400: error('Malformed CSV'),
+      415: error('Not CSV or NDJSON'),
+      422: json(ref('ValidationError'), 'Unknown CSV columns or query parameters')
+    }
+  }],
+  ['get', '/users/export', 'admin', {
+    tags: ['Bulk'], summary: 'Stream users matching the search filters as CSV or NDJSON',
+    parameters: [
+      query('format', { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' }),
+      query('q', { type: 'string' }, 'Only users matching every word, as in /users/search'),
+      query('status', { type: 'string', enum: schemas.ACCOUNT_STATUSES }),
+      query('role', { type: 'string', enum: schemas.ACCOUNT_ROLES }),
+      query('subscription', { type: 'string', enum: schemas.SUBSCRIPTIONS }),
+      query('city', { type: 'string' }),
+      query('province', { type: 'string' }),
+      filterParam
+    ],
+    responses: {
+      200: {
+        description: `One row per user, in ID order. CSV columns: ${EXPORT_COLUMNS.join(', ')}`,
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/x-ndjson': { schema: { type: 'string' } }
+        }
+      },
+      422: json(ref('ValidationError'), 'Invalid filter')
+    }
+  }],
+
+  // Trash
+  ['get', '/users/trash', 'admin', {
+    tags: ['Trash'], summary: 'List soft-deleted users, most recently deleted first',
+    parameters: pageParams,
+    responses: {
+      200: json({
+        allOf: [ref('UserList')],
+        properties: { retention_days: { type: 'integer', description: 'Days before trashed users are purged' } }
+      }, 'A page of trashed users')
+    }
+  }],
+  ['post', '/users/:id/restore', 'admin', {
+    tags: ['Trash'], summary: 'Restore a user from the trash',
+    responses: {
+      200: json({ type: 'object', properties: { message: { type: 'string' }, data: ref('User') } }, 'Restored'),
+      404: error('User not found in trash')
+    }
+  }],
+
+  // Audit
+  ['get', '/audit', 'admin', {
+    tags: ['Audit'], summary: 'Audit entries for every user, newest first',
+    parameters: [query('user_id', { type: 'string', pattern: '^[0-9]+$' }), ...historyParams],
+    responses: { 200: json(ref('AuditList'), 'A page of audit entries'), 422: json(ref('ValidationError'), 'Invalid filter') }
+  }],
+  ['get', '/users/:id/history', 'admin', {
+    tags: ['Audit'], summary: 'Change history of a user and their records, newest first',
+    parameters: historyParams,
+    responses: {
+      200: json(ref('AuditList'), 'A page of audit entries'),
+      404: error('User not found and never audited'),
+      422: json(ref('ValidationError'), 'Invalid filter')
+    }
+  }],
+
+  // Webhooks
+  ['get', '/webhooks/dead-letters', 'admin', {
+    tags: ['Webhooks'], summary: 'Deliveries that ran out of retries, newest first',
+    parameters: deliveryParams.filter(param => param.name !== 'status'),
+    responses: { 200: json(ref('WebhookDeliveryList'), 'A page of dead deliveries') }
+  }],
+  ['post', '/webhooks/deliveries/:deliveryId/retry', 'admin', {
+    tags: ['Webhooks'], summary: 'Queue a dead delivery again with a fresh set of attempts',
+    parameters: [{ name: 'deliveryId', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9]+$' } }],
+    responses: {
+      200: json({ type: 'object', properties: { message: { type: 'string' }, data: ref('WebhookDelivery') } }, 'Queued'),
+      404: error('Dead delivery not found')
+    }
+  }],
+  ['get', '/webhooks', 'admin', {
+    tags: ['Webhooks'], summary: 'List webhook subscriptions',
+    responses: { 200: json({ type: 'object', properties: { data: { type: 'array', items: ref('Webhook') } } }, 'Subscriptions') }
+  }],
+  ['post', '/webhooks', 'admin', {
+    tags: ['Webhooks'], summary: 'Subscribe a URL to events (the secret is only returned here)',
+    body: 'WebhookCreate',
+    responses: {
+      201: json({
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          data: { allOf: [ref('Webhook')], properties: { secret: { type: 'string' } } }
+        }
+      }, 'Created')
+    }
+  }],
+  ['get', '/webhooks/:id', 'admin', {
+    tags: ['Webhooks'], summary: 'Get a webhook subscription',
+    parameters: [webhookIdParam],
+    responses: { 200: json(ref('Webhook'), 'The subscription'), 404: error('Webhook not found') }
+  }],
+  ['patch', '/webhooks/:id', 'admin', {
+    tags: ['Webhooks'], summary: 'Change the URL, events, secret or active flag',
+    parameters: [webhookIdParam],
+    body: 'WebhookUpdate',
+    responses: {
+      200: json({ type: 'object', properties: { message: { type: 'string' }, data: ref('Webhook') } }, 'Updated'),
+      404: error('Webhook not found')
+    }
+  }],
+  ['delete', '/webhooks/:id', 'admin', {
+    tags: ['Webhooks'], summary: 'Delete a subscription and its delivery log',
+    parameters: [webhookIdParam],
+    responses: { 200: message('Deleted'), 404: error('Webhook not found') }
+  }],
+  ['get', '/webhooks/:id/deliveries', 'admin', {
+    tags: ['Webhooks'], summary: 'Delivery log of a subscription, newest first',
+    parameters: [webhookIdParam, ...deliveryParams],
+    responses: { 200: json(ref('WebhookDeliveryList'), 'A page of deliveries'), 404: error('Webhook not found') }
+  }],
+  ['post', '/webhooks/:id/test', 'admin', {
+    tags: ['Webhooks'], summary: 'Queue a webhook.ping delivery to this subscription',
+    parameters: [webhookIdParam],
+    responses: { 202: message('Ping queued'), 404: error('Webhook not found') }
+  }],
+
+  // Users
+  ['get', '/users', 'admin', {
+    tags: ['Users'], summary: 'List users, newest first unless ?sort says otherwise',
+    parameters: listingParams(USER_LISTING),
+    responses: {
+      200: json(ref('UserList'), 'A page of users'),
+      400: error('Malformed cursor, or one issued for another sort'),
+      422: json(ref('ValidationError'), 'Unknown sort column or field')
+    }
+  }],
+  ['post', '/users', 'admin', withHeaders(idempotentCreate(), {
+    tags: ['Users'], summary: 'Create a user, optionally with account, address, preferences and profile',
+    body: 'UserCreate',
+    responses: {
+      201: json({ type: 'object', properties: { message: { type: 'string' }, data: ref('User'), generated_id: { type: 'integer' } } }, 'Created'),
+      409: error('Username or email already exists, or the Idempotency-Key is in use')
+    }
+  })],
+  ['get', '/users/:id', 'selfOrAdmin', withHeaders(versionedRead(json(ref('UserDetail'), 'The user')), {
+    tags: ['Users'], summary: 'Get a user with every related record',
+    responses: { 404: error('User not found') }
+  })],
+  ['put', '/users/:id', 'selfOrAdmin', withHeaders(versionedWrite(), {
+    tags: ['Users'], summary: 'Replace the user and all four records in one transaction (null deletes a record, a missing one is created)',
+    body: 'UserReplace',
+    responses: {
+      200: message('Replaced'),
+      403: error('Only admins can change the account'),
+      404: error('User not found'),
+      409: error('Username or email already exists')
+    }
+  })],
+  ['patch', '/users/:id', 'selfOrAdmin', withHeaders(versionedWrite(), {
+    tags: ['Users'], summary: 'Update user columns and nested records with a JSON Merge Patch (RFC 7396)',
+    body: 'UserUpdate',
+    responses: {
+      200: message('Updated'),
+      403: error('Only admins can change the account'),
+      404: error('User not found'),
+      409: error('Username or email already exists')
+    }
+  })],
+  ['delete', '/users/:id', 'admin', withHeaders(versionedWrite([permanentParam]), {
+    tags: ['Users'], summary: 'Move a user to the trash, or purge it with its related records',
+    responses: { 200: message('Deleted'), 404: error('User not found') }
+  })],
+  ['post', '/users/:id/verify-email/send', 'selfOrAdmin', {
+    tags: ['Users'], summary: 'Mail the user a single-use link confirming their email address',
+    description: `The link expires after ${authConfig.verifyEmailTtlHours} hours and replaces any unused one; `
+      + 'POST /auth/verify-email takes its token. The mail is in the language of the user\'s preferences.',
+    responses: {
+      202: json({
+        type: 'object',
+        properties: { message: { type: 'string' }, email: { type: 'string' }, expires_at: { type: 'string', format: 'date-time' } }
+      }, 'Sent'),
+      404: error('User not found'),
+      409: error('Email already verified')
+    }
+  }]
+];
+
+// The four one-per-user sub-resources share one shape
+const subResources = [
+  ['account', 'accounts', 'Account', 'admin'],
+  ['address', 'addresses', 'Address', 'selfOrAdmin'],
+  ['preferences', 'preferences', 'Preferences', 'selfOrAdmin'],
+  ['profile', 'profiles', 'Profile', 'selfOrAdmin']
+];
+
+for (const [path, key, name, writeAccess] of subResources) {
+  const { label } = SUB_RESOURCES[key];
+  const tags = ['User records'];
+  const notFound = error(`${label} not found`);
+
+  operations.push(
+    ['get', `/users/:id/${path}`, 'selfOrAdmin', withHeaders(versionedRead(json(ref(name), label)), {
+      tags, summary: `Get the user's ${path}`,
+      responses: { 404: notFound }
+    })],
+    ['post', `/users/:id/${path}`, writeAccess, withHeaders(versionedWrite(), withHeaders(idempotentCreate(), {
+      tags, summary: `Create the user's ${path}`,
+      body: `${name}Input`,
+      responses: { 201: message('Created'), 400: error('User does not exist'), 409: error(`${label} already exists, or the Idempotency-Key is in use`) }
+    }))],
+    ['put', `/users/:id/${path}`, writeAccess, withHeaders(versionedWrite(), {
+      tags, summary: `Replace the user's ${path}`,
+      body: `${name}Replace`,
+      responses: { 200: message('Updated'), 404: notFound }
+    })],
+    ['patch', `/users/:id/${path}`, writeAccess, withHeaders(versionedWrite(), {
+      tags, summary: `Change some columns of the user's ${path}`,
+      body: `${name}Patch`,
+      responses: { 200: message('Updated'), 404: notFound }
+    })],
+    ['delete', `/users/:id/${path}`, writeAccess, withHeaders(versionedWrite(), {
+      tags, summary: `Delete the user's ${path}`,
+      responses: { 200: message('Deleted'), 404: notFound }
+    })]
+  );
+}
+
+// The address book; the singular /address above is the primary address
+const addressIdParam = { name: 'addressId', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9]+$' }, description: 'Address ID' };
+const addressNotFound = error('Address not found');
+
+operations.push(
+  ['get', '/users/:id/addresses', 'selfOrAdmin', withHeaders(versionedRead(json({ type: 'object', properties: { data: { type: 'array', items: ref('Address') } } }, 'Every address, the primary first')), {
+    tags: ['User records'], summary: 'List the user\'s addresses',
+    responses: { 404: error('User not found') }
+  })],
+  ['post', '/users/:id/addresses', 'selfOrAdmin', withHeaders(versionedWrite(), withHeaders(idempotentCreate(), {
+    tags: ['User records'], summary: 'Add an address; the first one, or one sent with is_primary: true, becomes primary',
+    body: 'AddressEntry',
+    responses: {
+      201: json({ type: 'object', properties: { message: { type: 'string' }, data: ref('Address') } }, 'Created; Location points to it'),
+      400: error('User does not exist'),
+      409: error('The Idempotency-Key is in use')
+    }
+  }))],
+  ['get', '/users/:id/addresses/:addressId', 'selfOrAdmin', withHeaders(versionedRead(json(ref('Address'), 'Address')), {
+    tags: ['User records'], summary: 'Get one of the user\'s addresses',
+    parameters: [addressIdParam],
+    responses: { 404: addressNotFound }
+  })],
+  ['put', '/users/:id/addresses/:addressId', 'selfOrAdmin', withHeaders(versionedWrite([addressIdParam]), {
+    tags: ['User records'], summary: 'Replace one of the user\'s addresses',
+    body: 'AddressEntryReplace',
+    responses: { 200: message('Updated'), 404: addressNotFound }
+  })],
+  ['patch', '/users/:id/addresses/:addressId', 'selfOrAdmin', withHeaders(versionedWrite([addressIdParam]), {
+    tags: ['User records'], summary: 'Change some columns of one of the user\'s addresses, or make it primary',
+    body: 'AddressEntryPatch',
+    responses: { 200: message('Updated'), 404: addressNotFound }
+  })],
+  ['delete', '/users/:id/addresses/:addressId', 'selfOrAdmin', withHeaders(versionedWrite([addressIdParam]), {
+    tags: ['User records'], summary: 'Delete one of the user\'s addresses; deleting the primary makes the oldest other one primary',
+    responses: { 200: message('Deleted'), 404: addressNotFound }
+  })]
+);
+
+// Uploaded avatars (src/uploads/avatars.js)
+operations.push(
+  ['get', '/users/:id/avatar', 'public', {
+    tags: ['User records'], summary: 'Get the uploaded avatar; the URL in profile.avatar changes with every upload',
+    parameters: [ifNoneMatchParam],
+    responses: {
+      200: {
+        description: 'The image, cacheable',
+        headers: { 'Cache-Control': { schema: { type: 'string' } }, ETag: { schema: { type: 'string' } } },
+        content: Object.fromEntries(IMAGE_TYPES.map(({ type }) => [type, { schema: { type: 'string', format: 'binary' } }]))
+      },
+      304: { description: 'Not modified since the If-None-Match ETag' },
+      404: error('No uploaded avatar')
+    }
+  }],
+  ['put', '/users/:id/avatar', 'selfOrAdmin', withHeaders(versionedWrite(), {
+    tags: ['User records'], summary: 'Upload the avatar and point profile.avatar at it, creating the profile if needed',
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: { type: 'object', required: ['avatar'], properties: { avatar: { type: 'string', format: 'binary' } } }
+        }
+      }
+    },
+    responses: {
+      200: json({ type: 'object', properties: { message: { type: 'string' }, avatar: { type: 'string' } } }, 'Stored; avatar is the URL it is served from'),
+      400: error('Malformed multipart body'),
+      404: error('User not found'),
+      413: error(`Larger than ${uploadsConfig.avatarMaxBytes} bytes`),
+      415: error('Not multipart/form-data'),
+      422: json(ref('ValidationError'), `No avatar file, or not a ${IMAGE_TYPES.map(({ type }) => type.split('/')[1].toUpperCase()).join(', ')} image by its content`)
+    }
+  })]
+);
+
+// "/users/:id/account" -> "/users/{id}/account"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+function buildOperation(method, path, access, spec) {
+  const { body, parameters = [], responses, description, ...rest } = spec;
+  const { security, note } = ACCESS[access];
+
+  const operation = {
+    ...rest,
+    operationId: method + path.replace(/:/g, '').replace(/[/._-](\w)/g, (match, c) => c.toUpperCase()),
+    description: description ? `${description} ${note}` : note,
+    parameters: path.includes(':id') && !parameters.some(param => param.name === 'id') ? [idParam, ...parameters] : parameters,
+    responses: { ...responses }
+  };
+
+  if (security) {
+    operation.security = security;
+  } else {
+    operation.responses[401] = error('Missing, invalid or revoked token');
+    if (access !== 'authenticated') {
+      operation.responses[403] = error('Insufficient permissions');
+    }
+  }
+
+  if (body) {
+    // A user's PATCH bodies are merge patches, sent as either media type
+    const mergePatch = method === 'patch' && path.startsWith('/users/:id');
+    const types = mergePatch ? ['application/json', 'application/merge-patch+json'] : ['application/json'];
+    operation.requestBody = { required: true, content: Object.fromEntries(types.map(type => [type, { schema: ref(body) }])) };
+    operation.responses[422] = json(ref('ValidationError'), 'Request body failed validation');
+  }
+
+  // Every route sits behind the rate limiter (src/middleware/rateLimit.js)
+  operation.responses[429] = error('Rate limit or daily quota exceeded; see Retry-After');
+
+  return operation;
+}
+
+function buildSpec() {
+  const paths = {};
+
+  for (const [method, path, access, spec] of operations) {
+    const key = toOpenApiPath(path);
+    paths[key] = paths[key] || {};
+    paths[key][method] = buildOperation(method, path, access, spec);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'User Management API',
+      version: pkg.version,
+      description: pkg.description
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearerAuth: [] }],
+    tags: [
+      { name: 'Auth' },
+      { name: 'Users' },
+      { name: 'User records', description: 'Account, address, preferences and profile' },
+      { name: 'Bulk' },
+      { name: 'Trash', description: 'Soft-deleted users, purged after the retention period' },
+      { name: 'Audit', description: 'Who changed what, and when' },
+      { name: 'Webhooks', description: 'Signed event notifications, e.g. for n8n Webhook triggers' },
+      { name: 'Stats' },
+      { name: 'GraphQL', description: 'The users and their related records in one request' },
+      { name: 'Meta' }
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: componentSchemas
+    }
+  };
+}
+
+const spec = buildSpec();
+
+// "GET /api/users/{id}" style list, used by the root route
+function listEndpoints(prefix = '/api') {
+  return operations.map(([method, path]) => `${method.toUpperCase()} ${prefix}${path}`);
+}
+
+module.exports = { spec, operations, listEndpoints, toOpenApiPath };
@@ -0,0 +1,39 @@
+// src/graphql/loaders.js - batch the related records of the users a query returns
+//
+// A list of 50 users asking for account and address makes one findByUserIds() per record, not
+// 100 findByUserId() calls. Loaders cache for the request they are created for.
+const DataLoader = require('dataloader');
+
+const options = { cacheKeyFn: String };
+
+// The one row per user of accounts, preferences, profiles (and the primary address)
+function recordLoader(repository) {
+  return new DataLoader(async (userIds) => {
+    const rows = await repository.findByUserIds(userIds);
+    const byUser = new Map(rows.map(row => [String(row.user_id), row]));
+    return userIds.map(userId => byUser.get(String(userId)) || null);
+  }, options);
+}
+
+// Every address of each user, primary first
+function addressBookLoader(addresses) {
+  return new DataLoader(async (userIds) => {
+    const byUser = new Map(userIds.map(userId => [String(userId), []]));
+    for (const row of await addresses.listByUserIds(userIds)) {
+      byUser.get(String(row.user_id)).push(row);
+    }
+    return userIds.map(userId => byUser.get(String(userId)));
+  }, options);
+}
+
+function createLoaders(repositories) {
+  return {
+    account: recordLoader(repositories.accounts),
+    address: recordLoader(repositories.addresses),
+    addresses: addressBookLoader(repositories.addresses),
+    preferences: recordLoader(repositories.preferences),
+    profile: recordLoader(repositories.profiles)
+  };
+}
+
+module.exports = { createLoaders };
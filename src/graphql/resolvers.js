@@ -0,0 +1,147 @@
+// src/graphql/resolvers.js - what the fields of src/graphql/schema.js resolve to
+//
+// The context is { user, repositories, loaders } (src/routes/graphql.js). Access follows the REST
+// routes; a refusal is an error with extensions.code FORBIDDEN, NOT_FOUND or BAD_USER_INPUT
+// (with the details a 422 would carry).
+const { GraphQLError } = require('graphql');
+const authConfig = require('../config/auth');
+const { SEARCH_LISTING } = require('../repositories/tables');
+const { parsePage } = require('../middleware/pagination');
+const { ajv, formatErrors } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { defaultSearchSort, searchUsers } = require('../search/searchUsers');
+const { createUserRecords, findUserRecords, updateUserRecords, changesAccount } = require('../io/userRecords');
+const webhooks = require('../webhooks/dispatcher');
+const { emitUserChanges } = require('../webhooks/userEvents');
+const { createLoaders } = require('./loaders');
+
+const fail = (message, code, extensions = {}) => new GraphQLError(message, { extensions: { code, ...extensions } });
+
+const isAdmin = (user) => user.role === authConfig.roles.ADMIN;
+
+function requireAdmin({ user }) {
+  if (!isAdmin(user)) {
+    throw fail('Insufficient permissions', 'FORBIDDEN');
+  }
+}
+
+function requireSelfOrAdmin({ user }, id) {
+  if (!isAdmin(user) && String(user.id) !== String(id)) {
+    throw fail('Insufficient permissions', 'FORBIDDEN');
+  }
+}
+
+const checks = new Map();
+
+// The JSON Schema a REST route validates its body with, applied to an input
+function validateInput(schema, input) {
+  if (!checks.has(schema)) {
+    checks.set(schema, ajv.compile(schema));
+  }
+  const check = checks.get(schema);
+  if (!check(input)) {
+    throw fail('Validation failed', 'BAD_USER_INPUT', { details: formatErrors(check.errors) });
+  }
+}
+
+// GraphQL hands input objects over without a prototype
+const plain = (input) => JSON.parse(JSON.stringify(input));
+
+// A write makes what the loaders cached stale
+function resetLoaders(context) {
+  context.loaders = createLoaders(context.repositories);
+}
+
+const Query = {
+  me: (root, args, { user, repositories }) => repositories.users.findById(user.id),
+
+  async user(root, { id }, context) {
+    requireSelfOrAdmin(context, id);
+    return context.repositories.users.findById(id);
+  },
+
+  async users(root, args, context) {
+    requireAdmin(context);
+
+    const search = plain(args);
+    validateInput(schemas.searchRequest, search);
+
+    const { limit, page: pageNumber, cursor, sort, ...criteria } = search;
+    const paging = { limit, page: pageNumber, cursor, sort };
+    const { page, status, body } = parsePage(paging, SEARCH_LISTING, defaultSearchSort(criteria));
+    if (!page) {
+      throw fail(body.error, status === 422 ? 'BAD_USER_INPUT' : 'BAD_REQUEST', body.details ? { details: body.details } : {});
+    }
+
+    const { rows, pagination, details } = await searchUsers(context.repositories, criteria, page);
+    if (details) {
+      throw fail('Validation failed', 'BAD_USER_INPUT', { details });
+    }
+    return { data: rows, pagination };
+  }
+};
+
+const Mutation = {
+  async createUser(root, { input }, context) {
+    requireAdmin(context);
+    const body = plain(input);
+    validateInput(schemas.userCreate, body);
+
+    const { repositories } = context;
+    const userId = await repositories.transaction(tx => createUserRecords(tx, body));
+
+    const newUser = await repositories.users.findById(userId);
+    await webhooks.emit('user.created', { user: newUser });
+    resetLoaders(context);
+    return newUser;
+  },
+
+  async updateUser(root, { id, input }, context) {
+    requireSelfOrAdmin(context, id);
+    const body = plain(input);
+    validateInput(schemas.userUpdate, body);
+
+    const { repositories } = context;
+    let before;
+    const updated = await repositories.transaction(async (tx) => {
+      // Checked in the transaction that writes the account, so both see the same row
+      if (!isAdmin(context.user) && changesAccount(await tx.accounts.findByUserId(id), body.account)) {
+        throw fail('Only admins can change the account', 'FORBIDDEN');
+      }
+      before = await findUserRecords(tx, id);
+      return updateUserRecords(tx, id, body);
+    });
+    if (!updated) {
+      throw fail('User not found', 'NOT_FOUND');
+    }
+
+    await emitUserChanges(id, before, await findUserRecords(repositories, id));
+    resetLoaders(context);
+    return repositories.users.findById(id);
+  },
+
+  async deleteUser(root, { id, permanent }, context) {
+    requireAdmin(context);
+
+    const { repositories } = context;
+    const deleted = await repositories.transaction(tx => (permanent ? tx.users.delete(id) : tx.users.softDelete(id)));
+    if (!deleted) {
+      throw fail('User not found', 'NOT_FOUND');
+    }
+
+    await webhooks.emit('user.deleted', { user_id: Number(id), permanent });
+    resetLoaders(context);
+    return { id, permanent };
+  }
+};
+
+// The related records come through the request's loaders, batched across the users of a list
+const User = {
+  account: (user, args, { loaders }) => loaders.account.load(user.id),
+  address: (user, args, { loaders }) => loaders.address.load(user.id),
+  addresses: (user, args, { loaders }) => loaders.addresses.load(user.id),
+  preferences: (user, args, { loaders }) => loaders.preferences.load(user.id),
+  profile: (user, args, { loaders }) => loaders.profile.load(user.id)
+};
+
+module.exports = { Query, Mutation, User };
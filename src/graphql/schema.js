@@ -0,0 +1,243 @@
+// src/graphql/schema.js - the GraphQL schema served at /api/graphql
+//
+// Types and fields use the column names of the REST API, and inputs are checked against the same
+// JSON Schemas (src/validation/schemas.js), so both report the same rules for the same mistakes.
+const { buildSchema, GraphQLScalarType, Kind, valueFromASTUntyped } = require('graphql');
+const resolvers = require('./resolvers');
+
+const typeDefs = `
+  "Dates and timestamps as ISO 8601 strings"
+  scalar DateTime
+
+  "Any JSON value (search filters and highlights)"
+  scalar JSON
+
+  type Account {
+    id: ID!
+    status: String!
+    role: String!
+    subscription: String!
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  type Address {
+    id: ID!
+    type: String!
+    street: String
+    city: String
+    province: String
+    postal_code: String
+    country: String
+    country_code: String
+    is_primary: Boolean!
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  type Preferences {
+    id: ID!
+    language: String!
+    timezone: String!
+    notify_email: Boolean!
+    notify_sms: Boolean!
+    notify_push: Boolean!
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  type Profile {
+    id: ID!
+    avatar: String
+    bio: String
+    website: String
+    instagram: String
+    linkedin: String
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  type User {
+    id: ID!
+    username: String!
+    email: String!
+    email_verified_at: DateTime
+    first_name: String
+    last_name: String
+    phone: String
+    date_of_birth: DateTime
+    gender: String
+    created_at: DateTime
+    updated_at: DateTime
+    "Goes up on every change to the user or its related records"
+    version: Int
+    account: Account
+    "The primary address"
+    address: Address
+    addresses: [Address!]!
+    preferences: Preferences
+    profile: Profile
+    "Relevance to the q of a users query; null without one"
+    score: Float
+    "Where the q of a users query matched; null without one"
+    highlights: JSON
+  }
+
+  type Pagination {
+    limit: Int!
+    total: Int!
+    sort: String!
+    next_cursor: String
+    prev_cursor: String
+    "Only for offset paging (without a cursor)"
+    page: Int
+    totalPages: Int
+  }
+
+  type UserPage {
+    data: [User!]!
+    pagination: Pagination!
+  }
+
+  type Query {
+    "The user the bearer token belongs to"
+    me: User
+    "Admins, or the user with this ID; null when there is no such live user"
+    user(id: ID!): User
+    """
+    Admins only. The criteria and paging of GET /users/search: q is a free-text query, filter the
+    filter language of src/search/filters.js, sort a comma-separated list of columns ("-" for descending).
+    """
+    users(
+      q: String
+      filter: JSON
+      status: String
+      role: String
+      subscription: String
+      city: String
+      province: String
+      limit: Int
+      page: Int
+      cursor: String
+      sort: String
+    ): UserPage!
+  }
+
+  input AccountInput {
+    status: String
+    role: String
+    subscription: String
+  }
+
+  input AddressInput {
+    type: String
+    street: String
+    city: String
+    province: String
+    postal_code: String
+    country: String
+    country_code: String
+  }
+
+  input PreferencesInput {
+    language: String
+    timezone: String
+    notify_email: Boolean
+    notify_sms: Boolean
+    notify_push: Boolean
+  }
+
+  input ProfileInput {
+    avatar: String
+    bio: String
+    website: String
+    instagram: String
+    linkedin: String
+  }
+
+  input UserCreateInput {
+    username: String!
+    email: String!
+    first_name: String
+    last_name: String
+    phone: String
+    date_of_birth: String
+    gender: String
+    account: AccountInput
+    address: AddressInput
+    preferences: PreferencesInput
+    profile: ProfileInput
+  }
+
+  "A merge patch, as PATCH /users/:id takes: null clears a column and deletes a record"
+  input UserUpdateInput {
+    username: String
+    email: String
+    first_name: String
+    last_name: String
+    phone: String
+    date_of_birth: String
+    gender: String
+    account: AccountInput
+    address: AddressInput
+    preferences: PreferencesInput
+    profile: ProfileInput
+  }
+
+  type DeleteResult {
+    id: ID!
+    permanent: Boolean!
+  }
+
+  type Mutation {
+    "Admins only, as POST /users"
+    createUser(input: UserCreateInput!): User!
+    "Admins, or the user with this ID (only admins may change the account), as PATCH /users/:id"
+    updateUser(id: ID!, input: UserUpdateInput!): User!
+    "Admins only, as DELETE /users/:id: to the trash, or purged with permanent"
+    deleteUser(id: ID!, permanent: Boolean = false): DeleteResult!
+  }
+`;
+
+const scalars = {
+  DateTime: {
+    serialize: (value) => (value instanceof Date ? value.toISOString() : value),
+    parseValue: (value) => value,
+    parseLiteral: (ast) => (ast.kind === Kind.STRING ? ast.value : undefined)
+  },
+  JSON: {
+    serialize: (value) => value,
+    parseValue: (value) => value,
+    parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+  }
+};
+
+// buildSchema() leaves every field to the default resolver and every scalar as is;
+// the resolvers and scalar functions are set on the built types
+function buildExecutableSchema() {
+  const schema = buildSchema(typeDefs);
+
+  for (const [name, functions] of Object.entries(scalars)) {
+    const scalar = schema.getType(name);
+    if (!(scalar instanceof GraphQLScalarType)) {
+      throw new Error(`Scalar ${name} is not in the schema`);
+    }
+    Object.assign(scalar, functions);
+  }
+
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      if (!typeFields[fieldName]) {
+        throw new Error(`${typeName}.${fieldName} is not in the schema`);
+      }
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+
+  return schema;
+}
+
+const schema = buildExecutableSchema();
+
+module.exports = { schema, typeDefs };
@@ -0,0 +1,48 @@
+// src/io/formats.js - CSV and NDJSON readers and writers for streamed imports and exports
+const readline = require('readline');
+const { parse } = require('csv-parse');
+
+// Rows of a CSV stream as { header: value } objects. checkHeader(columns) may
+// throw to reject the file before any row is read.
+async function* readCsv(stream, { checkHeader = () => {} } = {}) {
+  const parser = stream.pipe(parse({
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    columns: (header) => {
+      checkHeader(header);
+      return header;
+    }
+  }));
+
+  // A parse error has to reach the consumer, not go unhandled on the source
+  stream.on('error', error => parser.destroy(error));
+
+  yield* parser;
+}
+
+// Objects of an NDJSON stream; a line that is not JSON yields an Error in its place
+async function* readNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      yield new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+}
+
+// One CSV line, quoting only where needed
+function csvLine(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { readCsv, readNdjson, csvLine };
@@ -0,0 +1,94 @@
+// src/io/importUsers.js - create users (with related records) from a stream of rows
+const { ajv, formatErrors } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const ioConfig = require('../config/io');
+const webhooks = require('../webhooks/dispatcher');
+const { createUserRecords } = require('./userRecords');
+
+const checkUser = ajv.compile(schemas.userCreate);
+
+// Thrown inside a dry-run transaction so the inserts roll back
+class DryRunRollback extends Error {}
+
+const rowError = (rule, message, field = '(row)') => [{ field, rule, message }];
+
+// rows: async iterable of POST /users bodies (or Errors for rows that could not be read).
+// Every row is its own transaction, so one bad row never blocks the others.
+// A dry run makes the same inserts and rolls each one back.
+async function importUsers(rows, { repositories, dryRun = false, maxRows = ioConfig.importMaxRows }) {
+  const report = {
+    dry_run: dryRun,
+    processed: 0,
+    [dryRun ? 'valid' : 'created']: 0,
+    failed: 0,
+    truncated: false,
+    errors: [],
+    ids: []
+  };
+  // The unique keys of a dry run's rows are rolled back, so in-file clashes are tracked here
+  const seen = { username: new Set(), email: new Set() };
+
+  const fail = (row, errors) => {
+    report.failed++;
+    report.errors.push({ row, errors });
+  };
+
+  for await (const body of rows) {
+    if (report.processed >= maxRows) {
+      report.truncated = true;
+      break;
+    }
+
+    report.processed++;
+    const row = report.processed;
+
+    if (body instanceof Error) {
+      fail(row, rowError('parse', body.message));
+      continue;
+    }
+
+    if (!checkUser(body)) {
+      fail(row, formatErrors(checkUser.errors));
+      continue;
+    }
+
+    const clashes = ['username', 'email'].filter(column => seen[column].has(body[column].toLowerCase()));
+    if (clashes.length > 0) {
+      fail(row, clashes.map(column => ({ field: column, rule: 'duplicate', message: 'appears earlier in the file' })));
+      continue;
+    }
+
+    try {
+      const id = await repositories.transaction(async (tx) => {
+        const userId = await createUserRecords(tx, body);
+        if (dryRun) {
+          throw new DryRunRollback();
+        }
+        return userId;
+      });
+
+      report.created++;
+      report.ids.push(id);
+      await webhooks.emit('user.created', { user: await repositories.users.findById(id) });
+    } catch (error) {
+      if (error instanceof DryRunRollback) {
+        report.valid++;
+      } else if (error.code === 'ER_DUP_ENTRY') {
+        fail(row, rowError('duplicate', 'Username or email already exists'));
+        continue;
+      } else {
+        throw error;
+      }
+    }
+
+    seen.username.add(body.username.toLowerCase());
+    seen.email.add(body.email.toLowerCase());
+  }
+
+  if (dryRun) {
+    delete report.ids;
+  }
+  return report;
+}
+
+module.exports = { importUsers };
@@ -0,0 +1,200 @@
+// src/io/userRecords.js - a user with their four related records, as flat rows and as nested bodies
+const { USER_COLUMNS, SUB_RESOURCES, FLAG_COLUMNS } = require('../repositories/tables');
+
+// Nested key of each related record, as in POST /users and GET /users/:id
+const RECORDS = {
+  account: SUB_RESOURCES.accounts,
+  address: SUB_RESOURCES.addresses,
+  preferences: SUB_RESOURCES.preferences,
+  profile: SUB_RESOURCES.profiles
+};
+
+// Repository holding each related record
+const RECORD_REPOSITORIES = {
+  account: 'accounts',
+  address: 'addresses',
+  preferences: 'preferences',
+  profile: 'profiles'
+};
+
+// Flat columns: the user's own, then "<record>.<column>" (e.g. "address.city")
+const RECORD_COLUMNS = [
+  ...USER_COLUMNS,
+  ...Object.entries(RECORDS).flatMap(([name, { columns }]) => columns.map(column => `${name}.${column}`))
+];
+
+// Export columns; an exported file imports again because these are skipped on the way in
+const GENERATED_COLUMNS = ['id', 'created_at', 'updated_at', 'deleted_at'];
+const EXPORT_COLUMNS = ['id', ...RECORD_COLUMNS, 'created_at', 'updated_at'];
+
+const IMPORT_COLUMNS = [...RECORD_COLUMNS, ...GENERATED_COLUMNS];
+
+// CSV cells are text; flag columns accept the usual spellings of yes and no
+function fromCsvValue(column, value) {
+  const name = column.split('.').pop();
+  if (FLAG_COLUMNS.includes(name)) {
+    const text = value.toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(text)) {
+      return false;
+    }
+  }
+  return value;
+}
+
+// Flat or already-nested row -> POST /users body. Empty CSV cells count as not given.
+function toUserBody(row, { fromCsv = false } = {}) {
+  const body = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    if (GENERATED_COLUMNS.includes(column) || (fromCsv && value === '')) {
+      continue;
+    }
+    // Exports write a missing related record as null
+    if (RECORDS[column] && value === null) {
+      continue;
+    }
+
+    const converted = fromCsv ? fromCsvValue(column, value) : value;
+    const [name, field] = column.split('.');
+
+    if (field !== undefined && RECORDS[name]) {
+      body[name] = { ...body[name], [field]: converted };
+    } else {
+      body[column] = converted;
+    }
+  }
+
+  return body;
+}
+
+function formatValue(column, value) {
+  if (value instanceof Date) {
+    return column === 'date_of_birth' ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  return value ?? null;
+}
+
+// exportBatch() record -> values in EXPORT_COLUMNS order
+function toFlatValues(record) {
+  return EXPORT_COLUMNS.map(column => {
+    const [name, field] = column.split('.');
+    if (field === undefined) {
+      return formatValue(column, record[column]);
+    }
+    return record[name] ? formatValue(field, record[name][field]) : null;
+  });
+}
+
+// exportBatch() record -> the nested object written as one NDJSON line
+function toNestedRecord(record) {
+  const nested = { id: record.id };
+  for (const column of USER_COLUMNS) {
+    nested[column] = formatValue(column, record[column]);
+  }
+  for (const name of Object.keys(RECORDS)) {
+    nested[name] = record[name];
+  }
+  nested.created_at = formatValue('created_at', record.created_at);
+  nested.updated_at = formatValue('updated_at', record.updated_at);
+  return nested;
+}
+
+// Insert a user and whichever related records the body has; use inside a transaction
+async function createUserRecords(tx, body) {
+  const { account, address, preferences, profile, ...userData } = body;
+
+  const id = await tx.users.create(userData);
+
+  if (account) {
+    await tx.accounts.create(id, account);
+  }
+  if (address) {
+    await tx.addresses.create(id, address);
+  }
+  if (preferences) {
+    await tx.preferences.create(id, preferences);
+  }
+  if (profile) {
+    await tx.profiles.create(id, profile);
+  }
+
+  return id;
+}
+
+// The live user with its four records nested (null when missing; address is the primary one), as GET /users/:id returns it
+async function findUserRecords(repositories, userId) {
+  const user = await repositories.users.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  // Independent lookups; on a pool they run side by side
+  const entries = Object.entries(RECORD_REPOSITORIES);
+  const records = await Promise.all(entries.map(([, repository]) => repositories[repository].findByUserId(userId)));
+
+  const nested = { ...user };
+  entries.forEach(([name], i) => {
+    nested[name] = records[i];
+  });
+  return nested;
+}
+
+// Apply a PUT or merge-patch body of /users/:id; use inside a transaction. The body's schema decides
+// between the two: given user columns are set, a record given as null is deleted, and any other
+// record is updated with the columns it has, or created when the user has none yet.
+// Resolves to false when there is no live user.
+async function updateUserRecords(tx, userId, body) {
+  const { account, address, preferences, profile, ...userData } = body;
+  const records = { account, address, preferences, profile };
+
+  if (!(await tx.users.findById(userId))) {
+    return false;
+  }
+  if (Object.keys(userData).length > 0) {
+    await tx.users.update(userId, userData);
+  }
+
+  for (const [name, repository] of Object.entries(RECORD_REPOSITORIES)) {
+    const record = records[name];
+    if (record === undefined) {
+      continue;
+    }
+
+    if (record === null) {
+      await tx[repository].delete(userId);
+    } else if (await tx[repository].findByUserId(userId)) {
+      await tx[repository].update(userId, record);
+    } else {
+      // Columns given as null take the table defaults, as if left out
+      await tx[repository].create(userId, record);
+    }
+  }
+
+  return true;
+}
+
+// The account holds the role, so only admins may change it, here as on /users/:id/account.
+// Others may still send it along unchanged (a PUT of what GET returned, say).
+function changesAccount(before, account) {
+  if (account === undefined || (account === null && !before)) {
+    return false;
+  }
+  return account === null || !before || Object.entries(account).some(([column, value]) => before[column] !== value);
+}
+
+module.exports = {
+  RECORDS,
+  RECORD_COLUMNS,
+  EXPORT_COLUMNS,
+  IMPORT_COLUMNS,
+  toUserBody,
+  toFlatValues,
+  toNestedRecord,
+  createUserRecords,
+  findUserRecords,
+  updateUserRecords,
+  changesAccount
+};
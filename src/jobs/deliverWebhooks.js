@@ -0,0 +1,50 @@
+// src/jobs/deliverWebhooks.js - background worker for the webhook delivery queue
+const webhookConfig = require('../config/webhooks');
+const { queueEvents, deliverDue } = require('../webhooks/dispatcher');
+const { logger } = require('../logging/logger');
+
+// Deliver whenever something is queued, and poll for retries that came due.
+// Returns a stop() function.
+function startWebhookWorker(repositories, { intervalSeconds = webhookConfig.pollIntervalSeconds } = {}) {
+  let running = false;
+  let again = false;
+
+  const run = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+
+    running = true;
+    try {
+      let summary;
+      do {
+        again = false;
+        summary = await deliverDue(repositories);
+        if (summary.dead > 0) {
+          logger.warn('Webhook deliveries moved to the dead-letter list', { count: summary.dead });
+        }
+        // A full batch means more may be waiting
+      } while (again || summary.succeeded + summary.retrying + summary.dead >= webhookConfig.batchSize);
+    } catch (error) {
+      logger.error('Webhook delivery failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const onEnqueued = () => setImmediate(run);
+  queueEvents.on('enqueued', onEnqueued);
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  // Never keep the process alive just for this
+  timer.unref();
+  run();
+
+  return () => {
+    clearInterval(timer);
+    queueEvents.off('enqueued', onEnqueued);
+  };
+}
+
+module.exports = { startWebhookWorker };
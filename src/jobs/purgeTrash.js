@@ -0,0 +1,30 @@
+// src/jobs/purgeTrash.js - permanently remove users that outlived the trash retention period
+const storageConfig = require('../config/storage');
+const { logger } = require('../logging/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purge once; resolves to the number of users removed
+async function purgeTrash(repositories, { retentionDays = storageConfig.trashRetentionDays, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  return repositories.users.purgeDeletedBefore(cutoff);
+}
+
+// Purge now and then every intervalMinutes; returns the timer so callers can stop it
+function startTrashPurge(repositories, { intervalMinutes = storageConfig.trashPurgeIntervalMinutes } = {}) {
+  const run = () => purgeTrash(repositories)
+    .then(count => {
+      if (count > 0) {
+        logger.info('Purged users from trash', { count });
+      }
+    })
+    .catch(error => logger.error('Trash purge failed', { error: error.message }));
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  // Never keep the process alive just for this
+  timer.unref();
+  return timer;
+}
+
+module.exports = { purgeTrash, startTrashPurge };
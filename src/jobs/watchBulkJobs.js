@@ -0,0 +1,25 @@
+// src/jobs/watchBulkJobs.js - heartbeat for this process's bulk jobs, and cleanup of abandoned ones
+const bulkConfig = require('../config/bulk');
+const { heartbeat, failStaleJobs } = require('../bulk/jobs');
+const { logger } = require('../logging/logger');
+
+// Touch this process's jobs, then fail any job no process touches any more (every instance sweeps;
+// failing a job twice is harmless). Returns the timer so callers can stop it.
+function startBulkJobWatch(repositories, { intervalSeconds = bulkConfig.jobHeartbeatSeconds } = {}) {
+  const run = () => heartbeat(repositories)
+    .then(() => failStaleJobs(repositories))
+    .then(count => {
+      if (count > 0) {
+        logger.warn('Failed bulk jobs abandoned by their server', { count });
+      }
+    })
+    .catch(error => logger.error('Bulk job heartbeat failed', { error: error.message }));
+
+  run();
+  const timer = setInterval(run, intervalSeconds * 1000);
+  // Never keep the process alive just for this
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startBulkJobWatch };
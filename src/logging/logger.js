@@ -0,0 +1,109 @@
+// src/logging/logger.js - one JSON object per line on stdout
+//
+//   logger.info('Purged users from trash', { count: 3 })
+//   {"level":"info","time":"2024-01-01T00:00:00.000Z","msg":"Purged users from trash","request_id":null,"count":3}
+//
+// The ID of the request being handled (X-Request-Id, src/middleware/requestContext.js) is added
+// to every entry, and the fields of loggingConfig.redactFields are masked wherever they appear.
+const loggingConfig = require('../config/logging');
+const { currentContext } = require('../utils/requestContext');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[redacted]';
+
+// Deeper than this, values are summarized; log fields are not meant to be whole documents
+const MAX_DEPTH = 6;
+
+const EMAIL_PATTERN = /[^\s@'"<>(),;:/]+@[^\s@'"<>(),;:/]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /\+[0-9][0-9 -]{6,18}[0-9]/g;
+
+function redactText(text, options) {
+  return options.redactText ? text.replace(EMAIL_PATTERN, '[email]').replace(PHONE_PATTERN, '[phone]') : text;
+}
+
+// A copy of value safe to log: redacted fields masked, errors reduced to what helps, cycles cut
+function redact(value, options, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value, options);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactText(value.message, options) };
+    if (value.code !== undefined) {
+      error.code = value.code;
+    }
+    if (value.stack) {
+      error.stack = redactText(value.stack, options);
+    }
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, options, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = options.redactFields.includes(key.toLowerCase()) && item !== null && item !== undefined
+      ? REDACTED
+      : redact(item, options, depth + 1, seen);
+  }
+  return copy;
+}
+
+// options: { level, redactFields, redactText, write(line) }, each defaulting to loggingConfig and stdout
+function createLogger(options = {}) {
+  const settings = {
+    level: loggingConfig.level,
+    redactFields: loggingConfig.redactFields,
+    redactText: loggingConfig.redactText,
+    write: (line) => process.stdout.write(`${line}\n`),
+    ...options
+  };
+  const threshold = settings.level === 'silent' ? LEVELS.length : Math.max(0, LEVELS.indexOf(settings.level));
+
+  const log = (level, msg, fields = {}) => {
+    if (LEVELS.indexOf(level) < threshold) {
+      return;
+    }
+
+    const entry = {
+      level,
+      time: new Date().toISOString(),
+      msg: redactText(msg, settings),
+      request_id: currentContext().requestId,
+      ...redact(fields, settings)
+    };
+    try {
+      settings.write(JSON.stringify(entry));
+    } catch (error) {
+      // A log line must never take a request down with it
+    }
+  };
+
+  return Object.fromEntries(LEVELS.map(level => [level, (msg, fields) => log(level, msg, fields)]));
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact, LEVELS };
@@ -0,0 +1,25 @@
+// src/mail/FileTransport.js - write each message to an .eml file instead of sending it (local development)
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+    // Builds the raw message without sending it anywhere
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    const file = path.join(this.directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, info.message);
+
+    return { id: info.messageId, file };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,18 @@
+// src/mail/MemoryTransport.js - keep sent messages in an array, for tests
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push({ ...message });
+    return { id: `memory-${this.messages.length}` };
+  }
+
+  // Forget every message (used by tests)
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,20 @@
+// src/mail/SmtpTransport.js - send mail through an SMTP server
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor({ host, port, secure, user, password }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
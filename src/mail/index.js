@@ -0,0 +1,48 @@
+// src/mail/index.js - the mailer and the transport it sends through, picked from config
+//
+// A transport has one method, send({ from, to, subject, text }), resolving once the message is
+// handed over. Add one by handling its name below.
+const mailConfig = require('../config/mail');
+const { repositories } = require('../repositories');
+const { renderTemplate } = require('./templates');
+const SmtpTransport = require('./SmtpTransport');
+const FileTransport = require('./FileTransport');
+const MemoryTransport = require('./MemoryTransport');
+
+function createTransport(name = mailConfig.transport) {
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport(mailConfig.smtp);
+    case 'file':
+      return new FileTransport(mailConfig.directory);
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected "smtp", "file" or "memory")`);
+  }
+}
+
+class Mailer {
+  constructor(transport, from = mailConfig.from) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    return this.transport.send({ from: this.from, to, subject, text });
+  }
+
+  // Render a template in the user's language and send it to their address. Account mails are
+  // sent whatever user_preferences.notify_email says.
+  async sendToUser(user, template, values) {
+    const preferences = await repositories.preferences.findByUserId(user.id);
+    const name = user.first_name || user.username;
+    const message = renderTemplate(template, preferences && preferences.language, { name, ...values });
+
+    return this.send({ to: user.email, ...message });
+  }
+}
+
+const mailer = new Mailer(createTransport());
+
+module.exports = { mailer, Mailer, createTransport };
@@ -0,0 +1,54 @@
+// src/mail/templates.js - account mails in each language users can pick (user_preferences.language)
+//
+// A template takes the values it mentions and returns { subject, text }. A language is looked up
+// as given ("id-ID"), then without its region ("id"), then mailConfig.defaultLanguage.
+const mailConfig = require('../config/mail');
+
+const TEMPLATES = {
+  en: {
+    verifyEmail: ({ name, url, hours }) => ({
+      subject: 'Verify your email address',
+      text: `Hi ${name},\n\n`
+        + `Please confirm that this is your email address by opening the link below:\n\n${url}\n\n`
+        + `The link works once and expires in ${hours} hours. If you did not ask for this, you can ignore this email.\n`
+    }),
+    resetPassword: ({ name, url, minutes }) => ({
+      subject: 'Reset your password',
+      text: `Hi ${name},\n\n`
+        + `Someone asked to reset the password of your account. To choose a new one, open the link below:\n\n${url}\n\n`
+        + `The link works once and expires in ${minutes} minutes. If it was not you, you can ignore this email; `
+        + 'your password stays the same.\n'
+    })
+  },
+  id: {
+    verifyEmail: ({ name, url, hours }) => ({
+      subject: 'Verifikasi alamat email Anda',
+      text: `Halo ${name},\n\n`
+        + `Silakan konfirmasi bahwa ini adalah alamat email Anda dengan membuka tautan berikut:\n\n${url}\n\n`
+        + `Tautan ini hanya berlaku sekali dan kedaluwarsa dalam ${hours} jam. Jika Anda tidak memintanya, abaikan email ini.\n`
+    }),
+    resetPassword: ({ name, url, minutes }) => ({
+      subject: 'Atur ulang kata sandi Anda',
+      text: `Halo ${name},\n\n`
+        + `Ada permintaan untuk mengatur ulang kata sandi akun Anda. Untuk memilih kata sandi baru, buka tautan berikut:\n\n${url}\n\n`
+        + `Tautan ini hanya berlaku sekali dan kedaluwarsa dalam ${minutes} menit. Jika bukan Anda yang memintanya, `
+        + 'abaikan email ini; kata sandi Anda tidak berubah.\n'
+    })
+  }
+};
+
+function templatesFor(language) {
+  const candidates = language ? [language, language.split('-')[0]] : [];
+  const found = candidates.find(candidate => TEMPLATES[candidate]);
+  return TEMPLATES[found || mailConfig.defaultLanguage];
+}
+
+function renderTemplate(name, language, values) {
+  const template = templatesFor(language)[name];
+  if (!template) {
+    throw new Error(`Unknown mail template "${name}"`);
+  }
+  return template(values);
+}
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,105 @@
+// src/middleware/auth.js
+const { repositories } = require('../repositories');
+const authConfig = require('../config/auth');
+const { verifyToken } = require('../utils/tokens');
+
+const { roles, blockedStatuses } = authConfig;
+
+// Read "Authorization: Bearer <token>" from the request
+function getBearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) {
+    return null;
+  }
+
+  return token;
+}
+
+// Verify the bearer token and attach the user it belongs to as req.user
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const user = await repositories.users.findAuthState(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Token user no longer exists' });
+    }
+
+    // Tokens issued before the last password change are no longer valid
+    // (compared in whole seconds, the resolution of both iat and DATETIME)
+    if (user.password_changed_at && payload.iat < Math.floor(new Date(user.password_changed_at).getTime() / 1000)) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (payload.jti && await repositories.revokedTokens.isRevoked(payload.jti)) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (blockedStatuses.includes(user.status)) {
+      return res.status(403).json({ error: `Account is ${user.status}` });
+    }
+
+    req.user = {
+      id: String(user.id),
+      role: user.role || roles.USER,
+      status: user.status
+    };
+    req.token = payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Allow only the given user_accounts.role values
+function requireRole(...allowedRoles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+}
+
+// Allow admins, or the user whose ID is in req.params.id
+function requireSelfOrAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.role === roles.ADMIN || req.user.id === String(req.params.id)) {
+    return next();
+  }
+
+  res.status(403).json({ error: 'Insufficient permissions' });
+}
+
+const requireAdmin = requireRole(roles.ADMIN);
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireAdmin,
+  requireSelfOrAdmin
+};
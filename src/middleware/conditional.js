@@ -0,0 +1,73 @@
+// src/middleware/conditional.js - ETags, If-None-Match and If-Match for /users/:id and its records
+//
+// A user and its account, address, preferences and profile share one version (users.version,
+// see src/repositories/versioned.js), so every one of those resources carries the same ETag and
+// any of them can be used to guard a write to another.
+const { repositories } = require('../repositories');
+
+// Strong, so it can be compared for If-Match; the ID keeps one user's tag from passing for another's
+const etagOf = (userId, version) => `"${userId}-${version}"`;
+
+// Whether the If-Match header lets a write through: no header, "*" for a live user, or a list
+// holding the current tag. Weak tags never match (RFC 9110 section 13.1.1).
+function ifMatch(req, userId, version) {
+  const header = req.get('If-Match');
+  if (!header) {
+    return true;
+  }
+  if (version === null) {
+    return false;
+  }
+  return header.trim() === '*' || header.split(',').map(tag => tag.trim()).includes(etagOf(userId, version));
+}
+
+function preconditionFailed(userId, version) {
+  const error = new Error('The user changed since it was read; GET it again for the current ETag');
+  error.code = 'PRECONDITION_FAILED';
+  error.etag = version === null ? null : etagOf(userId, version);
+  return error;
+}
+
+// Set the ETag of the user's current version on a GET; answers 304 and resolves to true when it
+// is the one in If-None-Match, so the handler can stop there
+async function notModified(req, res, userId, version) {
+  if (version === undefined) {
+    version = await repositories.users.findVersion(userId);
+  }
+  if (version === null) {
+    return false;
+  }
+
+  res.set('ETag', etagOf(userId, version));
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+// Run write(tx) in a transaction holding the user's version row, so the If-Match check and the
+// write it guards cannot interleave with another request's. A stale If-Match throws
+// PRECONDITION_FAILED (412 in the error handler) before anything is written. When write resolves
+// to something truthy the response carries the ETag of the version it left behind.
+async function writeIfMatch(req, res, write) {
+  const userId = req.params.id;
+
+  return repositories.transaction(async (tx) => {
+    const version = await tx.users.findVersion(userId, { lock: true });
+    if (!ifMatch(req, userId, version)) {
+      throw preconditionFailed(userId, version);
+    }
+
+    const result = await write(tx);
+    if (result) {
+      const current = await tx.users.findVersion(userId);
+      if (current !== null) {
+        res.set('ETag', etagOf(userId, current));
+      }
+    }
+    return result;
+  });
+}
+
+module.exports = { etagOf, ifMatch, notModified, writeIfMatch };
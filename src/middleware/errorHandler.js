@@ -0,0 +1,37 @@
+// src/middleware/errorHandler.js
+const { logger } = require('../logging/logger');
+
+// Wrap async route handlers so rejected promises reach the error handler
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Error handling middleware shared by the API routers
+const errorHandler = (error, req, res, next) => {
+  logger.error('Router error', { error });
+  
+  if (error.code === 'ER_DUP_ENTRY') {
+    return res.status(409).json({ error: 'Duplicate entry. Username or email already exists.' });
+  }
+  
+  if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+    return res.status(400).json({ error: 'Invalid user ID. User does not exist.' });
+  }
+  
+  // A stale If-Match (src/middleware/conditional.js)
+  if (error.code === 'PRECONDITION_FAILED') {
+    return res.status(412).json({ error: 'Precondition failed', message: error.message, current_etag: error.etag });
+  }
+
+  if (error.code === 'ECONNREFUSED') {
+    return res.status(500).json({ error: 'Database connection failed' });
+  }
+  
+  res.status(500).json({ 
+    error: 'Internal server error',
+    message: error.message,
+    code: error.code
+  });
+};
+
+module.exports = { asyncHandler, errorHandler };
@@ -0,0 +1,147 @@
+// src/middleware/idempotency.js - Idempotency-Key support for the create endpoints
+//
+// A client retrying a POST it never got the answer to (a timeout after the commit, say) sends the
+// same Idempotency-Key again and gets the first response back instead of a second user. Keys are
+// per caller. The same key with a different request is refused with 422, and a retry arriving while
+// the first request is still running gets 409. Server errors (5xx) are not kept, so they can be retried.
+const crypto = require('crypto');
+const idempotencyConfig = require('../config/idempotency');
+const { repositories } = require('../repositories');
+const { logger } = require('../logging/logger');
+
+// Response headers worth replaying besides the body
+const REPLAYED_HEADERS = ['Location', 'ETag'];
+
+// Expired keys are purged at most this often
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+let purgedAt = 0;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(name => `${JSON.stringify(name)}:${canonicalJson(value[name])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// What a key is bound to: the method, the URL and the body
+function fingerprintOf(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body ?? null)}`)
+    .digest('hex');
+}
+
+const later = (ms) => new Date(Date.now() + ms);
+
+function purgeExpired() {
+  if (Date.now() - purgedAt < PURGE_INTERVAL_MS) {
+    return;
+  }
+  purgedAt = Date.now();
+  repositories.idempotencyKeys.purgeExpired(new Date())
+    .catch(error => logger.error('Purging expired idempotency keys failed', { error: error.message }));
+}
+
+// Take the key, or resolve to the row of whoever holds it. An expired row (a stored response past
+// its window, or a request that died while running) is dropped and the key taken afresh.
+async function claim(scope, key, fingerprint) {
+  const expiresAt = later(idempotencyConfig.lockSeconds * 1000);
+  const existing = await repositories.idempotencyKeys.find(scope, key);
+
+  if (existing && existing.expires_at >= new Date()) {
+    return existing;
+  }
+  if (existing) {
+    await repositories.idempotencyKeys.releaseExpired(scope, key, new Date());
+  }
+
+  try {
+    await repositories.idempotencyKeys.claim(scope, key, { fingerprint, expiresAt });
+    return null;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+    // Another request took it first
+    return repositories.idempotencyKeys.find(scope, key);
+  }
+}
+
+function replay(res, { response }) {
+  res.status(response.status).set({ ...response.headers, 'Idempotent-Replayed': 'true' }).json(response.body);
+}
+
+// Stores the response before sending it, so a retry right after the answer already finds it
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (key.length === 0 || key.length > idempotencyConfig.maxKeyLength) {
+    return res.status(422).json({
+      error: 'Validation failed',
+      details: [{ field: 'Idempotency-Key', rule: 'length', message: `must be 1 to ${idempotencyConfig.maxKeyLength} characters` }]
+    });
+  }
+
+  try {
+    const scope = `user:${req.user.id}`;
+    const fingerprint = fingerprintOf(req);
+    const holder = await claim(scope, key, fingerprint);
+
+    if (holder && holder.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        error: 'Idempotency-Key reused',
+        message: 'This key was already used for a different request; send a new key for a new request'
+      });
+    }
+    if (holder && holder.status !== 'completed') {
+      return res.status(409).set('Retry-After', '1').json({
+        error: 'Request in progress',
+        message: 'A request with this Idempotency-Key is still being processed; retry shortly'
+      });
+    }
+    if (holder) {
+      return replay(res, holder);
+    }
+
+    purgeExpired();
+
+    let settled = false;
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const headers = Object.fromEntries(REPLAYED_HEADERS.filter(name => res.get(name)).map(name => [name, res.get(name)]));
+      const store = res.statusCode >= 500
+        ? repositories.idempotencyKeys.release(scope, key)
+        : repositories.idempotencyKeys.complete(
+          scope,
+          key,
+          { status: res.statusCode, headers, body },
+          later(idempotencyConfig.ttlHours * 60 * 60 * 1000)
+        );
+
+      store
+        .catch(error => logger.error('Storing the idempotent response failed', { error: error.message }))
+        .then(() => send(body));
+      return res;
+    };
+
+    // Answered some other way (or not at all): let the key go rather than lock it until it expires
+    res.on('close', () => {
+      if (!settled) {
+        repositories.idempotencyKeys.release(scope, key)
+          .catch(error => logger.error('Releasing an idempotency key failed', { error: error.message }));
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { idempotent, fingerprintOf };
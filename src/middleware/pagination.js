@@ -0,0 +1,183 @@
+// src/middleware/pagination.js - the paging contract shared by the user listings
+//
+//   ?limit=     rows per page (1-100, default 10)
+//   ?page=      offset paging, kept for older clients
+//   ?cursor=    keyset paging: an opaque next_cursor/prev_cursor from an earlier response
+//   ?sort=      comma-separated columns, "-" for descending: ?sort=-created_at,username
+//   ?fields=    comma-separated columns to return
+//
+// The parsed request is left on req.page for the repository; pageResponse() builds the body.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Dates survive the round trip through JSON as { $date: iso }
+function encodeCursor(direction, sort, values) {
+  const encoded = values.map(value => (value instanceof Date ? { $date: value.toISOString() } : value));
+  return Buffer.from(JSON.stringify({ d: direction, s: sortParam(sort), v: encoded })).toString('base64url');
+}
+
+// A key value from a cursor, or undefined when it is not one encodeCursor could have written
+function decodeValue(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1 && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  return undefined;
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { d, s, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!['next', 'prev'].includes(d) || typeof s !== 'string' || !Array.isArray(v)) {
+      return null;
+    }
+    const values = v.map(decodeValue);
+    if (values.includes(undefined)) {
+      return null;
+    }
+    return { direction: d, sortParam: s, values };
+  } catch (error) {
+    return null;
+  }
+}
+
+// [['created_at', 'desc'], ['id', 'desc']] <-> "-created_at,-id"
+function sortParam(sort) {
+  return sort.map(([column, direction]) => (direction === 'desc' ? `-${column}` : column)).join(',');
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// id always ends the sort so every row has a distinct position, in the direction of the last key
+function parseSort(value, sortable) {
+  const sort = parseList(value).map(item => (item.startsWith('-') ? [item.slice(1), 'desc'] : [item.replace(/^\+/, ''), 'asc']));
+  const unknown = sort.filter(([column]) => !sortable.includes(column)).map(([column]) => column);
+
+  if (sort.length === 0 || unknown.length > 0) {
+    return { error: { field: 'sort', rule: 'enum', message: `cannot sort by ${unknown.join(', ') || '(nothing)'}`, allowed: sortable } };
+  }
+
+  const ids = sort.findIndex(([column]) => column === 'id');
+  const keys = ids === -1 ? [...sort, ['id', sort[sort.length - 1][1]]] : sort.slice(0, ids + 1);
+  return { sort: keys };
+}
+
+// Parse the paging parameters of a query string (or anything shaped like one) against a listing's
+// { sortable, fields } and its default sort. Returns { page }, or { status, body } to answer with.
+function parsePage(query, { sortable, fields }, defaultSort) {
+  const details = [];
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  const page = { limit, sort: null, cursor: null, fields: null, offset: 0, number: null };
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { status: 400, body: { error: 'Invalid cursor' } };
+    }
+    const asked = query.sort !== undefined && parseSort(query.sort, sortable).sort;
+    if (asked && sortParam(asked) !== cursor.sortParam) {
+      return { status: 400, body: { error: 'The cursor was issued for a different sort', sort: cursor.sortParam } };
+    }
+  }
+
+  const parsed = parseSort(cursor ? cursor.sortParam : (query.sort ?? defaultSort), sortable);
+  if (parsed.error) {
+    details.push(parsed.error);
+  } else {
+    page.sort = parsed.sort;
+  }
+
+  if (cursor && page.sort && cursor.values.length !== page.sort.length) {
+    return { status: 400, body: { error: 'Invalid cursor' } };
+  }
+
+  if (query.fields !== undefined) {
+    page.fields = parseList(query.fields);
+    const unknown = page.fields.filter(field => !fields.includes(field));
+    if (page.fields.length === 0 || unknown.length > 0) {
+      details.push({ field: 'fields', rule: 'enum', message: `unknown fields: ${unknown.join(', ') || '(none)'}`, allowed: fields });
+    }
+  }
+
+  if (details.length > 0) {
+    return { status: 422, body: { error: 'Validation failed', details } };
+  }
+
+  if (cursor) {
+    page.cursor = { direction: cursor.direction, values: cursor.values };
+  } else {
+    page.number = Math.max(1, parseInt(query.page) || 1);
+    page.offset = (page.number - 1) * limit;
+  }
+
+  return { page };
+}
+
+// options: { sortable, fields, defaultSort } - defaultSort may be a function of the request
+function paginate({ sortable, fields, defaultSort = '-created_at' }) {
+  return (req, res, next) => {
+    const fallback = typeof defaultSort === 'function' ? defaultSort(req) : defaultSort;
+    const { page, status, body } = parsePage(req.query, { sortable, fields }, fallback);
+
+    if (!page) {
+      return res.status(status).json(body);
+    }
+
+    req.page = page;
+    next();
+  };
+}
+
+// What the repository is asked for: one row more than the page, to tell whether another one follows
+function pageQuery(page) {
+  return { limit: page.limit + 1, offset: page.offset, sort: page.sort, cursor: page.cursor };
+}
+
+const keyOf = (row, sort) => sort.map(([column]) => row[column] ?? null);
+
+const selectFields = (row, fields) => (fields ? Object.fromEntries(fields.map(field => [field, row[field] ?? null])) : row);
+
+// rows: what the repository returned for pageQuery(page), in display order.
+// Returns the page's rows (every column) and the pagination block.
+function pageOf(rows, page, total) {
+  const backwards = page.cursor && page.cursor.direction === 'prev';
+  const more = rows.length > page.limit;
+  const data = more ? (backwards ? rows.slice(1) : rows.slice(0, page.limit)) : rows;
+
+  // Coming back from a later page there is always a next one; going forward, a previous one
+  const hasNext = backwards ? data.length > 0 : more;
+  const hasPrev = backwards ? more : Boolean(page.cursor) || page.number > 1;
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  const pagination = {
+    limit: page.limit,
+    total,
+    sort: sortParam(page.sort),
+    next_cursor: hasNext && last ? encodeCursor('next', page.sort, keyOf(last, page.sort)) : null,
+    prev_cursor: hasPrev && first ? encodeCursor('prev', page.sort, keyOf(first, page.sort)) : null
+  };
+
+  if (page.number !== null) {
+    pagination.page = page.number;
+    pagination.totalPages = Math.ceil(total / page.limit);
+  }
+
+  return { rows: data, pagination };
+}
+
+// The response body: the page's rows cut down to ?fields, plus the pagination block
+function pageResponse(rows, page, total) {
+  const { rows: data, pagination } = pageOf(rows, page, total);
+  return { data: data.map(row => selectFields(row, page.fields)), pagination };
+}
+
+module.exports = { paginate, parsePage, pageQuery, pageOf, pageResponse, selectFields, encodeCursor, decodeCursor };
@@ -0,0 +1,122 @@
+// src/middleware/rateLimit.js - token bucket rate limits and daily quotas for /api
+//
+// Every client gets a bucket per route group (src/config/rateLimit.js), so a loop hammering
+// POST /users/bulk runs dry long before it could starve reads. Responses carry the
+// RateLimit-Limit/-Remaining/-Reset/-Policy headers of the IETF RateLimit header draft;
+// a refused request gets 429 with Retry-After.
+const rateLimitConfig = require('../config/rateLimit');
+const { repositories } = require('../repositories');
+const { verifyToken } = require('../utils/tokens');
+const { MemoryRateLimitStore, RepositoryRateLimitStore } = require('../ratelimit/stores');
+const { logger } = require('../logging/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads that travel as POST for the sake of their body
+const READ_POSTS = ['/users/search'];
+
+// Writes that touch many rows per request
+const BULK_PATHS = /^\/users\/(bulk|import|export)(\/|$)/;
+
+// "user:<id>" for a valid bearer token (checked without the database, which is what
+// this protects), "ip:<address>" for everyone else (behind a proxy, set TRUST_PROXY so that
+// is the client's address rather than the proxy's: src/config/server.js)
+function clientOf(req) {
+  const header = req.get('Authorization');
+  const [scheme, token] = header ? header.split(' ') : [];
+  if (token && /^Bearer$/i.test(scheme)) {
+    try {
+      return `user:${verifyToken(token).sub}`;
+    } catch (error) {
+      // Fall through: an invalid token is limited like an anonymous request
+    }
+  }
+  return `ip:${req.ip}`;
+}
+
+// Which bucket a request draws from; paths are relative to /api
+function groupOf(req) {
+  const reading = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) || (req.method === 'POST' && READ_POSTS.includes(req.path));
+
+  if (req.path.startsWith('/auth/') && !reading) {
+    return 'auth';
+  }
+  if (BULK_PATHS.test(req.path) && (!reading || req.path.startsWith('/users/export'))) {
+    return 'bulk';
+  }
+  return reading ? 'read' : 'write';
+}
+
+function createStore(kind = rateLimitConfig.store) {
+  return kind === 'database' ? new RepositoryRateLimitStore(repositories) : new MemoryRateLimitStore();
+}
+
+// The store the app's limiter uses
+const rateLimitStore = createStore();
+
+const seconds = (ms) => Math.max(0, Math.ceil(ms / 1000));
+
+function rateLimit({ store = rateLimitStore, config = rateLimitConfig } = {}) {
+  return async (req, res, next) => {
+    if (!config.enabled) {
+      return next();
+    }
+
+    const client = clientOf(req);
+    const group = groupOf(req);
+    const rule = config.groups[group];
+    const now = Date.now();
+
+    let result;
+    let hits = 0;
+    const quota = config.clientQuotas[client] ?? config.dailyQuota;
+    const midnight = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+
+    try {
+      result = await store.take(`bucket:${group}:${client}`, rule, now);
+      if (result.allowed && quota > 0) {
+        hits = await store.increment(`quota:${client}:${new Date(now).toISOString().slice(0, 10)}`, new Date(midnight));
+      }
+    } catch (error) {
+      // Better to serve without limits than to fail every request while the store is down
+      logger.error('Rate limit store failed', { error: error.message });
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(rule.burst),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(seconds(result.resetMs)),
+      'RateLimit-Policy': `${rule.burst};w=${Math.round((rule.burst / rule.perMinute) * 60)}`
+    });
+    if (quota > 0 && result.allowed) {
+      res.set({ 'X-Quota-Limit': String(quota), 'X-Quota-Remaining': String(Math.max(0, quota - hits)) });
+    }
+
+    if (!result.allowed) {
+      const retryAfter = seconds(result.retryAfterMs);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Rate limit for ${group} requests exceeded; retry in ${retryAfter}s`,
+        group,
+        retry_after: retryAfter
+      });
+    }
+
+    if (quota > 0 && hits > quota) {
+      const retryAfter = seconds(midnight - now);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Daily quota exceeded',
+        message: `${quota} requests a day are allowed; the quota resets at 00:00 UTC`,
+        quota,
+        retry_after: retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { rateLimit, rateLimitStore, createStore, clientOf, groupOf };
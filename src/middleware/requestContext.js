@@ -0,0 +1,17 @@
+// src/middleware/requestContext.js - assign every request an ID and make it the current request
+const crypto = require('crypto');
+const { runWithRequest } = require('../utils/requestContext');
+
+// Client-supplied IDs are kept only if they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Mount after the body parsers: their stream callbacks would lose the context
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithRequest(req, next);
+}
+
+module.exports = { requestContext };
@@ -0,0 +1,31 @@
+// src/middleware/requestLog.js - one log entry per request once the response is sent
+const { logger } = require('../logging/logger');
+
+// The route pattern (/api/users/:id) groups requests better than the path, and holds no IDs
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : null;
+}
+
+// Mount right after requestContext, so the entry carries the request ID
+function requestLog(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    logger[level]('Request', {
+      request_id: req.id,
+      method: req.method,
+      route: routeOf(req),
+      path: req.originalUrl.split('?')[0],
+      status,
+      latency_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      user_id: req.user ? req.user.id : null
+    });
+  });
+
+  next();
+}
+
+module.exports = { requestLog };
@@ -0,0 +1,97 @@
+// src/middleware/validate.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { isCountryCode } = require('../validation/countries');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv, ['email', 'uri', 'date', 'date-time']);
+
+// IANA time zone names such as "Asia/Jakarta"
+ajv.addFormat('timezone', (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+});
+
+// ISO 3166-1 alpha-2 codes such as "ID"
+ajv.addFormat('country-code', isCountryCode);
+
+// "/users/2/email" -> "users[2].email"
+function toFieldPath(instancePath, property) {
+  const segments = instancePath.split('/').slice(1);
+  if (property !== undefined) {
+    segments.push(property);
+  }
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return path ? `${path}.${segment}` : segment;
+  }, '');
+}
+
+// Turn Ajv errors into a flat, client-friendly list
+function formatErrors(errors) {
+  const details = [];
+
+  for (const error of errors) {
+    // anyOf/oneOf report their branches separately; the summary adds nothing
+    if (error.keyword === 'anyOf' || error.keyword === 'oneOf') {
+      continue;
+    }
+
+    if (error.keyword === 'additionalProperties') {
+      details.push({
+        field: toFieldPath(error.instancePath, error.params.additionalProperty),
+        rule: 'unknown_field',
+        message: 'is not an allowed field'
+      });
+      continue;
+    }
+
+    if (error.keyword === 'required') {
+      details.push({
+        field: toFieldPath(error.instancePath, error.params.missingProperty),
+        rule: 'required',
+        message: 'is required'
+      });
+      continue;
+    }
+
+    const detail = {
+      field: toFieldPath(error.instancePath) || '(body)',
+      rule: error.keyword,
+      message: error.message
+    };
+    if (error.keyword === 'enum') {
+      detail.allowed = error.params.allowedValues;
+    }
+    details.push(detail);
+  }
+
+  return details;
+}
+
+// Validate req[source] against a JSON Schema, answering 422 with every failing field
+function validate(schema, source = 'body') {
+  const check = ajv.compile(schema);
+
+  return (req, res, next) => {
+    const data = req[source] === undefined ? {} : req[source];
+
+    if (check(data)) {
+      return next();
+    }
+
+    res.status(422).json({
+      error: 'Validation failed',
+      details: formatErrors(check.errors)
+    });
+  };
+}
+
+module.exports = { ajv, validate, formatErrors };
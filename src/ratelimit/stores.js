@@ -0,0 +1,90 @@
+// src/ratelimit/stores.js - where token buckets and quota counters live
+//
+// A store implements:
+//   take(key, rule, now)       -> take() result from ./tokenBucket, with the bucket saved
+//   increment(key, expiresAt)  -> the counter's new value (counters are dropped after expiresAt)
+//   reset()                    -> forget everything (tests)
+// Anything with those methods can be passed to rateLimit({ store }), e.g. one backed by Redis.
+const { take, refillMs } = require('./tokenBucket');
+const { logger } = require('../logging/logger');
+
+// Forget idle buckets and old counters at most this often
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Per process: each instance of the API enforces its own limits
+class MemoryRateLimitStore {
+  constructor() {
+    this.reset();
+  }
+
+  async take(key, rule, now = Date.now()) {
+    this.sweep(now);
+    const result = take(this.buckets.get(key), rule, now);
+    this.buckets.set(key, { ...result.bucket, expiresAt: now + refillMs(rule) });
+    return result;
+  }
+
+  async increment(key, expiresAt) {
+    const counter = this.counters.get(key) || { hits: 0, expiresAt };
+    counter.hits++;
+    this.counters.set(key, counter);
+    return counter.hits;
+  }
+
+  sweep(now) {
+    if (now - this.sweptAt < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.sweptAt = now;
+    for (const entries of [this.buckets, this.counters]) {
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt < now) {
+          entries.delete(key);
+        }
+      }
+    }
+  }
+
+  reset() {
+    this.buckets = new Map();
+    this.counters = new Map();
+    this.sweptAt = 0;
+  }
+}
+
+// Shared by every instance using the same database, through repositories.rateLimits
+class RepositoryRateLimitStore {
+  constructor(repositories) {
+    this.repositories = repositories;
+    this.sweptAt = 0;
+  }
+
+  async take(key, rule, now = Date.now()) {
+    this.sweep(now);
+    return this.repositories.transaction(async (tx) => {
+      const result = take(await tx.rateLimits.lockBucket(key), rule, now);
+      await tx.rateLimits.saveBucket(key, result.bucket, new Date(now + refillMs(rule)));
+      return result;
+    });
+  }
+
+  async increment(key, expiresAt) {
+    return this.repositories.rateLimits.increment(key, expiresAt);
+  }
+
+  // In the background: a failed purge only leaves rows for the next one
+  sweep(now) {
+    if (now - this.sweptAt < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.sweptAt = now;
+    this.repositories.rateLimits.purgeExpired(new Date(now))
+      .catch(error => logger.error('Purging expired rate limits failed', { error: error.message }));
+  }
+
+  reset() {
+    this.sweptAt = 0;
+  }
+}
+
+module.exports = { MemoryRateLimitStore, RepositoryRateLimitStore };
@@ -0,0 +1,35 @@
+// src/ratelimit/tokenBucket.js - token bucket arithmetic shared by the rate limit stores
+//
+// A bucket is { tokens, updatedAt } (ms). It holds at most rule.burst tokens, gains rule.perMinute
+// of them a minute, and every request takes one. A missing bucket is a full one.
+
+const ratePerMs = (rule) => rule.perMinute / 60000;
+
+// How long an emptied bucket takes to fill up again; an idle bucket can be forgotten after that
+const refillMs = (rule) => Math.ceil(rule.burst / ratePerMs(rule));
+
+function refill(bucket, rule, now) {
+  if (!bucket) {
+    return { tokens: rule.burst, updatedAt: now };
+  }
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  return { tokens: Math.min(rule.burst, bucket.tokens + elapsed * ratePerMs(rule)), updatedAt: now };
+}
+
+// Take `cost` tokens when there are enough. Returns the bucket to store plus what the
+// RateLimit-* headers report: { bucket, allowed, remaining, retryAfterMs, resetMs }
+function take(bucket, rule, now, cost = 1) {
+  const current = refill(bucket, rule, now);
+  const allowed = current.tokens >= cost;
+  const tokens = allowed ? current.tokens - cost : current.tokens;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / ratePerMs(rule)),
+    resetMs: Math.ceil((rule.burst - tokens) / ratePerMs(rule))
+  };
+}
+
+module.exports = { refill, take, refillMs };
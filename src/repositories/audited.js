@@ -0,0 +1,244 @@
+// src/repositories/audited.js - record an audit_log entry for every write to a user or their records
+const { AUDIT_ENTITIES, ADDRESS_BOOK_WRITES } = require('./tables');
+const { currentContext } = require('../utils/requestContext');
+
+const SUB_REPOSITORIES = ['accounts', 'addresses', 'preferences', 'profiles'];
+
+// Bookkeeping columns that change on every write and say nothing on their own
+const IGNORED_COLUMNS = ['updated_at', 'version', 'primary_user_id'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Only the columns an update actually changed, or null when nothing did
+function diff(before, after) {
+  const changed = Object.keys(after).filter(
+    column => !IGNORED_COLUMNS.includes(column) && !sameValue(before[column], after[column])
+  );
+  if (changed.length === 0) {
+    return null;
+  }
+
+  const pick = (row) => Object.fromEntries(changed.map(column => [column, row[column] ?? null]));
+  return { before: pick(before), after: pick(after) };
+}
+
+function withAudit(base) {
+  const { auditLog } = base;
+
+  const record = (entity, action, row, before, after) => {
+    const { requestId, actorId } = currentContext();
+    return auditLog.record({
+      entity,
+      entity_id: row.id,
+      user_id: entity === AUDIT_ENTITIES.users ? row.id : row.user_id,
+      action,
+      actor_id: actorId,
+      request_id: requestId,
+      before,
+      after
+    });
+  };
+
+  const recordUpdate = async (entity, action, before, after) => {
+    const changes = before && after ? diff(before, after) : null;
+    if (changes) {
+      await record(entity, action, after, changes.before, changes.after);
+    }
+  };
+
+  // A user row plus every related record, taken before a permanent delete
+  const snapshotUser = async (id) => {
+    const user = await base.users.findById(id, { withDeleted: true });
+    if (!user) {
+      return null;
+    }
+
+    const records = [];
+    for (const name of SUB_REPOSITORIES) {
+      const rows = name === 'addresses'
+        ? await base.addresses.listByUserId(id)
+        : [await base[name].findByUserId(id)].filter(Boolean);
+      for (const row of rows) {
+        records.push([AUDIT_ENTITIES[name], row]);
+      }
+    }
+    return { user, records };
+  };
+
+  // Related rows go with the user (ON DELETE CASCADE), so they are logged too
+  const recordPurge = async (snapshot) => {
+    for (const [entity, row] of snapshot.records) {
+      await record(entity, 'delete', row, row, null);
+    }
+    await record(AUDIT_ENTITIES.users, 'delete', snapshot.user, snapshot.user, null);
+  };
+
+  const purgeMany = async (ids, purge) => {
+    const snapshots = [];
+    for (const id of ids) {
+      const snapshot = await snapshotUser(id);
+      if (snapshot) {
+        snapshots.push(snapshot);
+      }
+    }
+
+    const deleted = await purge();
+    for (const snapshot of snapshots) {
+      if (!(await base.users.exists(snapshot.user.id))) {
+        await recordPurge(snapshot);
+      }
+    }
+    return deleted;
+  };
+
+  const trashMany = async (ids, trash) => {
+    const before = [];
+    for (const id of ids) {
+      const row = await base.users.findById(id);
+      if (row) {
+        before.push(row);
+      }
+    }
+
+    const trashed = await trash();
+    for (const row of before) {
+      const after = await base.users.findById(row.id, { withDeleted: true });
+      if (after && after.deleted_at) {
+        await record(AUDIT_ENTITIES.users, 'delete', after, row, after);
+      }
+    }
+    return trashed;
+  };
+
+  const users = Object.create(base.users);
+  const entity = AUDIT_ENTITIES.users;
+
+  Object.assign(users, {
+    async create(data) {
+      const id = await base.users.create(data);
+      await record(entity, 'create', { id }, null, await base.users.findById(id, { withDeleted: true }));
+      return id;
+    },
+
+    async update(id, fields) {
+      const before = await base.users.findById(id);
+      const updated = await base.users.update(id, fields);
+      if (updated) {
+        await recordUpdate(entity, 'update', before, await base.users.findById(id));
+      }
+      return updated;
+    },
+
+    async markEmailVerified(id, email, at) {
+      const before = await base.users.findById(id);
+      const verified = await base.users.markEmailVerified(id, email, at);
+      if (verified) {
+        await recordUpdate(entity, 'update', before, await base.users.findById(id));
+      }
+      return verified;
+    },
+
+    async softDelete(id) {
+      return (await trashMany([id], () => base.users.softDelete(id))) > 0;
+    },
+
+    softDeleteMany(ids) {
+      return trashMany(ids, () => base.users.softDeleteMany(ids));
+    },
+
+    async restore(id) {
+      const before = await base.users.findById(id, { withDeleted: true });
+      const restored = await base.users.restore(id);
+      if (restored) {
+        await record(entity, 'restore', before, before, await base.users.findById(id));
+      }
+      return restored;
+    },
+
+    async delete(id) {
+      return (await purgeMany([id], () => base.users.delete(id))) > 0;
+    },
+
+    deleteMany(ids) {
+      return purgeMany(ids, () => base.users.deleteMany(ids));
+    },
+
+    async purgeDeletedBefore(date) {
+      const ids = await base.users.deletedIdsBefore(date);
+      return purgeMany(ids, () => base.users.purgeDeletedBefore(date));
+    }
+  });
+
+  const audited = { ...base, users };
+
+  for (const name of SUB_REPOSITORIES) {
+    const repository = base[name];
+    const subEntity = AUDIT_ENTITIES[name];
+
+    audited[name] = Object.assign(Object.create(repository), {
+      async create(userId, data) {
+        const result = await repository.create(userId, data);
+        const row = await repository.findByUserId(userId);
+        await record(subEntity, 'create', row, null, row);
+        return result;
+      },
+
+      async update(userId, data) {
+        const before = await repository.findByUserId(userId);
+        const updated = await repository.update(userId, data);
+        if (updated) {
+          await recordUpdate(subEntity, 'update', before, await repository.findByUserId(userId));
+        }
+        return updated;
+      },
+
+      async delete(userId) {
+        const before = await repository.findByUserId(userId);
+        const deleted = await repository.delete(userId);
+        if (deleted) {
+          await record(subEntity, 'delete', before, before, null);
+        }
+        return deleted;
+      }
+    });
+  }
+
+  // An address write can move the primary flag between addresses (a delete of the primary
+  // promotes another), so the user's whole address book is compared before and after
+  const addressEntity = AUDIT_ENTITIES.addresses;
+  const recordAddressBook = async (userId, write) => {
+    const before = new Map((await base.addresses.listByUserId(userId)).map(row => [String(row.id), row]));
+    const result = await write();
+
+    for (const row of await base.addresses.listByUserId(userId)) {
+      const previous = before.get(String(row.id));
+      before.delete(String(row.id));
+      if (previous) {
+        await recordUpdate(addressEntity, 'update', previous, row);
+      } else {
+        await record(addressEntity, 'create', row, null, row);
+      }
+    }
+    for (const row of before.values()) {
+      await record(addressEntity, 'delete', row, row, null);
+    }
+    return result;
+  };
+
+  audited.addresses = Object.assign(Object.create(base.addresses), Object.fromEntries(
+    ['create', 'update', 'delete', ...ADDRESS_BOOK_WRITES].map(method => [
+      method,
+      (userId, ...args) => recordAddressBook(userId, () => base.addresses[method](userId, ...args))
+    ])
+  ));
+
+  // Entries written inside a transaction commit or roll back with it.
+  // The memory driver runs transactions on the repositories themselves.
+  if (base.transaction) {
+    audited.transaction = (fn) => base.transaction(tx => fn(tx === base ? audited : withAudit(tx)));
+  }
+
+  return audited;
+}
+
+module.exports = { withAudit };
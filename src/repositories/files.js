@@ -0,0 +1,94 @@
+// src/repositories/files.js - remove a stored avatar once no profile points at it
+//
+// That happens when a profile's avatar is replaced or cleared, when the profile is deleted and
+// when the user is purged. Files are removed after the write, or after the transaction it was
+// part of commits, so a rollback does not leave a profile pointing at a missing file.
+const { storage } = require('../storage');
+const { storedAvatarKey } = require('../uploads/avatars');
+const { logger } = require('../logging/logger');
+
+// A file that could not be removed is only left behind, so failures are logged, not thrown
+async function removeFiles(files, keys) {
+  for (const key of keys) {
+    try {
+      await files.delete(key);
+    } catch (error) {
+      logger.error('Removing stored file failed', { key, error: error.message });
+    }
+  }
+}
+
+// The repositories with the writes that can drop an avatar calling release(keys) for the files
+// they left unreferenced
+function releasing(repositories, release) {
+  const avatarKey = async (userId) => {
+    const profile = await repositories.profiles.findByUserId(userId);
+    return profile ? storedAvatarKey(userId, profile.avatar) : null;
+  };
+
+  const profileWrite = (method) => async (userId, ...args) => {
+    const before = await avatarKey(userId);
+    const result = await repositories.profiles[method](userId, ...args);
+    if (before && before !== (await avatarKey(userId))) {
+      await release([before]);
+    }
+    return result;
+  };
+
+  // Related rows go with the user (ON DELETE CASCADE), and so do the files
+  const purging = async (ids, purge) => {
+    const held = [];
+    for (const id of ids) {
+      const key = await avatarKey(id);
+      if (key) {
+        held.push([id, key]);
+      }
+    }
+
+    const result = await purge();
+    const gone = [];
+    for (const [id, key] of held) {
+      if (!(await repositories.users.exists(id))) {
+        gone.push(key);
+      }
+    }
+    await release(gone);
+    return result;
+  };
+
+  const users = Object.assign(Object.create(repositories.users), {
+    delete: (id) => purging([id], () => repositories.users.delete(id)),
+    deleteMany: (ids) => purging(ids, () => repositories.users.deleteMany(ids)),
+    async purgeDeletedBefore(date) {
+      const ids = await repositories.users.deletedIdsBefore(date);
+      return purging(ids, () => repositories.users.purgeDeletedBefore(date));
+    }
+  });
+
+  const profiles = Object.assign(Object.create(repositories.profiles), {
+    update: profileWrite('update'),
+    delete: profileWrite('delete')
+  });
+
+  return { ...repositories, users, profiles };
+}
+
+function withFileCleanup(base, files = storage) {
+  const cleaned = releasing(base, keys => removeFiles(files, keys));
+
+  // The memory driver runs transactions on the repositories themselves; its files go right away
+  if (base.transaction) {
+    cleaned.transaction = async (fn) => {
+      const released = [];
+      const result = await base.transaction(tx => fn(tx === base ? cleaned : releasing(tx, async (keys) => {
+        released.push(...keys);
+      })));
+      await removeFiles(files, released);
+      return result;
+    };
+  }
+
+  return cleaned;
+}
+
+module.exports = { withFileCleanup };
@@ -0,0 +1,34 @@
+// src/repositories/index.js - pick the repository implementation from config
+const storageConfig = require('../config/storage');
+const { getPool } = require('../config/database');
+const { createMysqlRepositories } = require('./mysql');
+const { createMemoryRepositories } = require('./memory');
+const { withAudit } = require('./audited');
+const { withSearchIndex } = require('./indexed');
+const { withVersions } = require('./versioned');
+const { withFileCleanup } = require('./files');
+
+// Defers creating the pool until the first query
+const lazyPool = {
+  execute: (...args) => getPool().execute(...args),
+  query: (...args) => getPool().query(...args),
+  getConnection: () => getPool().getConnection()
+};
+
+// Every driver's writes to users and their records land in the audit log and the search index,
+// advance the user's version and remove the avatar files they leave unused
+function createRepositories(driver = storageConfig.driver) {
+  switch (driver) {
+    case 'mysql':
+      return withFileCleanup(withAudit(withSearchIndex(withVersions(createMysqlRepositories(lazyPool)))));
+    case 'memory':
+      return withFileCleanup(withAudit(withSearchIndex(withVersions(createMemoryRepositories()))));
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (expected "mysql" or "memory")`);
+  }
+}
+
+const repositories = createRepositories();
+repositories.driver = storageConfig.driver;
+
+module.exports = { repositories, createRepositories };
@@ -0,0 +1,81 @@
+// src/repositories/indexed.js - keep search_terms in step with the users, profiles and addresses it indexes
+const { INDEXED_REPOSITORIES } = require('../search/fields');
+const { ADDRESS_BOOK_WRITES } = require('./tables');
+const { reindexUser } = require('../search/indexer');
+
+// A permanent delete needs nothing: the user's words go with it (ON DELETE CASCADE)
+function withSearchIndex(base) {
+  const reindex = (userId) => reindexUser(base, userId);
+
+  const users = Object.assign(Object.create(base.users), {
+    async create(data) {
+      const id = await base.users.create(data);
+      await reindex(id);
+      return id;
+    },
+
+    async update(id, fields) {
+      const updated = await base.users.update(id, fields);
+      if (updated) {
+        await reindex(id);
+      }
+      return updated;
+    },
+
+    async restore(id) {
+      const restored = await base.users.restore(id);
+      if (restored) {
+        await reindex(id);
+      }
+      return restored;
+    }
+  });
+
+  const indexed = { ...base, users };
+
+  for (const name of INDEXED_REPOSITORIES) {
+    const repository = base[name];
+
+    indexed[name] = Object.assign(Object.create(repository), {
+      async create(userId, data) {
+        const result = await repository.create(userId, data);
+        await reindex(userId);
+        return result;
+      },
+
+      async update(userId, data) {
+        const updated = await repository.update(userId, data);
+        if (updated) {
+          await reindex(userId);
+        }
+        return updated;
+      },
+
+      async delete(userId) {
+        const deleted = await repository.delete(userId);
+        if (deleted) {
+          await reindex(userId);
+        }
+        return deleted;
+      }
+    });
+  }
+
+  // The address book writes, which resolve to false when there was no such address
+  Object.assign(indexed.addresses, Object.fromEntries(ADDRESS_BOOK_WRITES.map(method => [method, async (userId, ...args) => {
+    const result = await base.addresses[method](userId, ...args);
+    if (result !== false) {
+      await reindex(userId);
+    }
+    return result;
+  }])));
+
+  // Index writes made inside a transaction commit or roll back with it
+  if (base.transaction) {
+    indexed.transaction = (fn) => base.transaction(tx => fn(tx === base ? indexed : withSearchIndex(tx)));
+  }
+
+  return indexed;
+}
+
+module.exports = { withSearchIndex };
@@ -0,0 +1,11 @@
+// src/repositories/memory/AccountRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+class AccountRepository extends SubResourceRepository {
+  constructor(store) {
+    super(store, SUB_RESOURCES.accounts);
+  }
+}
+
+module.exports = AccountRepository;
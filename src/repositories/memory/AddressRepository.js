@@ -0,0 +1,135 @@
+// src/repositories/memory/AddressRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+const { dbError, key, copyRow } = require('./store');
+
+// A user's address book, keyed by address ID. Exactly one address of a user with any is primary;
+// create/update/delete work on the primary address, the *ById methods on any address.
+class AddressRepository extends SubResourceRepository {
+  constructor(store) {
+    super(store, SUB_RESOURCES.addresses);
+  }
+
+  // Primary first, then in the order they were added
+  rowsOf(userId) {
+    return [...this.rows.values()]
+      .filter(row => key(row.user_id) === key(userId))
+      .sort((a, b) => b.is_primary - a.is_primary || a.id - b.id);
+  }
+
+  primaryRow(userId) {
+    return this.rowsOf(userId).find(row => row.is_primary) || null;
+  }
+
+  rowOf(userId, addressId) {
+    const row = this.rows.get(key(addressId));
+    return row && key(row.user_id) === key(userId) ? row : null;
+  }
+
+  async findByUserId(userId) {
+    return copyRow(this.primaryRow(userId));
+  }
+
+  async findByUserIds(userIds) {
+    return userIds.map(userId => this.primaryRow(userId)).filter(Boolean).map(copyRow);
+  }
+
+  async findById(userId, addressId) {
+    return copyRow(this.rowOf(userId, addressId));
+  }
+
+  async listByUserId(userId) {
+    return this.rowsOf(userId).map(copyRow);
+  }
+
+  async listByUserIds(userIds) {
+    return userIds.flatMap(userId => this.rowsOf(userId).map(copyRow));
+  }
+
+  clearPrimary(userId) {
+    for (const row of this.rowsOf(userId)) {
+      row.is_primary = 0;
+    }
+  }
+
+  insert(userId, data, primary) {
+    this.store.assertUserExists(userId);
+    if (primary && this.primaryRow(userId)) {
+      throw dbError('ER_DUP_ENTRY', `Duplicate entry '${userId}' for key 'user_addresses.uq_user_addresses_primary'`);
+    }
+
+    const now = new Date();
+    const row = { id: this.store.nextId(this.table), user_id: Number(userId) };
+    for (const column of this.columns) {
+      row[column] = data[column] ?? this.defaults[column] ?? null;
+    }
+    row.is_primary = primary ? 1 : 0;
+    row.created_at = now;
+    row.updated_at = now;
+
+    this.rows.set(key(row.id), row);
+    return row.id;
+  }
+
+  // A new primary address; ER_DUP_ENTRY when the user already has one
+  async create(userId, data = {}) {
+    return this.insert(userId, data, true);
+  }
+
+  // A new address, primary when data.is_primary is set or it is the user's first; resolves to its ID
+  async add(userId, data = {}) {
+    const primary = data.is_primary === true || !this.primaryRow(userId);
+    this.store.assertUserExists(userId);
+    if (primary) {
+      this.clearPrimary(userId);
+    }
+    return this.insert(userId, data, primary);
+  }
+
+  async update(userId, data) {
+    const primary = this.primaryRow(userId);
+    return primary ? this.updateById(userId, primary.id, data) : false;
+  }
+
+  async updateById(userId, addressId, data) {
+    const row = this.rowOf(userId, addressId);
+    if (!row) {
+      return false;
+    }
+
+    if (data.is_primary === true && !row.is_primary) {
+      this.clearPrimary(userId);
+      row.is_primary = 1;
+    }
+    for (const column of this.columns) {
+      if (data[column] !== undefined) {
+        row[column] = data[column] ?? null;
+      }
+    }
+    row.updated_at = new Date();
+
+    return true;
+  }
+
+  async delete(userId) {
+    const primary = this.primaryRow(userId);
+    return primary ? this.deleteById(userId, primary.id) : false;
+  }
+
+  // Deleting the primary address makes the oldest remaining one primary
+  async deleteById(userId, addressId) {
+    const row = this.rowOf(userId, addressId);
+    if (!row) {
+      return false;
+    }
+
+    this.rows.delete(key(addressId));
+    const [next] = this.rowsOf(userId);
+    if (row.is_primary && next) {
+      next.is_primary = 1;
+    }
+    return true;
+  }
+}
+
+module.exports = AddressRepository;
@@ -0,0 +1,53 @@
+// src/repositories/memory/AnalyticsRepository.js
+const { ageBand, periodStart, periodLabel } = require('../../analytics/dimensions');
+const { key } = require('./store');
+const { recordsOf, matchesFilter } = require('./filter');
+
+// Each dimension in src/analytics/dimensions.js, read from recordsOf()
+const DIMENSION_VALUES = {
+  status: ({ account }) => (account ? account.status : null),
+  role: ({ account }) => (account ? account.role : null),
+  subscription: ({ account }) => (account ? account.subscription : null),
+  gender: ({ user }) => user.gender,
+  city: ({ address }) => (address ? address.city : null),
+  province: ({ address }) => (address ? address.province : null),
+  country: ({ address }) => (address ? address.country : null),
+  language: ({ preferences }) => (preferences ? preferences.language : null),
+  age_band: ({ user }) => ageBand(user.date_of_birth),
+  day: ({ user }) => periodLabel(periodStart(user.created_at, 'day')),
+  week: ({ user }) => periodLabel(periodStart(user.created_at, 'week')),
+  month: ({ user }) => periodLabel(periodStart(user.created_at, 'month')),
+  retained: ({ user, account }) => (!user.deleted_at && account && account.status === 'active' ? 1 : 0)
+};
+
+class AnalyticsRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async countBy(filters, dimensions) {
+    const ids = filters.ids ? new Set(filters.ids.map(key)) : null;
+    const groups = new Map();
+
+    for (const user of this.store.table('users').values()) {
+      if ((user.deleted_at && !filters.withDeleted) || (ids && !ids.has(key(user.id)))) {
+        continue;
+      }
+      const records = recordsOf(this.store, user);
+      if (filters.where && !matchesFilter(filters.where, records)) {
+        continue;
+      }
+
+      const values = dimensions.map(dimension => DIMENSION_VALUES[dimension](records));
+      const groupKey = JSON.stringify(values);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ...Object.fromEntries(dimensions.map((dimension, index) => [dimension, values[index]])), count: 0 });
+      }
+      groups.get(groupKey).count++;
+    }
+
+    return [...groups.values()];
+  }
+}
+
+module.exports = AnalyticsRepository;
@@ -0,0 +1,49 @@
+// src/repositories/memory/AuditLogRepository.js
+const { key } = require('./store');
+
+// Values go through JSON like they would in the MySQL JSON columns
+const toJson = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+class AuditLogRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('audit_log');
+  }
+
+  async record({ entity, entity_id, user_id, action, actor_id, request_id, before, after }) {
+    const id = this.store.nextId('audit_log');
+    this.rows.set(key(id), {
+      id,
+      entity,
+      entity_id: Number(entity_id),
+      user_id: Number(user_id),
+      action,
+      actor_id: actor_id ? Number(actor_id) : null,
+      request_id: request_id ?? null,
+      before: toJson(before),
+      after: toJson(after),
+      created_at: new Date()
+    });
+  }
+
+  // Newest first
+  async list(filters, { limit, offset }) {
+    const matches = [...this.rows.values()]
+      .filter(row => ['user_id', 'actor_id', 'entity', 'action', 'request_id'].every(
+        name => filters[name] === undefined || filters[name] === null || String(row[name]) === String(filters[name])
+      ))
+      .filter(row => !filters.from || row.created_at >= filters.from)
+      .filter(row => !filters.to || row.created_at < filters.to)
+      .sort((a, b) => (b.created_at - a.created_at) || (b.id - a.id));
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(row => ({ ...row })),
+      total: matches.length
+    };
+  }
+}
+
+module.exports = AuditLogRepository;
@@ -0,0 +1,93 @@
+// src/repositories/memory/BulkJobRepository.js - status of background /users/bulk jobs
+const { key } = require('./store');
+
+const PROGRESS_COLUMNS = ['status', 'processed', 'succeeded', 'failed', 'skipped', 'results', 'error', 'started_at', 'finished_at'];
+
+// Options and results go through JSON like they would in the MySQL JSON columns
+const copyJson = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const copyJob = (row) => (row ? { ...row, options: copyJson(row.options), results: copyJson(row.results) } : null);
+
+class BulkJobRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('bulk_jobs');
+  }
+
+  async create({ id, operation, mode, options, total, created_by, runner_id }) {
+    const now = new Date();
+    this.rows.set(key(id), {
+      id,
+      operation,
+      mode,
+      options: copyJson(options || {}),
+      status: 'queued',
+      total,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+      results: null,
+      error: null,
+      created_by: created_by ? Number(created_by) : null,
+      runner_id: runner_id || null,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null
+    });
+    return id;
+  }
+
+  async findById(id) {
+    return copyJob(this.rows.get(key(id)));
+  }
+
+  async update(id, fields) {
+    const row = this.rows.get(key(id));
+    if (!row) {
+      return false;
+    }
+
+    for (const column of PROGRESS_COLUMNS) {
+      if (fields[column] !== undefined) {
+        row[column] = column === 'results' ? copyJson(fields[column]) : fields[column];
+      }
+    }
+    row.updated_at = new Date();
+    return true;
+  }
+
+  unfinished() {
+    return [...this.rows.values()].filter(row => row.status === 'queued' || row.status === 'running');
+  }
+
+  async touchRunner(runnerId) {
+    const rows = this.unfinished().filter(row => row.runner_id === runnerId);
+    const now = new Date();
+    rows.forEach(row => { row.updated_at = now; });
+    return rows.length;
+  }
+
+  async failStale(staleBefore, error) {
+    const rows = this.unfinished().filter(row => row.updated_at < staleBefore);
+    const now = new Date();
+    rows.forEach(row => Object.assign(row, { status: 'failed', error, finished_at: now, updated_at: now }));
+    return rows.length;
+  }
+
+  async purgeFinishedBefore(date) {
+    let purged = 0;
+    for (const [rowKey, row] of this.rows) {
+      if (row.finished_at && row.finished_at < date) {
+        this.rows.delete(rowKey);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = BulkJobRepository;
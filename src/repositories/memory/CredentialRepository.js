@@ -0,0 +1,54 @@
+// src/repositories/memory/CredentialRepository.js
+const { CREDENTIAL_COLUMNS } = require('../tables');
+const { dbError, key, copyRow } = require('./store');
+
+class CredentialRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('user_credentials');
+  }
+
+  async findByUserId(userId) {
+    return copyRow(this.rows.get(key(userId)));
+  }
+
+  async create(userId, passwordHash) {
+    this.store.assertUserExists(userId);
+    if (this.rows.has(key(userId))) {
+      throw dbError('ER_DUP_ENTRY', `Duplicate entry '${userId}' for key 'user_credentials.PRIMARY'`);
+    }
+
+    const now = new Date();
+    this.rows.set(key(userId), {
+      user_id: Number(userId),
+      password_hash: passwordHash,
+      failed_attempts: 0,
+      locked_until: null,
+      last_login_at: null,
+      password_changed_at: now,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  async update(userId, fields) {
+    const row = this.rows.get(key(userId));
+    if (!row) {
+      return false;
+    }
+
+    for (const column of CREDENTIAL_COLUMNS) {
+      if (fields[column] !== undefined) {
+        row[column] = fields[column];
+      }
+    }
+    row.updated_at = new Date();
+
+    return true;
+  }
+}
+
+module.exports = CredentialRepository;
@@ -0,0 +1,65 @@
+// src/repositories/memory/IdempotencyKeyRepository.js
+const { dbError } = require('./store');
+
+const rowKey = (scope, key) => `${scope}\n${key}`;
+
+// Responses are stored as JSON, as the mysql driver does, so a replay never shares objects
+const copy = (row) => (row ? { ...row, response: row.response === null ? null : JSON.parse(row.response) } : null);
+
+class IdempotencyKeyRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('idempotency_keys');
+  }
+
+  async find(scope, key) {
+    return copy(this.rows.get(rowKey(scope, key)));
+  }
+
+  async claim(scope, key, { fingerprint, expiresAt }) {
+    if (this.rows.has(rowKey(scope, key))) {
+      throw dbError('ER_DUP_ENTRY', `Duplicate entry '${scope}-${key}' for key 'idempotency_keys.PRIMARY'`);
+    }
+    this.rows.set(rowKey(scope, key), {
+      scope,
+      idempotency_key: key,
+      fingerprint,
+      status: 'processing',
+      response: null,
+      created_at: new Date(),
+      expires_at: expiresAt
+    });
+  }
+
+  async complete(scope, key, response, expiresAt) {
+    const row = this.rows.get(rowKey(scope, key));
+    if (row) {
+      Object.assign(row, { status: 'completed', response: JSON.stringify(response), expires_at: expiresAt });
+    }
+  }
+
+  async release(scope, key) {
+    this.rows.delete(rowKey(scope, key));
+  }
+
+  async releaseExpired(scope, key, now) {
+    const row = this.rows.get(rowKey(scope, key));
+    return Boolean(row && row.expires_at < now && this.rows.delete(rowKey(scope, key)));
+  }
+
+  async purgeExpired(now) {
+    let purged = 0;
+    for (const [key, row] of this.rows) {
+      if (row.expires_at < now) {
+        this.rows.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
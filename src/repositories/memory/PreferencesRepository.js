@@ -0,0 +1,11 @@
+// src/repositories/memory/PreferencesRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+class PreferencesRepository extends SubResourceRepository {
+  constructor(store) {
+    super(store, SUB_RESOURCES.preferences);
+  }
+}
+
+module.exports = PreferencesRepository;
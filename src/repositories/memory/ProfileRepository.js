@@ -0,0 +1,11 @@
+// src/repositories/memory/ProfileRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+class ProfileRepository extends SubResourceRepository {
+  constructor(store) {
+    super(store, SUB_RESOURCES.profiles);
+  }
+}
+
+module.exports = ProfileRepository;
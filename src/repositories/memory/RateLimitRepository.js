@@ -0,0 +1,42 @@
+// src/repositories/memory/RateLimitRepository.js
+
+class RateLimitRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('rate_limits');
+  }
+
+  // No concurrent transactions to lock out in a single process
+  async lockBucket(key) {
+    const row = this.rows.get(key);
+    return row && row.tokens !== null ? { tokens: row.tokens, updatedAt: row.refilled_at.getTime() } : null;
+  }
+
+  async saveBucket(key, { tokens, updatedAt }, expiresAt) {
+    const row = this.rows.get(key) || { bucket_key: key, hits: 0 };
+    this.rows.set(key, { ...row, tokens, refilled_at: new Date(updatedAt), expires_at: expiresAt });
+  }
+
+  async increment(key, expiresAt) {
+    const row = this.rows.get(key) || { bucket_key: key, tokens: null, refilled_at: null, hits: 0, expires_at: expiresAt };
+    row.hits++;
+    this.rows.set(key, row);
+    return row.hits;
+  }
+
+  async purgeExpired(now) {
+    let purged = 0;
+    for (const [key, row] of this.rows) {
+      if (row.expires_at < now) {
+        this.rows.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = RateLimitRepository;
@@ -0,0 +1,32 @@
+// src/repositories/memory/RevokedTokenRepository.js
+
+class RevokedTokenRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('revoked_tokens');
+  }
+
+  async revoke(jti, userId, expiresAt) {
+    if (!this.rows.has(jti)) {
+      this.rows.set(jti, { jti, user_id: Number(userId), expires_at: expiresAt });
+    }
+  }
+
+  async isRevoked(jti) {
+    return this.rows.has(jti);
+  }
+
+  async purgeExpired() {
+    const now = new Date();
+    for (const [jti, row] of this.rows) {
+      if (row.expires_at < now) {
+        this.rows.delete(jti);
+      }
+    }
+  }
+}
+
+module.exports = RevokedTokenRepository;
@@ -0,0 +1,54 @@
+// src/repositories/memory/SearchTermRepository.js - the search_terms inverted index
+const { key } = require('./store');
+
+const MAX_EXPANSIONS = 500;
+
+class SearchTermRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('search_terms');
+  }
+
+  distinctTerms(predicate) {
+    const terms = new Set();
+    for (const row of this.rows.values()) {
+      if (predicate(row.term)) {
+        terms.add(row.term);
+      }
+    }
+    return [...terms].sort().slice(0, MAX_EXPANSIONS);
+  }
+
+  async replace(userId, entries) {
+    for (const [rowKey, row] of this.rows) {
+      if (key(row.user_id) === key(userId)) {
+        this.rows.delete(rowKey);
+      }
+    }
+
+    if (entries.length > 0) {
+      this.store.assertUserExists(userId);
+    }
+    for (const { field, term } of entries) {
+      this.rows.set(`${userId}:${field}:${term}`, { user_id: Number(userId), field, term });
+    }
+  }
+
+  async termsWithPrefix(prefix) {
+    return this.distinctTerms(term => term.startsWith(prefix));
+  }
+
+  async candidateTerms({ first, minLength, maxLength }) {
+    return this.distinctTerms(term => term.startsWith(first) && term.length >= minLength && term.length <= maxLength);
+  }
+
+  async findTerms(terms) {
+    const wanted = new Set(terms);
+    return [...this.rows.values()].filter(row => wanted.has(row.term)).map(row => ({ ...row }));
+  }
+}
+
+module.exports = SearchTermRepository;
@@ -0,0 +1,71 @@
+// src/repositories/memory/SubResourceRepository.js
+const { FLAG_COLUMNS } = require('../tables');
+const { dbError, key, copyRow } = require('./store');
+
+function toColumnValue(column, value) {
+  if (FLAG_COLUMNS.includes(column) && typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value ?? null;
+}
+
+// Base for the one-row-per-user tables, keyed by user_id (AddressRepository keys by address ID)
+class SubResourceRepository {
+  constructor(store, { table, columns, defaults }) {
+    this.store = store;
+    this.table = table;
+    this.columns = columns;
+    this.defaults = defaults;
+  }
+
+  get rows() {
+    return this.store.table(this.table);
+  }
+
+  async findByUserId(userId) {
+    return copyRow(this.rows.get(key(userId)));
+  }
+
+  async findByUserIds(userIds) {
+    return userIds.map(userId => this.rows.get(key(userId))).filter(Boolean).map(copyRow);
+  }
+
+  async create(userId, data = {}) {
+    this.store.assertUserExists(userId);
+    if (this.rows.has(key(userId))) {
+      throw dbError('ER_DUP_ENTRY', `Duplicate entry '${userId}' for key '${this.table}.user_id'`);
+    }
+
+    const now = new Date();
+    const row = { id: this.store.nextId(this.table), user_id: Number(userId) };
+    for (const column of this.columns) {
+      row[column] = toColumnValue(column, data[column] ?? this.defaults[column]);
+    }
+    row.created_at = now;
+    row.updated_at = now;
+
+    this.rows.set(key(userId), row);
+  }
+
+  async update(userId, data) {
+    const row = this.rows.get(key(userId));
+    if (!row) {
+      return false;
+    }
+
+    for (const column of this.columns) {
+      if (data[column] !== undefined) {
+        row[column] = toColumnValue(column, data[column]);
+      }
+    }
+    row.updated_at = new Date();
+
+    return true;
+  }
+
+  async delete(userId) {
+    return this.rows.delete(key(userId));
+  }
+}
+
+module.exports = SubResourceRepository;
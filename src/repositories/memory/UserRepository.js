@@ -0,0 +1,301 @@
+// src/repositories/memory/UserRepository.js
+const { USER_COLUMNS, SUB_RESOURCES } = require('../tables');
+const { dbError, key, sameText, copyRow } = require('./store');
+const { generateUniqueUserId } = require('../../utils/ids');
+const { paginateRows } = require('../../utils/keyset');
+const { recordsOf, matchesFilter } = require('./filter');
+
+// Related records nested into exportBatch() rows (the primary address only)
+const EXPORT_RELATIONS = [
+  ['account', SUB_RESOURCES.accounts],
+  ['address', SUB_RESOURCES.addresses],
+  ['preferences', SUB_RESOURCES.preferences],
+  ['profile', SUB_RESOURCES.profiles]
+];
+
+// DATE columns come back from mysql2 as Date objects (timezone 'Z')
+function toColumnValue(column, value) {
+  if (column === 'date_of_birth' && typeof value === 'string') {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  return value ?? null;
+}
+
+class UserRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('users');
+  }
+
+  // Users that are not in the trash
+  liveRows() {
+    return [...this.rows.values()].filter(row => !row.deleted_at);
+  }
+
+  liveRow(id) {
+    const row = this.rows.get(key(id));
+    return row && !row.deleted_at ? row : null;
+  }
+
+  assertUnique(data, exceptId) {
+    for (const row of this.rows.values()) {
+      if (exceptId !== undefined && key(row.id) === key(exceptId)) {
+        continue;
+      }
+      if (sameText(row.username, data.username) || sameText(row.email, data.email)) {
+        throw dbError('ER_DUP_ENTRY', 'Duplicate entry for key users.username or users.email');
+      }
+    }
+  }
+
+  // User row plus the account columns, as returned by the listing endpoints
+  withAccount(user) {
+    const account = this.store.table('user_accounts').get(key(user.id));
+    return {
+      ...user,
+      status: account ? account.status : null,
+      role: account ? account.role : null,
+      subscription: account ? account.subscription : null
+    };
+  }
+
+  // True for any row with this ID, trashed or not (the primary key stays taken)
+  async exists(id) {
+    return this.rows.has(key(id));
+  }
+
+  // Trashed users are only returned with { withDeleted: true }
+  async findById(id, { withDeleted = false } = {}) {
+    return copyRow(withDeleted ? this.rows.get(key(id)) : this.liveRow(id));
+  }
+
+  async findVersion(id) {
+    const row = this.liveRow(id);
+    return row ? row.version : null;
+  }
+
+  async findByEmail(email) {
+    const user = this.liveRows().find(row => sameText(row.email, email));
+    return user ? this.withAccount(user) : null;
+  }
+
+  async findByLogin(login) {
+    const user = this.liveRows().find(row => sameText(row.username, login) || sameText(row.email, login));
+    return copyRow(user);
+  }
+
+  async findAuthState(id) {
+    const user = this.liveRow(id);
+    if (!user) {
+      return null;
+    }
+
+    const account = this.store.table('user_accounts').get(key(id));
+    const credentials = this.store.table('user_credentials').get(key(id));
+    return {
+      id: user.id,
+      role: account ? account.role : null,
+      status: account ? account.status : null,
+      password_changed_at: credentials ? credentials.password_changed_at : null
+    };
+  }
+
+  async list(page) {
+    return paginateRows(this.liveRows().map(user => this.withAccount(user)), page);
+  }
+
+  async count() {
+    return this.liveRows().length;
+  }
+
+  // Live users matching filters.where and filters.ids, with the account and address columns search() returns
+  matching(filters) {
+    const ids = filters.ids ? new Set(filters.ids.map(key)) : null;
+
+    return this.liveRows()
+      .filter(user => !ids || ids.has(key(user.id)))
+      .map(user => recordsOf(this.store, user))
+      .filter(records => !filters.where || matchesFilter(filters.where, records))
+      .map(({ user, address }) => ({
+        ...this.withAccount(user),
+        city: address ? address.city : null,
+        province: address ? address.province : null
+      }));
+  }
+
+  async search(filters, page) {
+    const matches = this.matching(filters);
+
+    return { rows: paginateRows(matches, page), total: matches.length };
+  }
+
+  // Next `limit` search matches with id > afterId, in id order, with related records nested
+  async exportBatch(filters, { afterId = 0, limit }) {
+    return this.matching(filters)
+      .filter(row => row.id > Number(afterId))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(row => {
+        const record = copyRow(this.rows.get(key(row.id)));
+        const records = recordsOf(this.store, record);
+        for (const [name, { columns }] of EXPORT_RELATIONS) {
+          const related = records[name];
+          record[name] = related ? Object.fromEntries(columns.map(column => [column, related[column]])) : null;
+        }
+        return record;
+      });
+  }
+
+  async sample(limit) {
+    return this.liveRows()
+      .slice(0, limit)
+      .map(({ id, username, email, first_name }) => ({ id, username, email, first_name }));
+  }
+
+  async sampleEmails(limit) {
+    return this.liveRows().slice(0, limit).map(user => user.email);
+  }
+
+  async create(data) {
+    const id = data.id || await generateUniqueUserId(candidate => this.exists(candidate));
+    if (this.rows.has(key(id))) {
+      throw dbError('ER_DUP_ENTRY', `Duplicate entry '${id}' for key 'users.PRIMARY'`);
+    }
+    this.assertUnique(data);
+
+    const now = new Date();
+    const row = { id: Number(id) };
+    for (const column of USER_COLUMNS) {
+      row[column] = toColumnValue(column, data[column]);
+    }
+    row.email_verified_at = null;
+    row.created_at = now;
+    row.updated_at = now;
+    row.version = 1;
+    row.deleted_at = null;
+
+    this.rows.set(key(id), row);
+    return row.id;
+  }
+
+  async update(id, fields) {
+    const row = this.liveRow(id);
+    if (!row) {
+      return false;
+    }
+
+    this.assertUnique({ username: fields.username, email: fields.email }, id);
+    if (fields.email !== undefined && !sameText(row.email, fields.email)) {
+      row.email_verified_at = null;
+    }
+    for (const column of USER_COLUMNS) {
+      if (fields[column] !== undefined) {
+        row[column] = toColumnValue(column, fields[column]);
+      }
+    }
+    row.updated_at = new Date();
+
+    return true;
+  }
+
+  async markEmailVerified(id, email, at) {
+    const row = this.liveRow(id);
+    if (!row || !sameText(row.email, email)) {
+      return false;
+    }
+    row.email_verified_at = at;
+    row.updated_at = new Date();
+    return true;
+  }
+
+  async bumpVersion(id) {
+    const row = this.rows.get(key(id));
+    if (row) {
+      row.version++;
+    }
+  }
+
+  // Permanently remove users together with their related rows
+  async delete(id) {
+    if (!this.rows.delete(key(id))) {
+      return false;
+    }
+    this.store.deleteUserRows(id);
+    return true;
+  }
+
+  async deleteMany(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      if (await this.delete(id)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  // Move users to the trash; already trashed users are not counted
+  async softDelete(id) {
+    const row = this.liveRow(id);
+    if (!row) {
+      return false;
+    }
+    row.deleted_at = new Date();
+    return true;
+  }
+
+  async softDeleteMany(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      if (await this.softDelete(id)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async restore(id) {
+    const row = this.rows.get(key(id));
+    if (!row || !row.deleted_at) {
+      return false;
+    }
+    row.deleted_at = null;
+    row.updated_at = new Date();
+    return true;
+  }
+
+  deletedRows() {
+    return [...this.rows.values()].filter(row => row.deleted_at);
+  }
+
+  // Trashed users, most recently deleted first
+  async listDeleted({ limit, offset }) {
+    return this.deletedRows()
+      .sort((a, b) => (b.deleted_at - a.deleted_at) || (b.id - a.id))
+      .slice(offset, offset + limit)
+      .map(user => this.withAccount(user));
+  }
+
+  async countDeleted() {
+    return this.deletedRows().length;
+  }
+
+  // IDs of the users purgeDeletedBefore(date) would remove
+  async deletedIdsBefore(date) {
+    return this.deletedRows().filter(row => row.deleted_at < date).map(row => row.id);
+  }
+
+  // Permanently remove users trashed before the given date
+  async purgeDeletedBefore(date) {
+    const expired = this.deletedRows().filter(row => row.deleted_at < date);
+    for (const row of expired) {
+      await this.delete(row.id);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,72 @@
+// src/repositories/memory/UserTokenRepository.js
+const { dbError, key, copyRow } = require('./store');
+
+class UserTokenRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('user_tokens');
+  }
+
+  async create({ user_id, purpose, token_hash, email, expires_at }) {
+    this.store.assertUserExists(user_id);
+    if ([...this.rows.values()].some(row => row.token_hash === token_hash)) {
+      throw dbError('ER_DUP_ENTRY', `Duplicate entry '${token_hash}' for key 'user_tokens.uq_user_tokens_token_hash'`);
+    }
+
+    const id = this.store.nextId('user_tokens');
+    this.rows.set(key(id), {
+      id,
+      user_id: Number(user_id),
+      purpose,
+      token_hash,
+      email,
+      expires_at,
+      used_at: null,
+      created_at: new Date()
+    });
+    return id;
+  }
+
+  async findUsable(purpose, tokenHash, now) {
+    const row = [...this.rows.values()].find(
+      token => token.purpose === purpose && token.token_hash === tokenHash && !token.used_at && token.expires_at > now
+    );
+    return copyRow(row);
+  }
+
+  async consume(id, now) {
+    const row = this.rows.get(key(id));
+    if (!row || row.used_at) {
+      return false;
+    }
+    row.used_at = now;
+    return true;
+  }
+
+  async revokeForUser(userId, purpose) {
+    let revoked = 0;
+    for (const [rowKey, row] of this.rows) {
+      if (key(row.user_id) === key(userId) && row.purpose === purpose && !row.used_at) {
+        this.rows.delete(rowKey);
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  async purgeExpired(now) {
+    let purged = 0;
+    for (const [rowKey, row] of this.rows) {
+      if (row.expires_at < now) {
+        this.rows.delete(rowKey);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = UserTokenRepository;
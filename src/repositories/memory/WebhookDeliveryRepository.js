@@ -0,0 +1,116 @@
+// src/repositories/memory/WebhookDeliveryRepository.js - the webhook delivery queue
+const crypto = require('crypto');
+const { dbError, key } = require('./store');
+
+// Payloads go through JSON like they would in the MySQL JSON column
+const copyDelivery = (row) => ({ ...row, payload: JSON.parse(JSON.stringify(row.payload)) });
+
+class WebhookDeliveryRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('webhook_deliveries');
+  }
+
+  async enqueue({ subscription_id, event, event_id, payload }) {
+    const subscriptions = this.store.table('webhook_subscriptions');
+    if (!subscriptions.has(key(subscription_id))) {
+      throw dbError('ER_NO_REFERENCED_ROW_2', 'Cannot add or update a child row: a foreign key constraint fails');
+    }
+
+    const now = new Date();
+    const row = {
+      id: this.store.nextId('webhook_deliveries'),
+      subscription_id: Number(subscription_id),
+      event,
+      event_id,
+      payload: JSON.parse(JSON.stringify(payload)),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      last_attempt_at: null,
+      response_status: null,
+      last_error: null,
+      claimed_by: null,
+      claimed_until: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.rows.set(key(row.id), row);
+    return row.id;
+  }
+
+  async findById(id) {
+    const row = this.rows.get(key(id));
+    return row ? copyDelivery(row) : null;
+  }
+
+  async claimDue({ limit, leaseSeconds }) {
+    const now = new Date();
+    const token = crypto.randomUUID();
+    const subscriptions = this.store.table('webhook_subscriptions');
+
+    const due = [...this.rows.values()]
+      .filter(row => row.status === 'pending' && row.next_attempt_at <= now)
+      .filter(row => !row.claimed_until || row.claimed_until < now)
+      .filter(row => {
+        const subscription = subscriptions.get(key(row.subscription_id));
+        return subscription && subscription.active;
+      })
+      .sort((a, b) => (a.next_attempt_at - b.next_attempt_at) || (a.id - b.id))
+      .slice(0, limit);
+
+    return due.map(row => {
+      row.claimed_by = token;
+      row.claimed_until = new Date(now.getTime() + leaseSeconds * 1000);
+
+      const subscription = subscriptions.get(key(row.subscription_id));
+      return { ...copyDelivery(row), url: subscription.url, secret: subscription.secret };
+    });
+  }
+
+  async recordAttempt(id, { status, attempts, next_attempt_at, response_status, last_error }) {
+    const row = this.rows.get(key(id));
+    if (!row) {
+      return;
+    }
+
+    Object.assign(row, {
+      status,
+      attempts,
+      next_attempt_at,
+      last_attempt_at: new Date(),
+      response_status: response_status ?? null,
+      last_error: last_error ?? null,
+      claimed_by: null,
+      claimed_until: null,
+      updated_at: new Date()
+    });
+  }
+
+  // Newest first
+  async list(filters, { limit, offset }) {
+    const matches = [...this.rows.values()]
+      .filter(row => ['subscription_id', 'status', 'event'].every(
+        name => filters[name] === undefined || String(row[name]) === String(filters[name])
+      ))
+      .sort((a, b) => (b.created_at - a.created_at) || (b.id - a.id));
+
+    return { rows: matches.slice(offset, offset + limit).map(copyDelivery), total: matches.length };
+  }
+
+  async requeue(id) {
+    const row = this.rows.get(key(id));
+    if (!row || row.status !== 'dead') {
+      return false;
+    }
+
+    Object.assign(row, { status: 'pending', attempts: 0, next_attempt_at: new Date(), last_error: null, updated_at: new Date() });
+    return true;
+  }
+}
+
+module.exports = WebhookDeliveryRepository;
@@ -0,0 +1,87 @@
+// src/repositories/memory/WebhookRepository.js - webhook subscriptions
+const { key, copyRow } = require('./store');
+const { ALL_EVENTS } = require('../../webhooks/events');
+
+const WEBHOOK_COLUMNS = ['url', 'events', 'secret', 'description', 'active'];
+
+function toColumnValue(column, value) {
+  if (column === 'events') {
+    return [...value];
+  }
+  if (column === 'active') {
+    return value ? 1 : 0;
+  }
+  return value ?? null;
+}
+
+const copySubscription = (row) => (row ? { ...copyRow(row), events: [...row.events] } : null);
+
+class WebhookRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get rows() {
+    return this.store.table('webhook_subscriptions');
+  }
+
+  async list() {
+    return [...this.rows.values()].sort((a, b) => a.id - b.id).map(copySubscription);
+  }
+
+  async findById(id) {
+    return copySubscription(this.rows.get(key(id)));
+  }
+
+  async findForEvent(event) {
+    return (await this.list()).filter(
+      row => row.active && (row.events.includes(event) || row.events.includes(ALL_EVENTS))
+    );
+  }
+
+  async create(data) {
+    const now = new Date();
+    const row = { id: this.store.nextId('webhook_subscriptions') };
+    for (const column of WEBHOOK_COLUMNS) {
+      row[column] = toColumnValue(column, data[column]);
+    }
+    row.created_by = data.created_by ? Number(data.created_by) : null;
+    row.created_at = now;
+    row.updated_at = now;
+
+    this.rows.set(key(row.id), row);
+    return row.id;
+  }
+
+  async update(id, fields) {
+    const row = this.rows.get(key(id));
+    if (!row) {
+      return false;
+    }
+
+    for (const column of WEBHOOK_COLUMNS) {
+      if (fields[column] !== undefined) {
+        row[column] = toColumnValue(column, fields[column]);
+      }
+    }
+    row.updated_at = new Date();
+    return true;
+  }
+
+  // Deliveries go with it, like ON DELETE CASCADE
+  async delete(id) {
+    if (!this.rows.delete(key(id))) {
+      return false;
+    }
+
+    const deliveries = this.store.table('webhook_deliveries');
+    for (const [rowKey, row] of deliveries) {
+      if (key(row.subscription_id) === key(id)) {
+        deliveries.delete(rowKey);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = WebhookRepository;
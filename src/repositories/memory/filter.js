@@ -0,0 +1,71 @@
+// src/repositories/memory/filter.js - evaluate a parsed search filter against the store
+const { SUB_RESOURCES } = require('../tables');
+const { RECORDS } = require('../../search/filters');
+const { key } = require('./store');
+
+// { user, account, address, preferences, profile } for a users row; missing records are null.
+// address is the primary address, and addresses all of them (see matchesFilter).
+function recordsOf(store, user) {
+  const records = { user };
+  records.addresses = [...store.table(SUB_RESOURCES.addresses.table).values()]
+    .filter(row => key(row.user_id) === key(user.id));
+
+  for (const [name, resource] of Object.entries(RECORDS)) {
+    records[name] = name === 'address'
+      ? records.addresses.find(row => row.is_primary) || null
+      : store.table(SUB_RESOURCES[resource].table).get(key(user.id)) || null;
+  }
+  return records;
+}
+
+// Values as MySQL compares them: text ignoring case, dates by time
+function comparable(column, value) {
+  const typed = column === 'date_of_birth' && typeof value === 'string' ? new Date(`${value}T00:00:00Z`) : value;
+  if (typed instanceof Date) {
+    return typed.getTime();
+  }
+  return typeof typed === 'string' ? typed.toLowerCase() : typed;
+}
+
+// Does a parsed filter (src/search/filters.js) hold for { user, account, address, preferences, profile }?
+// Like SQL, any comparison with a missing value is false.
+function matchesFilter(node, records) {
+  if (node.and) {
+    return node.and.every(child => matchesFilter(child, records));
+  }
+  if (node.or) {
+    return node.or.some(child => matchesFilter(child, records));
+  }
+
+  // Any one of the user's addresses will do; a user with none has a missing address
+  if (node.record === 'address' && records.addresses) {
+    const candidates = records.addresses.length > 0 ? records.addresses : [null];
+    return candidates.some(address => matchesFilter(node, { ...records, addresses: null, address }));
+  }
+
+  const record = records[node.record];
+  if (node.column === null || node.op === 'null') {
+    const missing = node.column === null ? !record : !record || record[node.column] === null;
+    return missing === node.value;
+  }
+
+  if (!record || record[node.column] === null) {
+    return false;
+  }
+  const actual = comparable(node.column, record[node.column]);
+  const values = [].concat(node.value).map(value => comparable(node.column, value));
+
+  switch (node.op) {
+    case 'eq': return actual === values[0];
+    case 'ne': return actual !== values[0];
+    case 'gt': return actual > values[0];
+    case 'gte': return actual >= values[0];
+    case 'lt': return actual < values[0];
+    case 'lte': return actual <= values[0];
+    case 'in': return values.includes(actual);
+    case 'nin': return !values.includes(actual);
+    default: return false;
+  }
+}
+
+module.exports = { recordsOf, matchesFilter };
@@ -0,0 +1,100 @@
+// src/repositories/memory/index.js - repositories backed by in-process Maps
+const { AsyncLocalStorage } = require('async_hooks');
+const { MemoryStore } = require('./store');
+const UserRepository = require('./UserRepository');
+const AccountRepository = require('./AccountRepository');
+const AddressRepository = require('./AddressRepository');
+const PreferencesRepository = require('./PreferencesRepository');
+const ProfileRepository = require('./ProfileRepository');
+const CredentialRepository = require('./CredentialRepository');
+const RevokedTokenRepository = require('./RevokedTokenRepository');
+const AuditLogRepository = require('./AuditLogRepository');
+const WebhookRepository = require('./WebhookRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
+const BulkJobRepository = require('./BulkJobRepository');
+const SearchTermRepository = require('./SearchTermRepository');
+const AnalyticsRepository = require('./AnalyticsRepository');
+const RateLimitRepository = require('./RateLimitRepository');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
+const UserTokenRepository = require('./UserTokenRepository');
+
+// The async methods of a repository (everything its callers use), each run through serialize()
+function serialized(repository, serialize) {
+  const wrapped = Object.create(repository);
+  for (let proto = Object.getPrototypeOf(repository); proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      const method = descriptor.value;
+      if (typeof method === 'function' && method.constructor.name === 'AsyncFunction' && !Object.hasOwnProperty.call(wrapped, name)) {
+        wrapped[name] = (...args) => serialize(() => method.apply(repository, args));
+      }
+    }
+  }
+  return wrapped;
+}
+
+function createMemoryRepositories(store = new MemoryStore()) {
+  // Every call and every transaction takes its turn on one queue, so nothing else reads or writes
+  // the store while a transaction runs, and the snapshot a failed one restores holds no one else's
+  // writes. Calls made inside the running transaction (same async context) go straight through.
+  const current = new AsyncLocalStorage();
+  let running = null;
+  let queue = Promise.resolve();
+
+  const serialize = (fn) => {
+    if (running && current.getStore() === running) {
+      return fn();
+    }
+
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const base = {
+    users: new UserRepository(store),
+    accounts: new AccountRepository(store),
+    addresses: new AddressRepository(store),
+    preferences: new PreferencesRepository(store),
+    profiles: new ProfileRepository(store),
+    credentials: new CredentialRepository(store),
+    revokedTokens: new RevokedTokenRepository(store),
+    auditLog: new AuditLogRepository(store),
+    webhooks: new WebhookRepository(store),
+    webhookDeliveries: new WebhookDeliveryRepository(store),
+    bulkJobs: new BulkJobRepository(store),
+    searchTerms: new SearchTermRepository(store),
+    analytics: new AnalyticsRepository(store),
+    rateLimits: new RateLimitRepository(store),
+    idempotencyKeys: new IdempotencyKeyRepository(store),
+    userTokens: new UserTokenRepository(store)
+  };
+  const repositories = Object.fromEntries(Object.entries(base).map(([name, repository]) => [name, serialized(repository, serialize)]));
+
+  // Writes go straight to the store; a failure restores the snapshot taken up front
+  repositories.transaction = (fn) => serialize(async () => {
+    if (running && current.getStore() === running) {
+      return fn(repositories);
+    }
+
+    const transaction = {};
+    const snapshot = store.snapshot();
+    running = transaction;
+    try {
+      return await current.run(transaction, () => fn(repositories));
+    } catch (error) {
+      store.restore(snapshot);
+      throw error;
+    } finally {
+      running = null;
+    }
+  });
+
+  // Drop every row (used by tests)
+  repositories.reset = () => store.reset();
+  repositories.store = store;
+
+  return repositories;
+}
+
+module.exports = { createMemoryRepositories };
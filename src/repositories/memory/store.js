@@ -0,0 +1,86 @@
+// src/repositories/memory/store.js - in-process tables for the memory driver
+
+// Tables whose rows are removed with their user (ON DELETE CASCADE in MySQL)
+const USER_TABLES = ['user_accounts', 'user_addresses', 'user_preferences', 'user_profiles', 'user_credentials', 'search_terms', 'user_tokens'];
+
+// Errors carry the same codes mysql2 would, so the error handler treats both drivers alike
+function dbError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Primary keys are compared as strings: route params arrive as strings, rows hold numbers
+const key = (id) => String(id);
+
+// MySQL's default collation compares text case-insensitively
+function sameText(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function copyRow(row) {
+  return row ? { ...row } : null;
+}
+
+class MemoryStore {
+  constructor() {
+    this.userTables = [...USER_TABLES];
+    this.reset();
+  }
+
+  reset() {
+    this.tables = {};
+    this.sequences = {};
+  }
+
+  // Tables are created on first use
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = new Map();
+    }
+    return this.tables[name];
+  }
+
+  // AUTO_INCREMENT equivalent
+  nextId(name) {
+    this.sequences[name] = (this.sequences[name] || 0) + 1;
+    return this.sequences[name];
+  }
+
+  // Foreign key check against users(id)
+  assertUserExists(userId) {
+    if (!this.table('users').has(key(userId))) {
+      throw dbError('ER_NO_REFERENCED_ROW_2', 'Cannot add or update a child row: a foreign key constraint fails');
+    }
+  }
+
+  deleteUserRows(userId) {
+    for (const name of this.userTables) {
+      const rows = this.table(name);
+      for (const [rowKey, row] of rows) {
+        if (key(row.user_id) === key(userId)) {
+          rows.delete(rowKey);
+        }
+      }
+    }
+  }
+
+  // Copy of every table, used to roll back a failed transaction
+  snapshot() {
+    const tables = {};
+    for (const [name, rows] of Object.entries(this.tables)) {
+      tables[name] = new Map([...rows].map(([rowKey, row]) => [rowKey, { ...row }]));
+    }
+    return { tables, sequences: { ...this.sequences } };
+  }
+
+  restore({ tables, sequences }) {
+    this.tables = tables;
+    this.sequences = sequences;
+  }
+}
+
+module.exports = { MemoryStore, dbError, key, sameText, copyRow };
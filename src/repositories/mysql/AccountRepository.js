@@ -0,0 +1,11 @@
+// src/repositories/mysql/AccountRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+class AccountRepository extends SubResourceRepository {
+  constructor(db) {
+    super(db, SUB_RESOURCES.accounts);
+  }
+}
+
+module.exports = AccountRepository;
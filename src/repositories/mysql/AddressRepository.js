@@ -0,0 +1,128 @@
+// src/repositories/mysql/AddressRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+// A user's address book. Exactly one address of a user with any is primary (uq_user_addresses_primary
+// allows no second one); the create/update/delete inherited from the one-row-per-user repositories
+// work on the primary address, the *ById methods on any address.
+class AddressRepository extends SubResourceRepository {
+  constructor(db) {
+    super(db, SUB_RESOURCES.addresses);
+  }
+
+  async findByUserId(userId) {
+    const [rows] = await this.db.execute('SELECT * FROM user_addresses WHERE user_id = ? AND is_primary = 1', [userId]);
+    return rows[0] || null;
+  }
+
+  // The primary addresses of several users
+  async findByUserIds(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const [rows] = await this.db.query(
+      `SELECT * FROM user_addresses WHERE user_id IN (${userIds.map(() => '?').join(', ')}) AND is_primary = 1`,
+      userIds
+    );
+    return rows;
+  }
+
+  async findById(userId, addressId) {
+    const [rows] = await this.db.execute('SELECT * FROM user_addresses WHERE id = ? AND user_id = ?', [addressId, userId]);
+    return rows[0] || null;
+  }
+
+  // Primary first, then in the order they were added
+  async listByUserId(userId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM user_addresses WHERE user_id = ? ORDER BY is_primary DESC, id',
+      [userId]
+    );
+    return rows;
+  }
+
+  async listByUserIds(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const [rows] = await this.db.query(
+      `SELECT * FROM user_addresses WHERE user_id IN (${userIds.map(() => '?').join(', ')}) ORDER BY user_id, is_primary DESC, id`,
+      userIds
+    );
+    return rows;
+  }
+
+  async insert(userId, data, primary) {
+    const values = this.columns.map(column => data[column] ?? this.defaults[column] ?? null);
+
+    const [result] = await this.db.execute(
+      `INSERT INTO user_addresses (user_id, ${this.columns.join(', ')}, is_primary)
+       VALUES (?, ${this.columns.map(() => '?').join(', ')}, ?)`,
+      [userId, ...values, primary ? 1 : 0]
+    );
+    return result.insertId;
+  }
+
+  // A new primary address; ER_DUP_ENTRY when the user already has one
+  async create(userId, data = {}) {
+    return this.insert(userId, data, true);
+  }
+
+  // A new address, primary when data.is_primary is set or it is the user's first; resolves to its ID
+  async add(userId, data = {}) {
+    const primary = data.is_primary === true || !(await this.findByUserId(userId));
+    if (primary) {
+      await this.db.execute('UPDATE user_addresses SET is_primary = 0 WHERE user_id = ?', [userId]);
+    }
+    return this.insert(userId, data, primary);
+  }
+
+  async update(userId, data) {
+    const primary = await this.findByUserId(userId);
+    return primary ? this.updateById(userId, primary.id, data) : false;
+  }
+
+  // Update the given columns; is_primary: true makes the address primary. Resolves to false when
+  // the user has no such address.
+  async updateById(userId, addressId, data) {
+    const row = await this.findById(userId, addressId);
+    if (!row) {
+      return false;
+    }
+
+    if (data.is_primary === true && !row.is_primary) {
+      await this.db.execute('UPDATE user_addresses SET is_primary = 0 WHERE user_id = ?', [userId]);
+      await this.db.execute('UPDATE user_addresses SET is_primary = 1 WHERE id = ?', [addressId]);
+    }
+
+    const columns = this.columns.filter(column => data[column] !== undefined);
+    if (columns.length > 0) {
+      await this.db.execute(
+        `UPDATE user_addresses SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => data[column] ?? null), addressId]
+      );
+    }
+    return true;
+  }
+
+  async delete(userId) {
+    const primary = await this.findByUserId(userId);
+    return primary ? this.deleteById(userId, primary.id) : false;
+  }
+
+  // Deleting the primary address makes the oldest remaining one primary
+  async deleteById(userId, addressId) {
+    const row = await this.findById(userId, addressId);
+    if (!row) {
+      return false;
+    }
+
+    await this.db.execute('DELETE FROM user_addresses WHERE id = ?', [addressId]);
+    if (row.is_primary) {
+      await this.db.execute('UPDATE user_addresses SET is_primary = 1 WHERE user_id = ? ORDER BY id LIMIT 1', [userId]);
+    }
+    return true;
+  }
+}
+
+module.exports = AddressRepository;
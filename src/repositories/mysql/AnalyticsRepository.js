@@ -0,0 +1,52 @@
+// src/repositories/mysql/AnalyticsRepository.js - grouped counts behind /stats/users
+const { AGE_BANDS } = require('../../analytics/dimensions');
+const { SEARCH_JOINS, searchWhere } = require('./searchSql');
+
+const age = 'TIMESTAMPDIFF(YEAR, u.date_of_birth, UTC_DATE())';
+const ageBandSql = `CASE ${AGE_BANDS.map(([label, youngest, oldest]) =>
+  `WHEN ${oldest === null ? `${age} >= ${youngest}` : `${age} BETWEEN ${youngest} AND ${oldest}`} THEN '${label}'`
+).join(' ')} END`;
+
+// SQL for each dimension in src/analytics/dimensions.js (u = users, ua = accounts, uad = the primary address, upf = preferences).
+// Periods are labelled like periodLabel(); created_at is stored in UTC.
+const DIMENSION_SQL = {
+  status: 'ua.status',
+  role: 'ua.role',
+  subscription: 'ua.subscription',
+  gender: 'u.gender',
+  city: 'uad.city',
+  province: 'uad.province',
+  country: 'uad.country',
+  language: 'upf.language',
+  age_band: ageBandSql,
+  day: "DATE_FORMAT(u.created_at, '%Y-%m-%d')",
+  week: "DATE_FORMAT(DATE_SUB(DATE(u.created_at), INTERVAL WEEKDAY(u.created_at) DAY), '%Y-%m-%d')",
+  month: "DATE_FORMAT(u.created_at, '%Y-%m-01')",
+  retained: "IF(u.deleted_at IS NULL AND ua.status = 'active', 1, 0)"
+};
+
+class AnalyticsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Users matching a search (see searchWhere), counted per combination of `dimensions`:
+  // [{ <dimension>: value, ..., count }]
+  async countBy(filters, dimensions) {
+    const { where, params } = searchWhere(filters);
+    const columns = dimensions.map(dimension => `${DIMENSION_SQL[dimension]} AS \`${dimension}\``);
+    const groupBy = dimensions.length > 0 ? `GROUP BY ${dimensions.map(dimension => `\`${dimension}\``).join(', ')}` : '';
+
+    const [rows] = await this.db.query(
+      `SELECT ${[...columns, 'COUNT(*) AS count'].join(', ')}
+       FROM users u
+       ${SEARCH_JOINS}
+       ${where}
+       ${groupBy}`,
+      params
+    );
+    return rows.map(row => ({ ...row, count: Number(row.count) }));
+  }
+}
+
+module.exports = AnalyticsRepository;
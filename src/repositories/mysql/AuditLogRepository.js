@@ -0,0 +1,63 @@
+// src/repositories/mysql/AuditLogRepository.js
+
+// Query filter -> WHERE clause
+const AUDIT_FILTERS = {
+  user_id: 'user_id = ?',
+  actor_id: 'actor_id = ?',
+  entity: 'entity = ?',
+  action: 'action = ?',
+  request_id: 'request_id = ?',
+  from: 'created_at >= ?',
+  to: 'created_at < ?'
+};
+
+// mysql2 parses JSON columns; MariaDB hands them back as strings
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class AuditLogRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async record({ entity, entity_id, user_id, action, actor_id, request_id, before, after }) {
+    await this.db.execute(
+      `INSERT INTO audit_log (entity, entity_id, user_id, action, actor_id, request_id, \`before\`, \`after\`)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entity, entity_id, user_id, action, actor_id ?? null, request_id ?? null,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      ]
+    );
+  }
+
+  // Newest first
+  async list(filters, { limit, offset }) {
+    const clauses = [];
+    const params = [];
+
+    for (const [name, clause] of Object.entries(AUDIT_FILTERS)) {
+      if (filters[name] !== undefined && filters[name] !== null) {
+        clauses.push(clause);
+        params.push(filters[name]);
+      }
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await this.db.query(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [countRows] = await this.db.query(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+
+    return {
+      rows: rows.map(row => ({ ...row, before: parseJson(row.before), after: parseJson(row.after) })),
+      total: countRows[0].total
+    };
+  }
+}
+
+module.exports = AuditLogRepository;
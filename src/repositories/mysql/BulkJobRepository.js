@@ -0,0 +1,82 @@
+// src/repositories/mysql/BulkJobRepository.js - status of background /users/bulk jobs
+
+const JSON_COLUMNS = ['options', 'results'];
+const PROGRESS_COLUMNS = ['status', 'processed', 'succeeded', 'failed', 'skipped', 'results', 'error', 'started_at', 'finished_at'];
+
+// mysql2 parses JSON columns; MariaDB hands them back as strings
+function fromRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const job = { ...row };
+  for (const column of JSON_COLUMNS) {
+    if (typeof job[column] === 'string') {
+      job[column] = JSON.parse(job[column]);
+    }
+  }
+  return job;
+}
+
+const toColumnValue = (column, value) => (JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value);
+
+class BulkJobRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ id, operation, mode, options, total, created_by, runner_id }) {
+    await this.db.execute(
+      `INSERT INTO bulk_jobs (id, operation, mode, options, total, created_by, runner_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, operation, mode, JSON.stringify(options || {}), total, created_by ?? null, runner_id ?? null]
+    );
+    return id;
+  }
+
+  async findById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM bulk_jobs WHERE id = ?', [id]);
+    return fromRow(rows[0]);
+  }
+
+  async update(id, fields) {
+    const columns = PROGRESS_COLUMNS.filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+      return false;
+    }
+
+    const [result] = await this.db.execute(
+      `UPDATE bulk_jobs SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP(3) WHERE id = ?`,
+      [...columns.map(column => toColumnValue(column, fields[column])), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // The heartbeat of a process: touch the unfinished jobs it runs; returns how many there are
+  async touchRunner(runnerId) {
+    const [result] = await this.db.execute(
+      `UPDATE bulk_jobs SET updated_at = CURRENT_TIMESTAMP(3)
+       WHERE runner_id = ? AND status IN ('queued', 'running')`,
+      [runnerId]
+    );
+    return result.affectedRows;
+  }
+
+  // Mark unfinished jobs untouched since staleBefore failed; returns how many there were
+  async failStale(staleBefore, error) {
+    const [result] = await this.db.execute(
+      `UPDATE bulk_jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP(3), updated_at = CURRENT_TIMESTAMP(3)
+       WHERE status IN ('queued', 'running') AND updated_at < ?`,
+      [error, staleBefore]
+    );
+    return result.affectedRows;
+  }
+
+  // Drop jobs that finished before the given date; returns how many went
+  async purgeFinishedBefore(date) {
+    const [result] = await this.db.execute('DELETE FROM bulk_jobs WHERE finished_at < ?', [date]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = BulkJobRepository;
@@ -0,0 +1,35 @@
+// src/repositories/mysql/CredentialRepository.js
+const { CREDENTIAL_COLUMNS } = require('../tables');
+
+class CredentialRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findByUserId(userId) {
+    const [rows] = await this.db.execute('SELECT * FROM user_credentials WHERE user_id = ?', [userId]);
+    return rows[0] || null;
+  }
+
+  async create(userId, passwordHash) {
+    await this.db.execute(
+      'INSERT INTO user_credentials (user_id, password_hash, password_changed_at) VALUES (?, ?, NOW())',
+      [userId, passwordHash]
+    );
+  }
+
+  // Update the given columns (failed_attempts, locked_until, ...)
+  async update(userId, fields) {
+    const columns = CREDENTIAL_COLUMNS.filter(column => fields[column] !== undefined);
+    const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = NOW()'];
+
+    const [result] = await this.db.execute(
+      `UPDATE user_credentials SET ${assignments.join(', ')} WHERE user_id = ?`,
+      [...columns.map(column => fields[column]), userId]
+    );
+
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = CredentialRepository;
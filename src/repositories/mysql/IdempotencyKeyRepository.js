@@ -0,0 +1,62 @@
+// src/repositories/mysql/IdempotencyKeyRepository.js - stored responses of Idempotency-Key requests
+
+// mysql2 parses JSON columns; MariaDB hands them back as strings
+function fromRow(row) {
+  if (!row) {
+    return null;
+  }
+  return { ...row, response: typeof row.response === 'string' ? JSON.parse(row.response) : row.response };
+}
+
+class IdempotencyKeyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async find(scope, key) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+      [scope, key]
+    );
+    return fromRow(rows[0]);
+  }
+
+  // Take the key for a request about to run; fails with ER_DUP_ENTRY when it is already taken
+  async claim(scope, key, { fingerprint, expiresAt }) {
+    await this.db.execute(
+      `INSERT INTO idempotency_keys (scope, idempotency_key, fingerprint, status, expires_at)
+       VALUES (?, ?, ?, 'processing', ?)`,
+      [scope, key, fingerprint, expiresAt]
+    );
+  }
+
+  // Store the response to replay until expiresAt
+  async complete(scope, key, response, expiresAt) {
+    await this.db.execute(
+      `UPDATE idempotency_keys SET status = 'completed', response = ?, expires_at = ?
+       WHERE scope = ? AND idempotency_key = ?`,
+      [JSON.stringify(response), expiresAt, scope, key]
+    );
+  }
+
+  // Give the key up so a retry runs the request again
+  async release(scope, key) {
+    await this.db.execute('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+  }
+
+  // Drop the key if it expired; a key claimed again in the meantime is left alone
+  async releaseExpired(scope, key, now) {
+    const [result] = await this.db.execute(
+      'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at < ?',
+      [scope, key, now]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async purgeExpired(now) {
+    const [result] = await this.db.execute('DELETE FROM idempotency_keys WHERE expires_at < ?', [now]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
@@ -0,0 +1,11 @@
+// src/repositories/mysql/PreferencesRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+class PreferencesRepository extends SubResourceRepository {
+  constructor(db) {
+    super(db, SUB_RESOURCES.preferences);
+  }
+}
+
+module.exports = PreferencesRepository;
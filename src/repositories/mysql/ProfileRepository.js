@@ -0,0 +1,11 @@
+// src/repositories/mysql/ProfileRepository.js
+const SubResourceRepository = require('./SubResourceRepository');
+const { SUB_RESOURCES } = require('../tables');
+
+class ProfileRepository extends SubResourceRepository {
+  constructor(db) {
+    super(db, SUB_RESOURCES.profiles);
+  }
+}
+
+module.exports = ProfileRepository;
@@ -0,0 +1,43 @@
+// src/repositories/mysql/RateLimitRepository.js - shared token buckets and quota counters
+
+class RateLimitRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // The bucket, locked until the surrounding transaction ends; null when there is none yet
+  async lockBucket(key) {
+    const [rows] = await this.db.execute(
+      'SELECT tokens, refilled_at FROM rate_limits WHERE bucket_key = ? FOR UPDATE',
+      [key]
+    );
+    const row = rows[0];
+    return row && row.tokens !== null ? { tokens: row.tokens, updatedAt: new Date(row.refilled_at).getTime() } : null;
+  }
+
+  async saveBucket(key, { tokens, updatedAt }, expiresAt) {
+    await this.db.execute(
+      `INSERT INTO rate_limits (bucket_key, tokens, refilled_at, expires_at) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE tokens = VALUES(tokens), refilled_at = VALUES(refilled_at), expires_at = VALUES(expires_at)`,
+      [key, tokens, new Date(updatedAt), expiresAt]
+    );
+  }
+
+  // Add one hit to a counter and return the new count. LAST_INSERT_ID(expr) hands the
+  // incremented value back with the insert result, so this is a single atomic statement.
+  async increment(key, expiresAt) {
+    const [result] = await this.db.execute(
+      `INSERT INTO rate_limits (bucket_key, hits, expires_at) VALUES (?, LAST_INSERT_ID(1), ?)
+       ON DUPLICATE KEY UPDATE hits = LAST_INSERT_ID(hits + 1)`,
+      [key, expiresAt]
+    );
+    return Number(result.insertId);
+  }
+
+  async purgeExpired(now) {
+    const [result] = await this.db.execute('DELETE FROM rate_limits WHERE expires_at < ?', [now]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = RateLimitRepository;
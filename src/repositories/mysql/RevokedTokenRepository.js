@@ -0,0 +1,25 @@
+// src/repositories/mysql/RevokedTokenRepository.js
+
+class RevokedTokenRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async revoke(jti, userId, expiresAt) {
+    await this.db.execute(
+      'INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+      [jti, userId, expiresAt]
+    );
+  }
+
+  async isRevoked(jti) {
+    const [rows] = await this.db.execute('SELECT jti FROM revoked_tokens WHERE jti = ?', [jti]);
+    return rows.length > 0;
+  }
+
+  async purgeExpired() {
+    await this.db.execute('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+  }
+}
+
+module.exports = RevokedTokenRepository;
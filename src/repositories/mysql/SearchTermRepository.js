@@ -0,0 +1,57 @@
+// src/repositories/mysql/SearchTermRepository.js - the search_terms inverted index
+
+// Most distinct words a prefix or typo lookup expands to
+const MAX_EXPANSIONS = 500;
+
+class SearchTermRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Swap a user's words for a fresh set
+  async replace(userId, entries) {
+    await this.db.execute('DELETE FROM search_terms WHERE user_id = ?', [userId]);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.db.query(
+      `INSERT INTO search_terms (user_id, field, term) VALUES ${entries.map(() => '(?, ?, ?)').join(', ')}`,
+      entries.flatMap(({ field, term }) => [userId, field, term])
+    );
+  }
+
+  // Words are letters and digits only, never LIKE wildcards, so the prefix needs no escaping
+  async termsWithPrefix(prefix) {
+    const [rows] = await this.db.query(
+      'SELECT DISTINCT term FROM search_terms WHERE term LIKE ? ORDER BY term LIMIT ?',
+      [`${prefix}%`, MAX_EXPANSIONS]
+    );
+    return rows.map(row => row.term);
+  }
+
+  // Words that could be a typo away: same first letter, similar length
+  async candidateTerms({ first, minLength, maxLength }) {
+    const [rows] = await this.db.query(
+      `SELECT DISTINCT term FROM search_terms
+       WHERE term LIKE ? AND CHAR_LENGTH(term) BETWEEN ? AND ?
+       ORDER BY term LIMIT ?`,
+      [`${first}%`, minLength, maxLength, MAX_EXPANSIONS]
+    );
+    return rows.map(row => row.term);
+  }
+
+  async findTerms(terms) {
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const [rows] = await this.db.query(
+      `SELECT user_id, field, term FROM search_terms WHERE term IN (${terms.map(() => '?').join(', ')})`,
+      terms
+    );
+    return rows;
+  }
+}
+
+module.exports = SearchTermRepository;
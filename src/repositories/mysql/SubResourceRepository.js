@@ -0,0 +1,68 @@
+// src/repositories/mysql/SubResourceRepository.js
+const { FLAG_COLUMNS } = require('../tables');
+
+function toColumnValue(column, value) {
+  if (FLAG_COLUMNS.includes(column) && typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value ?? null;
+}
+
+// Base for the one-row-per-user tables (accounts, preferences, profiles; AddressRepository builds the address book on it)
+class SubResourceRepository {
+  constructor(db, { table, columns, defaults }) {
+    this.db = db;
+    this.table = table;
+    this.columns = columns;
+    this.defaults = defaults;
+  }
+
+  async findByUserId(userId) {
+    const [rows] = await this.db.execute(`SELECT * FROM ${this.table} WHERE user_id = ?`, [userId]);
+    return rows[0] || null;
+  }
+
+  // The rows of several users at once, in no particular order
+  async findByUserIds(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const [rows] = await this.db.query(
+      `SELECT * FROM ${this.table} WHERE user_id IN (${userIds.map(() => '?').join(', ')})`,
+      userIds
+    );
+    return rows;
+  }
+
+  // Missing columns fall back to the table defaults
+  async create(userId, data = {}) {
+    const values = this.columns.map(column => toColumnValue(column, data[column] ?? this.defaults[column]));
+
+    await this.db.execute(
+      `INSERT INTO ${this.table} (user_id, ${this.columns.join(', ')}) VALUES (?, ${this.columns.map(() => '?').join(', ')})`,
+      [userId, ...values]
+    );
+  }
+
+  // Update the given columns; resolves to false when there is no row for the user
+  async update(userId, data) {
+    const columns = this.columns.filter(column => data[column] !== undefined);
+    if (columns.length === 0) {
+      return (await this.findByUserId(userId)) !== null;
+    }
+
+    const [result] = await this.db.execute(
+      `UPDATE ${this.table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE user_id = ?`,
+      [...columns.map(column => toColumnValue(column, data[column])), userId]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  async delete(userId) {
+    const [result] = await this.db.execute(`DELETE FROM ${this.table} WHERE user_id = ?`, [userId]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = SubResourceRepository;
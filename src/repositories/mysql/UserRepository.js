@@ -0,0 +1,324 @@
+// src/repositories/mysql/UserRepository.js
+const { USER_COLUMNS, SUB_RESOURCES } = require('../tables');
+const { generateUniqueUserId } = require('../../utils/ids');
+const { SEARCH_JOINS, relatedJoin, searchWhere } = require('./searchSql');
+
+// Sortable listing columns (u = users, ua = accounts, uad = the primary address; city and province in search() only)
+const SORT_EXPRESSIONS = {
+  id: 'u.id',
+  ...Object.fromEntries([...USER_COLUMNS, 'created_at', 'updated_at'].map(column => [column, `u.${column}`])),
+  ...Object.fromEntries(SUB_RESOURCES.accounts.columns.map(column => [column, `ua.${column}`])),
+  city: 'uad.city',
+  province: 'uad.province'
+};
+
+// ORDER BY for a page, plus the condition for the rows past its cursor.
+// MySQL sorts NULL first ascending and last descending; the condition follows suit.
+// A "prev" cursor walks the order backwards, so those rows come back reversed.
+function keyset(sort, cursor) {
+  const backwards = cursor && cursor.direction === 'prev';
+  const order = sort.map(([column, direction]) => [SORT_EXPRESSIONS[column], (direction === 'asc') !== Boolean(backwards)]);
+  const orderBy = order.map(([expression, ascending]) => `${expression} ${ascending ? 'ASC' : 'DESC'}`).join(', ');
+
+  if (!cursor) {
+    return { orderBy, condition: '', params: [], backwards: false };
+  }
+
+  const params = [];
+  const past = (index) => {
+    const [expression, ascending] = order[index];
+    const value = cursor.values[index];
+    let after;
+    if (value === null) {
+      after = ascending ? `${expression} IS NOT NULL` : 'FALSE';
+    } else {
+      after = ascending ? `${expression} > ?` : `(${expression} < ? OR ${expression} IS NULL)`;
+      params.push(value);
+    }
+    if (index === order.length - 1) {
+      return after;
+    }
+
+    const same = value === null ? `${expression} IS NULL` : `${expression} = ?`;
+    if (value !== null) {
+      params.push(value);
+    }
+    return `(${after} OR (${same} AND ${past(index + 1)}))`;
+  };
+
+  return { orderBy, condition: ` AND ${past(0)}`, params, backwards };
+}
+
+// Related tables joined by exportBatch(), with the record key each one is nested under (the primary address only)
+const EXPORT_JOINS = [
+  ['account', 'ua', SUB_RESOURCES.accounts],
+  ['address', 'uad', SUB_RESOURCES.addresses],
+  ['preferences', 'upf', SUB_RESOURCES.preferences],
+  ['profile', 'upr', SUB_RESOURCES.profiles]
+];
+
+class UserRepository {
+  // db is a mysql2 pool or a connection inside a transaction
+  constructor(db) {
+    this.db = db;
+  }
+
+  // True for any row with this ID, trashed or not (the primary key stays taken)
+  async exists(id) {
+    const [rows] = await this.db.execute('SELECT id FROM users WHERE id = ?', [id]);
+    return rows.length > 0;
+  }
+
+  // Trashed users are only returned with { withDeleted: true }
+  async findById(id, { withDeleted = false } = {}) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM users WHERE id = ?${withDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // The version of a live user, or null; { lock: true } holds the row until the transaction ends
+  async findVersion(id, { lock = false } = {}) {
+    const [rows] = await this.db.execute(
+      `SELECT version FROM users WHERE id = ? AND deleted_at IS NULL${lock ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0].version : null;
+  }
+
+  // User row plus the account columns, as returned by the listing endpoints
+  async findByEmail(email) {
+    const [rows] = await this.db.execute(
+      `SELECT u.*, ua.status, ua.role, ua.subscription 
+       FROM users u 
+       LEFT JOIN user_accounts ua ON u.id = ua.user_id 
+       WHERE u.email = ? AND u.deleted_at IS NULL`,
+      [email]
+    );
+    return rows[0] || null;
+  }
+
+  // Look a user up by username or email (for login)
+  async findByLogin(login) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM users WHERE (username = ? OR email = ?) AND deleted_at IS NULL LIMIT 1',
+      [login, login]
+    );
+    return rows[0] || null;
+  }
+
+  // What the auth middleware needs to accept a token
+  async findAuthState(id) {
+    const [rows] = await this.db.execute(
+      `SELECT u.id, ua.role, ua.status, uc.password_changed_at
+       FROM users u
+       LEFT JOIN user_accounts ua ON u.id = ua.user_id
+       LEFT JOIN user_credentials uc ON u.id = uc.user_id
+       WHERE u.id = ? AND u.deleted_at IS NULL`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // One page of users with their account columns; see src/middleware/pagination.js
+  async list({ limit, offset, sort, cursor }) {
+    const { orderBy, condition, params, backwards } = keyset(sort, cursor);
+
+    const [rows] = await this.db.query(
+      `SELECT u.*, ua.status, ua.role, ua.subscription 
+       FROM users u 
+       LEFT JOIN user_accounts ua ON u.id = ua.user_id 
+       WHERE u.deleted_at IS NULL${condition}
+       ORDER BY ${orderBy}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, cursor ? 0 : offset]
+    );
+    return backwards ? rows.reverse() : rows;
+  }
+
+  async count() {
+    const [rows] = await this.db.query('SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL');
+    return rows[0].count;
+  }
+
+  // Users matching filters.where (src/search/filters.js), optionally limited to filters.ids, one page at a time
+  async search(filters, { limit, offset, sort, cursor }) {
+    const { where, params } = searchWhere(filters);
+    const page = keyset(sort, cursor);
+
+    const from = `
+      FROM users u 
+      ${SEARCH_JOINS}
+      ${where}`;
+
+    const [totalResult] = await this.db.query(`SELECT COUNT(DISTINCT u.id) as total ${from}`, params);
+    const [rows] = await this.db.query(
+      `SELECT u.*, ua.status, ua.role, ua.subscription, uad.city, uad.province ${from}${page.condition}
+       ORDER BY ${page.orderBy} LIMIT ? OFFSET ?`,
+      [...params, ...page.params, limit, cursor ? 0 : offset]
+    );
+
+    return { rows: page.backwards ? rows.reverse() : rows, total: totalResult[0].total };
+  }
+
+  // Next `limit` search matches with id > afterId, in id order, each with its related
+  // records nested like GET /users/:id. Callers page through with the last id.
+  async exportBatch(filters, { afterId = 0, limit }) {
+    const { where, params } = searchWhere(filters);
+
+    const selects = EXPORT_JOINS.flatMap(([name, alias, { columns }]) =>
+      ['id', ...columns].map(column => `${alias}.${column} AS \`${name}.${column}\``)
+    );
+    const joins = EXPORT_JOINS.map(([name, alias]) => relatedJoin(name, alias));
+
+    const [rows] = await this.db.query(
+      `SELECT u.*, ${selects.join(', ')}
+       FROM users u
+       ${joins.join('\n       ')}
+       ${where} AND u.id > ?
+       ORDER BY u.id
+       LIMIT ?`,
+      [...params, afterId, limit]
+    );
+
+    return rows.map(row => {
+      const record = {};
+      for (const [column, value] of Object.entries(row)) {
+        if (!column.includes('.')) {
+          record[column] = value;
+        }
+      }
+      for (const [name, , { columns }] of EXPORT_JOINS) {
+        record[name] = row[`${name}.id`] === null
+          ? null
+          : Object.fromEntries(columns.map(column => [column, row[`${name}.${column}`]]));
+      }
+      return record;
+    });
+  }
+
+  async sample(limit) {
+    const [rows] = await this.db.query('SELECT id, username, email, first_name FROM users WHERE deleted_at IS NULL LIMIT ?', [limit]);
+    return rows;
+  }
+
+  async sampleEmails(limit) {
+    const [rows] = await this.db.query('SELECT email FROM users WHERE deleted_at IS NULL LIMIT ?', [limit]);
+    return rows.map(u => u.email);
+  }
+
+  // Insert a user and return its ID (generated unless data.id is given)
+  async create(data) {
+    const id = data.id || await generateUniqueUserId(candidate => this.exists(candidate));
+
+    await this.db.execute(
+      `INSERT INTO users (id, ${USER_COLUMNS.join(', ')}, created_at, updated_at) 
+       VALUES (?, ${USER_COLUMNS.map(() => '?').join(', ')}, NOW(), NOW())`,
+      [id, ...USER_COLUMNS.map(column => data[column] ?? null)]
+    );
+
+    return id;
+  }
+
+  // Update the given columns; resolves to false when the user does not exist
+  async update(id, fields) {
+    const columns = USER_COLUMNS.filter(column => fields[column] !== undefined);
+    const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = NOW()'];
+    const values = columns.map(column => fields[column]);
+
+    // A new email address is unverified; assignments run left to right, so email is still the old one here
+    if (fields.email !== undefined) {
+      assignments.unshift('email_verified_at = IF(email <=> ?, email_verified_at, NULL)');
+      values.unshift(fields.email);
+    }
+
+    const [result] = await this.db.execute(
+      `UPDATE users SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL`,
+      [...values, id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  // Record that the user proved they receive mail at `email`; false when that is no longer their address
+  async markEmailVerified(id, email, at) {
+    const [result] = await this.db.execute(
+      'UPDATE users SET email_verified_at = ?, updated_at = NOW() WHERE id = ? AND email = ? AND deleted_at IS NULL',
+      [at, id, email]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Record that the user or one of its related records changed
+  async bumpVersion(id) {
+    await this.db.execute('UPDATE users SET version = version + 1 WHERE id = ?', [id]);
+  }
+
+  // Permanently remove users (related rows go with them via ON DELETE CASCADE)
+  async delete(id) {
+    const [result] = await this.db.execute('DELETE FROM users WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  async deleteMany(ids) {
+    const placeholders = ids.map(() => '?').join(',');
+    const [result] = await this.db.execute(`DELETE FROM users WHERE id IN (${placeholders})`, ids);
+    return result.affectedRows;
+  }
+
+  // Move users to the trash; already trashed users are not counted
+  async softDelete(id) {
+    return (await this.softDeleteMany([id])) > 0;
+  }
+
+  async softDeleteMany(ids) {
+    const placeholders = ids.map(() => '?').join(',');
+    const [result] = await this.db.execute(
+      `UPDATE users SET deleted_at = NOW() WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+      ids
+    );
+    return result.affectedRows;
+  }
+
+  async restore(id) {
+    const [result] = await this.db.execute(
+      'UPDATE users SET deleted_at = NULL, updated_at = NOW() WHERE id = ? AND deleted_at IS NOT NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Trashed users, most recently deleted first
+  async listDeleted({ limit, offset }) {
+    const [rows] = await this.db.query(
+      `SELECT u.*, ua.status, ua.role, ua.subscription 
+       FROM users u 
+       LEFT JOIN user_accounts ua ON u.id = ua.user_id 
+       WHERE u.deleted_at IS NOT NULL
+       ORDER BY u.deleted_at DESC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+    return rows;
+  }
+
+  async countDeleted() {
+    const [rows] = await this.db.query('SELECT COUNT(*) as count FROM users WHERE deleted_at IS NOT NULL');
+    return rows[0].count;
+  }
+
+  // IDs of the users purgeDeletedBefore(date) would remove
+  async deletedIdsBefore(date) {
+    const [rows] = await this.db.execute('SELECT id FROM users WHERE deleted_at IS NOT NULL AND deleted_at < ?', [date]);
+    return rows.map(row => row.id);
+  }
+
+  // Permanently remove users trashed before the given date
+  async purgeDeletedBefore(date) {
+    const [result] = await this.db.execute('DELETE FROM users WHERE deleted_at IS NOT NULL AND deleted_at < ?', [date]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = UserRepository;
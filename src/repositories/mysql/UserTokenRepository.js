@@ -0,0 +1,51 @@
+// src/repositories/mysql/UserTokenRepository.js - single-use email verification and password reset tokens
+
+class UserTokenRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Store a token by its hash; returns the row ID
+  async create({ user_id, purpose, token_hash, email, expires_at }) {
+    const [result] = await this.db.execute(
+      'INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at) VALUES (?, ?, ?, ?, ?)',
+      [user_id, purpose, token_hash, email, expires_at]
+    );
+    return result.insertId;
+  }
+
+  // A token for this purpose that is neither used nor expired at `now`, or null
+  async findUsable(purpose, tokenHash, now) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM user_tokens
+       WHERE purpose = ? AND token_hash = ? AND used_at IS NULL AND expires_at > ?`,
+      [purpose, tokenHash, now]
+    );
+    return rows[0] || null;
+  }
+
+  // Mark the token used; false when it already was, so only one request can spend it
+  async consume(id, now) {
+    const [result] = await this.db.execute(
+      'UPDATE user_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [now, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Drop the user's unused tokens for a purpose (superseded by a new one, or no longer needed)
+  async revokeForUser(userId, purpose) {
+    const [result] = await this.db.execute(
+      'DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [userId, purpose]
+    );
+    return result.affectedRows;
+  }
+
+  async purgeExpired(now) {
+    const [result] = await this.db.execute('DELETE FROM user_tokens WHERE expires_at < ?', [now]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = UserTokenRepository;
@@ -0,0 +1,107 @@
+// src/repositories/mysql/WebhookDeliveryRepository.js - the persistent webhook delivery queue
+const crypto = require('crypto');
+
+// Query filter -> WHERE clause
+const DELIVERY_FILTERS = {
+  subscription_id: 'subscription_id = ?',
+  status: 'status = ?',
+  event: 'event = ?'
+};
+
+function fromRow(row) {
+  return { ...row, payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload };
+}
+
+class WebhookDeliveryRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async enqueue({ subscription_id, event, event_id, payload }) {
+    const [result] = await this.db.execute(
+      'INSERT INTO webhook_deliveries (subscription_id, event, event_id, payload) VALUES (?, ?, ?, ?)',
+      [subscription_id, event, event_id, JSON.stringify(payload)]
+    );
+    return result.insertId;
+  }
+
+  async findById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    return rows[0] ? fromRow(rows[0]) : null;
+  }
+
+  // Lease up to `limit` due deliveries to this worker, with the subscription's url and secret.
+  // A worker that dies mid-delivery loses its lease after leaseSeconds. Deliveries of an inactive
+  // subscription wait until it is active again.
+  async claimDue({ limit, leaseSeconds }) {
+    const token = crypto.randomUUID();
+
+    await this.db.query(
+      `UPDATE webhook_deliveries
+       SET claimed_by = ?, claimed_until = NOW(3) + INTERVAL ? SECOND
+       WHERE status = 'pending' AND next_attempt_at <= NOW(3)
+         AND (claimed_until IS NULL OR claimed_until < NOW(3))
+         AND subscription_id IN (SELECT id FROM webhook_subscriptions WHERE active = 1)
+       ORDER BY next_attempt_at
+       LIMIT ?`,
+      [token, leaseSeconds, limit]
+    );
+
+    const [rows] = await this.db.execute(
+      `SELECT d.*, s.url, s.secret
+       FROM webhook_deliveries d
+       INNER JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.claimed_by = ?
+       ORDER BY d.next_attempt_at`,
+      [token]
+    );
+    return rows.map(fromRow);
+  }
+
+  // Store the outcome of one attempt and release the lease
+  async recordAttempt(id, { status, attempts, next_attempt_at, response_status, last_error }) {
+    await this.db.execute(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = NOW(3),
+           response_status = ?, last_error = ?, claimed_by = NULL, claimed_until = NULL, updated_at = NOW(3)
+       WHERE id = ?`,
+      [status, attempts, next_attempt_at, response_status ?? null, last_error ?? null, id]
+    );
+  }
+
+  // Newest first
+  async list(filters, { limit, offset }) {
+    const clauses = [];
+    const params = [];
+
+    for (const [name, clause] of Object.entries(DELIVERY_FILTERS)) {
+      if (filters[name] !== undefined) {
+        clauses.push(clause);
+        params.push(filters[name]);
+      }
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await this.db.query(
+      `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [countRows] = await this.db.query(`SELECT COUNT(*) as total FROM webhook_deliveries ${where}`, params);
+
+    return { rows: rows.map(fromRow), total: countRows[0].total };
+  }
+
+  // Put a dead delivery back in the queue with a fresh set of attempts
+  async requeue(id) {
+    const [result] = await this.db.execute(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW(3), last_error = NULL, updated_at = NOW(3)
+       WHERE id = ? AND status = 'dead'`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = WebhookDeliveryRepository;
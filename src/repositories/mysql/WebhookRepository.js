@@ -0,0 +1,73 @@
+// src/repositories/mysql/WebhookRepository.js - webhook subscriptions
+
+const WEBHOOK_COLUMNS = ['url', 'events', 'secret', 'description', 'active'];
+
+function toColumnValue(column, value) {
+  if (column === 'events') {
+    return JSON.stringify(value);
+  }
+  if (column === 'active') {
+    return value ? 1 : 0;
+  }
+  return value ?? null;
+}
+
+// mysql2 parses JSON columns; MariaDB hands them back as strings
+function fromRow(row) {
+  return row ? { ...row, events: typeof row.events === 'string' ? JSON.parse(row.events) : row.events } : null;
+}
+
+class WebhookRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async list() {
+    const [rows] = await this.db.query('SELECT * FROM webhook_subscriptions ORDER BY id');
+    return rows.map(fromRow);
+  }
+
+  async findById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+    return fromRow(rows[0]);
+  }
+
+  // Active subscriptions that asked for this event (or for everything)
+  async findForEvent(event) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM webhook_subscriptions
+       WHERE active = 1 AND (JSON_CONTAINS(events, JSON_QUOTE(?)) OR JSON_CONTAINS(events, '"*"'))
+       ORDER BY id`,
+      [event]
+    );
+    return rows.map(fromRow);
+  }
+
+  async create(data) {
+    const [result] = await this.db.execute(
+      `INSERT INTO webhook_subscriptions (${WEBHOOK_COLUMNS.join(', ')}, created_by)
+       VALUES (${WEBHOOK_COLUMNS.map(() => '?').join(', ')}, ?)`,
+      [...WEBHOOK_COLUMNS.map(column => toColumnValue(column, data[column])), data.created_by ?? null]
+    );
+    return result.insertId;
+  }
+
+  async update(id, fields) {
+    const columns = WEBHOOK_COLUMNS.filter(column => fields[column] !== undefined);
+    const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = NOW()'];
+
+    const [result] = await this.db.execute(
+      `UPDATE webhook_subscriptions SET ${assignments.join(', ')} WHERE id = ?`,
+      [...columns.map(column => toColumnValue(column, fields[column])), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Deliveries go with it (ON DELETE CASCADE)
+  async delete(id) {
+    const [result] = await this.db.execute('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = WebhookRepository;
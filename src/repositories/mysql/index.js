@@ -0,0 +1,75 @@
+// src/repositories/mysql/index.js - repositories backed by mysql2
+const UserRepository = require('./UserRepository');
+const AccountRepository = require('./AccountRepository');
+const AddressRepository = require('./AddressRepository');
+const PreferencesRepository = require('./PreferencesRepository');
+const ProfileRepository = require('./ProfileRepository');
+const CredentialRepository = require('./CredentialRepository');
+const RevokedTokenRepository = require('./RevokedTokenRepository');
+const AuditLogRepository = require('./AuditLogRepository');
+const WebhookRepository = require('./WebhookRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
+const BulkJobRepository = require('./BulkJobRepository');
+const SearchTermRepository = require('./SearchTermRepository');
+const AnalyticsRepository = require('./AnalyticsRepository');
+const RateLimitRepository = require('./RateLimitRepository');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
+const UserTokenRepository = require('./UserTokenRepository');
+
+function buildRepositories(db) {
+  return {
+    users: new UserRepository(db),
+    accounts: new AccountRepository(db),
+    addresses: new AddressRepository(db),
+    preferences: new PreferencesRepository(db),
+    profiles: new ProfileRepository(db),
+    credentials: new CredentialRepository(db),
+    revokedTokens: new RevokedTokenRepository(db),
+    auditLog: new AuditLogRepository(db),
+    webhooks: new WebhookRepository(db),
+    webhookDeliveries: new WebhookDeliveryRepository(db),
+    bulkJobs: new BulkJobRepository(db),
+    searchTerms: new SearchTermRepository(db),
+    analytics: new AnalyticsRepository(db),
+    rateLimits: new RateLimitRepository(db),
+    idempotencyKeys: new IdempotencyKeyRepository(db),
+    userTokens: new UserTokenRepository(db)
+  };
+}
+
+// db is either a pool (getConnection per transaction) or a single connection
+function createMysqlRepositories(db) {
+  const repositories = buildRepositories(db);
+
+  // Run fn(repositories) on one connection inside BEGIN ... COMMIT/ROLLBACK
+  repositories.transaction = async (fn) => {
+    const connection = typeof db.getConnection === 'function' ? await db.getConnection() : db;
+
+    try {
+      await connection.beginTransaction();
+    } catch (error) {
+      // A connection that cannot BEGIN goes back to the pool all the same
+      if (connection !== db) {
+        connection.release();
+      }
+      throw error;
+    }
+
+    try {
+      const result = await fn(buildRepositories(connection));
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      if (connection !== db) {
+        connection.release();
+      }
+    }
+  };
+
+  return repositories;
+}
+
+module.exports = { createMysqlRepositories };
@@ -0,0 +1,100 @@
+// src/repositories/mysql/searchSql.js - the WHERE clause of a user search, shared by users and analytics
+const { SUB_RESOURCES } = require('../tables');
+const { RECORDS } = require('../../search/filters');
+
+// Table alias of each record a filter can name (see src/search/filters.js)
+const FILTER_ALIASES = {
+  user: 'u',
+  account: 'ua',
+  address: 'uad',
+  preferences: 'upf',
+  profile: 'upr'
+};
+
+const COMPARISON_SQL = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// `column` compared as the filter node says, with its values as placeholders
+function comparisonSql(column, node, params) {
+  switch (node.op) {
+    case 'null':
+      return `${column} IS ${node.value ? '' : 'NOT '}NULL`;
+    case 'in':
+    case 'nin':
+      params.push(...node.value);
+      return `${column} ${node.op === 'nin' ? 'NOT IN' : 'IN'} (${node.value.map(() => '?').join(', ')})`;
+    default:
+      params.push(node.value);
+      return `${column} ${COMPARISON_SQL[node.op]} ?`;
+  }
+}
+
+// A condition on a user's addresses holds when any one of them meets it; a user with none
+// counts as having a missing address, as the other records do
+function addressSql(node, params) {
+  const any = (condition) => `EXISTS (SELECT 1 FROM user_addresses uadx WHERE uadx.user_id = u.id${condition ? ` AND ${condition}` : ''})`;
+
+  if (node.column === null) {
+    return node.value ? `NOT ${any()}` : any();
+  }
+  if (node.op === 'null' && node.value) {
+    return `(${any(`uadx.${node.column} IS NULL`)} OR NOT ${any()})`;
+  }
+  return any(comparisonSql(`uadx.${node.column}`, node, params));
+}
+
+// A parsed filter (src/search/filters.js) as a parameterized condition.
+// Column names come from the whitelist, never from the request; values are always placeholders.
+function filterSql(node, params) {
+  if (node.and || node.or) {
+    const children = node.and || node.or;
+    if (children.length === 0) {
+      return node.and ? 'TRUE' : 'FALSE';
+    }
+    return `(${children.map(child => filterSql(child, params)).join(node.and ? ' AND ' : ' OR ')})`;
+  }
+
+  if (node.record === 'address') {
+    return addressSql(node, params);
+  }
+
+  const alias = FILTER_ALIASES[node.record];
+  // A missing related row shows up as NULLs from the LEFT JOIN
+  const column = node.column === null ? `${alias}.user_id` : `${alias}.${node.column}`;
+
+  return comparisonSql(column, node, params);
+}
+
+// LEFT JOIN of one related record to users u. Of a user's addresses only the primary one is
+// joined, so every user stays one row.
+function relatedJoin(record, alias) {
+  const { table } = SUB_RESOURCES[RECORDS[record]];
+  const primary = record === 'address' ? ` AND ${alias}.is_primary = 1` : '';
+  return `LEFT JOIN ${table} ${alias} ON u.id = ${alias}.user_id${primary}`;
+}
+
+// Every record a filter can name, joined to its user (one row each, so no user is counted twice)
+const SEARCH_JOINS = Object.entries(FILTER_ALIASES)
+  .filter(([record]) => record !== 'user')
+  .map(([record, alias]) => relatedJoin(record, alias))
+  .join('\n      ');
+
+// WHERE clause for users matching a search (users u plus SEARCH_JOINS). Trashed users are
+// left out unless filters.withDeleted is set.
+function searchWhere(filters) {
+  let where = filters.withDeleted ? 'WHERE TRUE' : 'WHERE u.deleted_at IS NULL';
+  const params = [];
+
+  // Users a free-text query matched (see src/search/query.js)
+  if (filters.ids) {
+    where += filters.ids.length > 0 ? ` AND u.id IN (${filters.ids.map(() => '?').join(', ')})` : ' AND FALSE';
+    params.push(...filters.ids);
+  }
+
+  if (filters.where) {
+    where += ` AND ${filterSql(filters.where, params)}`;
+  }
+
+  return { where, params };
+}
+
+module.exports = { FILTER_ALIASES, SEARCH_JOINS, relatedJoin, filterSql, searchWhere };
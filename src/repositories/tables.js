@@ -0,0 +1,78 @@
+// src/repositories/tables.js - column lists and defaults shared by every driver
+
+// Writable columns of the users table
+const USER_COLUMNS = ['username', 'email', 'first_name', 'last_name', 'phone', 'date_of_birth', 'gender'];
+
+// Related tables exposed as /users/:id/<resource>; one row per user, except addresses, of which
+// a user can have several (the singular /address is the primary one, see ADDRESS_BOOK_WRITES)
+const SUB_RESOURCES = {
+  accounts: {
+    table: 'user_accounts',
+    label: 'Account',
+    columns: ['status', 'role', 'subscription'],
+    defaults: { status: 'active', role: 'user', subscription: 'free' }
+  },
+  addresses: {
+    table: 'user_addresses',
+    label: 'Address',
+    columns: ['street', 'city', 'province', 'postal_code', 'country', 'country_code', 'type'],
+    defaults: { type: 'home' }
+  },
+  preferences: {
+    table: 'user_preferences',
+    label: 'Preferences',
+    columns: ['language', 'timezone', 'notify_email', 'notify_sms', 'notify_push'],
+    defaults: { language: 'en', timezone: 'Asia/Jakarta', notify_email: 1, notify_sms: 0, notify_push: 1 }
+  },
+  profiles: {
+    table: 'user_profiles',
+    label: 'Profile',
+    columns: ['avatar', 'bio', 'website', 'instagram', 'linkedin'],
+    defaults: {}
+  }
+};
+
+// TINYINT(1) columns: booleans are stored as 0/1
+const FLAG_COLUMNS = ['notify_email', 'notify_sms', 'notify_push'];
+
+// Address repository writes by address ID (/users/:id/addresses), on top of the create, update
+// and delete every related repository has; all of them take the user ID first
+const ADDRESS_BOOK_WRITES = ['add', 'updateById', 'deleteById'];
+
+const CREDENTIAL_COLUMNS = ['password_hash', 'failed_attempts', 'locked_until', 'last_login_at', 'password_changed_at'];
+
+// audit_log.entity for each audited repository
+const AUDIT_ENTITIES = {
+  users: 'user',
+  accounts: 'account',
+  addresses: 'address',
+  preferences: 'preferences',
+  profiles: 'profile'
+};
+
+// audit_log.action values; a soft delete is a "delete" whose `after` still has the row
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Columns GET /users can sort by (?sort) and return (?fields). Search adds the address columns it
+// filters on, and with ?q= each user's relevance score and highlights (computed, never stored).
+const USER_LISTING = {
+  sortable: ['id', 'username', 'email', 'first_name', 'last_name', 'date_of_birth', 'created_at', 'updated_at', 'status', 'role', 'subscription'],
+  fields: ['id', ...USER_COLUMNS, 'email_verified_at', 'created_at', 'updated_at', 'status', 'role', 'subscription']
+};
+
+const SEARCH_LISTING = {
+  sortable: [...USER_LISTING.sortable, 'city', 'province', 'score'],
+  fields: [...USER_LISTING.fields, 'city', 'province', 'score', 'highlights']
+};
+
+module.exports = {
+  USER_COLUMNS,
+  SUB_RESOURCES,
+  FLAG_COLUMNS,
+  ADDRESS_BOOK_WRITES,
+  CREDENTIAL_COLUMNS,
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  USER_LISTING,
+  SEARCH_LISTING
+};
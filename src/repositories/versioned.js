@@ -0,0 +1,39 @@
+// src/repositories/versioned.js - advance users.version on every write to a user or its related records
+//
+// The version is what the ETag of GET /users/:id and its sub-resources is made of, so a
+// change to the address has to invalidate the user's ETag as much as a change to its email.
+const { ADDRESS_BOOK_WRITES } = require('./tables');
+
+const SUB_REPOSITORIES = ['accounts', 'addresses', 'preferences', 'profiles'];
+
+function withVersions(base) {
+  const bump = (userId) => base.users.bumpVersion(userId);
+
+  // A bump after every write that changed something
+  const bumping = (repository, methods) => Object.assign(
+    Object.create(repository),
+    Object.fromEntries(methods.map(method => [method, async (userId, ...args) => {
+      const result = await repository[method](userId, ...args);
+      if (result !== false) {
+        await bump(userId);
+      }
+      return result;
+    }]))
+  );
+
+  const versioned = { ...base, users: bumping(base.users, ['update', 'markEmailVerified', 'restore']) };
+
+  // create() throws when it fails; update() and delete() resolve to false
+  for (const name of SUB_REPOSITORIES) {
+    versioned[name] = bumping(base[name], ['create', 'update', 'delete', ...(name === 'addresses' ? ADDRESS_BOOK_WRITES : [])]);
+  }
+
+  // Bumps made inside a transaction commit or roll back with it
+  if (base.transaction) {
+    versioned.transaction = (fn) => base.transaction(tx => fn(tx === base ? versioned : withVersions(tx)));
+  }
+
+  return versioned;
+}
+
+module.exports = { withVersions };
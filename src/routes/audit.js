@@ -0,0 +1,74 @@
+// src/routes/audit.js - change history of users and their related records
+const express = require('express');
+const { repositories } = require('../repositories');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mounted ahead of the users router, so each route authenticates itself
+// instead of router.use(authenticate) catching every /api request
+const adminOnly = [authenticate, requireAdmin];
+
+// A bare date as the upper bound includes that whole day
+function toBound(value, inclusiveDay) {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return inclusiveDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+function filtersOf(query) {
+  return {
+    entity: query.entity,
+    action: query.action,
+    actor_id: query.actor_id,
+    request_id: query.request_id,
+    from: toBound(query.from, false),
+    to: toBound(query.to, true)
+  };
+}
+
+async function listEntries(query, filters) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  const offset = (page - 1) * limit;
+
+  const { rows, total } = await repositories.auditLog.list(filters, { limit, offset });
+
+  return {
+    data: rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+// GET /api/audit - Audit entries across all users, newest first
+router.get('/audit', adminOnly, validate(schemas.auditQuery, 'query'), asyncHandler(async (req, res) => {
+  res.json(await listEntries(req.query, { ...filtersOf(req.query), user_id: req.query.user_id }));
+}));
+
+// GET /api/users/:id/history - Audit entries for one user, including trashed and purged users
+router.get('/users/:id/history', adminOnly, validate(schemas.historyQuery, 'query'), asyncHandler(async (req, res) => {
+  const userId = req.params.id;
+  const history = await listEntries(req.query, { ...filtersOf(req.query), user_id: userId });
+
+  if (history.pagination.total === 0 && !(await repositories.users.exists(userId))) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json(history);
+}));
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,225 @@
+// src/routes/auth.js
+const express = require('express');
+const { repositories } = require('../repositories');
+const authConfig = require('../config/auth');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { signToken } = require('../utils/tokens');
+const webhooks = require('../webhooks/dispatcher');
+const { PURPOSES, sendPasswordReset, redeemToken } = require('../auth/mailedTokens');
+const { logger } = require('../logging/logger');
+const router = express.Router();
+
+const { roles, blockedStatuses, maxFailedLogins, lockoutMinutes } = authConfig;
+
+function tokenResponse(userId) {
+  return {
+    token: signToken(userId),
+    token_type: 'Bearer',
+    expires_in: authConfig.jwtExpiresIn
+  };
+}
+
+// Remember a token's jti until it would have expired anyway
+async function revokeToken(payload) {
+  if (!payload.jti) {
+    return;
+  }
+
+  await repositories.revokedTokens.purgeExpired();
+  await repositories.revokedTokens.revoke(payload.jti, payload.sub, new Date(payload.exp * 1000));
+}
+
+// POST /api/auth/register - Create a user with a password and sign them in
+router.post('/register', validate(schemas.register), asyncHandler(async (req, res) => {
+  const { username, email, password, first_name, last_name } = req.body;
+
+  const passwordHash = await hashPassword(password);
+
+  const userId = await repositories.transaction(async (tx) => {
+    const id = await tx.users.create({ username, email, first_name, last_name });
+    await tx.accounts.create(id, { status: 'active', role: roles.USER, subscription: 'free' });
+    await tx.credentials.create(id, passwordHash);
+    return id;
+  });
+
+  await webhooks.emit('user.created', { user: await repositories.users.findById(userId) });
+
+  res.status(201).json({
+    message: 'User registered successfully',
+    data: { id: userId, username, email, first_name, last_name, role: roles.USER },
+    ...tokenResponse(userId)
+  });
+}));
+
+// POST /api/auth/login - Exchange username or email and password for a token
+router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+  const login = username || email;
+
+  const user = await repositories.users.findByLogin(login);
+  const credentials = user && await repositories.credentials.findByUserId(user.id);
+
+  if (!credentials) {
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  // The password is checked before the account's state, so only its owner learns that state
+  const lockedUntil = credentials.locked_until ? new Date(credentials.locked_until) : null;
+  const locked = lockedUntil && lockedUntil > new Date();
+
+  if (!(await verifyPassword(password, credentials.password_hash))) {
+    // Failures during a lockout neither count nor extend it
+    if (!locked) {
+      const failedAttempts = (credentials.failed_attempts || 0) + 1;
+
+      if (failedAttempts >= maxFailedLogins) {
+        await repositories.credentials.update(user.id, {
+          failed_attempts: 0,
+          locked_until: new Date(Date.now() + lockoutMinutes * 60 * 1000)
+        });
+      } else {
+        await repositories.credentials.update(user.id, { failed_attempts: failedAttempts });
+      }
+    }
+
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  const account = await repositories.accounts.findByUserId(user.id);
+  const status = account ? account.status : null;
+
+  if (blockedStatuses.includes(status)) {
+    return res.status(403).json({ error: `Account is ${status}` });
+  }
+
+  if (locked) {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+      error: 'Account temporarily locked after too many failed logins',
+      locked_until: lockedUntil
+    });
+  }
+
+  await repositories.credentials.update(user.id, {
+    failed_attempts: 0,
+    locked_until: null,
+    last_login_at: new Date()
+  });
+
+  res.json({
+    message: 'Login successful',
+    data: { id: user.id, username: user.username, email: user.email, role: (account && account.role) || roles.USER },
+    ...tokenResponse(user.id)
+  });
+}));
+
+// POST /api/auth/logout - Revoke the token used for this request
+router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+  await revokeToken(req.token);
+
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// POST /api/auth/change-password - Replace the password and invalidate older tokens
+router.post('/change-password', authenticate, validate(schemas.changePassword), asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const credentials = await repositories.credentials.findByUserId(req.user.id);
+
+  if (!credentials) {
+    return res.status(400).json({ error: 'No password is set for this account' });
+  }
+
+  if (!(await verifyPassword(current_password, credentials.password_hash))) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+
+  await repositories.credentials.update(req.user.id, {
+    password_hash: await hashPassword(new_password),
+    password_changed_at: new Date(),
+    failed_attempts: 0,
+    locked_until: null
+  });
+  await revokeToken(req.token);
+
+  res.json({
+    message: 'Password changed successfully',
+    ...tokenResponse(req.user.id)
+  });
+}));
+
+// The same answer whether or not the address belongs to anyone
+const RESET_REQUESTED = 'If an account uses that email address, a password reset link has been sent to it';
+
+// POST /api/auth/verify-email - Confirm the address a verification link was mailed to
+router.post('/verify-email', validate(schemas.verifyEmail), asyncHandler(async (req, res) => {
+  const token = await redeemToken(PURPOSES.VERIFY_EMAIL, req.body.token);
+  const verifiedAt = new Date();
+
+  // A link mailed to an address the user has since changed proves nothing about the new one
+  if (!token || !(await repositories.users.markEmailVerified(token.user_id, token.email, verifiedAt))) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+
+  res.json({
+    message: 'Email verified successfully',
+    data: { id: token.user_id, email: token.email, email_verified_at: verifiedAt }
+  });
+}));
+
+// POST /api/auth/forgot-password - Mail a password reset link to the user with this email address
+router.post('/forgot-password', validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  const user = await repositories.users.findByEmail(req.body.email);
+
+  // Answered before the mail goes out: waiting for it would tell the caller the address is in use
+  res.status(202).json({ message: RESET_REQUESTED });
+
+  if (user && !blockedStatuses.includes(user.status)) {
+    sendPasswordReset(user)
+      .catch(error => logger.error('Sending the password reset mail failed', { user_id: user.id, error: error.message }));
+  }
+}));
+
+// POST /api/auth/reset-password - Set a new password with the token of a reset link
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const { token, new_password } = req.body;
+
+  const redeemed = await redeemToken(PURPOSES.RESET_PASSWORD, token);
+  const user = redeemed && await repositories.users.findById(redeemed.user_id);
+
+  if (!user || user.email.toLowerCase() !== redeemed.email.toLowerCase()) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+
+  const passwordHash = await hashPassword(new_password);
+
+  // password_changed_at invalidates every token issued before; users created without a
+  // password get one. Having received the link also proves the address.
+  await repositories.transaction(async (tx) => {
+    const changed = await tx.credentials.update(user.id, {
+      password_hash: passwordHash,
+      password_changed_at: new Date(),
+      failed_attempts: 0,
+      locked_until: null
+    });
+    if (!changed) {
+      await tx.credentials.create(user.id, passwordHash);
+    }
+    await tx.userTokens.revokeForUser(user.id, PURPOSES.RESET_PASSWORD);
+    if (!user.email_verified_at) {
+      await tx.users.markEmailVerified(user.id, redeemed.email, new Date());
+    }
+  });
+
+  res.json({ message: 'Password reset successfully' });
+}));
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// src/routes/docs.js - OpenAPI document and interactive docs (no token required)
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { spec } = require('../docs/openapi');
+const router = express.Router();
+
+// GET /api/openapi.json - Import into n8n or client generators
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// GET /api/docs - Swagger UI over the same document
+router.use('/docs', swaggerUi.serve);
+router.get('/docs', swaggerUi.setup(spec, {
+  customSiteTitle: 'User Management API docs',
+  swaggerOptions: { persistAuthorization: true }
+}));
+
+module.exports = router;
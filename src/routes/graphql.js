@@ -0,0 +1,104 @@
+// src/routes/graphql.js - /api/graphql: users and their related records in one request
+//
+// POST a JSON body of { query, variables, operationName }; GET takes the same as query parameters
+// (variables as JSON) and runs queries only. A request that cannot run at all (no query, a syntax
+// error, a field that does not exist) answers 400 with { errors }; otherwise 200 with { data },
+// plus { errors } for the fields that failed.
+const express = require('express');
+const { parse, validate, execute, getOperationAST, GraphQLError } = require('graphql');
+const { repositories } = require('../repositories');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { schema } = require('../graphql/schema');
+const { createLoaders } = require('../graphql/loaders');
+const { logger } = require('../logging/logger');
+const router = express.Router();
+
+const requestError = (res, message) => res.status(400).json({ errors: [{ message }] });
+
+// Errors thrown by the resolvers on purpose keep their message; a duplicate key is a conflict,
+// as on the REST routes; anything else is logged and reported without its internals
+function formatError(error) {
+  const original = error.originalError;
+
+  if (original && original.code === 'ER_DUP_ENTRY') {
+    return { ...error.toJSON(), message: 'Duplicate entry. Username or email already exists.', extensions: { code: 'CONFLICT' } };
+  }
+  if (original && !(original instanceof GraphQLError)) {
+    logger.error('GraphQL resolver error', { path: error.path, error: original });
+    return { ...error.toJSON(), message: 'Internal server error', extensions: { code: 'INTERNAL_SERVER_ERROR' } };
+  }
+  return error.toJSON();
+}
+
+function readParams(req) {
+  if (req.method === 'POST') {
+    return req.body || {};
+  }
+
+  const { query, operationName } = req.query;
+  let { variables } = req.query;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      variables = null;
+    }
+  }
+  return { query, variables, operationName };
+}
+
+const handleGraphql = asyncHandler(async (req, res) => {
+  const { query, variables, operationName } = readParams(req);
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return requestError(res, 'A GraphQL query is required');
+  }
+  if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return requestError(res, 'variables must be a JSON object');
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return res.status(400).json({ errors: [error.toJSON()] });
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ errors: validationErrors.map(error => error.toJSON()) });
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return requestError(res, operationName ? `Unknown operation "${operationName}"` : 'Name the operation to run');
+  }
+  if (req.method === 'GET' && operation.operation !== 'query') {
+    res.set('Allow', 'POST');
+    return res.status(405).json({ errors: [{ message: `Run ${operation.operation}s with POST` }] });
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    operationName,
+    variableValues: variables,
+    contextValue: { user: req.user, repositories, loaders: createLoaders(repositories) }
+  });
+
+  // Variables that do not fit their types leave nothing to run
+  const body = { ...result, errors: result.errors && result.errors.map(formatError) };
+  res.status('data' in result ? 200 : 400).json(body);
+});
+
+// POST /api/graphql - Run a query or mutation
+router.post('/graphql', authenticate, handleGraphql);
+
+// GET /api/graphql - Run a query
+router.get('/graphql', authenticate, handleGraphql);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
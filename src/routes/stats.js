@@ -0,0 +1,138 @@
+// src/routes/stats.js - user analytics: totals, signup series, breakdowns and cohorts
+const express = require('express');
+const { repositories } = require('../repositories');
+const analyticsConfig = require('../config/analytics');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { searchFilter } = require('../search/filters');
+const { rankUsers } = require('../search/query');
+const { periodsBetween } = require('../analytics/dimensions');
+const { analyticsCache } = require('../analytics/cache');
+const stats = require('../analytics/stats');
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mounted ahead of the users router, so each route authenticates itself
+const adminOnly = [authenticate, requireAdmin];
+
+// How far back a series goes when ?from is not given
+const DEFAULT_SPANS = { day: 30, week: 12 * 7, month: 365 };
+
+// A bare date as the upper bound includes that whole day
+function toBound(value, inclusiveDay) {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return inclusiveDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+const invalid = (res, details) => res.status(422).json({ error: 'Validation failed', details });
+
+// The search filters and signup range of a stats request. With an interval, the range defaults
+// to the last DEFAULT_SPANS days and may not span more than analyticsConfig.maxPeriods periods.
+// Answers 422 and resolves to null when either is invalid.
+async function criteriaOf(req, res, interval) {
+  const { where, details } = searchFilter(req.query);
+  if (details.length > 0) {
+    invalid(res, details);
+    return null;
+  }
+
+  const range = { from: toBound(req.query.from, false), to: toBound(req.query.to, true) };
+  if (interval) {
+    range.to = range.to || new Date();
+    range.from = range.from || new Date(range.to.getTime() - DEFAULT_SPANS[interval] * DAY_MS);
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    invalid(res, [{ field: 'from', rule: 'range', message: 'must be before to' }]);
+    return null;
+  }
+  if (interval && !periodsBetween(range.from, range.to, interval, analyticsConfig.maxPeriods)) {
+    invalid(res, [{ field: 'from', rule: 'range', message: `the range may span at most ${analyticsConfig.maxPeriods} ${interval}s` }]);
+    return null;
+  }
+
+  const filters = { where };
+  if (req.query.q) {
+    filters.ids = (await rankUsers(repositories, req.query.q, { limit: Infinity })).map(match => match.user_id);
+  }
+  return { filters, range };
+}
+
+// Serve the body compute() builds from the cache while it is fresh; X-Cache says which it was
+async function sendCached(req, res, compute) {
+  const { value, hit, expiresAt } = await analyticsCache.wrap(req.originalUrl, async () => ({
+    ...(await compute()),
+    generated_at: new Date().toISOString()
+  }));
+
+  res.set({
+    'X-Cache': hit ? 'HIT' : 'MISS',
+    'Cache-Control': `private, max-age=${Math.max(0, Math.round((expiresAt - Date.now()) / 1000))}`
+  });
+  res.json(value);
+}
+
+const rangeOf = ({ from, to }) => ({ from: from ? from.toISOString() : null, to: to ? to.toISOString() : null });
+
+// GET /api/stats/users - Totals by role, subscription and gender
+router.get('/stats/users', adminOnly, validate(schemas.statsQuery, 'query'), asyncHandler(async (req, res) => {
+  const criteria = await criteriaOf(req, res);
+  if (!criteria) {
+    return;
+  }
+
+  await sendCached(req, res, () => stats.summary(repositories, criteria.filters, criteria.range));
+}));
+
+// GET /api/stats/users/signups - Signups per day, week or month, split by the current status of each cohort
+router.get('/stats/users/signups', adminOnly, validate(schemas.statsSeriesQuery, 'query'), asyncHandler(async (req, res) => {
+  const interval = req.query.interval || 'day';
+  const criteria = await criteriaOf(req, res, interval);
+  if (!criteria) {
+    return;
+  }
+
+  await sendCached(req, res, async () => ({
+    interval,
+    ...rangeOf(criteria.range),
+    data: await stats.signupSeries(repositories, criteria.filters, { interval, ...criteria.range })
+  }));
+}));
+
+// GET /api/stats/users/breakdown?by= - Users per city, province, country, language, age band, ...
+router.get('/stats/users/breakdown', adminOnly, validate(schemas.statsBreakdownQuery, 'query'), asyncHandler(async (req, res) => {
+  const criteria = await criteriaOf(req, res);
+  if (!criteria) {
+    return;
+  }
+
+  await sendCached(req, res, async () => {
+    const data = await stats.breakdown(repositories, criteria.filters, criteria.range, req.query.by);
+    return { by: req.query.by, total: data.reduce((total, row) => total + row.count, 0), data };
+  });
+}));
+
+// GET /api/stats/users/cohorts - Signup cohorts per subscription and how many are still active
+router.get('/stats/users/cohorts', adminOnly, validate(schemas.statsSeriesQuery, 'query'), asyncHandler(async (req, res) => {
+  const interval = req.query.interval || 'month';
+  const criteria = await criteriaOf(req, res, interval);
+  if (!criteria) {
+    return;
+  }
+
+  await sendCached(req, res, async () => ({
+    interval,
+    ...rangeOf(criteria.range),
+    data: await stats.cohortRetention(repositories, criteria.filters, { interval, ...criteria.range })
+  }));
+}));
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -1,25 +1,56 @@
 // src/routes/users.js
 const express = require('express');
-const { pool } = require('../config/database');
+const { repositories } = require('../repositories');
+const authConfig = require('../config/auth');
+const storageConfig = require('../config/storage');
+const { USER_LISTING, SEARCH_LISTING } = require('../repositories/tables');
+const { authenticate, requireAdmin, requireSelfOrAdmin } = require('../middleware/auth');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { notModified, writeIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const { paginate, pageQuery, pageResponse, selectFields } = require('../middleware/pagination');
+const schemas = require('../validation/schemas');
+const webhooks = require('../webhooks/dispatcher');
+const { emitAccountChanges, emitUserChanges } = require('../webhooks/userEvents');
+const ioConfig = require('../config/io');
+const { readCsv, readNdjson, csvLine } = require('../io/formats');
+const {
+  EXPORT_COLUMNS,
+  IMPORT_COLUMNS,
+  toUserBody,
+  toFlatValues,
+  toNestedRecord,
+  createUserRecords,
+  findUserRecords,
+  updateUserRecords,
+  changesAccount
+} = require('../io/userRecords');
+const { importUsers } = require('../io/importUsers');
+const uploadsConfig = require('../config/uploads');
+const { storage } = require('../storage');
+const { imageTypeOf, avatarKey, avatarUrl, storedAvatarKey, readAvatar } = require('../uploads/avatars');
+const bulkConfig = require('../config/bulk');
+const { ERROR_STATUSES: BULK_STATUSES, prepare: prepareBulk, runBulk } = require('../bulk/runBulk');
+const { queueBulkJob } = require('../bulk/jobs');
+const { rankUsers } = require('../search/query');
+const { defaultSearchSort, searchUsers } = require('../search/searchUsers');
+const { sendVerificationEmail } = require('../auth/mailedTokens');
+const { searchFilter } = require('../search/filters');
+const { logger } = require('../logging/logger');
 const router = express.Router();
-const crypto = require('crypto');
 
-// Function untuk generate random ID
-function generateRandomId() {
-  return Date.now() * 1000 + Math.floor(Math.random() * 1000);
-}
+// ?permanent=true on a DELETE skips the trash
+const isPermanent = (req) => req.query.permanent === 'true';
 
-// Function untuk check apakah ID sudah ada
-async function isIdExists(connection, id) {
-  const [existing] = await connection.execute('SELECT id FROM users WHERE id = ?', [id]);
-  return existing.length > 0;
+async function emitPreferencesUpdated(userId, changedFields) {
+  await webhooks.emit('preferences.updated', {
+    user_id: Number(userId),
+    preferences: await repositories.preferences.findByUserId(userId),
+    changed_fields: changedFields
+  });
 }
 
-// Middleware for error handling
-const asyncHandler = (fn) => (req, res, next) => {
-  Promise.resolve(fn(req, res, next)).catch(next);
-};
-
 // =============================================================================
 // DEBUG ENDPOINTS (for troubleshooting)
 // =============================================================================
@@ -29,15 +60,44 @@ router.get('/test', (req, res) => {
   res.json({ message: 'API is working!' });
 });
 
+// GET /api/users/:id/avatar - The uploaded avatar. Public, so it works as an <img src>; the URL
+// in user_profiles.avatar changes with every upload, so it may be cached for long.
+router.get('/users/:id/avatar', asyncHandler(async (req, res) => {
+  const userId = req.params.id;
+  const profile = (await repositories.users.findById(userId)) && await repositories.profiles.findByUserId(userId);
+  const key = profile && storedAvatarKey(userId, profile.avatar);
+  const data = key && await storage.get(key);
+  
+  if (!data) {
+    return res.status(404).json({ error: 'Avatar not found' });
+  }
+  
+  res.set({
+    'Content-Type': imageTypeOf(data),
+    'Cache-Control': `public, max-age=${uploadsConfig.avatarCacheSeconds}`,
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    ETag: `"${key.split('/').pop()}"`
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  res.send(data);
+}));
+
+// Everything below requires a valid bearer token
+router.use(authenticate);
+
 // Debug database connection
-router.get('/debug/db-test', asyncHandler(async (req, res) => {
+router.get('/debug/db-test', requireAdmin, asyncHandler(async (req, res) => {
   try {
-    const [result] = await pool.execute('SELECT COUNT(*) as count FROM users');
-    const [sampleUsers] = await pool.execute('SELECT id, username, email, first_name FROM users LIMIT 3');
+    const totalUsers = await repositories.users.count();
+    const sampleUsers = await repositories.users.sample(3);
     
     res.json({
       database_connected: true,
-      total_users: result[0].count,
+      driver: repositories.driver,
+      total_users: totalUsers,
       sample_users: sampleUsers,
       message: "Database connection OK"
     });
@@ -54,129 +114,87 @@ router.get('/debug/db-test', asyncHandler(async (req, res) => {
 // SEARCH ENDPOINTS (MUST BE BEFORE /users/:id)
 // =============================================================================
 
-// GET /api/users/search - Search users by various criteria
-router.get('/users/search', asyncHandler(async (req, res) => {
-  console.log('Search endpoint called with query:', req.query);
-  
-  const { q, status, role, subscription, city, province } = req.query;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const offset = (page - 1) * limit;
+// The criteria of a search: the query string for GET, the JSON body for POST
+const searchCriteria = (req) => (req.method === 'POST' ? req.body : req.query);
+
+const searchListing = paginate({
+  ...SEARCH_LISTING,
+  defaultSort: (req) => defaultSearchSort(searchCriteria(req))
+});
+
+// POST /users/search may page through the body as well; paginate() reads the query string
+function pagingFromBody(req, res, next) {
+  for (const name of ['limit', 'page', 'cursor', 'sort', 'fields']) {
+    if (req.body[name] !== undefined) {
+      req.query[name] = [].concat(req.body[name]).join(',');
+    }
+  }
+  next();
+}
+
+// Criteria and ranking are described in src/search/searchUsers.js
+async function searchUsersHandler(req, res) {
+  const criteria = searchCriteria(req);
+  logger.debug('User search', { criteria });
   
   try {
-    // Build the main query
-    let query = `
-      SELECT u.*, ua.status, ua.role, ua.subscription, uad.city, uad.province 
-      FROM users u 
-      LEFT JOIN user_accounts ua ON u.id = ua.user_id 
-      LEFT JOIN user_addresses uad ON u.id = uad.user_id 
-      WHERE 1=1
-    `;
-    const params = [];
-    
-    if (q) {
-      query += ` AND (u.username LIKE ? OR u.email LIKE ? OR u.first_name LIKE ? OR u.last_name LIKE ?)`;
-      const searchTerm = `%${q}%`;
-      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-    }
-    
-    if (status) {
-      query += ` AND ua.status = ?`;
-      params.push(status);
-    }
-    
-    if (role) {
-      query += ` AND ua.role = ?`;
-      params.push(role);
-    }
-    
-    if (subscription) {
-      query += ` AND ua.subscription = ?`;
-      params.push(subscription);
+    const { rows, pagination, total, details } = await searchUsers(repositories, criteria, req.page);
+    if (details) {
+      return res.status(422).json({ error: 'Validation failed', details });
     }
+    const data = rows.map(row => selectFields(row, req.page.fields));
     
-    if (city) {
-      query += ` AND uad.city = ?`;
-      params.push(city);
-    }
-    
-    if (province) {
-      query += ` AND uad.province = ?`;
-      params.push(province);
-    }
-    
-    // Get total count for proper pagination
-    let countQuery = query.replace(/SELECT u\.\*, ua\.status, ua\.role, ua\.subscription, uad\.city, uad\.province/, 'SELECT COUNT(DISTINCT u.id) as total');
-    const countParams = [...params]; // Copy params for count query
-    
-    const [totalResult] = await pool.execute(countQuery, countParams);
-    const total = totalResult[0].total;
-    
-    // Add pagination to main query
-    query += ` ORDER BY u.created_at DESC LIMIT ? OFFSET ?`;
-    params.push(limit, offset);
-    
-    console.log('Executing query:', query);
-    console.log('With params:', params);
-    
-    const [users] = await pool.execute(query, params);
-    
-    console.log('Found users:', users.length);
+    logger.debug('User search results', { count: data.length, total });
     
     res.json({
-      data: users,
-      pagination: {
-        page,
-        limit,
-        total: total,
-        totalPages: Math.ceil(total / limit)
-      },
+      data,
+      pagination,
       debug: {
-        query_params: req.query,
-        total_found: users.length,
+        query_params: criteria,
+        total_found: data.length,
         total_in_db: total
       }
     });
     
   } catch (error) {
-    console.error('Search endpoint error:', error);
+    logger.error('User search failed', { criteria, error });
     res.status(500).json({
       error: 'Search failed',
       message: error.message,
-      debug: req.query
+      debug: criteria
     });
   }
-}));
+}
+
+// GET /api/users/search - Search users by various criteria
+router.get('/users/search', requireAdmin, validate(schemas.searchQuery, 'query'), searchListing, asyncHandler(searchUsersHandler));
+
+// POST /api/users/search - The same search with the criteria in a JSON body, for filters too big for a URL
+router.post('/users/search', requireAdmin, validate(schemas.searchRequest), pagingFromBody, searchListing, asyncHandler(searchUsersHandler));
 
 // GET /api/users/search/email/:email - Search user by email
-router.get('/users/search/email/:email', asyncHandler(async (req, res) => {
+router.get('/users/search/email/:email', requireAdmin, asyncHandler(async (req, res) => {
   const email = req.params.email;
-  console.log('Email search for:', email);
+  logger.debug('User search by email', { email });
   
   try {
-    const [users] = await pool.execute(
-      `SELECT u.*, ua.status, ua.role, ua.subscription 
-       FROM users u 
-       LEFT JOIN user_accounts ua ON u.id = ua.user_id 
-       WHERE u.email = ?`,
-      [email]
-    );
+    const user = await repositories.users.findByEmail(email);
     
-    if (users.length === 0) {
+    if (!user) {
       // Get some sample emails for debugging
-      const [sampleEmails] = await pool.execute('SELECT email FROM users LIMIT 5');
+      const sampleEmails = await repositories.users.sampleEmails(5);
       
       return res.status(404).json({ 
         error: 'User not found',
         searched_email: email,
-        available_emails: sampleEmails.map(u => u.email),
+        available_emails: sampleEmails,
         suggestion: 'Try one of the available emails above'
       });
     }
     
-    res.json(users[0]);
+    res.json(user);
   } catch (error) {
-    console.error('Email search error:', error);
+    logger.error('User search by email failed', { error });
     res.status(500).json({
       error: 'Email search failed',
       message: error.message
@@ -185,114 +203,276 @@ router.get('/users/search/email/:email', asyncHandler(async (req, res) => {
 }));
 
 // =============================================================================
-// STATISTICS ENDPOINTS (before other /users routes)
+// BULK OPERATIONS (before other /users routes)
 // =============================================================================
 
-// GET /api/stats/users - Get user statistics
-router.get('/stats/users', asyncHandler(async (req, res) => {
-  try {
-    const [totalUsers] = await pool.execute('SELECT COUNT(*) as total FROM users');
-    const [activeUsers] = await pool.execute('SELECT COUNT(*) as active FROM user_accounts WHERE status = "active"');
-    const [usersByRole] = await pool.execute('SELECT role, COUNT(*) as count FROM user_accounts GROUP BY role');
-    const [usersBySubscription] = await pool.execute('SELECT subscription, COUNT(*) as count FROM user_accounts GROUP BY subscription');
-    const [usersByGender] = await pool.execute('SELECT gender, COUNT(*) as count FROM users WHERE gender IS NOT NULL GROUP BY gender');
-    
-    res.json({
-      total_users: totalUsers[0].total,
-      active_users: activeUsers[0].active,
-      by_role: usersByRole,
-      by_subscription: usersBySubscription,
-      by_gender: usersByGender
+const BULK_VERBS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// The body of a finished bulk request. Everything applied: 200 (201 for creates).
+// A partial batch with failures: 207. An atomic batch takes the status of its first failure.
+function sendBulkResults(res, { operation, list, mode, outcome, extra = {} }) {
+  const { results, summary } = outcome;
+  const body = { mode, summary, results, ...extra };
+
+  if (summary.failed === 0) {
+    return res.status(operation === 'create' ? 201 : 200).json({
+      message: `${summary.succeeded} users ${BULK_VERBS[operation]} successfully`,
+      ...body
     });
-  } catch (error) {
-    console.error('Stats endpoint error:', error);
-    res.status(500).json({
-      error: 'Stats failed',
-      message: error.message
+  }
+
+  if (mode === 'partial') {
+    return res.status(207).json({
+      message: `${summary.succeeded} of ${summary.total} users ${BULK_VERBS[operation]}, ${summary.failed} failed`,
+      ...body
     });
   }
+
+  const failed = results.filter(result => result.status === 'failed');
+  const first = failed[0];
+
+  if (first.code === 'validation') {
+    const details = failed.flatMap(result => result.details.map(detail => ({
+      ...detail,
+      field: detail.field === '(body)' ? `${list}[${result.index}]` : `${list}[${result.index}].${detail.field}`
+    })));
+    return res.status(422).json({ error: 'Validation failed', details, ...body });
+  }
+
+  res.status(BULK_STATUSES[first.code] || 400).json({ error: first.error, ...body });
+}
+
+// Small batches run inline; larger ones become a job polled on GET /users/bulk/jobs/:jobId.
+// An atomic batch with an invalid item is refused right away whatever its size.
+function bulkHandler(operation, { list, options = () => ({}), extra }) {
+  return asyncHandler(async (req, res) => {
+    const items = req.body[list];
+    const mode = req.body.mode || 'atomic';
+    const results = prepareBulk(operation, items);
+    const invalid = results.some(result => result.status === 'failed');
+
+    if (items.length > bulkConfig.jobThreshold && !(mode === 'atomic' && invalid)) {
+      const job = await queueBulkJob(operation, items, {
+        mode,
+        options: options(req),
+        results,
+        repositories,
+        createdBy: req.user.id
+      });
+
+      return res.status(202)
+        .location(`${req.baseUrl}/users/bulk/jobs/${job.id}`)
+        .json({ message: `Bulk ${operation} of ${items.length} users queued`, job });
+    }
+
+    const outcome = await runBulk(operation, items, { mode, options: options(req), results, repositories });
+    sendBulkResults(res, { operation, list, mode, outcome, extra: extra ? extra(req, outcome) : {} });
+  });
+}
+
+// POST /api/users/bulk - Create multiple users (an Idempotency-Key makes retries safe)
+router.post('/users/bulk', requireAdmin, validate(schemas.bulkCreateRequest), idempotent, bulkHandler('create', {
+  list: 'users',
+  // The created users, as this endpoint has always answered
+  extra: (req, { results }) => ({
+    data: results
+      .filter(result => result.status === 'created')
+      .map(({ index, id }) => {
+        const { username, email, first_name, last_name } = req.body.users[index];
+        return { id, username, email, first_name, last_name };
+      })
+  })
+}));
+
+// PATCH /api/users/bulk - Change user and/or account columns of multiple users
+router.patch('/users/bulk', requireAdmin, validate(schemas.bulkUpdateRequest), bulkHandler('update', {
+  list: 'users'
+}));
+
+// DELETE /api/users/bulk - Move multiple users to the trash (?permanent=true purges them)
+router.delete('/users/bulk', requireAdmin, validate(schemas.bulkDelete), bulkHandler('delete', {
+  list: 'userIds',
+  options: (req) => ({ permanent: isPermanent(req) }),
+  extra: (req, { summary }) => ({ deleted_count: summary.succeeded, permanent: isPermanent(req) })
+}));
+
+// GET /api/users/bulk/jobs/:jobId - Progress of a background bulk job, with its results once finished
+router.get('/users/bulk/jobs/:jobId', requireAdmin, asyncHandler(async (req, res) => {
+  const job = await repositories.bulkJobs.findById(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Bulk job not found' });
+  }
+  
+  res.json(job);
 }));
 
 // =============================================================================
-// BULK OPERATIONS (before other /users routes)
+// IMPORT / EXPORT (before other /users routes)
 // =============================================================================
 
-// POST /api/users/bulk - Create multiple users
-router.post('/users/bulk', asyncHandler(async (req, res) => {
-  const { users } = req.body;
+// Upload format from ?format=, falling back to the Content-Type
+function importFormat(req) {
+  if (req.query.format) {
+    return req.query.format;
+  }
+  if (req.is('text/csv')) {
+    return 'csv';
+  }
+  if (req.is('application/x-ndjson') || req.is('application/ndjson')) {
+    return 'ndjson';
+  }
+  return null;
+}
+
+// Rows of the upload as POST /users bodies
+async function* importRows(req, format) {
+  if (format === 'csv') {
+    const checkHeader = (header) => {
+      const unknown = header.filter(column => !IMPORT_COLUMNS.includes(column));
+      if (unknown.length > 0) {
+        throw Object.assign(new Error('Unknown CSV columns'), { status: 422, unknown });
+      }
+    };
+    for await (const row of readCsv(req, { checkHeader })) {
+      yield toUserBody(row, { fromCsv: true });
+    }
+    return;
+  }
+
+  for await (const row of readNdjson(req)) {
+    if (row instanceof Error) {
+      yield row;
+    } else if (row !== null && typeof row === 'object' && !Array.isArray(row)) {
+      yield toUserBody(row);
+    } else {
+      yield new Error('Each line must be a JSON object');
+    }
+  }
+}
+
+// POST /api/users/import - Create users with related records from a CSV or NDJSON upload
+router.post('/users/import', requireAdmin, validate(schemas.importQuery, 'query'), asyncHandler(async (req, res) => {
+  const format = importFormat(req);
   
-  if (!Array.isArray(users) || users.length === 0) {
-    return res.status(400).json({ error: 'Users array is required' });
+  if (!['csv', 'ndjson'].includes(format)) {
+    return res.status(415).json({
+      error: 'Upload CSV (text/csv) or NDJSON (application/x-ndjson), or pass ?format=csv|ndjson',
+      allowed: ['csv', 'ndjson']
+    });
+  }
+  
+  try {
+    const report = await importUsers(importRows(req, format), {
+      repositories,
+      dryRun: req.query.dry_run === 'true'
+    });
+    
+    res.json(report);
+  } catch (error) {
+    if (error.status === 422) {
+      return res.status(422).json({ error: error.message, unknown_columns: error.unknown, allowed: IMPORT_COLUMNS });
+    }
+    if (error.code && error.code.startsWith('CSV_')) {
+      return res.status(400).json({ error: 'Malformed CSV', message: error.message });
+    }
+    throw error;
+  }
+}));
+
+// GET /api/users/export - Stream users matching the /users/search filters as CSV or NDJSON
+router.get('/users/export', requireAdmin, validate(schemas.exportQuery, 'query'), asyncHandler(async (req, res) => {
+  const { format = 'csv', q } = req.query;
+  const { where, details } = searchFilter(req.query);
+  if (details.length > 0) {
+    return res.status(422).json({ error: 'Validation failed', details });
+  }
+  const filters = { where };
+  if (q) {
+    filters.ids = (await rankUsers(repositories, q, { limit: Infinity })).map(match => match.user_id);
   }
+  const csv = format === 'csv';
+  const date = new Date().toISOString().slice(0, 10);
   
-  const connection = await pool.getConnection();
-  await connection.beginTransaction();
+  res.set({
+    'Content-Type': csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="users-${date}.${format}"`
+  });
+  
+  // Write, waiting for the client to catch up when the socket buffer is full
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await new Promise(resolve => res.once('drain', resolve));
+    }
+  };
   
   try {
-    const createdUsers = [];
+    if (csv) {
+      await write(csvLine(EXPORT_COLUMNS));
+    }
     
-    for (const userData of users) {
-      const { username, email, first_name, last_name } = userData;
+    // Page by id so only one batch is ever in memory
+    let afterId = 0;
+    while (!res.destroyed) {
+      const batch = await repositories.users.exportBatch(filters, { afterId, limit: ioConfig.exportBatchSize });
       
-      if (!username || !email) {
-        throw new Error(`Username and email are required for user: ${JSON.stringify(userData)}`);
+      for (const record of batch) {
+        await write(csv ? csvLine(toFlatValues(record)) : `${JSON.stringify(toNestedRecord(record))}\n`);
       }
       
-      // Generate unique random ID
-      let userId;
-      let attempts = 0;
-      const maxAttempts = 10;
-      
-      do {
-        userId = generateRandomId();
-        attempts++;
-        
-        if (attempts > maxAttempts) {
-          throw new Error('Failed to generate unique ID after multiple attempts');
-        }
-      } while (await isIdExists(connection, userId));
-      
-      // Insert user
-      await connection.execute(
-        `INSERT INTO users (id, username, email, first_name, last_name, created_at, updated_at) 
-         VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
-        [userId, username, email, first_name, last_name]
-      );
-      
-      createdUsers.push({ id: userId, username, email, first_name, last_name });
+      if (batch.length < ioConfig.exportBatchSize) {
+        break;
+      }
+      afterId = batch[batch.length - 1].id;
     }
     
-    await connection.commit();
-    res.status(201).json({ 
-      message: `${createdUsers.length} users created successfully`, 
-      data: createdUsers 
-    });
-    
+    res.end();
   } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
+    // Headers are gone by now; cutting the connection tells the client the file is incomplete
+    logger.error('User export failed', { error });
+    res.destroy(error);
   }
 }));
 
-// DELETE /api/users/bulk - Delete multiple users
-router.delete('/users/bulk', asyncHandler(async (req, res) => {
-  const { userIds } = req.body;
+// =============================================================================
+// TRASH (soft-deleted users, before other /users routes)
+// =============================================================================
+
+// GET /api/users/trash - List soft-deleted users
+router.get('/users/trash', requireAdmin, asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+  const offset = (page - 1) * limit;
   
-  if (!Array.isArray(userIds) || userIds.length === 0) {
-    return res.status(400).json({ error: 'UserIds array is required' });
+  const users = await repositories.users.listDeleted({ limit, offset });
+  const total = await repositories.users.countDeleted();
+  
+  res.json({
+    data: users,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    },
+    retention_days: storageConfig.trashRetentionDays
+  });
+}));
+
+// POST /api/users/:id/restore - Bring a user back from the trash
+router.post('/users/:id/restore', requireAdmin, asyncHandler(async (req, res) => {
+  const restored = await repositories.users.restore(req.params.id);
+  
+  if (!restored) {
+    return res.status(404).json({ error: 'User not found in trash' });
   }
   
-  const placeholders = userIds.map(() => '?').join(',');
-  const [result] = await pool.execute(
-    `DELETE FROM users WHERE id IN (${placeholders})`, 
-    userIds
-  );
+  const user = await repositories.users.findById(req.params.id);
+  await webhooks.emit('user.restored', { user });
   
   res.json({ 
-    message: `${result.affectedRows} users deleted successfully`,
-    deleted_count: result.affectedRows
+    message: 'User restored successfully',
+    data: user
   });
 }));
 
@@ -300,37 +480,17 @@ router.delete('/users/bulk', asyncHandler(async (req, res) => {
 // MAIN USER CRUD ENDPOINTS
 // =============================================================================
 
-// QUICK FIX: Replace your existing GET /users endpoint with this
-router.get('/users', asyncHandler(async (req, res) => {
-  const page = Math.max(1, parseInt(req.query.page) || 1);
-  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
-  const offset = (page - 1) * limit;
-  
-  console.log('Pagination params:', { page, limit, offset });
+// GET /api/users - List users one page at a time (see src/middleware/pagination.js)
+router.get('/users', requireAdmin, paginate(USER_LISTING), asyncHandler(async (req, res) => {
+  logger.debug('User listing', { page: req.page });
   
   try {
-    // CHANGED: Use pool.query() instead of pool.execute()
-    const [users] = await pool.query(
-      `SELECT u.*, ua.status, ua.role, ua.subscription 
-       FROM users u 
-       LEFT JOIN user_accounts ua ON u.id = ua.user_id 
-       ORDER BY u.created_at DESC
-       LIMIT ${limit} OFFSET ${offset}`
-    );
+    const users = await repositories.users.list(pageQuery(req.page));
+    const total = await repositories.users.count();
     
-    const [totalCount] = await pool.query('SELECT COUNT(*) as count FROM users');
-    
-    res.json({
-      data: users,
-      pagination: {
-        page,
-        limit,
-        total: totalCount[0].count,
-        totalPages: Math.ceil(totalCount[0].count / limit)
-      }
-    });
+    res.json(pageResponse(users, req.page, total));
   } catch (error) {
-    console.error('Get users error:', error);
+    logger.error('Listing users failed', { error });
     res.status(500).json({
       error: 'Failed to get users',
       message: error.message
@@ -338,117 +498,37 @@ router.get('/users', asyncHandler(async (req, res) => {
   }
 }));
 
-// POST /api/users - Create new user
-router.post('/users', asyncHandler(async (req, res) => {
-  const {
-    username, email, first_name, last_name, phone, date_of_birth, gender,
-    account, address, preferences, profile
-  } = req.body;
-  
-  // Validate required fields
-  if (!username || !email) {
-    return res.status(400).json({ error: 'Username and email are required' });
-  }
-  
-  const connection = await pool.getConnection();
-  await connection.beginTransaction();
-  
-  try {
-    // Generate unique random ID
-    let userId;
-    let attempts = 0;
-    const maxAttempts = 10;
-    
-    do {
-      userId = generateRandomId();
-      attempts++;
-      
-      if (attempts > maxAttempts) {
-        throw new Error('Failed to generate unique ID after multiple attempts');
-      }
-    } while (await isIdExists(connection, userId));
-    
-    // Insert user
-    await connection.execute(
-      `INSERT INTO users (id, username, email, first_name, last_name, phone, date_of_birth, gender, created_at, updated_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [userId, username, email, first_name, last_name, phone, date_of_birth, gender]
-    );
-    
-    // Insert related data if provided
-    if (account) {
-      await connection.execute(
-        'INSERT INTO user_accounts (user_id, status, role, subscription) VALUES (?, ?, ?, ?)',
-        [userId, account.status || 'active', account.role || 'user', account.subscription || 'free']
-      );
-    }
-    
-    if (address) {
-      await connection.execute(
-        'INSERT INTO user_addresses (user_id, street, city, province, postal_code, country) VALUES (?, ?, ?, ?, ?, ?)',
-        [userId, address.street, address.city, address.province, address.postal_code, address.country]
-      );
-    }
-    
-    if (preferences) {
-      await connection.execute(
-        'INSERT INTO user_preferences (user_id, language, timezone, notify_email, notify_sms, notify_push) VALUES (?, ?, ?, ?, ?, ?)',
-        [userId, preferences.language || 'en', preferences.timezone || 'Asia/Jakarta', 
-         preferences.notify_email || 1, preferences.notify_sms || 0, preferences.notify_push || 1]
-      );
-    }
-    
-    if (profile) {
-      await connection.execute(
-        'INSERT INTO user_profiles (user_id, avatar, bio, website, instagram, linkedin) VALUES (?, ?, ?, ?, ?, ?)',
-        [userId, profile.avatar, profile.bio, profile.website, profile.instagram, profile.linkedin]
-      );
-    }
-    
-    await connection.commit();
-    
-    // Return created user
-    const [newUser] = await pool.execute('SELECT * FROM users WHERE id = ?', [userId]);
-    res.status(201).json({ 
-      message: 'User created successfully', 
-      data: newUser[0], 
-      generated_id: userId 
-    });
-    
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
+// POST /api/users - Create new user (an Idempotency-Key makes retries safe)
+router.post('/users', requireAdmin, validate(schemas.userCreate), idempotent, asyncHandler(async (req, res) => {
+  // User plus any related records, all or nothing
+  const userId = await repositories.transaction(tx => createUserRecords(tx, req.body));
+  
+  // Return created user
+  const newUser = await repositories.users.findById(userId);
+  await webhooks.emit('user.created', { user: newUser });
+  res.status(201).json({ 
+    message: 'User created successfully', 
+    data: newUser, 
+    generated_id: userId 
+  });
 }));
 
 // GET /api/users/:id - Get user by ID (MUST be after search routes)
-router.get('/users/:id', asyncHandler(async (req, res) => {
+router.get('/users/:id', requireSelfOrAdmin, asyncHandler(async (req, res) => {
   const userId = req.params.id;
   
   try {
-    const [users] = await pool.execute('SELECT * FROM users WHERE id = ?', [userId]);
-    if (users.length === 0) {
+    const userData = await findUserRecords(repositories, userId);
+    if (!userData) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    const [accounts] = await pool.execute('SELECT * FROM user_accounts WHERE user_id = ?', [userId]);
-    const [addresses] = await pool.execute('SELECT * FROM user_addresses WHERE user_id = ?', [userId]);
-    const [preferences] = await pool.execute('SELECT * FROM user_preferences WHERE user_id = ?', [userId]);
-    const [profiles] = await pool.execute('SELECT * FROM user_profiles WHERE user_id = ?', [userId]);
-    
-    const userData = {
-      ...users[0],
-      account: accounts[0] || null,
-      address: addresses[0] || null,
-      preferences: preferences[0] || null,
-      profile: profiles[0] || null
-    };
+    if (await notModified(req, res, userId, userData.version)) {
+      return;
+    }
     
     res.json(userData);
   } catch (error) {
-    console.error('Get user by ID error:', error);
+    logger.error('Getting user failed', { user_id: userId, error });
     res.status(500).json({
       error: 'Failed to get user',
       message: error.message
@@ -456,152 +536,268 @@ router.get('/users/:id', asyncHandler(async (req, res) => {
   }
 }));
 
-// PATCH /api/users/:id - Partial update user
-router.patch('/users/:id', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const updates = req.body;
-  
-  // Check if user exists
-  const [existingUser] = await pool.execute('SELECT id FROM users WHERE id = ?', [userId]);
-  if (existingUser.length === 0) {
-    return res.status(404).json({ error: 'User not found' });
-  }
-  
-  const fields = [];
-  const values = [];
-  
-  // Build dynamic update query
-  Object.keys(updates).forEach(key => {
-    if (['username', 'email', 'first_name', 'last_name', 'phone', 'date_of_birth', 'gender'].includes(key)) {
-      fields.push(`${key} = ?`);
-      values.push(updates[key]);
+// PUT and PATCH /users/:id: the user and its records change together or not at all
+function updateUser(message) {
+  return asyncHandler(async (req, res) => {
+    const userId = req.params.id;
+    const isAdmin = req.user.role === authConfig.roles.ADMIN;
+    
+    // The account is checked in the transaction that writes it, so both see the same row
+    let before;
+    let updated;
+    try {
+      updated = await writeIfMatch(req, res, async (tx) => {
+        if (!isAdmin && changesAccount(await tx.accounts.findByUserId(userId), req.body.account)) {
+          throw Object.assign(new Error('Only admins can change the account'), { status: 403 });
+        }
+        before = await findUserRecords(tx, userId);
+        return updateUserRecords(tx, userId, req.body);
+      });
+    } catch (error) {
+      if (error.status === 403) {
+        return res.status(403).json({ error: 'Insufficient permissions', message: error.message });
+      }
+      throw error;
+    }
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
     }
+    
+    await emitUserChanges(userId, before, await findUserRecords(repositories, userId));
+    
+    res.json({ message });
   });
+}
+
+// PUT /api/users/:id - Replace the user and all four records (null deletes one, a missing one is created)
+router.put('/users/:id', requireSelfOrAdmin, validate(schemas.userReplace), updateUser('User replaced successfully'));
+
+// PATCH /api/users/:id - Partial update as a JSON Merge Patch, nested records included
+// (If-Match: the ETag of a GET guards against lost updates)
+router.patch('/users/:id', requireSelfOrAdmin, validate(schemas.userUpdate), updateUser('User updated successfully'));
+
+// DELETE /api/users/:id - Move user to the trash (?permanent=true purges it, trashed or not)
+router.delete('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const permanent = isPermanent(req);
+  const deleted = await writeIfMatch(req, res, tx => (permanent
+    ? tx.users.delete(req.params.id)
+    : tx.users.softDelete(req.params.id)));
   
-  if (fields.length === 0) {
-    return res.status(400).json({ error: 'No valid fields to update' });
+  if (!deleted) {
+    return res.status(404).json({ error: 'User not found' });
   }
   
-  fields.push('updated_at = NOW()');
-  values.push(userId);
+  await webhooks.emit('user.deleted', { user_id: Number(req.params.id), permanent });
   
-  await pool.execute(
-    `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
-    values
-  );
-  
-  res.json({ message: 'User updated successfully' });
+  res.json({ 
+    message: permanent ? 'User permanently deleted' : 'User moved to trash',
+    permanent
+  });
 }));
 
-// DELETE /api/users/:id - Delete user
-router.delete('/users/:id', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  
-  const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [userId]);
+// POST /api/users/:id/verify-email/send - Mail the user a link confirming their email address
+// (POST /api/auth/verify-email takes its token); a new link replaces any unused one
+router.post('/users/:id/verify-email/send', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const user = await repositories.users.findById(req.params.id);
   
-  if (result.affectedRows === 0) {
+  if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
+  if (user.email_verified_at) {
+    return res.status(409).json({ error: 'Email already verified', email_verified_at: user.email_verified_at });
+  }
+  
+  const expiresAt = await sendVerificationEmail(user);
   
-  res.json({ message: 'User deleted successfully' });
+  res.status(202).json({ 
+    message: 'Verification email sent',
+    email: user.email,
+    expires_at: expiresAt
+  });
 }));
 
 // =============================================================================
 // RELATED DATA ENDPOINTS
 // =============================================================================
 
+// Each record's GET carries the user's ETag (src/middleware/conditional.js), and each write
+// honors If-Match against it. The POSTs take an Idempotency-Key (src/middleware/idempotency.js).
+// Related records of a trashed user are kept for restore but not served.
+// Only admins can reach them: a trashed user's own tokens stop authenticating.
+router.use('/users/:id/:resource(account|address|addresses|preferences|profile)', asyncHandler(async (req, res, next) => {
+  const userId = req.params.id;
+  const trashed = req.user.role === authConfig.roles.ADMIN
+    && !(await repositories.users.findById(userId))
+    && await repositories.users.exists(userId);
+  
+  if (trashed) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  next();
+}));
+
 // User Accounts
-router.get('/users/:id/account', asyncHandler(async (req, res) => {
-  const [account] = await pool.execute('SELECT * FROM user_accounts WHERE user_id = ?', [req.params.id]);
+router.get('/users/:id/account', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const account = await repositories.accounts.findByUserId(req.params.id);
   
-  if (account.length === 0) {
+  if (!account) {
     return res.status(404).json({ error: 'Account not found' });
   }
+  if (await notModified(req, res, req.params.id)) {
+    return;
+  }
   
-  res.json(account[0]);
+  res.json(account);
 }));
 
-router.post('/users/:id/account', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { status, role, subscription } = req.body;
-  
-  await pool.execute(
-    'INSERT INTO user_accounts (user_id, status, role, subscription) VALUES (?, ?, ?, ?)',
-    [userId, status || 'active', role || 'user', subscription || 'free']
-  );
+router.post('/users/:id/account', requireAdmin, validate(schemas.account), idempotent, asyncHandler(async (req, res) => {
+  await writeIfMatch(req, res, async (tx) => {
+    await tx.accounts.create(req.params.id, req.body);
+    return true;
+  });
   
   res.status(201).json({ message: 'Account created successfully' });
 }));
 
-router.put('/users/:id/account', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { status, role, subscription } = req.body;
-  
-  const [result] = await pool.execute(
-    'UPDATE user_accounts SET status = ?, role = ?, subscription = ? WHERE user_id = ?',
-    [status, role, subscription, userId]
-  );
+// PUT replaces every column, PATCH only the ones given
+const updateAccount = asyncHandler(async (req, res) => {
+  let before;
+  const updated = await writeIfMatch(req, res, async (tx) => {
+    before = await tx.accounts.findByUserId(req.params.id);
+    return tx.accounts.update(req.params.id, req.body);
+  });
   
-  if (result.affectedRows === 0) {
+  if (!updated) {
     return res.status(404).json({ error: 'Account not found' });
   }
   
+  await emitAccountChanges(req.params.id, before, req.body);
+  
   res.json({ message: 'Account updated successfully' });
-}));
+});
 
-router.delete('/users/:id/account', asyncHandler(async (req, res) => {
-  const [result] = await pool.execute('DELETE FROM user_accounts WHERE user_id = ?', [req.params.id]);
+router.put('/users/:id/account', requireAdmin, validate(schemas.accountReplace), updateAccount);
+router.patch('/users/:id/account', requireAdmin, validate(schemas.accountPatch), updateAccount);
+
+router.delete('/users/:id/account', requireAdmin, asyncHandler(async (req, res) => {
+  const deleted = await writeIfMatch(req, res, tx => tx.accounts.delete(req.params.id));
   
-  if (result.affectedRows === 0) {
+  if (!deleted) {
     return res.status(404).json({ error: 'Account not found' });
   }
   
   res.json({ message: 'Account deleted successfully' });
 }));
 
-// User Addresses
-router.get('/users/:id/address', asyncHandler(async (req, res) => {
-  const [address] = await pool.execute('SELECT * FROM user_addresses WHERE user_id = ?', [req.params.id]);
+// User Addresses (the singular /address is the user's primary address; see the address book below)
+router.get('/users/:id/address', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const address = await repositories.addresses.findByUserId(req.params.id);
   
-  if (address.length === 0) {
+  if (!address) {
     return res.status(404).json({ error: 'Address not found' });
   }
+  if (await notModified(req, res, req.params.id)) {
+    return;
+  }
   
-  res.json(address[0]);
+  res.json(address);
 }));
 
-router.post('/users/:id/address', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { street, city, province, postal_code, country } = req.body;
-  
-  await pool.execute(
-    'INSERT INTO user_addresses (user_id, street, city, province, postal_code, country) VALUES (?, ?, ?, ?, ?, ?)',
-    [userId, street, city, province, postal_code, country]
-  );
+router.post('/users/:id/address', requireSelfOrAdmin, validate(schemas.address), idempotent, asyncHandler(async (req, res) => {
+  await writeIfMatch(req, res, async (tx) => {
+    await tx.addresses.create(req.params.id, req.body);
+    return true;
+  });
   
   res.status(201).json({ message: 'Address created successfully' });
 }));
 
-router.put('/users/:id/address', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { street, city, province, postal_code, country } = req.body;
-  
-  const [result] = await pool.execute(
-    'UPDATE user_addresses SET street = ?, city = ?, province = ?, postal_code = ?, country = ? WHERE user_id = ?',
-    [street, city, province, postal_code, country, userId]
-  );
+const updateAddress = asyncHandler(async (req, res) => {
+  const updated = await writeIfMatch(req, res, tx => tx.addresses.update(req.params.id, req.body));
   
-  if (result.affectedRows === 0) {
+  if (!updated) {
     return res.status(404).json({ error: 'Address not found' });
   }
   
   res.json({ message: 'Address updated successfully' });
+});
+
+router.put('/users/:id/address', requireSelfOrAdmin, validate(schemas.addressReplace), updateAddress);
+router.patch('/users/:id/address', requireSelfOrAdmin, validate(schemas.addressPatch), updateAddress);
+
+router.delete('/users/:id/address', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const deleted = await writeIfMatch(req, res, tx => tx.addresses.delete(req.params.id));
+  
+  if (!deleted) {
+    return res.status(404).json({ error: 'Address not found' });
+  }
+  
+  res.json({ message: 'Address deleted successfully' });
 }));
 
-router.delete('/users/:id/address', asyncHandler(async (req, res) => {
-  const [result] = await pool.execute('DELETE FROM user_addresses WHERE user_id = ?', [req.params.id]);
+// Address book: every address of the user, by address ID
+router.get('/users/:id/addresses', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  if (!(await repositories.users.findById(req.params.id))) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (await notModified(req, res, req.params.id)) {
+    return;
+  }
   
-  if (result.affectedRows === 0) {
+  res.json({ data: await repositories.addresses.listByUserId(req.params.id) });
+}));
+
+// The first address a user adds becomes primary, as does one sent with is_primary: true
+router.post('/users/:id/addresses', requireSelfOrAdmin, validate(schemas.addressEntry), idempotent, asyncHandler(async (req, res) => {
+  const addressId = await writeIfMatch(req, res, tx => tx.addresses.add(req.params.id, req.body));
+  const address = await repositories.addresses.findById(req.params.id, addressId);
+  
+  res.location(`/api/users/${req.params.id}/addresses/${addressId}`);
+  res.status(201).json({ message: 'Address created successfully', data: address });
+}));
+
+router.get('/users/:id/addresses/:addressId', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const address = await repositories.addresses.findById(req.params.id, req.params.addressId);
+  
+  if (!address) {
+    return res.status(404).json({ error: 'Address not found' });
+  }
+  if (await notModified(req, res, req.params.id)) {
+    return;
+  }
+  
+  res.json(address);
+}));
+
+// is_primary: true moves the primary flag here; the primary address keeps it until another takes it
+const updateAddressEntry = asyncHandler(async (req, res) => {
+  const { id, addressId } = req.params;
+  const address = await repositories.addresses.findById(id, addressId);
+  
+  if (address && address.is_primary && req.body.is_primary === false) {
+    return res.status(422).json({
+      error: 'Validation failed',
+      details: [{ field: 'is_primary', rule: 'primary', message: 'cannot be unset; make another address primary instead' }]
+    });
+  }
+  
+  const updated = await writeIfMatch(req, res, tx => tx.addresses.updateById(id, addressId, req.body));
+  
+  if (!updated) {
+    return res.status(404).json({ error: 'Address not found' });
+  }
+  
+  res.json({ message: 'Address updated successfully' });
+});
+
+router.put('/users/:id/addresses/:addressId', requireSelfOrAdmin, validate(schemas.addressEntryReplace), updateAddressEntry);
+router.patch('/users/:id/addresses/:addressId', requireSelfOrAdmin, validate(schemas.addressEntryPatch), updateAddressEntry);
+
+// Deleting the primary address makes the oldest remaining one primary
+router.delete('/users/:id/addresses/:addressId', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const deleted = await writeIfMatch(req, res, tx => tx.addresses.deleteById(req.params.id, req.params.addressId));
+  
+  if (!deleted) {
     return res.status(404).json({ error: 'Address not found' });
   }
   
@@ -609,97 +805,155 @@ router.delete('/users/:id/address', asyncHandler(async (req, res) => {
 }));
 
 // User Preferences
-router.get('/users/:id/preferences', asyncHandler(async (req, res) => {
-  const [preferences] = await pool.execute('SELECT * FROM user_preferences WHERE user_id = ?', [req.params.id]);
+router.get('/users/:id/preferences', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const preferences = await repositories.preferences.findByUserId(req.params.id);
   
-  if (preferences.length === 0) {
+  if (!preferences) {
     return res.status(404).json({ error: 'Preferences not found' });
   }
+  if (await notModified(req, res, req.params.id)) {
+    return;
+  }
   
-  res.json(preferences[0]);
+  res.json(preferences);
 }));
 
-router.post('/users/:id/preferences', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { language, timezone, notify_email, notify_sms, notify_push } = req.body;
-  
-  await pool.execute(
-    'INSERT INTO user_preferences (user_id, language, timezone, notify_email, notify_sms, notify_push) VALUES (?, ?, ?, ?, ?, ?)',
-    [userId, language || 'en', timezone || 'Asia/Jakarta', notify_email || 1, notify_sms || 0, notify_push || 1]
-  );
+router.post('/users/:id/preferences', requireSelfOrAdmin, validate(schemas.preferences), idempotent, asyncHandler(async (req, res) => {
+  await writeIfMatch(req, res, async (tx) => {
+    await tx.preferences.create(req.params.id, req.body);
+    return true;
+  });
+  await emitPreferencesUpdated(req.params.id, Object.keys(req.body));
   
   res.status(201).json({ message: 'Preferences created successfully' });
 }));
 
-router.put('/users/:id/preferences', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { language, timezone, notify_email, notify_sms, notify_push } = req.body;
-  
-  const [result] = await pool.execute(
-    'UPDATE user_preferences SET language = ?, timezone = ?, notify_email = ?, notify_sms = ?, notify_push = ? WHERE user_id = ?',
-    [language, timezone, notify_email, notify_sms, notify_push, userId]
-  );
+const updatePreferences = asyncHandler(async (req, res) => {
+  const updated = await writeIfMatch(req, res, tx => tx.preferences.update(req.params.id, req.body));
   
-  if (result.affectedRows === 0) {
+  if (!updated) {
     return res.status(404).json({ error: 'Preferences not found' });
   }
   
+  await emitPreferencesUpdated(req.params.id, Object.keys(req.body));
+  
   res.json({ message: 'Preferences updated successfully' });
-}));
+});
 
-router.delete('/users/:id/preferences', asyncHandler(async (req, res) => {
-  const [result] = await pool.execute('DELETE FROM user_preferences WHERE user_id = ?', [req.params.id]);
+router.put('/users/:id/preferences', requireSelfOrAdmin, validate(schemas.preferencesReplace), updatePreferences);
+router.patch('/users/:id/preferences', requireSelfOrAdmin, validate(schemas.preferencesPatch), updatePreferences);
+
+router.delete('/users/:id/preferences', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const deleted = await writeIfMatch(req, res, tx => tx.preferences.delete(req.params.id));
   
-  if (result.affectedRows === 0) {
+  if (!deleted) {
     return res.status(404).json({ error: 'Preferences not found' });
   }
   
   res.json({ message: 'Preferences deleted successfully' });
 }));
 
+// PUT /api/users/:id/avatar - Upload the avatar as multipart/form-data (file field "avatar").
+// Sets profile.avatar to the URL it is served from, creating the profile if needed; the file it
+// replaces is removed (src/repositories/files.js).
+router.put('/users/:id/avatar', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const userId = req.params.id;
+  
+  if (!req.is('multipart/form-data')) {
+    return res.status(415).json({ error: 'Upload the avatar as multipart/form-data, in the field "avatar"' });
+  }
+  if (!(await repositories.users.findById(userId))) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  let avatar;
+  try {
+    avatar = await readAvatar(req);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(error.body);
+    }
+    throw error;
+  }
+  
+  const key = avatarKey(userId, avatar.hash);
+  const url = avatarUrl(userId, avatar.hash);
+  await storage.put(key, avatar.data);
+  
+  // Drop the new file if the profile did not take it (unless it already had the same one)
+  const discard = async () => {
+    const profile = await repositories.profiles.findByUserId(userId);
+    if (!profile || profile.avatar !== url) {
+      await storage.delete(key);
+    }
+  };
+  
+  let saved;
+  try {
+    saved = await writeIfMatch(req, res, async (tx) => {
+      if (!(await tx.users.findById(userId))) {
+        return false;
+      }
+      if (await tx.profiles.findByUserId(userId)) {
+        await tx.profiles.update(userId, { avatar: url });
+      } else {
+        await tx.profiles.create(userId, { avatar: url });
+      }
+      return true;
+    });
+  } catch (error) {
+    await discard();
+    throw error;
+  }
+  
+  if (!saved) {
+    await discard();
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  res.json({ message: 'Avatar updated successfully', avatar: url });
+}));
+
 // User Profiles
-router.get('/users/:id/profile', asyncHandler(async (req, res) => {
-  const [profile] = await pool.execute('SELECT * FROM user_profiles WHERE user_id = ?', [req.params.id]);
+router.get('/users/:id/profile', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const profile = await repositories.profiles.findByUserId(req.params.id);
   
-  if (profile.length === 0) {
+  if (!profile) {
     return res.status(404).json({ error: 'Profile not found' });
   }
+  if (await notModified(req, res, req.params.id)) {
+    return;
+  }
   
-  res.json(profile[0]);
+  res.json(profile);
 }));
 
-router.post('/users/:id/profile', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { avatar, bio, website, instagram, linkedin } = req.body;
-  
-  await pool.execute(
-    'INSERT INTO user_profiles (user_id, avatar, bio, website, instagram, linkedin) VALUES (?, ?, ?, ?, ?, ?)',
-    [userId, avatar, bio, website, instagram, linkedin]
-  );
+router.post('/users/:id/profile', requireSelfOrAdmin, validate(schemas.profile), idempotent, asyncHandler(async (req, res) => {
+  await writeIfMatch(req, res, async (tx) => {
+    await tx.profiles.create(req.params.id, req.body);
+    return true;
+  });
   
   res.status(201).json({ message: 'Profile created successfully' });
 }));
 
-router.put('/users/:id/profile', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { avatar, bio, website, instagram, linkedin } = req.body;
-  
-  const [result] = await pool.execute(
-    'UPDATE user_profiles SET avatar = ?, bio = ?, website = ?, instagram = ?, linkedin = ? WHERE user_id = ?',
-    [avatar, bio, website, instagram, linkedin, userId]
-  );
+const updateProfile = asyncHandler(async (req, res) => {
+  const updated = await writeIfMatch(req, res, tx => tx.profiles.update(req.params.id, req.body));
   
-  if (result.affectedRows === 0) {
+  if (!updated) {
     return res.status(404).json({ error: 'Profile not found' });
   }
   
   res.json({ message: 'Profile updated successfully' });
-}));
+});
+
+router.put('/users/:id/profile', requireSelfOrAdmin, validate(schemas.profileReplace), updateProfile);
+router.patch('/users/:id/profile', requireSelfOrAdmin, validate(schemas.profilePatch), updateProfile);
 
-router.delete('/users/:id/profile', asyncHandler(async (req, res) => {
-  const [result] = await pool.execute('DELETE FROM user_profiles WHERE user_id = ?', [req.params.id]);
+router.delete('/users/:id/profile', requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const deleted = await writeIfMatch(req, res, tx => tx.profiles.delete(req.params.id));
   
-  if (result.affectedRows === 0) {
+  if (!deleted) {
     return res.status(404).json({ error: 'Profile not found' });
   }
   
@@ -711,26 +965,6 @@ router.delete('/users/:id/profile', asyncHandler(async (req, res) => {
 // =============================================================================
 
 // Error handling middleware
-router.use((error, req, res, next) => {
-  console.error('Router error:', error);
-  
-  if (error.code === 'ER_DUP_ENTRY') {
-    return res.status(409).json({ error: 'Duplicate entry. Username or email already exists.' });
-  }
-  
-  if (error.code === 'ER_NO_REFERENCED_ROW_2') {
-    return res.status(400).json({ error: 'Invalid user ID. User does not exist.' });
-  }
-  
-  if (error.code === 'ECONNREFUSED') {
-    return res.status(500).json({ error: 'Database connection failed' });
-  }
-  
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: error.message,
-    code: error.code
-  });
-});
+router.use(errorHandler);
 
 module.exports = router;
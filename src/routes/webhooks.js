@@ -0,0 +1,156 @@
+// src/routes/webhooks.js - outbound webhook subscriptions, delivery log and dead letters
+const express = require('express');
+const { repositories } = require('../repositories');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { emitTo } = require('../webhooks/dispatcher');
+const { PING_EVENT } = require('../webhooks/events');
+const { generateSecret } = require('../webhooks/signature');
+const router = express.Router();
+
+// Mounted ahead of the users router, so each route authenticates itself
+const adminOnly = [authenticate, requireAdmin];
+
+// The secret is shown once, when the subscription is created
+function withoutSecret({ secret, ...subscription }) {
+  return { ...subscription, active: Boolean(subscription.active) };
+}
+
+function pageOf(query) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+async function listDeliveries(filters, query) {
+  const { page, limit, offset } = pageOf(query);
+  const { rows, total } = await repositories.webhookDeliveries.list(filters, { limit, offset });
+
+  return {
+    data: rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+// =============================================================================
+// DELIVERY QUEUE (before /webhooks/:id)
+// =============================================================================
+
+// GET /api/webhooks/dead-letters - Deliveries that ran out of retries
+router.get('/webhooks/dead-letters', adminOnly, validate(schemas.deliveryQuery, 'query'), asyncHandler(async (req, res) => {
+  res.json(await listDeliveries({ event: req.query.event, status: 'dead' }, req.query));
+}));
+
+// POST /api/webhooks/deliveries/:deliveryId/retry - Queue a dead delivery again
+router.post('/webhooks/deliveries/:deliveryId/retry', adminOnly, asyncHandler(async (req, res) => {
+  const requeued = await repositories.webhookDeliveries.requeue(req.params.deliveryId);
+
+  if (!requeued) {
+    return res.status(404).json({ error: 'Dead delivery not found' });
+  }
+
+  res.json({
+    message: 'Delivery queued for retry',
+    data: await repositories.webhookDeliveries.findById(req.params.deliveryId)
+  });
+}));
+
+// =============================================================================
+// SUBSCRIPTIONS
+// =============================================================================
+
+// GET /api/webhooks - List subscriptions
+router.get('/webhooks', adminOnly, asyncHandler(async (req, res) => {
+  const subscriptions = await repositories.webhooks.list();
+
+  res.json({ data: subscriptions.map(withoutSecret) });
+}));
+
+// POST /api/webhooks - Subscribe a URL to events
+router.post('/webhooks', adminOnly, validate(schemas.webhookCreate), asyncHandler(async (req, res) => {
+  const secret = req.body.secret || generateSecret();
+
+  const id = await repositories.webhooks.create({
+    description: null,
+    active: true,
+    ...req.body,
+    secret,
+    created_by: req.user.id
+  });
+
+  res.status(201).json({
+    message: 'Webhook created successfully',
+    data: { ...withoutSecret(await repositories.webhooks.findById(id)), secret }
+  });
+}));
+
+// GET /api/webhooks/:id - Get a subscription
+router.get('/webhooks/:id', adminOnly, asyncHandler(async (req, res) => {
+  const subscription = await repositories.webhooks.findById(req.params.id);
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json(withoutSecret(subscription));
+}));
+
+// PATCH /api/webhooks/:id - Change the URL, events, secret or active flag
+router.patch('/webhooks/:id', adminOnly, validate(schemas.webhookUpdate), asyncHandler(async (req, res) => {
+  const updated = await repositories.webhooks.update(req.params.id, req.body);
+
+  if (!updated) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json({
+    message: 'Webhook updated successfully',
+    data: withoutSecret(await repositories.webhooks.findById(req.params.id))
+  });
+}));
+
+// DELETE /api/webhooks/:id - Remove a subscription and its delivery log
+router.delete('/webhooks/:id', adminOnly, asyncHandler(async (req, res) => {
+  const deleted = await repositories.webhooks.delete(req.params.id);
+
+  if (!deleted) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json({ message: 'Webhook deleted successfully' });
+}));
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a subscription, newest first
+router.get('/webhooks/:id/deliveries', adminOnly, validate(schemas.deliveryQuery, 'query'), asyncHandler(async (req, res) => {
+  if (!(await repositories.webhooks.findById(req.params.id))) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const { status, event } = req.query;
+  res.json(await listDeliveries({ subscription_id: req.params.id, status, event }, req.query));
+}));
+
+// POST /api/webhooks/:id/test - Queue a webhook.ping delivery to this subscription
+router.post('/webhooks/:id/test', adminOnly, asyncHandler(async (req, res) => {
+  const subscription = await repositories.webhooks.findById(req.params.id);
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  await emitTo(subscription, PING_EVENT, { webhook_id: subscription.id });
+
+  res.status(202).json({ message: 'Ping queued for delivery' });
+}));
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
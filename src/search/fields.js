@@ -0,0 +1,20 @@
+// src/search/fields.js - what /users/search?q= looks at, and how much a match in each counts
+
+// field -> [repository the value lives in, weight]
+const SEARCH_FIELDS = {
+  username: ['users', 3],
+  first_name: ['users', 3],
+  last_name: ['users', 3],
+  email: ['users', 2],
+  instagram: ['profiles', 2],
+  bio: ['profiles', 1],
+  street: ['addresses', 1],
+  city: ['addresses', 1.5],
+  province: ['addresses', 1],
+  country: ['addresses', 0.5]
+};
+
+// Repositories whose writes change what a user is found by
+const INDEXED_REPOSITORIES = ['profiles', 'addresses'];
+
+module.exports = { SEARCH_FIELDS, INDEXED_REPOSITORIES };
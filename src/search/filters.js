@@ -0,0 +1,289 @@
+// src/search/filters.js - the filter language of /users/search and /users/export
+//
+// A filter is an object of conditions that must all hold, keyed by column:
+//
+//   { "created_at": { "gte": "now-30d" }, "account.role": { "in": ["admin", "editor"] } }
+//   ?filter[created_at][gte]=now-30d&filter[account.role][in]=admin,editor
+//
+// Columns of the related records are prefixed with the record name (account., address.,
+// preferences., profile.); the record name alone only takes null, for "has no address on file".
+// A user can have several addresses: an address condition holds when any one of them meets it.
+// "and"/"or" keys hold arrays of filters: { "or": [{ "account.role": "admin" }, { "profile": { "null": true } }] }.
+// A bare value is shorthand for eq, an array for in, null for { null: true }.
+//
+// parseFilter() checks the filter against the whitelist below and returns a tree the drivers
+// compile (src/repositories/*/UserRepository.js):
+//
+//   { and: [nodes] } | { or: [nodes] } | { record, column, op, value }   (column null for the record itself)
+const { USER_COLUMNS, SUB_RESOURCES, FLAG_COLUMNS } = require('../repositories/tables');
+const { GENDERS, ACCOUNT_STATUSES, ACCOUNT_ROLES, SUBSCRIPTIONS, ADDRESS_TYPES } = require('../validation/schemas');
+
+// Filter prefix -> SUB_RESOURCES key
+const RECORDS = {
+  account: 'accounts',
+  address: 'addresses',
+  preferences: 'preferences',
+  profile: 'profiles'
+};
+
+// Value types; anything not listed is text
+const TYPES = {
+  id: 'integer',
+  date_of_birth: 'date',
+  created_at: 'datetime',
+  updated_at: 'datetime',
+  ...Object.fromEntries(FLAG_COLUMNS.map(column => [column, 'flag']))
+};
+
+const ENUMS = {
+  gender: GENDERS,
+  status: ACCOUNT_STATUSES,
+  role: ACCOUNT_ROLES,
+  subscription: SUBSCRIPTIONS,
+  type: ADDRESS_TYPES
+};
+
+// Filterable name -> { record, column, type, allowed? } (record 'user' is the users table)
+const FILTER_COLUMNS = {};
+const addColumn = (name, record, column) => {
+  FILTER_COLUMNS[name] = { record, column, type: ENUMS[column] ? 'enum' : (TYPES[column] || 'text'), allowed: ENUMS[column] };
+};
+for (const column of ['id', ...USER_COLUMNS, 'created_at', 'updated_at']) {
+  addColumn(column, 'user', column);
+}
+for (const [record, resource] of Object.entries(RECORDS)) {
+  for (const column of SUB_RESOURCES[resource].columns) {
+    addColumn(`${record}.${column}`, record, column);
+  }
+}
+
+// The exact-match query parameters /users/search had before filter[], still accepted
+const LEGACY_FILTERS = {
+  status: 'account.status',
+  role: 'account.role',
+  subscription: 'account.subscription',
+  city: 'address.city',
+  province: 'address.province'
+};
+
+const COMPARISONS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+const OPERATORS = [...COMPARISONS, 'in', 'nin', 'null'];
+
+// Enough for any hand-written query; stops a request from building an enormous WHERE clause
+const MAX_CONDITIONS = 50;
+const MAX_DEPTH = 4;
+const MAX_LIST = 100;
+
+// "now", "now-30d", "now-12h", "now-2w": relative to the time of the request
+const RELATIVE_TIME = /^now(?:-(\d+)([hdw]))?$/;
+const HOURS = { h: 1, d: 24, w: 24 * 7 };
+
+const at = (path, name) => (path ? `${path}.${name}` : name);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A query-string or JSON value as the column's type; undefined when it is not one
+function coerce(type, value, allowed) {
+  if (type === 'flag') {
+    if (value === true || value === 1 || value === '1' || value === 'true') return 1;
+    if (value === false || value === 0 || value === '0' || value === 'false') return 0;
+    return undefined;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return undefined;
+  }
+
+  const text = String(value);
+  switch (type) {
+    case 'integer':
+      return /^[0-9]+$/.test(text) ? Number(text) : undefined;
+    case 'date': {
+      const relative = text.match(RELATIVE_TIME);
+      if (relative) {
+        return relativeTime(relative).toISOString().slice(0, 10);
+      }
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text)) ? text : undefined;
+    }
+    case 'datetime': {
+      const relative = text.match(RELATIVE_TIME);
+      if (relative) {
+        return relativeTime(relative);
+      }
+      const date = /^\d{4}-\d{2}-\d{2}/.test(text) ? new Date(text) : null;
+      return date && !isNaN(date) ? date : undefined;
+    }
+    case 'enum':
+      return allowed.includes(text) ? text : undefined;
+    default:
+      return text;
+  }
+}
+
+function relativeTime([, amount, unit]) {
+  const date = new Date();
+  if (amount) {
+    date.setTime(date.getTime() - Number(amount) * HOURS[unit] * 3600 * 1000);
+  }
+  return date;
+}
+
+const TYPE_MESSAGES = {
+  integer: 'must be a whole number',
+  date: 'must be a date (YYYY-MM-DD) or now-<n>[hdw]',
+  datetime: 'must be a date-time (ISO 8601) or now-<n>[hdw]',
+  flag: 'must be true or false',
+  enum: 'must be one of the allowed values',
+  text: 'must be a string'
+};
+
+// "admin,editor" (query string) or ["admin", "editor"] (JSON)
+const toList = (value) => (Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : [value]));
+
+// Query strings with many array entries arrive as { "0": ..., "21": ... }
+const toArray = (value) => (Array.isArray(value) ? value : (isPlainObject(value) ? Object.values(value) : null));
+
+// Parse a filter (the decoded ?filter[...] or the body's "filter") into the node tree.
+// Returns { where, details }: details lists every problem, in the shape validate() reports.
+function parseFilter(input, path = 'filter') {
+  const details = [];
+  let conditions = 0;
+
+  const fail = (field, rule, message, extra = {}) => {
+    details.push({ field, rule, message, ...extra });
+    return null;
+  };
+
+  function condition(name, spec, field) {
+    const record = RECORDS[name];
+    if (record) {
+      const value = isPlainObject(spec) ? spec.null : (spec === null ? true : undefined);
+      const isNull = coerce('flag', value);
+      if (isNull === undefined || (isPlainObject(spec) && Object.keys(spec).length !== 1)) {
+        return fail(field, 'operator', 'a record only takes { null: true|false }', { allowed: ['null'] });
+      }
+      conditions++;
+      return { record: name, column: null, op: 'null', value: Boolean(isNull) };
+    }
+
+    const column = FILTER_COLUMNS[name];
+    if (!column) {
+      return fail(field, 'unknown_field', 'is not a filterable column', { allowed: [...Object.keys(FILTER_COLUMNS), ...Object.keys(RECORDS)] });
+    }
+
+    let ops;
+    if (spec === null) {
+      ops = { null: true };
+    } else if (Array.isArray(spec)) {
+      ops = { in: spec };
+    } else if (isPlainObject(spec)) {
+      ops = spec;
+    } else {
+      ops = { eq: spec };
+    }
+
+    const before = details.length;
+    const nodes = [];
+    for (const [op, raw] of Object.entries(ops)) {
+      const opField = at(field, op);
+      if (!OPERATORS.includes(op)) {
+        fail(opField, 'operator', 'is not a filter operator', { allowed: OPERATORS });
+        continue;
+      }
+      conditions++;
+
+      let value;
+      if (op === 'null') {
+        value = coerce('flag', raw);
+        if (value === undefined) {
+          fail(opField, 'type', TYPE_MESSAGES.flag);
+          continue;
+        }
+        value = Boolean(value);
+      } else if (op === 'in' || op === 'nin') {
+        const items = toList(raw);
+        if (items.length === 0 || items.length > MAX_LIST) {
+          fail(opField, 'size', `must list 1 to ${MAX_LIST} values`);
+          continue;
+        }
+        value = items.map(item => coerce(column.type, item, column.allowed));
+        if (value.includes(undefined)) {
+          fail(opField, 'type', TYPE_MESSAGES[column.type], column.allowed ? { allowed: column.allowed } : {});
+          continue;
+        }
+      } else {
+        value = coerce(column.type, raw, column.allowed);
+        if (value === undefined) {
+          fail(opField, 'type', TYPE_MESSAGES[column.type], column.allowed ? { allowed: column.allowed } : {});
+          continue;
+        }
+      }
+      nodes.push({ record: column.record, column: column.column, op, value });
+    }
+
+    if (nodes.length === 0) {
+      return details.length > before ? null : fail(field, 'operator', 'needs at least one operator', { allowed: OPERATORS });
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  }
+
+  function group(spec, field, depth) {
+    if (depth > MAX_DEPTH) {
+      return fail(field, 'depth', `groups nest at most ${MAX_DEPTH} deep`);
+    }
+    if (!isPlainObject(spec)) {
+      return fail(field, 'type', 'must be an object of conditions');
+    }
+
+    const nodes = [];
+    for (const [name, value] of Object.entries(spec)) {
+      if (name === 'and' || name === 'or') {
+        const items = toArray(value);
+        if (!items || items.length === 0) {
+          fail(at(field, name), 'type', 'must be a non-empty array of filters');
+          continue;
+        }
+        const children = items.map((item, index) => group(item, `${at(field, name)}[${index}]`, depth + 1));
+        nodes.push(children.length === 1 ? children[0] : { [name]: children });
+        continue;
+      }
+      nodes.push(condition(name, value, at(field, name)));
+    }
+
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  }
+
+  const where = group(input, path, 0);
+  if (conditions > MAX_CONDITIONS) {
+    fail(path, 'size', `may hold at most ${MAX_CONDITIONS} conditions`);
+  }
+  return details.length > 0 ? { where: null, details } : { where, details };
+}
+
+// ?status=inactive&city=Bandung as a filter, for parseFilter()
+function legacyFilter(query) {
+  const filter = {};
+  for (const [name, column] of Object.entries(LEGACY_FILTERS)) {
+    if (query[name] !== undefined && query[name] !== '') {
+      filter[column] = query[name];
+    }
+  }
+  return filter;
+}
+
+// The filter of a search request (query string or JSON body): `filter` and the older
+// parameters must all hold. where is null when nothing is filtered on.
+function searchFilter(criteria) {
+  const parts = [parseFilter(legacyFilter(criteria), '')];
+  if (criteria.filter !== undefined) {
+    parts.push(parseFilter(criteria.filter));
+  }
+
+  const details = parts.flatMap(part => part.details);
+  const nodes = parts.map(part => part.where).filter(node => node && !(node.and && node.and.length === 0));
+  if (details.length > 0 || nodes.length === 0) {
+    return { where: null, details };
+  }
+  return { where: nodes.length === 1 ? nodes[0] : { and: nodes }, details };
+}
+
+module.exports = { RECORDS, FILTER_COLUMNS, LEGACY_FILTERS, OPERATORS, parseFilter, legacyFilter, searchFilter };
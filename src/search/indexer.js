@@ -0,0 +1,59 @@
+// src/search/indexer.js - write a user's searchable words to search_terms
+const { SEARCH_FIELDS } = require('./fields');
+const { tokenize } = require('./text');
+
+// The user's searchable values, one record per repository (a list of them for addresses)
+async function loadDocument(repositories, userId) {
+  const user = await repositories.users.findById(userId, { withDeleted: true });
+  if (!user) {
+    return null;
+  }
+
+  return {
+    users: user,
+    profiles: await repositories.profiles.findByUserId(userId),
+    addresses: await repositories.addresses.listByUserId(userId)
+  };
+}
+
+// [{ field, term }] for every distinct word of every searchable field
+function termsOf(document) {
+  const entries = [];
+  for (const [field, [source]] of Object.entries(SEARCH_FIELDS)) {
+    const terms = new Set([].concat(document[source] ?? []).flatMap(record => tokenize(record[field])));
+    for (const term of terms) {
+      entries.push({ field, term });
+    }
+  }
+  return entries;
+}
+
+// Trashed users keep their words; search only returns live users
+async function reindexUser(repositories, userId) {
+  const document = await loadDocument(repositories, userId);
+  await repositories.searchTerms.replace(userId, document ? termsOf(document) : []);
+}
+
+// Rebuild the index for every live user, `batchSize` at a time (a restore reindexes the trashed ones).
+// Returns how many users were indexed.
+async function reindexAll(repositories, { batchSize = 500 } = {}) {
+  let afterId = 0;
+  let indexed = 0;
+
+  for (;;) {
+    const batch = await repositories.users.exportBatch({}, { afterId, limit: batchSize });
+    if (batch.length === 0) {
+      return indexed;
+    }
+
+    const addresses = await repositories.addresses.listByUserIds(batch.map(user => user.id));
+    for (const user of batch) {
+      const own = addresses.filter(address => String(address.user_id) === String(user.id));
+      await repositories.searchTerms.replace(user.id, termsOf({ users: user, profiles: user.profile, addresses: own }));
+      indexed++;
+    }
+    afterId = batch[batch.length - 1].id;
+  }
+}
+
+module.exports = { loadDocument, termsOf, reindexUser, reindexAll };
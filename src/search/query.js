@@ -0,0 +1,109 @@
+// src/search/query.js - rank users against a free-text query using search_terms
+const { SEARCH_FIELDS } = require('./fields');
+const { loadDocument } = require('./indexer');
+const { tokenize, editDistance, allowedTypos, highlight } = require('./text');
+
+// Best-scoring users kept per query; a query matching more than this is too vague to page through
+const MAX_MATCHES = 1000;
+
+// How much a word counts when it is the query word, starts with it, or is a typo away from it
+const EXACT = 1;
+const PREFIX = 0.75;
+const TYPO = [null, 0.5, 0.3];
+
+// Prefixes shorter than this match too many words to be useful
+const MIN_PREFIX = 2;
+
+// Indexed words close enough to a query word, with how good a match each is
+async function expand(repositories, word) {
+  const quality = new Map([[word, EXACT]]);
+
+  if (word.length >= MIN_PREFIX) {
+    for (const term of await repositories.searchTerms.termsWithPrefix(word)) {
+      if (term !== word) {
+        quality.set(term, PREFIX);
+      }
+    }
+  }
+
+  const typos = allowedTypos(word);
+  if (typos > 0) {
+    const candidates = await repositories.searchTerms.candidateTerms({
+      first: word[0],
+      minLength: word.length - typos,
+      maxLength: word.length + typos
+    });
+    for (const term of candidates) {
+      const distance = editDistance(word, term, typos);
+      if (distance > 0 && distance !== Infinity && !quality.has(term)) {
+        quality.set(term, TYPO[distance]);
+      }
+    }
+  }
+
+  return quality;
+}
+
+// Users matching every word of q, best first: [{ user_id, score, matches: { field: [terms] } }].
+// Each query word adds its best match, weighted by the field it was found in; matches lists every
+// field the word turned up in, so all of them get highlighted.
+async function rankUsers(repositories, q, { limit = MAX_MATCHES } = {}) {
+  const words = tokenize(q);
+  if (words.length === 0) {
+    return [];
+  }
+
+  let ranked = null;
+  for (const word of words) {
+    const quality = await expand(repositories, word);
+    const hits = await repositories.searchTerms.findTerms([...quality.keys()]);
+
+    const best = new Map();
+    for (const { user_id: userId, field, term } of hits) {
+      const score = quality.get(term) * SEARCH_FIELDS[field][1];
+      const current = best.get(String(userId)) || { userId, score: 0, fields: {} };
+      current.score = Math.max(current.score, score);
+      current.fields[field] = [...(current.fields[field] || []), term];
+      best.set(String(userId), current);
+    }
+
+    const next = new Map();
+    for (const [userKey, hit] of best) {
+      const previous = ranked ? ranked.get(userKey) : { user_id: Number(hit.userId), score: 0, matches: {} };
+      if (!previous) {
+        continue;
+      }
+      const matches = { ...previous.matches };
+      for (const [field, terms] of Object.entries(hit.fields)) {
+        matches[field] = [...new Set([...(matches[field] || []), ...terms])];
+      }
+      next.set(userKey, { ...previous, score: previous.score + hit.score, matches });
+    }
+    ranked = next;
+  }
+
+  return [...ranked.values()]
+    .map(match => ({ ...match, score: Math.round(match.score * 1000) / 1000 }))
+    .sort((a, b) => (b.score - a.score) || (b.user_id - a.user_id))
+    .slice(0, limit);
+}
+
+// { field: snippet } for the fields a ranked user matched in, with the matching words in <mark>
+async function highlightMatch(repositories, match) {
+  const document = await loadDocument(repositories, match.user_id);
+  const highlights = {};
+
+  for (const [field, terms] of Object.entries(match.matches)) {
+    // Of several addresses, the first one (primary first) the words turned up in
+    const records = document ? [].concat(document[SEARCH_FIELDS[field][0]] ?? []) : [];
+    const snippet = records
+      .map(record => (record[field] !== null ? highlight(record[field], terms) : null))
+      .find(Boolean);
+    if (snippet) {
+      highlights[field] = snippet;
+    }
+  }
+  return highlights;
+}
+
+module.exports = { MAX_MATCHES, rankUsers, highlightMatch };
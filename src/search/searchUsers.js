@@ -0,0 +1,62 @@
+// src/search/searchUsers.js - one page of a user search, as /users/search and the GraphQL users query run it
+//
+// criteria are those of GET /users/search: q is a free-text query (src/search/query.js) whose matches
+// are ranked best first unless the page's sort says otherwise; filter narrows the results down
+// (src/search/filters.js), as do the older status/role/subscription/city/province.
+const { pageQuery, pageOf } = require('../middleware/pagination');
+const { paginateRows } = require('../utils/keyset');
+const { rankUsers, highlightMatch } = require('./query');
+const { searchFilter } = require('./filters');
+
+// The sort of a search that does not give one
+const defaultSearchSort = (criteria) => (criteria.q ? '-score' : '-created_at');
+
+// page is what parsePage() made of the paging parameters against SEARCH_LISTING (src/repositories/tables.js).
+// Resolves to { rows, pagination, total }, or { details } when the criteria are not valid.
+async function searchUsers(repositories, criteria, page) {
+  const { q } = criteria;
+  const byScore = page.sort.some(([column]) => column === 'score');
+
+  if (byScore && !q) {
+    return { details: [{ field: 'sort', rule: 'requires', message: 'sorting by score needs a q to score against' }] };
+  }
+
+  const { where, details } = searchFilter(criteria);
+  if (details.length > 0) {
+    return { details };
+  }
+  const filters = { where };
+
+  const ranking = q ? await rankUsers(repositories, q) : null;
+  const matches = new Map((ranking || []).map(match => [String(match.user_id), match]));
+  if (ranking) {
+    filters.ids = ranking.map(match => match.user_id);
+  }
+
+  let users;
+  let total;
+  if (byScore) {
+    // Scores are not stored, so the (bounded) set of matches is sorted and paged here
+    const { rows } = await repositories.users.search(filters, {
+      limit: filters.ids.length, offset: 0, sort: [['id', 'asc']], cursor: null
+    });
+    const scored = rows.map(row => ({ ...row, score: matches.get(String(row.id)).score }));
+    users = paginateRows(scored, pageQuery(page));
+    total = rows.length;
+  } else {
+    ({ rows: users, total } = await repositories.users.search(filters, pageQuery(page)));
+  }
+
+  const { rows, pagination } = pageOf(users, page, total);
+  if (ranking) {
+    for (const row of rows) {
+      const match = matches.get(String(row.id));
+      row.score = match.score;
+      row.highlights = await highlightMatch(repositories, match);
+    }
+  }
+
+  return { rows, pagination, total };
+}
+
+module.exports = { defaultSearchSort, searchUsers };
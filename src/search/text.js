@@ -0,0 +1,98 @@
+// src/search/text.js - words, edit distance and highlighting for user search
+
+// Longest word kept in the index (search_terms.term is VARCHAR(64))
+const MAX_TERM_LENGTH = 64;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// "Zoë" -> "zoe": lower case without accents, so either spelling finds the other
+function normalize(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Distinct normalized words of a value; "alice_a@mail.test" -> ["alice", "a", "mail", "test"]
+function tokenize(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  const words = String(value).match(WORD) || [];
+  return [...new Set(words.map(normalize).filter(word => word.length <= MAX_TERM_LENGTH))];
+}
+
+// Levenshtein distance, or Infinity as soon as it must exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return Infinity;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) {
+      return Infinity;
+    }
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// Typos tolerated in a query word: none for short words, one up to 7 letters, then two
+function allowedTypos(word) {
+  if (word.length <= 3) {
+    return 0;
+  }
+  return word.length <= 7 ? 1 : 2;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// The value (HTML-escaped) with every word in `terms` wrapped in <mark>, cut to about `width`
+// characters around the first match. Returns null when nothing matches.
+function highlight(value, terms, width = 120) {
+  const text = String(value);
+  const wanted = new Set(terms);
+  const marks = [];
+
+  for (const match of text.matchAll(WORD)) {
+    if (wanted.has(normalize(match[0]))) {
+      marks.push([match.index, match.index + match[0].length]);
+    }
+  }
+  if (marks.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > width) {
+    start = Math.max(0, marks[0][0] - Math.floor(width / 3));
+    end = Math.min(text.length, start + width);
+  }
+
+  let snippet = '';
+  let position = start;
+  for (const [from, to] of marks) {
+    if (from < start || to > end) {
+      continue;
+    }
+    snippet += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+    position = to;
+  }
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = { MAX_TERM_LENGTH, normalize, tokenize, editDistance, allowedTypos, highlight };
@@ -0,0 +1,56 @@
+// src/storage/LocalStorage.js - stored files on the local disk
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keys are slash-separated paths ("avatars/42/ab12..."), relative to the directory
+class LocalStorage {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  pathOf(key) {
+    const file = path.resolve(this.directory, key);
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`Storage key "${key}" is outside the storage directory`);
+    }
+    return file;
+  }
+
+  // Written to a temporary file first, so a reader never sees half a file
+  async put(key, data) {
+    const file = this.pathOf(key);
+    const temporary = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, file);
+  }
+
+  // The file's contents, or null when there is none
+  async get(key) {
+    try {
+      return await fs.readFile(this.pathOf(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Resolves to false when there was no such file
+  async delete(key) {
+    try {
+      await fs.unlink(this.pathOf(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,26 @@
+// src/storage/MemoryStorage.js - stored files in a Map, for tests and the memory driver
+class MemoryStorage {
+  constructor() {
+    this.files = new Map();
+  }
+
+  async put(key, data) {
+    this.files.set(key, Buffer.from(data));
+  }
+
+  async get(key) {
+    const data = this.files.get(key);
+    return data ? Buffer.from(data) : null;
+  }
+
+  async delete(key) {
+    return this.files.delete(key);
+  }
+
+  // Drop every file (used by tests)
+  clear() {
+    this.files.clear();
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,22 @@
+// src/storage/index.js - pick the file storage backend from config
+//
+// A backend stores whole files by key: put(key, data), get(key) (null when missing) and
+// delete(key) (false when missing), all async. Add one by handling its name below.
+const uploadsConfig = require('../config/uploads');
+const LocalStorage = require('./LocalStorage');
+const MemoryStorage = require('./MemoryStorage');
+
+function createStorage(backend = uploadsConfig.storage) {
+  switch (backend) {
+    case 'local':
+      return new LocalStorage(uploadsConfig.directory);
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown UPLOAD_STORAGE "${backend}" (expected "local" or "memory")`);
+  }
+}
+
+const storage = createStorage();
+
+module.exports = { storage, createStorage };
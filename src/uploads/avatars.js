@@ -0,0 +1,98 @@
+// src/uploads/avatars.js - reading, checking and naming uploaded avatars
+//
+// An avatar is stored under avatars/<user id>/<content hash>, and user_profiles.avatar holds the
+// URL it is served from with that hash as ?v=, so every new file gets a new URL and the old
+// one can be cached for long.
+const { Writable } = require('stream');
+const { formidable, errors: uploadErrors } = require('formidable');
+const uploadsConfig = require('../config/uploads');
+
+// Accepted image types by their leading bytes; the declared Content-Type is not trusted
+const IMAGE_TYPES = [
+  { type: 'image/jpeg', matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'image/png', matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+  {
+    type: 'image/webp',
+    matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+// Hex digits of the content hash kept in the key and URL
+const HASH_LENGTH = 16;
+
+// Content type of an accepted image, or null
+function imageTypeOf(data) {
+  const match = IMAGE_TYPES.find(({ matches }) => matches(data));
+  return match ? match.type : null;
+}
+
+const avatarKey = (userId, hash) => `avatars/${userId}/${hash}`;
+const avatarUrl = (userId, hash) => `/api/users/${userId}/avatar?v=${hash}`;
+
+// Storage key of the stored avatar a profile's avatar URL points at, or null for anything else
+// (avatar was free text before uploads, and still may be)
+function storedAvatarKey(userId, url) {
+  const match = typeof url === 'string' && url.match(/^\/api\/users\/(\d+)\/avatar\?v=([0-9a-f]+)$/);
+  return match && match[1] === String(userId) ? avatarKey(userId, match[2]) : null;
+}
+
+function uploadError(status, body) {
+  return Object.assign(new Error(body.message || body.error), { status, body });
+}
+
+// The "avatar" file of a multipart/form-data request as { data, type, hash }, held in memory
+// (it is small). Throws errors with the status and body to answer with.
+async function readAvatar(req) {
+  const form = formidable({
+    maxFiles: 1,
+    maxFileSize: uploadsConfig.avatarMaxBytes,
+    hashAlgorithm: 'sha256',
+    filter: ({ name }) => name === 'avatar',
+    fileWriteStreamHandler: (file) => {
+      file.chunks = [];
+      return new Writable({
+        write(chunk, encoding, callback) {
+          file.chunks.push(chunk);
+          callback();
+        }
+      });
+    }
+  });
+
+  let files;
+  try {
+    [, files] = await form.parse(req);
+  } catch (error) {
+    if (error.code === uploadErrors.biggerThanMaxFileSize || error.code === uploadErrors.biggerThanTotalMaxFileSize) {
+      throw uploadError(413, { error: 'Avatar too large', message: `Avatars may be up to ${uploadsConfig.avatarMaxBytes} bytes` });
+    }
+    if (error.code === uploadErrors.noEmptyFiles) {
+      throw uploadError(422, { error: 'Validation failed', details: [{ field: 'avatar', rule: 'minLength', message: 'must not be empty' }] });
+    }
+    throw uploadError(400, { error: 'Malformed upload', message: error.message });
+  }
+
+  const [file] = files.avatar || [];
+  if (!file) {
+    throw uploadError(422, { error: 'Validation failed', details: [{ field: 'avatar', rule: 'required', message: 'is required' }] });
+  }
+
+  const data = Buffer.concat(file.chunks);
+  const type = imageTypeOf(data);
+  if (!type) {
+    throw uploadError(422, {
+      error: 'Validation failed',
+      details: [{
+        field: 'avatar',
+        rule: 'content_type',
+        message: 'must be a JPEG, PNG, GIF or WebP image',
+        allowed: IMAGE_TYPES.map(image => image.type)
+      }]
+    });
+  }
+
+  return { data, type, hash: file.hash.slice(0, HASH_LENGTH) };
+}
+
+module.exports = { IMAGE_TYPES, imageTypeOf, avatarKey, avatarUrl, storedAvatarKey, readAvatar };
@@ -0,0 +1,25 @@
+// src/utils/ids.js
+
+// Function untuk generate random ID
+function generateRandomId() {
+  return Date.now() * 1000 + Math.floor(Math.random() * 1000);
+}
+
+// Generate a user ID that is not taken yet; isTaken(id) resolves to a boolean
+async function generateUniqueUserId(isTaken, maxAttempts = 10) {
+  let userId;
+  let attempts = 0;
+  
+  do {
+    userId = generateRandomId();
+    attempts++;
+    
+    if (attempts > maxAttempts) {
+      throw new Error('Failed to generate unique ID after multiple attempts');
+    }
+  } while (await isTaken(userId));
+  
+  return userId;
+}
+
+module.exports = { generateRandomId, generateUniqueUserId };
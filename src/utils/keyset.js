@@ -0,0 +1,42 @@
+// src/utils/keyset.js - keyset paging over rows held in memory
+
+// MySQL ordering: NULL before everything, text case-insensitively
+function compareValues(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined ? 0 : 1) - (b === null || b === undefined ? 0 : 1);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a) - new Date(b);
+  }
+  if (typeof a === 'string' || typeof b === 'string') {
+    const [x, y] = [String(a).toLowerCase(), String(b).toLowerCase()];
+    return x < y ? -1 : (x > y ? 1 : 0);
+  }
+  return a - b;
+}
+
+// Sort and cut one page of in-process rows the way the MySQL driver's ORDER BY,
+// keyset condition and LIMIT would. page is what pageQuery() in src/middleware/pagination.js builds.
+function paginateRows(rows, { limit, offset, sort, cursor }) {
+  const backwards = cursor && cursor.direction === 'prev';
+  const compareKeys = (a, b) => {
+    for (let index = 0; index < sort.length; index++) {
+      const result = compareValues(a[index], b[index]);
+      if (result !== 0) {
+        return (sort[index][1] === 'asc') !== Boolean(backwards) ? result : -result;
+      }
+    }
+    return 0;
+  };
+  const keyOf = (row) => sort.map(([column]) => row[column] ?? null);
+
+  let ordered = rows.sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+  if (cursor) {
+    ordered = ordered.filter(row => compareKeys(keyOf(row), cursor.values) > 0);
+  }
+
+  const page = ordered.slice(cursor ? 0 : offset, (cursor ? 0 : offset) + limit);
+  return backwards ? page.reverse() : page;
+}
+
+module.exports = { compareValues, paginateRows };
@@ -0,0 +1,20 @@
+// src/utils/requestContext.js - the request being handled, for code that is not given req
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Run fn (and everything it awaits) with req as the current request
+function runWithRequest(req, fn) {
+  return storage.run(req, fn);
+}
+
+// Request ID and authenticated user of the current request (nulls outside one)
+function currentContext() {
+  const req = storage.getStore();
+  return {
+    requestId: req ? req.id : null,
+    actorId: req && req.user ? req.user.id : null
+  };
+}
+
+module.exports = { runWithRequest, currentContext };
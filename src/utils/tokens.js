@@ -0,0 +1,25 @@
+// src/utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+// Sign a bearer token for the given user ID
+function signToken(userId) {
+  return jwt.sign({}, authConfig.jwtSecret, {
+    algorithm: 'HS256',
+    subject: String(userId),
+    issuer: authConfig.jwtIssuer,
+    expiresIn: authConfig.jwtExpiresIn,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+// Throws if the token is malformed, expired or not signed by us
+function verifyToken(token) {
+  return jwt.verify(token, authConfig.jwtSecret, {
+    algorithms: ['HS256'],
+    issuer: authConfig.jwtIssuer
+  });
+}
+
+module.exports = { signToken, verifyToken };
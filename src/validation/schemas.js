@@ -0,0 +1,494 @@
+// src/validation/schemas.js - JSON Schemas for every request payload
+const authConfig = require('../config/auth');
+const bulkConfig = require('../config/bulk');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS } = require('../repositories/tables');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../webhooks/events');
+const { INTERVALS, BREAKDOWNS } = require('../analytics/dimensions');
+
+// Allowed values for enum columns
+const GENDERS = ['male', 'female', 'other'];
+const ACCOUNT_STATUSES = ['active', 'inactive', 'suspended', 'banned'];
+const ACCOUNT_ROLES = Object.values(authConfig.roles);
+const SUBSCRIPTIONS = ['free', 'basic', 'premium', 'enterprise'];
+const ADDRESS_TYPES = ['home', 'work', 'billing', 'shipping', 'other'];
+
+// Small building blocks
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const string = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const url = { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 500 };
+const flag = { type: ['boolean', 'integer'], enum: [true, false, 0, 1] };
+
+const userFields = {
+  username: string(50, { minLength: 3, pattern: '^[A-Za-z0-9_.-]+$' }),
+  email: string(255, { format: 'email' }),
+  first_name: nullable(string(100)),
+  last_name: nullable(string(100)),
+  phone: nullable(string(20, { pattern: '^\\+?[0-9][0-9 -]{5,19}$' })),
+  date_of_birth: nullable({ type: 'string', format: 'date' }),
+  gender: { type: ['string', 'null'], enum: [...GENDERS, null] }
+};
+
+const account = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    status: { type: 'string', enum: ACCOUNT_STATUSES },
+    role: { type: 'string', enum: ACCOUNT_ROLES },
+    subscription: { type: 'string', enum: SUBSCRIPTIONS }
+  }
+};
+
+const address = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ADDRESS_TYPES },
+    street: nullable(string(255)),
+    city: nullable(string(100)),
+    province: nullable(string(100)),
+    postal_code: nullable(string(20, { pattern: '^[A-Za-z0-9 -]+$' })),
+    country: nullable(string(100)),
+    country_code: nullable(string(2, { format: 'country-code' }))
+  }
+};
+
+const preferences = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    language: string(10, { pattern: '^[a-z]{2}(-[A-Z]{2})?$' }),
+    timezone: string(64, { format: 'timezone' }),
+    notify_email: flag,
+    notify_sms: flag,
+    notify_push: flag
+  }
+};
+
+const profile = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    avatar: nullable(string(500)),
+    bio: nullable(string(1000)),
+    website: nullable(url),
+    instagram: nullable(string(31, { pattern: '^@?[A-Za-z0-9_.]{1,30}$' })),
+    linkedin: nullable(url)
+  }
+};
+
+// Base user columns, as accepted per item by POST /users/bulk
+const userBase = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['username', 'email'],
+  properties: userFields
+};
+
+// POST /users - user plus optional related records
+const userCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['username', 'email'],
+  properties: {
+    ...userFields,
+    account,
+    address,
+    preferences,
+    profile
+  }
+};
+
+// PATCH /users/:id - a JSON Merge Patch (RFC 7396): the given columns are set (null clears them),
+// a nested record is merged into the stored one (or created), and a record given as null is deleted
+const userUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    ...userFields,
+    account: nullable(account),
+    address: nullable(address),
+    preferences: nullable(preferences),
+    profile: nullable(profile)
+  }
+};
+
+// Bulk requests: atomic (the default) applies every item or none, partial applies
+// what it can and reports the rest per item
+const BULK_MODES = ['atomic', 'partial'];
+
+const bulkMode = { type: 'string', enum: BULK_MODES };
+const bulkItems = (items) => ({ type: 'array', minItems: 1, maxItems: bulkConfig.maxItems, items });
+const userId = { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1 };
+
+const bulkCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['users'],
+  properties: {
+    mode: bulkMode,
+    users: bulkItems(userBase)
+  }
+};
+
+// One PATCH /users/bulk item: the user to change plus user and/or account columns
+const bulkUpdateItem = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id'],
+  minProperties: 2,
+  properties: {
+    id: userId,
+    ...userFields,
+    account: { ...account, minProperties: 1 }
+  }
+};
+
+const bulkUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['users'],
+  properties: {
+    mode: bulkMode,
+    users: bulkItems(bulkUpdateItem)
+  }
+};
+
+const bulkDelete = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['userIds'],
+  properties: {
+    mode: bulkMode,
+    userIds: bulkItems(userId)
+  }
+};
+
+// The create and update requests with their items left to the per-item check,
+// so a partial batch can report an invalid item instead of refusing them all
+const withLooseItems = (schema) => ({
+  ...schema,
+  properties: { ...schema.properties, users: bulkItems({ type: 'object' }) }
+});
+
+const bulkCreateRequest = withLooseItems(bulkCreate);
+const bulkUpdateRequest = withLooseItems(bulkUpdate);
+
+// PUT on a sub-resource replaces every column, so all of them are required
+// (nullable columns can still be cleared with an explicit null)
+const replace = (schema) => ({ ...schema, required: Object.keys(schema.properties) });
+
+const accountReplace = replace(account);
+// type and country_code came with the address book and may be left out, so older replaces still validate
+const addressReplace = { ...address, required: ['street', 'city', 'province', 'postal_code', 'country'] };
+const preferencesReplace = replace(preferences);
+const profileReplace = replace(profile);
+
+// PATCH on a sub-resource changes only the columns given
+const patch = (schema) => ({ ...schema, minProperties: 1 });
+
+const accountPatch = patch(account);
+const addressPatch = patch(address);
+const preferencesPatch = patch(preferences);
+const profilePatch = patch(profile);
+
+// /users/:id/addresses entries: an address plus whether it is the user's primary one.
+// Making one primary takes the flag from the others; the primary cannot be unset directly.
+const addressEntry = {
+  ...address,
+  properties: { ...address.properties, is_primary: { type: 'boolean' } }
+};
+const addressEntryReplace = { ...addressEntry, required: addressReplace.required };
+const addressEntryPatch = patch(addressEntry);
+
+// PUT /users/:id - every user column and every record, each record replaced whole
+// (or created); a record given as null is deleted
+const userReplace = {
+  type: 'object',
+  additionalProperties: false,
+  required: [...Object.keys(userFields), 'account', 'address', 'preferences', 'profile'],
+  properties: {
+    ...userFields,
+    account: nullable(accountReplace),
+    address: nullable(addressReplace),
+    preferences: nullable(preferencesReplace),
+    profile: nullable(profileReplace)
+  }
+};
+
+// Auth payloads
+const password = string(128, { minLength: authConfig.passwordMinLength });
+
+const register = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['username', 'email', 'password'],
+  properties: {
+    username: userFields.username,
+    email: userFields.email,
+    password,
+    first_name: userFields.first_name,
+    last_name: userFields.last_name
+  }
+};
+
+const login = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['password'],
+  anyOf: [{ required: ['username'] }, { required: ['email'] }],
+  properties: {
+    username: string(255, { minLength: 1 }),
+    email: string(255, { minLength: 1 }),
+    password: string(128, { minLength: 1 })
+  }
+};
+
+const changePassword = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['current_password', 'new_password'],
+  properties: {
+    current_password: string(128, { minLength: 1 }),
+    new_password: password
+  }
+};
+
+// Tokens mailed by the email verification and password reset flows (43 base64url characters)
+const mailedToken = string(128, { minLength: 1 });
+
+const verifyEmail = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['token'],
+  properties: {
+    token: mailedToken
+  }
+};
+
+const forgotPassword = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['email'],
+  properties: {
+    email: string(255, { minLength: 1 })
+  }
+};
+
+const resetPassword = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['token', 'new_password'],
+  properties: {
+    token: mailedToken,
+    new_password: password
+  }
+};
+
+// Audit log filters (query strings, so everything arrives as text)
+const digits = { type: 'string', pattern: '^[0-9]+$' };
+const timestamp = { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+
+const historyFilters = {
+  entity: { type: 'string', enum: Object.values(AUDIT_ENTITIES) },
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  actor_id: digits,
+  request_id: string(64),
+  from: timestamp,
+  to: timestamp,
+  page: digits,
+  limit: digits
+};
+
+// GET /users/:id/history
+const historyQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: historyFilters
+};
+
+// GET /audit
+const auditQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: { user_id: digits, ...historyFilters }
+};
+
+// Webhook subscriptions
+const webhookFields = {
+  url: { ...url, maxLength: 500 },
+  events: {
+    type: 'array',
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: 'string', enum: [...WEBHOOK_EVENTS, ALL_EVENTS] }
+  },
+  secret: string(128, { minLength: 16 }),
+  description: nullable(string(255)),
+  active: { type: 'boolean' }
+};
+
+const webhookCreate = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['url', 'events'],
+  properties: webhookFields
+};
+
+const webhookUpdate = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: webhookFields
+};
+
+// GET /webhooks/:id/deliveries
+const deliveryQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    status: { type: 'string', enum: ['pending', 'succeeded', 'dead'] },
+    event: string(64),
+    page: digits,
+    limit: digits
+  }
+};
+
+// POST /users/import
+const importQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    format: { type: 'string', enum: ['csv', 'ndjson'] },
+    dry_run: { type: 'string', enum: ['true', 'false'] }
+  }
+};
+
+// Search criteria shared by /users/search and /users/export; filter is checked by src/search/filters.js
+const searchCriteria = {
+  q: string(100),
+  filter: { type: 'object' },
+  status: { type: 'string', enum: ACCOUNT_STATUSES },
+  role: { type: 'string', enum: ACCOUNT_ROLES },
+  subscription: { type: 'string', enum: SUBSCRIPTIONS },
+  city: string(100),
+  province: string(100)
+};
+
+// Paging parameters read by src/middleware/pagination.js
+const listing = {
+  limit: digits,
+  page: digits,
+  cursor: string(1000),
+  sort: string(200),
+  fields: string(500)
+};
+
+// GET /users/search
+const searchQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: { ...searchCriteria, ...listing }
+};
+
+// POST /users/search - the same criteria as a JSON body; sort and fields may also be arrays
+const columnList = (maxLength) => ({ anyOf: [string(maxLength), { type: 'array', items: string(64), maxItems: 50 }] });
+
+const searchRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...searchCriteria,
+    limit: { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1 },
+    page: { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1 },
+    cursor: listing.cursor,
+    sort: columnList(200),
+    fields: columnList(500)
+  }
+};
+
+// GET /stats/users and its breakdowns: the search criteria plus a signup date range
+const statsCriteria = { ...searchCriteria, from: timestamp, to: timestamp };
+
+const statsQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: statsCriteria
+};
+
+// GET /stats/users/signups and /stats/users/cohorts
+const statsSeriesQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: { ...statsCriteria, interval: { type: 'string', enum: INTERVALS } }
+};
+
+// GET /stats/users/breakdown
+const statsBreakdownQuery = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['by'],
+  properties: { ...statsCriteria, by: { type: 'string', enum: BREAKDOWNS } }
+};
+
+// GET /users/export - the /users/search filters plus the file format
+const exportQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    format: { type: 'string', enum: ['csv', 'ndjson'] },
+    ...searchCriteria
+  }
+};
+
+module.exports = {
+  GENDERS,
+  ACCOUNT_STATUSES,
+  ACCOUNT_ROLES,
+  SUBSCRIPTIONS,
+  ADDRESS_TYPES,
+  BULK_MODES,
+  userBase,
+  userCreate,
+  userUpdate,
+  userReplace,
+  bulkCreate,
+  bulkCreateRequest,
+  bulkUpdateItem,
+  bulkUpdate,
+  bulkUpdateRequest,
+  bulkDelete,
+  account,
+  accountReplace,
+  accountPatch,
+  address,
+  addressReplace,
+  addressPatch,
+  addressEntry,
+  addressEntryReplace,
+  addressEntryPatch,
+  preferences,
+  preferencesReplace,
+  preferencesPatch,
+  profile,
+  profileReplace,
+  profilePatch,
+  register,
+  login,
+  changePassword,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  historyQuery,
+  auditQuery,
+  webhookCreate,
+  webhookUpdate,
+  deliveryQuery,
+  importQuery,
+  searchQuery,
+  searchRequest,
+  statsQuery,
+  statsSeriesQuery,
+  statsBreakdownQuery,
+  exportQuery
+};
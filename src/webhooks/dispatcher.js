@@ -0,0 +1,164 @@
+// src/webhooks/dispatcher.js - queue webhook events and deliver them with retries
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const webhookConfig = require('../config/webhooks');
+const { repositories: defaultRepositories } = require('../repositories');
+const { currentContext } = require('../utils/requestContext');
+const { sign } = require('./signature');
+const { logger } = require('../logging/logger');
+
+// Emits "enqueued" so a running worker can deliver without waiting for its next poll
+const queueEvents = new EventEmitter();
+
+function buildPayload(event, data) {
+  const { requestId, actorId } = currentContext();
+  return {
+    id: crypto.randomUUID(),
+    event,
+    occurred_at: new Date().toISOString(),
+    actor_id: actorId ? Number(actorId) : null,
+    request_id: requestId,
+    data
+  };
+}
+
+// Queue a delivery of one payload to each of the given subscriptions
+async function enqueue(repositories, subscriptions, payload) {
+  for (const subscription of subscriptions) {
+    await repositories.webhookDeliveries.enqueue({
+      subscription_id: subscription.id,
+      event: payload.event,
+      event_id: payload.id,
+      payload
+    });
+  }
+
+  if (subscriptions.length > 0) {
+    queueEvents.emit('enqueued');
+  }
+  return subscriptions.length;
+}
+
+// Queue an event for every subscriber. Never throws: a webhook problem must not
+// fail the request that caused the event.
+async function emit(event, data, { repositories = defaultRepositories } = {}) {
+  try {
+    const subscriptions = await repositories.webhooks.findForEvent(event);
+    return await enqueue(repositories, subscriptions, buildPayload(event, data));
+  } catch (error) {
+    logger.error('Queueing webhook event failed', { event, error: error.message });
+    return 0;
+  }
+}
+
+// Queue an event for one subscription, whatever it subscribed to
+function emitTo(subscription, event, data, { repositories = defaultRepositories } = {}) {
+  return enqueue(repositories, [subscription], buildPayload(event, data));
+}
+
+// Seconds to wait before retry number `attempt` (1-based)
+function backoffSeconds(attempt) {
+  const { retryBaseSeconds, retryMaxSeconds } = webhookConfig;
+  return Math.min(retryMaxSeconds, retryBaseSeconds * 2 ** (attempt - 1));
+}
+
+// POST body to url with http(s).request (global fetch needs Node 18); redirects are not followed.
+// Rejects when the whole exchange takes longer than timeoutMs. Resolves to the response status.
+function post(url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+    }, (res) => {
+      // Drain the body so the connection can be reused
+      res.resume();
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve(res.statusCode);
+      });
+      res.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(Object.assign(new Error(`Timed out after ${timeoutMs}ms`), { name: 'TimeoutError' }));
+    }, timeoutMs);
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    req.end(body);
+  });
+}
+
+// POST one delivery; resolves to { ok, response_status, error }
+async function send(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const status = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'user-management-api-webhooks',
+      'X-Webhook-Id': delivery.event_id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+    }, body, webhookConfig.timeoutMs);
+
+    const ok = status >= 200 && status < 300;
+    return {
+      ok,
+      response_status: status,
+      error: ok ? null : `Receiver answered ${status}`
+    };
+  } catch (error) {
+    return { ok: false, response_status: null, error: error.message };
+  }
+}
+
+// Attempt one delivery and record the outcome
+async function attempt(repositories, delivery) {
+  const result = await send(delivery);
+  const attempts = delivery.attempts + 1;
+
+  if (result.ok) {
+    await repositories.webhookDeliveries.recordAttempt(delivery.id, {
+      status: 'succeeded',
+      attempts,
+      next_attempt_at: new Date(),
+      response_status: result.response_status
+    });
+    return 'succeeded';
+  }
+
+  const dead = attempts >= webhookConfig.maxAttempts;
+  await repositories.webhookDeliveries.recordAttempt(delivery.id, {
+    status: dead ? 'dead' : 'pending',
+    attempts,
+    next_attempt_at: new Date(Date.now() + (dead ? 0 : backoffSeconds(attempts) * 1000)),
+    response_status: result.response_status,
+    last_error: String(result.error).slice(0, 1000)
+  });
+  return dead ? 'dead' : 'retrying';
+}
+
+// Deliver everything that is due; resolves to counts per outcome
+async function deliverDue(repositories = defaultRepositories, { limit = webhookConfig.batchSize } = {}) {
+  const leaseSeconds = Math.ceil(webhookConfig.timeoutMs / 1000) * limit + 30;
+  const deliveries = await repositories.webhookDeliveries.claimDue({ limit, leaseSeconds });
+  const summary = { succeeded: 0, retrying: 0, dead: 0 };
+
+  for (const delivery of deliveries) {
+    summary[await attempt(repositories, delivery)]++;
+  }
+  return summary;
+}
+
+module.exports = { queueEvents, emit, emitTo, deliverDue, backoffSeconds };
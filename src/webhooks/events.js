@@ -0,0 +1,19 @@
+// src/webhooks/events.js - events a webhook subscription can ask for
+
+const WEBHOOK_EVENTS = [
+  'user.created',
+  'user.updated',
+  'user.deleted',
+  'user.restored',
+  'account.role_changed',
+  'account.status_changed',
+  'preferences.updated'
+];
+
+// Subscribing to "*" means every event, including ones added later
+const ALL_EVENTS = '*';
+
+// Sent by POST /webhooks/:id/test only; nobody subscribes to it
+const PING_EVENT = 'webhook.ping';
+
+module.exports = { WEBHOOK_EVENTS, ALL_EVENTS, PING_EVENT };
@@ -0,0 +1,24 @@
+// src/webhooks/signature.js - HMAC-SHA256 signatures on outgoing webhook requests
+//
+// Receivers recompute HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${raw body}`)
+// and compare it to X-Webhook-Signature ("sha256=<hex>"). Checking the timestamp
+// is recent guards against replayed requests.
+const crypto = require('crypto');
+
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Random secret for subscriptions created without one
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+module.exports = { sign, verifySignature, generateSecret };
@@ -0,0 +1,60 @@
+// src/webhooks/userEvents.js - events shared by the single and bulk user routes
+const webhooks = require('./dispatcher');
+const { USER_COLUMNS } = require('../repositories/tables');
+const { RECORDS } = require('../io/userRecords');
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const changedColumns = (columns, before, after) => columns.filter(column => !sameValue(before[column], after[column]));
+
+// account.role_changed / account.status_changed for whichever of the two changed
+async function emitAccountChanges(userId, before, changes) {
+  for (const column of ['role', 'status']) {
+    if (before && changes[column] !== undefined && changes[column] !== before[column]) {
+      await webhooks.emit(`account.${column}_changed`, {
+        user_id: Number(userId),
+        from: before[column],
+        to: changes[column]
+      });
+    }
+  }
+}
+
+// The events of a PUT or PATCH on /users/:id, from the user with its records before and after
+// (see findUserRecords() in src/io/userRecords.js). user.updated lists everything that changed:
+// user columns by name, record columns as "<record>.<column>", and a record created or deleted
+// by its own name. Account and preferences changes also get their own events, as on their routes.
+async function emitUserChanges(userId, before, after) {
+  const changedFields = changedColumns(USER_COLUMNS, before, after);
+  const changedRecords = {};
+
+  for (const [name, { columns }] of Object.entries(RECORDS)) {
+    if (!before[name] !== !after[name]) {
+      changedFields.push(name);
+      changedRecords[name] = after[name] ? columns : [];
+    } else if (after[name]) {
+      changedRecords[name] = changedColumns(columns, before[name], after[name]);
+      changedFields.push(...changedRecords[name].map(column => `${name}.${column}`));
+    }
+  }
+
+  if (changedFields.length === 0) {
+    return;
+  }
+
+  const user = Object.fromEntries(Object.entries(after).filter(([name]) => !RECORDS[name]));
+  await webhooks.emit('user.updated', { user, changed_fields: changedFields });
+
+  if (after.account) {
+    await emitAccountChanges(userId, before.account, after.account);
+  }
+  if (after.preferences && changedRecords.preferences.length > 0) {
+    await webhooks.emit('preferences.updated', {
+      user_id: Number(userId),
+      preferences: after.preferences,
+      changed_fields: changedRecords.preferences
+    });
+  }
+}
+
+module.exports = { emitAccountChanges, emitUserChanges };
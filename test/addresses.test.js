@@ -0,0 +1,135 @@
+// test/addresses.test.js - the address book under /api/users/:id/addresses
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+const alice = () => bearer(ALICE_ID);
+
+const url = (path = '', id = ALICE_ID) => `/api/users/${id}/addresses${path}`;
+const office = { type: 'work', street: 'Jl. Sudirman 5', city: 'Jakarta', province: 'DKI Jakarta', country_code: 'ID' };
+
+const list = async (id = ALICE_ID) => (await api().get(url('', id)).set('Authorization', admin())).body.data;
+const add = (body, id = ALICE_ID) => api().post(url('', id)).set('Authorization', admin()).send(body);
+
+beforeEach(loadFixtures);
+
+describe('/api/users/:id/addresses', () => {
+  test('lists the primary address first and adds others beside it', async () => {
+    const res = await api().post(url()).set('Authorization', alice()).send(office);
+    const addresses = await list();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ ...office, is_primary: 0 });
+    expect(res.headers.location).toBe(url(`/${res.body.data.id}`));
+    expect(addresses.map(address => [address.city, address.is_primary])).toEqual([['Bandung', 1], ['Jakarta', 0]]);
+    expect(addresses[0].type).toBe('home');
+  });
+
+  test('makes the first address of a user primary, and any sent with is_primary', async () => {
+    const first = await add({ city: 'Depok' }, BARE_ID);
+    await add({ ...office, is_primary: true });
+
+    expect(first.body.data.is_primary).toBe(1);
+    expect((await list()).map(address => [address.city, address.is_primary])).toEqual([['Jakarta', 1], ['Bandung', 0]]);
+    expect((await api().get(`/api/users/${ALICE_ID}/address`).set('Authorization', admin())).body.city).toBe('Jakarta');
+  });
+
+  test('reads, replaces and patches one address by ID', async () => {
+    const { id } = (await add(office)).body.data;
+
+    const replaced = await api().put(url(`/${id}`)).set('Authorization', alice())
+      .send({ street: 'Jl. Thamrin 1', city: 'Jakarta', province: 'DKI Jakarta', postal_code: '10350', country: 'Indonesia' });
+    const patched = await api().patch(url(`/${id}`)).set('Authorization', alice()).send({ type: 'billing' });
+    const res = await api().get(url(`/${id}`)).set('Authorization', alice());
+
+    expect(replaced.status).toBe(200);
+    expect(patched.status).toBe(200);
+    expect(res.body).toMatchObject({ street: 'Jl. Thamrin 1', postal_code: '10350', type: 'billing', country_code: 'ID', is_primary: 0 });
+  });
+
+  test('moves the primary flag with a PATCH, but never unsets it', async () => {
+    const { id } = (await add(office)).body.data;
+    const [primary] = await list();
+
+    const unset = await api().patch(url(`/${primary.id}`)).set('Authorization', admin()).send({ is_primary: false });
+    const moved = await api().patch(url(`/${id}`)).set('Authorization', admin()).send({ is_primary: true });
+
+    expect(unset.status).toBe(422);
+    expect(unset.body.details[0]).toMatchObject({ field: 'is_primary', rule: 'primary' });
+    expect(moved.status).toBe(200);
+    expect((await repositories.addresses.findByUserId(ALICE_ID)).id).toBe(id);
+    expect((await list()).filter(address => address.is_primary)).toHaveLength(1);
+  });
+
+  test('promotes the oldest other address when the primary one is deleted', async () => {
+    await add(office);
+    await add({ type: 'shipping', city: 'Bogor' });
+    const [primary] = await list();
+
+    const res = await api().delete(url(`/${primary.id}`)).set('Authorization', alice());
+    await api().delete(`/api/users/${ALICE_ID}/address`).set('Authorization', alice());
+
+    expect(res.status).toBe(200);
+    expect((await list()).map(address => [address.city, address.is_primary])).toEqual([['Bogor', 1]]);
+  });
+
+  test('only finds addresses under their own user', async () => {
+    const bobs = await repositories.addresses.findByUserId(BOB_ID);
+
+    const read = await api().get(url(`/${bobs.id}`)).set('Authorization', admin());
+    const remove = await api().delete(url(`/${bobs.id}`)).set('Authorization', admin());
+    const other = await api().get(url('', BOB_ID)).set('Authorization', alice());
+
+    expect(read.status).toBe(404);
+    expect(remove.status).toBe(404);
+    expect(other.status).toBe(403);
+    expect(await repositories.addresses.findByUserId(BOB_ID)).not.toBeNull();
+  });
+
+  test('validates the type and the ISO 3166-1 alpha-2 country code', async () => {
+    const res = await add({ type: 'holiday', country_code: 'XX' });
+    const lower = await add({ country_code: 'id' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field).sort()).toEqual(['country_code', 'type']);
+    expect(lower.status).toBe(422);
+    expect((await add({ country_code: 'SG' })).status).toBe(201);
+  });
+
+  test('bump the user\'s ETag and log each address changed', async () => {
+    const before = (await api().get(url()).set('Authorization', admin())).headers.etag;
+    const { id } = (await add({ ...office, is_primary: true })).body.data;
+    const after = await api().get(url()).set('Authorization', admin()).set('If-None-Match', before);
+    const entries = (await api().get(`/api/users/${ALICE_ID}/history?entity=address`).set('Authorization', admin())).body.data;
+
+    expect(after.status).toBe(200);
+    expect(entries.map(entry => entry.action).sort()).toEqual(['create', 'create', 'update']);
+    expect(entries.find(entry => entry.action === 'update').after).toEqual({ is_primary: 0 });
+    expect(entries.some(entry => entry.action === 'create' && entry.entity_id === id)).toBe(true);
+  });
+});
+
+describe('searching by address', () => {
+  const search = (query) => api().get(`/api/users/search?sort=id&${query}`).set('Authorization', admin());
+  const ids = (res) => res.body.data.map(user => user.id);
+
+  beforeEach(() => add(office));
+
+  test('matches a city or province of any of the user\'s addresses', async () => {
+    const byCity = await search('city=Jakarta');
+    const byProvince = await search('filter[address.province][in]=DKI Jakarta,Jawa Timur');
+
+    expect(ids(byCity)).toEqual([ALICE_ID]);
+    expect(byCity.body.data[0]).toMatchObject({ city: 'Bandung', province: 'Jawa Barat' });
+    expect(ids(byProvince)).toEqual([ALICE_ID, BOB_ID]);
+    expect(ids(await search('filter[address.type]=work'))).toEqual([ALICE_ID]);
+    expect(ids(await search('filter[address][null]=true'))).toEqual([ADMIN_ID, BARE_ID]);
+  });
+
+  test('finds the words of every address with q and highlights the one they are in', async () => {
+    const res = await search('q=sudirman');
+
+    expect(ids(res)).toEqual([ALICE_ID]);
+    expect(res.body.data[0].highlights).toEqual({ street: 'Jl. <mark>Sudirman</mark> 5' });
+  });
+});
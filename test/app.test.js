@@ -0,0 +1,43 @@
+// test/app.test.js - routes outside the /api routers
+const { api } = require('./helpers/app');
+
+describe('server routes', () => {
+  test('GET / lists endpoints', async () => {
+    const res = await api().get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('API Server is running!');
+    expect(res.body.endpoints).toContain('GET /health');
+  });
+
+  test('GET /health reports OK', async () => {
+    const res = await api().get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  test('GET /api/test needs no token', async () => {
+    const res = await api().get('/api/test');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: 'API is working!' });
+  });
+
+  test('every response carries an X-Request-Id, echoing a valid incoming one', async () => {
+    const generated = await api().get('/health');
+    const echoed = await api().get('/health').set('X-Request-Id', 'req-123');
+    const replaced = await api().get('/health').set('X-Request-Id', 'not a valid id!');
+
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(echoed.headers['x-request-id']).toBe('req-123');
+    expect(replaced.headers['x-request-id']).not.toBe('not a valid id!');
+  });
+
+  test('unknown routes outside /api return 404', async () => {
+    const res = await api().get('/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ error: 'Route not found', path: '/nope', method: 'GET' });
+  });
+});
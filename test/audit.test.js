@@ -0,0 +1,143 @@
+// test/audit.test.js - audit log entries, GET /api/users/:id/history and GET /api/audit
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const history = (id, query = '') => api().get(`/api/users/${id}/history${query}`).set('Authorization', admin());
+
+beforeEach(loadFixtures);
+
+describe('audit entries', () => {
+  test('record only the changed columns with actor and request ID', async () => {
+    await api()
+      .put(`/api/users/${ALICE_ID}/account`)
+      .set('Authorization', admin())
+      .set('X-Request-Id', 'suspend-alice')
+      .send({ status: 'suspended', role: 'user', subscription: 'premium' });
+
+    const res = await history(ALICE_ID, '?entity=account&action=update');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({
+      entity: 'account',
+      user_id: ALICE_ID,
+      action: 'update',
+      actor_id: ADMIN_ID,
+      request_id: 'suspend-alice',
+      before: { status: 'active' },
+      after: { status: 'suspended' }
+    });
+  });
+
+  test('record user edits made by the user themselves', async () => {
+    await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', bearer(ALICE_ID)).send({ email: 'new@test.local' });
+
+    const [entry] = (await history(ALICE_ID, '?action=update')).body.data;
+
+    expect(entry).toMatchObject({ entity: 'user', actor_id: ALICE_ID, after: { email: 'new@test.local' } });
+    expect(entry.before.email).not.toBe('new@test.local');
+  });
+
+  test('skip updates that change nothing', async () => {
+    const { body: account } = await api().get(`/api/users/${ALICE_ID}/account`).set('Authorization', admin());
+    await api()
+      .put(`/api/users/${ALICE_ID}/account`)
+      .set('Authorization', admin())
+      .send({ status: account.status, role: account.role, subscription: account.subscription });
+
+    expect((await history(ALICE_ID, '?action=update')).body.data).toEqual([]);
+  });
+
+  test('record creates with the new row', async () => {
+    const res = await api()
+      .post('/api/users')
+      .set('Authorization', admin())
+      .send({ username: 'carol', email: 'carol@test.local', profile: { bio: 'Hello' } });
+
+    const entries = (await history(res.body.generated_id)).body.data;
+
+    expect(entries.map(entry => [entry.entity, entry.action]).sort()).toEqual([['profile', 'create'], ['user', 'create']]);
+    expect(entries.find(entry => entry.entity === 'user').after).toMatchObject({ username: 'carol' });
+  });
+
+  test('record soft deletes, restores and purges, and outlive the user', async () => {
+    await api().delete(`/api/users/${BOB_ID}`).set('Authorization', admin());
+    await api().post(`/api/users/${BOB_ID}/restore`).set('Authorization', admin());
+    await api().delete(`/api/users/${BOB_ID}?permanent=true`).set('Authorization', admin());
+
+    const res = await history(BOB_ID, '?entity=user');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.action)).toEqual(['delete', 'restore', 'delete', 'create']);
+    expect(res.body.data[0].after).toBeNull();
+    expect(res.body.data[2].after.deleted_at).toBeTruthy();
+
+    const cascaded = await history(BOB_ID, '?entity=account&action=delete');
+    expect(cascaded.body.pagination.total).toBe(1);
+  });
+
+  test('roll back with a failed transaction', async () => {
+    await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ users: [{ username: 'new_one', email: 'new1@test.local' }, { username: 'alice', email: 'dup@test.local' }] });
+
+    const res = await api().get('/api/audit?action=create&entity=user').set('Authorization', admin());
+
+    expect(res.body.data.map(entry => entry.after.username)).not.toContain('new_one');
+  });
+});
+
+describe('GET /api/users/:id/history', () => {
+  test('returns 404 for users that never existed', async () => {
+    const res = await history(1);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().get(`/api/users/${ALICE_ID}/history`).set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects unknown filters', async () => {
+    const res = await history(ALICE_ID, '?action=explode');
+
+    expect(res.status).toBe(422);
+    expect(res.body.details[0]).toMatchObject({ field: 'action', rule: 'enum' });
+  });
+});
+
+describe('GET /api/audit', () => {
+  test('filters by actor, action and date range', async () => {
+    await api().patch(`/api/users/${BOB_ID}`).set('Authorization', admin()).send({ first_name: 'Robert' });
+    const today = new Date().toISOString().slice(0, 10);
+
+    const res = await api()
+      .get(`/api/audit?actor_id=${ADMIN_ID}&action=update&from=${today}&to=${today}`)
+      .set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ user_id: BOB_ID, after: { first_name: 'Robert' } });
+  });
+
+  test('returns nothing before the range starts', async () => {
+    await api().patch(`/api/users/${BOB_ID}`).set('Authorization', admin()).send({ first_name: 'Robert' });
+
+    const res = await api().get('/api/audit?to=2000-01-01').set('Authorization', admin());
+
+    expect(res.body.pagination.total).toBe(0);
+  });
+
+  test('writes outside a request have no actor', async () => {
+    await repositories.users.update(ALICE_ID, { last_name: 'Script' });
+
+    const res = await api().get(`/api/audit?user_id=${ALICE_ID}&action=update`).set('Authorization', admin());
+
+    expect(res.body.data[0]).toMatchObject({ actor_id: null, request_id: null });
+  });
+});
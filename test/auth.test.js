@@ -0,0 +1,171 @@
+// test/auth.test.js - /api/auth and the bearer token middleware
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, PASSWORD } = fixtures;
+
+beforeEach(loadFixtures);
+
+describe('POST /api/auth/register', () => {
+  test('creates a user, account and credentials and returns a token', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ username: 'carol', email: 'carol@test.local', password: 'long-enough' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.data).toMatchObject({ username: 'carol', role: 'user' });
+
+    const account = await repositories.accounts.findByUserId(res.body.data.id);
+    expect(account).toMatchObject({ status: 'active', role: 'user', subscription: 'free' });
+
+    const me = await api().get(`/api/users/${res.body.data.id}`).set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  test('rejects a taken username with 409', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'other@test.local', password: 'long-enough' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('rejects short passwords with 422', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ username: 'carol', email: 'carol@test.local', password: 'short' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual([expect.objectContaining({ field: 'password', rule: 'minLength' })]);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('accepts username or email', async () => {
+    const byUsername = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD });
+    const byEmail = await api().post('/api/auth/login').send({ email: 'alice@test.local', password: PASSWORD });
+
+    expect(byUsername.status).toBe(200);
+    expect(byEmail.status).toBe(200);
+    expect(byUsername.body.data).toMatchObject({ id: ALICE_ID, role: 'user' });
+  });
+
+  test('rejects a wrong password', async () => {
+    const res = await api().post('/api/auth/login').send({ username: 'alice', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid credentials');
+  });
+
+  test('rejects users without credentials', async () => {
+    const res = await api().post('/api/auth/login').send({ username: 'bare', password: PASSWORD });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('locks the account after repeated failures', async () => {
+    for (let i = 0; i < 5; i++) {
+      await api().post('/api/auth/login').send({ username: 'alice', password: 'wrong' });
+    }
+
+    const res = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD });
+
+    expect(res.status).toBe(423);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  test('answers a wrong password during a lockout like any wrong password', async () => {
+    for (let i = 0; i < 5; i++) {
+      await api().post('/api/auth/login').send({ username: 'alice', password: 'wrong' });
+    }
+
+    const res = await api().post('/api/auth/login').send({ username: 'alice', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid credentials');
+    expect(res.headers['retry-after']).toBeUndefined();
+  });
+
+  test('refuses suspended accounts', async () => {
+    await repositories.accounts.update(BOB_ID, { status: 'suspended' });
+
+    const res = await api().post('/api/auth/login').send({ username: 'bob', password: PASSWORD });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Account is suspended');
+  });
+
+  test('reveals the account status only to the right password', async () => {
+    await repositories.accounts.update(BOB_ID, { status: 'banned' });
+
+    const res = await api().post('/api/auth/login').send({ username: 'bob', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid credentials');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revokes the token', async () => {
+    const token = bearer(ALICE_ID);
+
+    const res = await api().post('/api/auth/logout').set('Authorization', token);
+    expect(res.status).toBe(200);
+
+    const after = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', token);
+    expect(after.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/change-password', () => {
+  test('changes the password', async () => {
+    const res = await api()
+      .post('/api/auth/change-password')
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ current_password: PASSWORD, new_password: 'brand-new-password' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeTruthy();
+
+    const login = await api().post('/api/auth/login').send({ username: 'alice', password: 'brand-new-password' });
+    expect(login.status).toBe(200);
+  });
+
+  test('requires the current password', async () => {
+    const res = await api()
+      .post('/api/auth/change-password')
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ current_password: 'wrong', new_password: 'brand-new-password' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('authenticate middleware', () => {
+  test('requires a bearer token', async () => {
+    const res = await api().get('/api/users');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects tampered tokens', async () => {
+    const res = await api().get('/api/users').set('Authorization', `${bearer(ADMIN_ID)}x`);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects tokens of deleted users', async () => {
+    const token = bearer(BOB_ID);
+    await repositories.users.delete(BOB_ID);
+
+    const res = await api().get(`/api/users/${BOB_ID}`).set('Authorization', token);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('blocks admin-only routes for regular users', async () => {
+    const res = await api().get('/api/users').set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,152 @@
+// test/avatars.test.js - PUT and GET /api/users/:id/avatar and the stored files behind them
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const { storage } = require('../src/storage');
+const LocalStorage = require('../src/storage/LocalStorage');
+const uploadsConfig = require('../src/config/uploads');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+// Only the leading bytes are checked, so a signature and some padding make an image
+const png = (fill = 1) => Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64, fill)]);
+const gif = () => Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(32)]);
+
+const upload = (data, { id = ALICE_ID, auth = bearer(ALICE_ID), filename = 'me.png' } = {}) => api()
+  .put(`/api/users/${id}/avatar`)
+  .set('Authorization', auth)
+  .attach('avatar', data, { filename, contentType: 'image/png' });
+
+const stored = () => [...storage.files.keys()];
+
+beforeEach(loadFixtures);
+
+describe('PUT /api/users/:id/avatar', () => {
+  test('stores the image and points profile.avatar at where it is served', async () => {
+    const res = await upload(png());
+    const profile = await repositories.profiles.findByUserId(ALICE_ID);
+
+    expect(res.status).toBe(200);
+    expect(res.body.avatar).toMatch(new RegExp(`^/api/users/${ALICE_ID}/avatar\\?v=[0-9a-f]{16}$`));
+    expect(profile).toMatchObject({ avatar: res.body.avatar, bio: 'Writes tests' });
+    expect(stored()).toEqual([`avatars/${ALICE_ID}/${res.body.avatar.split('=')[1]}`]);
+  });
+
+  test('creates the profile of a user without one', async () => {
+    const res = await upload(gif(), { id: BARE_ID, auth: admin(), filename: 'bare.gif' });
+
+    expect(res.status).toBe(200);
+    expect((await repositories.profiles.findByUserId(BARE_ID)).avatar).toBe(res.body.avatar);
+  });
+
+  test('goes by the content, not the declared type or name', async () => {
+    const res = await upload(Buffer.from('<svg onload="alert(1)"></svg>'), { filename: 'me.png' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details[0]).toMatchObject({ field: 'avatar', rule: 'content_type' });
+    expect(stored()).toEqual([]);
+  });
+
+  test('refuses files over the size limit, a missing file and other content types', async () => {
+    const limit = uploadsConfig.avatarMaxBytes;
+    uploadsConfig.avatarMaxBytes = 32;
+    const large = await upload(png());
+    uploadsConfig.avatarMaxBytes = limit;
+
+    const missing = await api().put(`/api/users/${ALICE_ID}/avatar`).set('Authorization', admin()).field('name', 'x');
+    const json = await api().put(`/api/users/${ALICE_ID}/avatar`).set('Authorization', admin()).send({ avatar: 'x' });
+
+    expect(large.status).toBe(413);
+    expect(missing.status).toBe(422);
+    expect(missing.body.details[0]).toMatchObject({ field: 'avatar', rule: 'required' });
+    expect(json.status).toBe(415);
+    expect(stored()).toEqual([]);
+  });
+
+  test('is only open to the user and admins', async () => {
+    const res = await upload(png(), { id: BOB_ID });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('removes the file it replaces, and keeps it when the write is refused', async () => {
+    const first = await upload(png(1));
+    const stale = (await api().get(`/api/users/${ALICE_ID}`).set('Authorization', admin())).headers.etag;
+    const second = await upload(png(2));
+    const refused = await upload(png(3)).set('If-Match', stale);
+
+    expect(refused.status).toBe(412);
+    expect(stored()).toEqual([`avatars/${ALICE_ID}/${second.body.avatar.split('=')[1]}`]);
+    expect(first.body.avatar).not.toBe(second.body.avatar);
+  });
+
+  test('removes the file once the profile lets go of it or the user is purged', async () => {
+    await upload(png());
+    await api().patch(`/api/users/${ALICE_ID}/profile`).set('Authorization', admin()).send({ avatar: null });
+    expect(stored()).toEqual([]);
+
+    await upload(png());
+    await api().delete(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+    expect(stored()).toHaveLength(1);
+
+    await api().delete(`/api/users/${ALICE_ID}?permanent=true`).set('Authorization', admin());
+    expect(stored()).toEqual([]);
+  });
+});
+
+describe('GET /api/users/:id/avatar', () => {
+  test('serves the image without a token, with caching headers and 304s', async () => {
+    const image = png();
+    await upload(image);
+
+    const res = await api().get(`/api/users/${ALICE_ID}/avatar`).buffer(true);
+    const again = await api().get(`/api/users/${ALICE_ID}/avatar`).set('If-None-Match', res.headers.etag);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['cache-control']).toBe(`public, max-age=${uploadsConfig.avatarCacheSeconds}`);
+    expect(Buffer.compare(res.body, image)).toBe(0);
+    expect(again.status).toBe(304);
+  });
+
+  test('answers 404 for a free-text avatar, no avatar and trashed users', async () => {
+    await upload(png(), { id: BOB_ID, auth: admin() });
+    await api().delete(`/api/users/${BOB_ID}`).set('Authorization', admin());
+
+    expect((await api().get(`/api/users/${ALICE_ID}/avatar`)).status).toBe(404);
+    expect((await api().get(`/api/users/${BARE_ID}/avatar`)).status).toBe(404);
+    expect((await api().get(`/api/users/${BOB_ID}/avatar`)).status).toBe(404);
+  });
+});
+
+describe('LocalStorage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps files under its directory by key', async () => {
+    const local = new LocalStorage(directory);
+
+    await local.put('avatars/1/abc', Buffer.from('one'));
+
+    expect((await local.get('avatars/1/abc')).toString()).toBe('one');
+    expect(fs.readdirSync(path.join(directory, 'avatars/1'))).toEqual(['abc']);
+    expect(await local.delete('avatars/1/abc')).toBe(true);
+    expect(await local.get('avatars/1/abc')).toBeNull();
+    expect(await local.delete('avatars/1/abc')).toBe(false);
+  });
+
+  test('refuses keys that leave the directory', async () => {
+    const local = new LocalStorage(directory);
+
+    await expect(local.put('../escape', Buffer.from('x'))).rejects.toThrow(/outside the storage directory/);
+  });
+});
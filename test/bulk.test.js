@@ -0,0 +1,284 @@
+// test/bulk.test.js - POST, PATCH and DELETE /api/users/bulk and background bulk jobs
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const bulkConfig = require('../src/config/bulk');
+const { heartbeat, failStaleJobs, RUNNER_ID } = require('../src/bulk/jobs');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+beforeEach(loadFixtures);
+
+describe('POST /api/users/bulk', () => {
+  test('creates every user', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ users: [{ username: 'u_one', email: 'one@test.local' }, { username: 'u_two', email: 'two@test.local' }] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toHaveLength(2);
+    expect(await repositories.users.count()).toBe(fixtures.users.length + 2);
+  });
+
+  test('rolls the whole batch back on a duplicate', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ users: [{ username: 'u_one', email: 'one@test.local' }, { username: 'alice', email: 'dup@test.local' }] });
+
+    expect(res.status).toBe(409);
+    expect(await repositories.users.findByLogin('u_one')).toBeNull();
+  });
+
+  test('reports each item and keeps the valid ones in partial mode', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({
+        mode: 'partial',
+        users: [
+          { username: 'u_one', email: 'one@test.local' },
+          { username: 'alice', email: 'dup@test.local' },
+          { username: 'u_three' }
+        ]
+      });
+
+    expect(res.status).toBe(207);
+    expect(res.body.summary).toEqual({ total: 3, succeeded: 1, failed: 2, skipped: 0 });
+    expect(res.body.results).toEqual([
+      { index: 0, id: expect.any(Number), status: 'created', error: null },
+      expect.objectContaining({ index: 1, id: null, status: 'failed', code: 'duplicate' }),
+      expect.objectContaining({ index: 2, status: 'failed', code: 'validation', details: [expect.objectContaining({ field: 'email' })] })
+    ]);
+    expect(await repositories.users.findById(res.body.results[0].id)).toMatchObject({ username: 'u_one' });
+  });
+
+  test('validates each item', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ users: [{ username: 'u_one', email: 'one@test.local' }, { username: 'u_two' }] });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual([expect.objectContaining({ field: 'users[1].email', rule: 'required' })]);
+  });
+
+  test('is admin-only', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ users: [{ username: 'u_one', email: 'one@test.local' }] });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PATCH /api/users/bulk', () => {
+  test('updates user and account columns', async () => {
+    const res = await api()
+      .patch('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({
+        users: [
+          { id: ALICE_ID, first_name: 'Alicia', account: { role: 'admin' } },
+          { id: String(BOB_ID), account: { subscription: 'premium' } }
+        ]
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(result => result.status)).toEqual(['updated', 'updated']);
+    expect(await repositories.users.findById(ALICE_ID)).toMatchObject({ first_name: 'Alicia' });
+    expect(await repositories.accounts.findByUserId(ALICE_ID)).toMatchObject({ role: 'admin' });
+    expect(await repositories.accounts.findByUserId(BOB_ID)).toMatchObject({ subscription: 'premium' });
+  });
+
+  test('rolls an atomic batch back when a user does not exist', async () => {
+    const res = await api()
+      .patch('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ users: [{ id: ALICE_ID, first_name: 'Alicia' }, { id: 1, first_name: 'Nobody' }] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('User not found');
+    expect(res.body.results).toEqual([
+      { index: 0, id: ALICE_ID, status: 'rolled_back', error: 'Batch rolled back' },
+      expect.objectContaining({ index: 1, id: 1, status: 'failed', code: 'not_found' })
+    ]);
+    expect(await repositories.users.findById(ALICE_ID)).toMatchObject({ first_name: 'Alice' });
+  });
+
+  test('applies the rest of a partial batch', async () => {
+    const res = await api()
+      .patch('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ mode: 'partial', users: [{ id: ALICE_ID, first_name: 'Alicia' }, { id: BARE_ID, account: { role: 'admin' } }] });
+
+    expect(res.status).toBe(207);
+    expect(res.body.results[1]).toMatchObject({ status: 'failed', error: 'Account not found' });
+    expect(await repositories.users.findById(ALICE_ID)).toMatchObject({ first_name: 'Alicia' });
+  });
+
+  test('needs something to change on every item', async () => {
+    const res = await api().patch('/api/users/bulk').set('Authorization', admin()).send({ users: [{ id: ALICE_ID }] });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details[0].field).toBe('users[0]');
+  });
+});
+
+describe('DELETE /api/users/bulk', () => {
+  test('moves the listed users to the trash and reports the count', async () => {
+    const res = await api()
+      .delete('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ userIds: [ALICE_ID, BOB_ID, 1] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deleted_count).toBe(2);
+    expect(res.body.results.map(result => result.status)).toEqual(['deleted', 'deleted', 'skipped']);
+    expect(await repositories.users.findById(ALICE_ID)).toBeNull();
+    expect(await repositories.users.countDeleted()).toBe(2);
+  });
+
+  test('purges the listed users with ?permanent=true', async () => {
+    const res = await api()
+      .delete('/api/users/bulk?permanent=true')
+      .set('Authorization', admin())
+      .send({ userIds: [ALICE_ID, BOB_ID] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deleted_count).toBe(2);
+    expect(await repositories.users.exists(ALICE_ID)).toBe(false);
+  });
+
+  test('requires a non-empty userIds array', async () => {
+    const res = await api().delete('/api/users/bulk').set('Authorization', admin()).send({ userIds: [] });
+
+    expect(res.status).toBe(422);
+  });
+});
+
+describe('background bulk jobs', () => {
+  const threshold = bulkConfig.jobThreshold;
+
+  beforeEach(() => {
+    bulkConfig.jobThreshold = 2;
+  });
+
+  afterEach(() => {
+    bulkConfig.jobThreshold = threshold;
+  });
+
+  async function waitForJob(location) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await api().get(location).set('Authorization', admin());
+      if (['completed', 'failed'].includes(res.body.status)) {
+        return res;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Bulk job did not finish');
+  }
+
+  test('queues large batches and reports the results on the job', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({
+        mode: 'partial',
+        users: [
+          { username: 'u_one', email: 'one@test.local' },
+          { username: 'u_two', email: 'two@test.local' },
+          { username: 'bob', email: 'dup@test.local' }
+        ]
+      });
+
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/api/users/bulk/jobs/${res.body.job.id}`);
+    expect(res.body.job).toMatchObject({ operation: 'create', mode: 'partial', status: 'queued', total: 3 });
+
+    const job = await waitForJob(res.headers.location);
+    expect(job.body).toMatchObject({ status: 'completed', processed: 3, succeeded: 2, failed: 1 });
+    expect(job.body.results[2]).toMatchObject({ status: 'failed', code: 'duplicate' });
+    expect(await repositories.users.findByLogin('u_two')).not.toBeNull();
+  });
+
+  test('marks a rolled back atomic job as failed', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({
+        users: [
+          { username: 'u_one', email: 'one@test.local' },
+          { username: 'u_two', email: 'two@test.local' },
+          { username: 'bob', email: 'dup@test.local' }
+        ]
+      });
+
+    const job = await waitForJob(res.headers.location);
+    expect(job.body).toMatchObject({ status: 'failed', succeeded: 0, failed: 1, skipped: 2, error: 'Batch rolled back' });
+    expect(await repositories.users.findByLogin('u_one')).toBeNull();
+  });
+
+  test('passes ?permanent=true on to a delete job', async () => {
+    const res = await api()
+      .delete('/api/users/bulk?permanent=true')
+      .set('Authorization', admin())
+      .send({ userIds: [ALICE_ID, BOB_ID, BARE_ID] });
+
+    expect(res.status).toBe(202);
+    const job = await waitForJob(res.headers.location);
+    expect(job.body).toMatchObject({ status: 'completed', succeeded: 3 });
+    expect(job.body.options).toEqual({ permanent: true });
+    expect(await repositories.users.exists(BOB_ID)).toBe(false);
+  });
+
+  test('refuses an invalid atomic batch without queuing it', async () => {
+    const res = await api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .send({ users: [{ username: 'u_one', email: 'one@test.local' }, { username: 'u_two' }, { username: 'u_three' }] });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field)).toEqual(['users[1].email', 'users[2].email']);
+  });
+
+  const job = (id, runner_id, status = 'queued') => repositories.bulkJobs
+    .create({ id, operation: 'create', mode: 'partial', total: 3, runner_id })
+    .then(() => repositories.bulkJobs.update(id, { status }));
+
+  test('fails unfinished jobs that no process has touched for a while', async () => {
+    await job('queued-job', 'other-runner');
+    await job('running-job', 'other-runner', 'running');
+    await job('completed-job', 'other-runner', 'completed');
+    const later = new Date(Date.now() + (bulkConfig.jobStaleSeconds + 1) * 1000);
+
+    expect(await failStaleJobs(repositories)).toBe(0);
+    expect(await failStaleJobs(repositories, { now: later })).toBe(2);
+
+    const running = await api().get('/api/users/bulk/jobs/running-job').set('Authorization', admin());
+    expect(running.body).toMatchObject({ status: 'failed', error: expect.stringMatching(/stopped/), finished_at: expect.any(String) });
+    expect((await repositories.bulkJobs.findById('queued-job')).status).toBe('failed');
+    expect((await repositories.bulkJobs.findById('completed-job')).status).toBe('completed');
+  });
+
+  test('keeps the jobs of a live process through its heartbeat', async () => {
+    await job('own-job', RUNNER_ID, 'running');
+    await job('abandoned-job', 'other-runner', 'running');
+    const longAgo = new Date(Date.now() - (bulkConfig.jobStaleSeconds + 1) * 1000);
+    for (const row of repositories.store.table('bulk_jobs').values()) {
+      row.updated_at = longAgo;
+    }
+
+    expect(await heartbeat(repositories)).toBe(1);
+    expect(await failStaleJobs(repositories)).toBe(1);
+    expect((await repositories.bulkJobs.findById('own-job')).status).toBe('running');
+    expect((await repositories.bulkJobs.findById('abandoned-job')).status).toBe('failed');
+  });
+
+  test('answers 404 for an unknown job', async () => {
+    const res = await api().get('/api/users/bulk/jobs/nope').set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,118 @@
+// test/conditional.test.js - ETags, If-None-Match and If-Match on /api/users/:id and its records
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const get = (path, headers = {}) => api().get(`/api/users/${ALICE_ID}${path}`).set('Authorization', admin()).set(headers);
+const etagOf = async (path = '') => (await get(path)).headers.etag;
+
+beforeEach(loadFixtures);
+
+describe('conditional requests', () => {
+  test('GET /users/:id sends an ETag and answers 304 while it is current', async () => {
+    const res = await get('');
+    const again = await get('', { 'If-None-Match': res.headers.etag });
+
+    expect(res.headers.etag).toBe(`"${ALICE_ID}-${res.body.version}"`);
+    expect(again.status).toBe(304);
+    expect(again.text).toBe('');
+    expect(again.headers.etag).toBe(res.headers.etag);
+  });
+
+  test('give the user and each of its records the same ETag', async () => {
+    const tags = await Promise.all(['', '/account', '/address', '/preferences', '/profile'].map(etagOf));
+
+    expect(new Set(tags).size).toBe(1);
+    expect((await get('/profile', { 'If-None-Match': tags[0] })).status).toBe(304);
+  });
+
+  test('advance the version when a related record changes', async () => {
+    const before = await etagOf();
+
+    await api().put(`/api/users/${ALICE_ID}/preferences`).set('Authorization', admin())
+      .send({ language: 'en', timezone: 'UTC', notify_email: true, notify_sms: false, notify_push: true });
+    const res = await get('', { 'If-None-Match': before });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).not.toBe(before);
+    expect(await etagOf('/account')).toBe(res.headers.etag);
+  });
+
+  test('apply a PATCH whose If-Match is current and answer with the new ETag', async () => {
+    const tag = await etagOf();
+
+    const res = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', bearer(ALICE_ID))
+      .set('If-Match', tag)
+      .send({ first_name: 'Alicia' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).not.toBe(tag);
+    expect(res.headers.etag).toBe(await etagOf());
+  });
+
+  test('refuse a write based on a stale ETag with 412 and leave the user alone', async () => {
+    const stale = await etagOf('/account');
+    await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({ last_name: 'Other' });
+
+    const res = await api()
+      .put(`/api/users/${ALICE_ID}/account`)
+      .set('Authorization', admin())
+      .set('If-Match', stale)
+      .send({ status: 'suspended', role: 'user', subscription: 'premium' });
+    const account = await repositories.accounts.findByUserId(ALICE_ID);
+
+    expect(res.status).toBe(412);
+    expect(res.body).toMatchObject({ error: 'Precondition failed', current_etag: await etagOf() });
+    expect(account.status).toBe('active');
+  });
+
+  test('match "*" and any tag of a list, but never a weak tag', async () => {
+    const tag = await etagOf();
+    const patch = (ifMatch) => api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .set('If-Match', ifMatch)
+      .send({ first_name: 'Al' });
+
+    expect((await patch(`W/${tag}`)).status).toBe(412);
+    expect((await patch(`"nope", ${tag}`)).status).toBe(200);
+    expect((await patch('*')).status).toBe(200);
+  });
+
+  test('guard creates and deletes of records, and of the user itself', async () => {
+    const bare = await api().get(`/api/users/${BARE_ID}`).set('Authorization', admin());
+    await api().patch(`/api/users/${BARE_ID}`).set('Authorization', admin()).send({ first_name: 'Bare' });
+
+    const create = await api()
+      .post(`/api/users/${BARE_ID}/profile`)
+      .set('Authorization', admin())
+      .set('If-Match', bare.headers.etag)
+      .send({ bio: 'Hi' });
+    const remove = await api()
+      .delete(`/api/users/${BARE_ID}`)
+      .set('Authorization', admin())
+      .set('If-Match', bare.headers.etag);
+
+    expect(create.status).toBe(412);
+    expect(await repositories.profiles.findByUserId(BARE_ID)).toBeNull();
+    expect(remove.status).toBe(412);
+    expect(await repositories.users.findById(BARE_ID)).not.toBeNull();
+  });
+
+  test('refuse If-Match for a user that is gone', async () => {
+    const tag = await etagOf();
+    await api().delete(`/api/users/${ALICE_ID}?permanent=true`).set('Authorization', admin());
+
+    const res = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .set('If-Match', tag)
+      .send({ first_name: 'Al' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.current_etag).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+// test/emailTokens.test.js - email verification, password reset and the mail they send
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const { mailer } = require('../src/mail');
+const FileTransport = require('../src/mail/FileTransport');
+const { renderTemplate } = require('../src/mail/templates');
+const authConfig = require('../src/config/auth');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, PASSWORD } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const sent = () => mailer.transport.messages;
+const tokenIn = (message) => message.text.match(/token=([\w-]+)/)[1];
+
+const sendVerification = (id = ALICE_ID, auth = bearer(id)) => api()
+  .post(`/api/users/${id}/verify-email/send`)
+  .set('Authorization', auth);
+const verify = (token) => api().post('/api/auth/verify-email').send({ token });
+// The reset mail goes out after the response; wait for it, or long enough to know none is coming
+async function forgot(email) {
+  const before = sent().length;
+  const res = await api().post('/api/auth/forgot-password').send({ email });
+  for (let attempt = 0; attempt < 20 && sent().length === before; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return res;
+}
+const reset = (token, password = 'a-new-password') => api().post('/api/auth/reset-password').send({ token, new_password: password });
+const login = (password) => api().post('/api/auth/login').send({ username: 'alice', password });
+
+beforeEach(loadFixtures);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/users/:id/verify-email/send and POST /api/auth/verify-email', () => {
+  test('mails a link in the user\'s language whose token verifies the address once', async () => {
+    const res = await sendVerification();
+
+    expect(res.status).toBe(202);
+    expect(sent()).toHaveLength(1);
+    expect(sent()[0]).toMatchObject({ to: 'alice@test.local', subject: 'Verifikasi alamat email Anda' });
+    expect(sent()[0].text).toContain('Halo Alice');
+
+    const token = tokenIn(sent()[0]);
+    const verified = await verify(token);
+    const user = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.data).toMatchObject({ id: ALICE_ID, email: 'alice@test.local' });
+    expect(user.body.email_verified_at).toBeTruthy();
+    expect((await verify(token)).status).toBe(400);
+    expect((await sendVerification()).status).toBe(409);
+  });
+
+  test('only keeps a hash of the token, and a new link replaces the unused one', async () => {
+    await sendVerification(BOB_ID, admin());
+    await sendVerification(BOB_ID, admin());
+    const [first, second] = sent().map(tokenIn);
+
+    const rows = [...repositories.store.table('user_tokens').values()];
+    expect(rows).toHaveLength(1);
+    expect(rows[0].token_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(rows[0].token_hash).not.toContain(second);
+    expect(sent()[0].subject).toBe('Verify your email address');
+
+    expect((await verify(first)).status).toBe(400);
+    expect((await verify(second)).status).toBe(200);
+  });
+
+  test('refuses expired tokens and links to an address the user has since changed', async () => {
+    await sendVerification();
+    const [row] = repositories.store.table('user_tokens').values();
+    row.expires_at = new Date(Date.now() - 1000);
+    expect((await verify(tokenIn(sent()[0]))).status).toBe(400);
+
+    await sendVerification();
+    await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({ email: 'alice@new.local' });
+    expect((await verify(tokenIn(sent()[1]))).status).toBe(400);
+  });
+
+  test('a changed email address is no longer verified', async () => {
+    await sendVerification();
+    await verify(tokenIn(sent()[0]));
+
+    await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({ email: 'alice@new.local' });
+
+    expect((await repositories.users.findById(ALICE_ID)).email_verified_at).toBeNull();
+  });
+
+  test('is only open to the user and admins', async () => {
+    expect((await sendVerification(BOB_ID, bearer(ALICE_ID))).status).toBe(403);
+    expect(sent()).toEqual([]);
+  });
+});
+
+describe('POST /api/auth/forgot-password and POST /api/auth/reset-password', () => {
+  test('the mailed token sets a new password once and ends older sessions', async () => {
+    // Signed a minute ago: iat has second precision, and a token from this second would still count
+    const session = `Bearer ${jwt.sign({ iat: Math.floor(Date.now() / 1000) - 60 }, authConfig.jwtSecret, {
+      subject: String(ALICE_ID),
+      issuer: authConfig.jwtIssuer,
+      jwtid: 'before-reset'
+    })}`;
+
+    const res = await forgot('ALICE@test.local');
+    expect(res.status).toBe(202);
+    expect(sent()[0].subject).toBe('Atur ulang kata sandi Anda');
+
+    const token = tokenIn(sent()[0]);
+    expect((await reset(token)).status).toBe(200);
+    expect((await reset(token, 'another-password')).status).toBe(400);
+
+    expect((await login(PASSWORD)).status).toBe(401);
+    expect((await login('a-new-password')).status).toBe(200);
+    expect((await api().get(`/api/users/${ALICE_ID}`).set('Authorization', session)).status).toBe(401);
+    expect((await repositories.users.findById(ALICE_ID)).email_verified_at).toBeTruthy();
+  });
+
+  test('answers the same for unknown addresses and blocked accounts, without mailing', async () => {
+    await repositories.accounts.update(BOB_ID, { status: 'suspended' });
+
+    const unknown = await forgot('nobody@test.local');
+    const blocked = await forgot('bob@test.local');
+
+    expect(unknown.status).toBe(202);
+    expect(blocked.body).toEqual(unknown.body);
+    expect(sent()).toEqual([]);
+  });
+
+  test('answers without waiting for the mail', async () => {
+    jest.spyOn(mailer.transport, 'send').mockImplementation(() => new Promise(() => {}));
+
+    const res = await api().post('/api/auth/forgot-password').send({ email: 'alice@test.local' });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ message: expect.stringMatching(/password reset link/) });
+  });
+
+  test('gives users created without a password one', async () => {
+    const created = await api()
+      .post('/api/users')
+      .set('Authorization', admin())
+      .send({ username: 'carol', email: 'carol@test.local' });
+
+    await forgot('carol@test.local');
+    await reset(tokenIn(sent()[0]));
+
+    const res = await api().post('/api/auth/login').send({ email: 'carol@test.local', password: 'a-new-password' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe(created.body.generated_id);
+  });
+
+  test('refuses verification tokens, short passwords and expired links', async () => {
+    await sendVerification();
+    expect((await reset(tokenIn(sent()[0]))).status).toBe(400);
+
+    await forgot('alice@test.local');
+    const short = await reset(tokenIn(sent()[1]), 'short');
+    expect(short.status).toBe(422);
+    expect(short.body.details[0]).toMatchObject({ field: 'new_password', rule: 'minLength' });
+
+    for (const row of repositories.store.table('user_tokens').values()) {
+      row.expires_at = new Date(Date.now() - 1000);
+    }
+    expect((await reset(tokenIn(sent()[1]))).status).toBe(400);
+  });
+});
+
+describe('mail', () => {
+  test('templates fall back from a regional language to its base, then to English', () => {
+    const values = { name: 'Ada', url: 'http://x/?token=t', minutes: 60 };
+
+    expect(renderTemplate('resetPassword', 'id-ID', values).subject).toBe('Atur ulang kata sandi Anda');
+    expect(renderTemplate('resetPassword', 'fr', values).subject).toBe('Reset your password');
+    expect(renderTemplate('resetPassword', null, values).text).toContain('expires in 60 minutes');
+  });
+
+  test('the file transport writes each message as an .eml file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    try {
+      const { file } = await new FileTransport(directory).send({
+        from: 'no-reply@test.local', to: 'ada@test.local', subject: 'Hello', text: 'Body'
+      });
+
+      const raw = fs.readFileSync(file, 'utf8');
+      expect(path.dirname(file)).toBe(directory);
+      expect(raw).toMatch(/^To: ada@test.local$/m);
+      expect(raw).toMatch(/^Subject: Hello$/m);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
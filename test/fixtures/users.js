@@ -0,0 +1,65 @@
+// test/fixtures/users.js - rows for the five user tables (plus credentials)
+
+const ADMIN_ID = 2000000000000001;
+const ALICE_ID = 2000000000000002;
+const BOB_ID = 2000000000000003;
+const BARE_ID = 2000000000000004;
+
+const PASSWORD = 'correct-horse';
+
+const users = [
+  {
+    id: ADMIN_ID, username: 'root_admin', email: 'admin@test.local',
+    first_name: 'Ada', last_name: 'Admin', phone: '+6281100000001', date_of_birth: '1980-01-01', gender: 'female'
+  },
+  {
+    id: ALICE_ID, username: 'alice', email: 'alice@test.local',
+    first_name: 'Alice', last_name: 'Anderson', phone: '+6281100000002', date_of_birth: '1990-05-20', gender: 'female'
+  },
+  {
+    id: BOB_ID, username: 'bob', email: 'bob@test.local',
+    first_name: 'Bob', last_name: 'Brown', phone: null, date_of_birth: '1985-12-01', gender: 'male'
+  },
+  // No related rows at all, for the 404 paths
+  {
+    id: BARE_ID, username: 'bare', email: 'bare@test.local',
+    first_name: null, last_name: null, phone: null, date_of_birth: null, gender: null
+  }
+];
+
+const accounts = [
+  { user_id: ADMIN_ID, status: 'active', role: 'admin', subscription: 'enterprise' },
+  { user_id: ALICE_ID, status: 'active', role: 'user', subscription: 'premium' },
+  { user_id: BOB_ID, status: 'inactive', role: 'user', subscription: 'free' }
+];
+
+const addresses = [
+  { user_id: ALICE_ID, street: 'Jl. Merdeka 1', city: 'Bandung', province: 'Jawa Barat', postal_code: '40111', country: 'Indonesia' },
+  { user_id: BOB_ID, street: 'Jl. Pemuda 9', city: 'Surabaya', province: 'Jawa Timur', postal_code: '60271', country: 'Indonesia' }
+];
+
+const preferences = [
+  { user_id: ALICE_ID, language: 'id', timezone: 'Asia/Jakarta', notify_email: 1, notify_sms: 1, notify_push: 0 },
+  { user_id: BOB_ID, language: 'en', timezone: 'Asia/Makassar', notify_email: 0, notify_sms: 0, notify_push: 1 }
+];
+
+const profiles = [
+  { user_id: ALICE_ID, avatar: null, bio: 'Writes tests', website: 'https://alice.test', instagram: 'alice', linkedin: null }
+];
+
+// Users that can log in with PASSWORD
+const credentials = [ADMIN_ID, ALICE_ID, BOB_ID];
+
+module.exports = {
+  ADMIN_ID,
+  ALICE_ID,
+  BOB_ID,
+  BARE_ID,
+  PASSWORD,
+  users,
+  accounts,
+  addresses,
+  preferences,
+  profiles,
+  credentials
+};
@@ -0,0 +1,186 @@
+// test/graphql.test.js - /api/graphql: queries, mutations and the batching of related records
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const graphql = (query, variables, auth = admin()) => api()
+  .post('/api/graphql')
+  .set('Authorization', auth)
+  .send({ query, variables });
+
+const errorCode = (res) => res.body.errors[0].extensions.code;
+
+beforeEach(loadFixtures);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('queries', () => {
+  test('a user with its related records in one request', async () => {
+    const res = await graphql(`query ($id: ID!) {
+      user(id: $id) {
+        username email_verified_at
+        account { role status }
+        address { city is_primary }
+        addresses { city }
+        preferences { language notify_sms }
+        profile { bio }
+      }
+    }`, { id: String(ALICE_ID) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toEqual({
+      username: 'alice',
+      email_verified_at: null,
+      account: { role: 'user', status: 'active' },
+      address: { city: 'Bandung', is_primary: true },
+      addresses: [{ city: 'Bandung' }],
+      preferences: { language: 'id', notify_sms: true },
+      profile: { bio: 'Writes tests' }
+    });
+  });
+
+  test('users takes the criteria and paging of /users/search', async () => {
+    const first = await graphql('{ users(limit: 2, sort: "username") { data { username } pagination { total next_cursor } } }');
+    const next = await graphql('query ($cursor: String) { users(limit: 2, cursor: $cursor) { data { username } } }', {
+      cursor: first.body.data.users.pagination.next_cursor
+    });
+    const filtered = await graphql('query ($filter: JSON) { users(filter: $filter) { data { username } } }', {
+      filter: { 'address.city': 'Surabaya' }
+    });
+    const searched = await graphql('{ users(q: "alice") { data { username score } } }');
+
+    expect(first.body.data.users.data.map(user => user.username)).toEqual(['alice', 'bare']);
+    expect(first.body.data.users.pagination.total).toBe(4);
+    expect(next.body.data.users.data.map(user => user.username)).toEqual(['bob', 'root_admin']);
+    expect(filtered.body.data.users.data).toEqual([{ username: 'bob' }]);
+    expect(searched.body.data.users.data[0]).toMatchObject({ username: 'alice', score: expect.any(Number) });
+  });
+
+  test('reports invalid criteria as BAD_USER_INPUT with the details of a 422', async () => {
+    const res = await graphql('{ users(status: "dormant", sort: "shoe_size") { data { id } } }');
+
+    expect(res.status).toBe(200);
+    expect(errorCode(res)).toBe('BAD_USER_INPUT');
+    expect(res.body.errors[0].extensions.details[0]).toMatchObject({ field: 'status', rule: 'enum' });
+  });
+
+  test('nested records of a list are loaded with one query per record', async () => {
+    const batched = jest.spyOn(repositories.accounts, 'findByUserIds');
+    const single = jest.spyOn(repositories.accounts, 'findByUserId');
+
+    const res = await graphql('{ users { data { account { role } profile { bio } } } }');
+
+    expect(res.body.data.users.data).toHaveLength(4);
+    expect(batched).toHaveBeenCalledTimes(1);
+    expect(batched.mock.calls[0][0]).toHaveLength(4);
+    expect(single).not.toHaveBeenCalled();
+  });
+
+  test('follows the access rules of the REST routes', async () => {
+    const alice = bearer(ALICE_ID);
+
+    const me = await graphql('{ me { username } }', {}, alice);
+    const other = await graphql(`{ user(id: "${BOB_ID}") { username } }`, {}, alice);
+    const list = await graphql('{ users { data { id } } }', {}, alice);
+
+    expect(me.body.data.me).toEqual({ username: 'alice' });
+    expect(errorCode(other)).toBe('FORBIDDEN');
+    expect(other.body.data.user).toBeNull();
+    expect(errorCode(list)).toBe('FORBIDDEN');
+  });
+});
+
+describe('mutations', () => {
+  const CREATE = `mutation ($input: UserCreateInput!) {
+    createUser(input: $input) { id username account { role } preferences { language notify_email } }
+  }`;
+
+  test('createUser creates the user with its records', async () => {
+    const res = await graphql(CREATE, {
+      input: { username: 'carol', email: 'carol@test.local', account: { role: 'admin' }, preferences: { notify_email: false } }
+    });
+
+    const created = res.body.data.createUser;
+    expect(created).toMatchObject({ username: 'carol', account: { role: 'admin' }, preferences: { language: 'en', notify_email: false } });
+    expect(await repositories.users.findById(created.id)).toMatchObject({ email: 'carol@test.local' });
+  });
+
+  test('createUser checks the input like POST /users and reports duplicates as CONFLICT', async () => {
+    const invalid = await graphql(CREATE, { input: { username: 'x!', email: 'not-an-email' } });
+    const duplicate = await graphql(CREATE, { input: { username: 'alice', email: 'other@test.local' } });
+    const forbidden = await graphql(CREATE, { input: { username: 'carol', email: 'carol@test.local' } }, bearer(ALICE_ID));
+
+    expect(errorCode(invalid)).toBe('BAD_USER_INPUT');
+    expect(invalid.body.errors[0].extensions.details.map(detail => detail.field).sort()).toEqual(['email', 'username', 'username']);
+    expect(errorCode(duplicate)).toBe('CONFLICT');
+    expect(errorCode(forbidden)).toBe('FORBIDDEN');
+  });
+
+  test('updateUser applies a merge patch; null deletes a record', async () => {
+    const res = await graphql(`mutation ($id: ID!, $input: UserUpdateInput!) {
+      updateUser(id: $id, input: $input) { first_name profile { bio } address { city } version }
+    }`, { id: String(ALICE_ID), input: { first_name: 'Alicia', profile: null, address: { city: 'Bogor' } } }, bearer(ALICE_ID));
+
+    expect(res.body.data.updateUser).toMatchObject({ first_name: 'Alicia', profile: null, address: { city: 'Bogor' } });
+    expect(await repositories.profiles.findByUserId(ALICE_ID)).toBeNull();
+  });
+
+  test('updateUser leaves the account to admins and answers NOT_FOUND for no user', async () => {
+    const UPDATE = 'mutation ($id: ID!, $input: UserUpdateInput!) { updateUser(id: $id, input: $input) { id } }';
+
+    const promote = await graphql(UPDATE, { id: String(ALICE_ID), input: { account: { role: 'admin' } } }, bearer(ALICE_ID));
+    const missing = await graphql(UPDATE, { id: '1', input: { first_name: 'x' } });
+
+    expect(errorCode(promote)).toBe('FORBIDDEN');
+    expect((await repositories.accounts.findByUserId(ALICE_ID)).role).toBe('user');
+    expect(errorCode(missing)).toBe('NOT_FOUND');
+  });
+
+  test('deleteUser moves the user to the trash, or purges it', async () => {
+    const DELETE = 'mutation ($id: ID!, $permanent: Boolean) { deleteUser(id: $id, permanent: $permanent) { id permanent } }';
+
+    const trashed = await graphql(DELETE, { id: String(BOB_ID) });
+    const purged = await graphql(DELETE, { id: String(BARE_ID), permanent: true });
+    const gone = await graphql(`{ user(id: "${BOB_ID}") { id } }`);
+
+    expect(trashed.body.data.deleteUser).toEqual({ id: String(BOB_ID), permanent: false });
+    expect(purged.body.data.deleteUser.permanent).toBe(true);
+    expect(gone.body.data.user).toBeNull();
+    expect(await repositories.users.exists(BOB_ID)).toBe(true);
+    expect(await repositories.users.exists(BARE_ID)).toBe(false);
+  });
+});
+
+describe('HTTP', () => {
+  test('needs a token', async () => {
+    const res = await api().post('/api/graphql').send({ query: '{ me { id } }' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('answers 400 for requests that cannot run', async () => {
+    const missing = await api().post('/api/graphql').set('Authorization', admin()).send({});
+    const syntax = await graphql('{ me { id }');
+    const unknown = await graphql('{ me { password_hash } }');
+
+    expect(missing.status).toBe(400);
+    expect(syntax.status).toBe(400);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors[0].message).toMatch(/password_hash/);
+  });
+
+  test('GET runs queries, not mutations', async () => {
+    const query = await api().get('/api/graphql').query({ query: '{ me { username } }' }).set('Authorization', admin());
+    const mutation = await api()
+      .get('/api/graphql')
+      .query({ query: `mutation { deleteUser(id: "${BOB_ID}") { id } }` })
+      .set('Authorization', admin());
+
+    expect(query.body.data.me.username).toBe('root_admin');
+    expect(mutation.status).toBe(405);
+    expect(await repositories.users.findById(BOB_ID)).not.toBeNull();
+  });
+});
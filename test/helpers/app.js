@@ -0,0 +1,52 @@
+// test/helpers/app.js - the app, its repositories and fixture loading
+const request = require('supertest');
+const app = require('../../server');
+const { repositories } = require('../../src/repositories');
+const { signToken } = require('../../src/utils/tokens');
+const { hashPassword } = require('../../src/utils/password');
+const { analyticsCache } = require('../../src/analytics/cache');
+const { rateLimitStore } = require('../../src/middleware/rateLimit');
+const { storage } = require('../../src/storage');
+const { mailer } = require('../../src/mail');
+const fixtures = require('../fixtures/users');
+
+// scrypt is slow on purpose; hash the shared fixture password once per file
+let passwordHash = null;
+
+// Empty the memory store (and what was cached, counted, stored or mailed beside it) and load test/fixtures/users.js
+async function loadFixtures() {
+  repositories.reset();
+  analyticsCache.clear();
+  rateLimitStore.reset();
+  storage.clear();
+  mailer.transport.clear();
+  passwordHash = passwordHash || await hashPassword(fixtures.PASSWORD);
+
+  for (const user of fixtures.users) {
+    await repositories.users.create(user);
+  }
+  for (const { user_id, ...row } of fixtures.accounts) {
+    await repositories.accounts.create(user_id, row);
+  }
+  for (const { user_id, ...row } of fixtures.addresses) {
+    await repositories.addresses.create(user_id, row);
+  }
+  for (const { user_id, ...row } of fixtures.preferences) {
+    await repositories.preferences.create(user_id, row);
+  }
+  for (const { user_id, ...row } of fixtures.profiles) {
+    await repositories.profiles.create(user_id, row);
+  }
+  for (const userId of fixtures.credentials) {
+    await repositories.credentials.create(userId, passwordHash);
+  }
+}
+
+// Authorization header value for a fixture user
+function bearer(userId) {
+  return `Bearer ${signToken(userId)}`;
+}
+
+const api = () => request(app);
+
+module.exports = { app, api, repositories, loadFixtures, bearer, fixtures };
@@ -0,0 +1,138 @@
+// test/idempotency.test.js - Idempotency-Key on POST /api/users, /api/users/bulk and the record POSTs
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const { fingerprintOf } = require('../src/middleware/idempotency');
+
+const { ADMIN_ID, ALICE_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const newUser = { username: 'carol', email: 'carol@example.com', first_name: 'Carol' };
+
+const createUser = (key, body = newUser) => api()
+  .post('/api/users')
+  .set('Authorization', admin())
+  .set('Idempotency-Key', key)
+  .send(body);
+
+const adminScope = `user:${ADMIN_ID}`;
+const later = (ms) => new Date(Date.now() + ms);
+
+beforeEach(loadFixtures);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Idempotency-Key', () => {
+  test('replays the first response to a retry instead of creating the user again', async () => {
+    const first = await createUser('create-carol');
+    const retry = await createUser('create-carol');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(await repositories.users.count()).toBe(5);
+  });
+
+  test('treats the same payload with its keys in another order as the same request', async () => {
+    await createUser('create-carol');
+    const retry = await createUser('create-carol', { first_name: 'Carol', email: 'carol@example.com', username: 'carol' });
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('refuses a key reused for a different payload', async () => {
+    await createUser('create-carol');
+    const res = await createUser('create-carol', { ...newUser, first_name: 'Caroline' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Idempotency-Key reused');
+    expect(await repositories.users.count()).toBe(5);
+  });
+
+  test('answers 409 while the first request with the key is still running', async () => {
+    const fingerprint = fingerprintOf({ method: 'POST', originalUrl: '/api/users', body: newUser });
+    await repositories.idempotencyKeys.claim(adminScope, 'busy', { fingerprint, expiresAt: later(60 * 1000) });
+
+    const res = await createUser('busy');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Request in progress');
+    expect(res.headers['retry-after']).toBe('1');
+    expect(await repositories.users.count()).toBe(4);
+  });
+
+  test('takes the key over from a request that died while running', async () => {
+    const fingerprint = fingerprintOf({ method: 'POST', originalUrl: '/api/users', body: newUser });
+    await repositories.idempotencyKeys.claim(adminScope, 'stuck', { fingerprint, expiresAt: later(-1000) });
+
+    expect((await createUser('stuck')).status).toBe(201);
+  });
+
+  test('runs the request again once the stored response has expired', async () => {
+    await createUser('create-carol');
+    repositories.store.table('idempotency_keys').get(`${adminScope}\ncreate-carol`).expires_at = later(-1000);
+
+    const res = await createUser('create-carol');
+
+    expect(res.status).toBe(409);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('keeps keys apart per caller', async () => {
+    await api().post(`/api/users/${BARE_ID}/profile`).set('Authorization', admin()).set('Idempotency-Key', 'shared').send({ bio: 'Hi' });
+
+    const res = await api()
+      .post(`/api/users/${ALICE_ID}/preferences`)
+      .set('Authorization', bearer(ALICE_ID))
+      .set('Idempotency-Key', 'shared')
+      .send({ language: 'en' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/Duplicate entry/);
+  });
+
+  test('does not keep server errors, so they can be retried', async () => {
+    jest.spyOn(repositories.users, 'create').mockRejectedValueOnce(new Error('connection lost'));
+
+    const failed = await createUser('create-carol');
+    const retry = await createUser('create-carol');
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(201);
+  });
+
+  test('replays bulk creates and record creates', async () => {
+    const bulk = () => api()
+      .post('/api/users/bulk')
+      .set('Authorization', admin())
+      .set('Idempotency-Key', 'bulk-1')
+      .send({ users: [newUser, { username: 'dave', email: 'dave@example.com' }] });
+    const profile = () => api()
+      .post(`/api/users/${BARE_ID}/profile`)
+      .set('Authorization', admin())
+      .set('Idempotency-Key', 'profile-1')
+      .send({ bio: 'Hi' });
+
+    const first = await bulk();
+    const retry = await bulk();
+    const created = await profile();
+    const profileRetry = await profile();
+
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(await repositories.users.count()).toBe(6);
+    expect(created.headers.etag).toBeDefined();
+    expect(profileRetry.status).toBe(201);
+    expect(profileRetry.headers['idempotent-replayed']).toBe('true');
+    expect(profileRetry.headers.etag).toBe(created.headers.etag);
+  });
+
+  test('rejects an overlong key', async () => {
+    const res = await createUser('k'.repeat(256));
+
+    expect(res.status).toBe(422);
+    expect(res.body.details[0]).toMatchObject({ field: 'Idempotency-Key' });
+  });
+});
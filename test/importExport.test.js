@@ -0,0 +1,189 @@
+// test/importExport.test.js - POST /api/users/import and GET /api/users/export
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const ioConfig = require('../src/config/io');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+// superagent only buffers text/* on its own
+const asText = (res, callback) => {
+  let text = '';
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => callback(null, text));
+};
+
+const importCsv = (csv, query = '') => api()
+  .post(`/api/users/import${query}`)
+  .set('Authorization', admin())
+  .set('Content-Type', 'text/csv')
+  .send(csv);
+
+const importNdjson = (lines, query = '') => api()
+  .post(`/api/users/import${query}`)
+  .set('Authorization', admin())
+  .set('Content-Type', 'application/x-ndjson')
+  .send(lines.map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n'));
+
+const exportUsers = (query) => api()
+  .get(`/api/users/export${query}`)
+  .set('Authorization', admin())
+  .buffer(true)
+  .parse(asText);
+
+beforeEach(loadFixtures);
+
+describe('POST /api/users/import', () => {
+  const csv = [
+    'username,email,first_name,account.role,account.subscription,address.city,preferences.notify_sms,profile.bio',
+    'carol,carol@test.local,Carol,user,basic,Medan,yes,"Hello, world"',
+    'dan,not-an-email,Dan,,,,,',
+    'erin,erin@test.local,,,,Depok,,'
+  ].join('\n');
+
+  test('creates users with their related records from CSV and reports failing rows', async () => {
+    const res = await importCsv(csv);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: false, processed: 3, created: 2, failed: 1, truncated: false });
+    expect(res.body.errors).toEqual([
+      { row: 2, errors: [expect.objectContaining({ field: 'email', rule: 'format' })] }
+    ]);
+
+    const carol = await repositories.users.findByLogin('carol');
+    expect(res.body.ids).toContain(carol.id);
+    expect(await repositories.accounts.findByUserId(carol.id)).toMatchObject({ role: 'user', subscription: 'basic' });
+    expect(await repositories.addresses.findByUserId(carol.id)).toMatchObject({ city: 'Medan' });
+    expect(await repositories.preferences.findByUserId(carol.id)).toMatchObject({ notify_sms: 1 });
+    expect(await repositories.profiles.findByUserId(carol.id)).toMatchObject({ bio: 'Hello, world' });
+
+    const erin = await repositories.users.findByLogin('erin');
+    expect(erin.first_name).toBeNull();
+    expect(await repositories.accounts.findByUserId(erin.id)).toBeNull();
+  });
+
+  test('dry runs validate every row without writing anything', async () => {
+    const res = await importCsv(csv, '?dry_run=true');
+
+    expect(res.body).toMatchObject({ dry_run: true, processed: 3, valid: 2, failed: 1 });
+    expect(res.body).not.toHaveProperty('ids');
+    expect(await repositories.users.findByLogin('carol')).toBeNull();
+  });
+
+  test('reports duplicates against the database and within the file', async () => {
+    const res = await importNdjson([
+      { username: 'alice', email: 'alice2@test.local' },
+      { username: 'frank', email: 'frank@test.local' },
+      { username: 'FRANK', email: 'frank2@test.local' }
+    ], '?dry_run=true');
+
+    expect(res.body.valid).toBe(1);
+    expect(res.body.errors).toEqual([
+      { row: 1, errors: [expect.objectContaining({ rule: 'duplicate' })] },
+      { row: 3, errors: [{ field: 'username', rule: 'duplicate', message: 'appears earlier in the file' }] }
+    ]);
+  });
+
+  test('accepts nested or dotted NDJSON and reports unreadable lines', async () => {
+    const res = await importNdjson([
+      { username: 'gina', email: 'gina@test.local', address: { city: 'Bogor' } },
+      { username: 'hank', email: 'hank@test.local', 'address.city': 'Solo' },
+      '{not json',
+      '[1, 2]'
+    ]);
+
+    expect(res.body).toMatchObject({ created: 2, failed: 2 });
+    expect(res.body.errors.map(error => error.errors[0].rule)).toEqual(['parse', 'parse']);
+
+    const hank = await repositories.users.findByLogin('hank');
+    expect(await repositories.addresses.findByUserId(hank.id)).toMatchObject({ city: 'Solo' });
+  });
+
+  test('rejects unknown CSV columns before importing anything', async () => {
+    const res = await importCsv('username,email,shoe_size\nivy,ivy@test.local,38');
+
+    expect(res.status).toBe(422);
+    expect(res.body.unknown_columns).toEqual(['shoe_size']);
+    expect(await repositories.users.findByLogin('ivy')).toBeNull();
+  });
+
+  test('stops at the row limit', async () => {
+    const { importMaxRows } = ioConfig;
+    ioConfig.importMaxRows = 1;
+
+    try {
+      const res = await importCsv('username,email\njoe,joe@test.local\nkim,kim@test.local');
+
+      expect(res.body).toMatchObject({ processed: 1, created: 1, truncated: true });
+    } finally {
+      ioConfig.importMaxRows = importMaxRows;
+    }
+  });
+
+  test('requires CSV or NDJSON', async () => {
+    const res = await api()
+      .post('/api/users/import')
+      .set('Authorization', admin())
+      .send({ username: 'x', email: 'x@test.local' });
+
+    expect(res.status).toBe(415);
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().post('/api/users/import').set('Authorization', bearer(ALICE_ID)).set('Content-Type', 'text/csv').send('');
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/users/export', () => {
+  test('streams CSV with a header and one row per user in ID order', async () => {
+    const res = await exportUsers('?format=csv');
+    const [header, ...rows] = res.body.trim().split('\r\n');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="users-.*\.csv"/);
+    expect(header).toBe(['id', 'username', 'email', 'first_name', 'last_name', 'phone', 'date_of_birth', 'gender',
+      'account.status', 'account.role', 'account.subscription',
+      'address.street', 'address.city', 'address.province', 'address.postal_code', 'address.country',
+      'address.country_code', 'address.type',
+      'preferences.language', 'preferences.timezone', 'preferences.notify_email', 'preferences.notify_sms', 'preferences.notify_push',
+      'profile.avatar', 'profile.bio', 'profile.website', 'profile.instagram', 'profile.linkedin',
+      'created_at', 'updated_at'].join(','));
+    expect(rows).toHaveLength(fixtures.users.length);
+    expect(rows[1]).toMatch(new RegExp(`^${ALICE_ID},alice,alice@test.local,Alice,Anderson,\\+6281100000002,1990-05-20,female,active,user,premium,`));
+  });
+
+  test('applies the search filters and pages through batches', async () => {
+    const { exportBatchSize } = ioConfig;
+    ioConfig.exportBatchSize = 1;
+
+    try {
+      const res = await exportUsers('?format=ndjson&province=Jawa%20Timur');
+      const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+
+      expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toMatchObject({ id: BOB_ID, date_of_birth: '1985-12-01', address: { city: 'Surabaya' }, profile: null });
+    } finally {
+      ioConfig.exportBatchSize = exportBatchSize;
+    }
+  });
+
+  test('produces files that import again', async () => {
+    const exported = await exportUsers('?format=ndjson');
+    await repositories.users.deleteMany(fixtures.users.map(user => user.id).filter(id => id !== ADMIN_ID));
+
+    const res = await importNdjson(exported.body.trim().split('\n').filter(line => !line.includes('root_admin')));
+
+    expect(res.body).toMatchObject({ created: fixtures.users.length - 1, failed: 0 });
+    const alice = await repositories.users.findByLogin('alice');
+    expect(await repositories.preferences.findByUserId(alice.id)).toMatchObject({ language: 'id', notify_sms: 1 });
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = await api().get('/api/users/export?format=xlsx').set('Authorization', admin());
+
+    expect(res.status).toBe(422);
+  });
+});
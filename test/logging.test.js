@@ -0,0 +1,151 @@
+// test/logging.test.js - JSON log lines, redaction, the request log and slow-query timing
+const { api, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const { logger, createLogger } = require('../src/logging/logger');
+const { withQueryTiming } = require('../src/db/timing');
+const { runWithRequest } = require('../src/utils/requestContext');
+
+const { ADMIN_ID } = fixtures;
+
+// A logger writing its lines into an array
+function capture(options = {}) {
+  const lines = [];
+  const log = createLogger({ level: 'debug', redactFields: ['email', 'password'], redactText: true, write: line => lines.push(line), ...options });
+  return { log, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+beforeEach(loadFixtures);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('logger', () => {
+  test('writes one JSON object per line with level, time, message and request ID', () => {
+    const { log, entries } = capture();
+
+    log.info('Purged users from trash', { count: 3 });
+    runWithRequest({ id: 'req-1' }, () => log.warn('Inside a request'));
+
+    expect(entries()).toEqual([
+      { level: 'info', time: expect.any(String), msg: 'Purged users from trash', request_id: null, count: 3 },
+      { level: 'warn', time: expect.any(String), msg: 'Inside a request', request_id: 'req-1' }
+    ]);
+    expect(new Date(entries()[0].time).toISOString()).toBe(entries()[0].time);
+  });
+
+  test('leaves out levels below its own', () => {
+    const { log, entries } = capture({ level: 'warn' });
+    const silent = capture({ level: 'silent' });
+
+    log.debug('a');
+    log.info('b');
+    log.error('c');
+    silent.log.error('d');
+
+    expect(entries().map(entry => entry.msg)).toEqual(['c']);
+    expect(silent.entries()).toEqual([]);
+  });
+
+  test('redacts configured fields at any depth, and emails and phone numbers in text', () => {
+    const { log, entries } = capture();
+    const user = { username: 'alice', Email: 'alice@test.local', profile: { password: 'secret' } };
+    user.self = user;
+
+    log.info('Created alice@test.local', { user, note: 'call +62 812 3456 7890', error: new Error('no bob@test.local') });
+
+    const [entry] = entries();
+    expect(entry.msg).toBe('Created [email]');
+    expect(entry.user).toEqual({ username: 'alice', Email: '[redacted]', profile: { password: '[redacted]' }, self: '[circular]' });
+    expect(entry.note).toBe('call [phone]');
+    expect(entry.error).toMatchObject({ name: 'Error', message: 'no [email]', stack: expect.any(String) });
+  });
+
+  test('keeps text as is when text redaction is off', () => {
+    const { log, entries } = capture({ redactText: false });
+
+    log.info('Created alice@test.local');
+
+    expect(entries()[0].msg).toBe('Created alice@test.local');
+  });
+});
+
+describe('request log', () => {
+  test('logs method, route, status, latency and the echoed request ID', async () => {
+    const info = jest.spyOn(logger, 'info');
+
+    const res = await api().get(`/api/users/${ADMIN_ID}?fields=username`).set('Authorization', bearer(ADMIN_ID)).set('X-Request-Id', 'req-42');
+
+    expect(res.headers['x-request-id']).toBe('req-42');
+    expect(info).toHaveBeenCalledWith('Request', {
+      request_id: 'req-42',
+      method: 'GET',
+      route: '/api/users/:id',
+      path: `/api/users/${ADMIN_ID}`,
+      status: 200,
+      latency_ms: expect.any(Number),
+      user_id: String(ADMIN_ID)
+    });
+  });
+
+  test('logs client errors as warnings and generates an ID when none is sent', async () => {
+    const warn = jest.spyOn(logger, 'warn');
+
+    const res = await api().get('/api/users');
+
+    expect(res.status).toBe(401);
+    expect(warn).toHaveBeenCalledWith('Request', expect.objectContaining({
+      request_id: res.headers['x-request-id'],
+      status: 401,
+      user_id: null
+    }));
+  });
+});
+
+describe('query timing', () => {
+  const fakePool = (delayMs) => {
+    const run = (sql, values) => new Promise(resolve => setTimeout(() => resolve([[{ sql, values }], []]), delayMs));
+    const connection = { execute: run, query: run, release: () => {} };
+    return { execute: run, query: run, getConnection: async () => connection };
+  };
+
+  test('logs queries at or over the threshold as slow, without their values', async () => {
+    const { log, entries } = capture();
+    const pool = withQueryTiming(fakePool(20), { slowQueryMs: 10, logger: log });
+
+    const [rows] = await pool.execute('SELECT *\n  FROM users WHERE email = ?', ['alice@test.local']);
+
+    expect(rows[0].values).toEqual(['alice@test.local']);
+    expect(entries()).toEqual([expect.objectContaining({
+      level: 'warn',
+      msg: 'Slow query',
+      sql: 'SELECT * FROM users WHERE email = ?',
+      params: 1,
+      duration_ms: expect.any(Number)
+    })]);
+    expect(entries()[0].duration_ms).toBeGreaterThanOrEqual(10);
+    expect(JSON.stringify(entries())).not.toContain('alice@test.local');
+  });
+
+  test('times the queries of connections taken from the pool, and logs fast ones at debug', async () => {
+    const { log, entries } = capture();
+    const pool = withQueryTiming(fakePool(0), { slowQueryMs: 1000, logger: log });
+
+    const connection = await pool.getConnection();
+    await connection.query('SELECT 1');
+    await (await pool.getConnection()).query('SELECT 2');
+
+    expect(entries().map(entry => [entry.level, entry.msg, entry.sql])).toEqual([
+      ['debug', 'Query', 'SELECT 1'],
+      ['debug', 'Query', 'SELECT 2']
+    ]);
+  });
+
+  test('logs failed queries with their error code and rethrows', async () => {
+    const { log, entries } = capture();
+    const failure = Object.assign(new Error('Duplicate'), { code: 'ER_DUP_ENTRY' });
+    const pool = withQueryTiming({ execute: async () => { throw failure; }, query: async () => [], getConnection: async () => ({}) }, { slowQueryMs: 0, logger: log });
+
+    await expect(pool.execute('INSERT INTO users SET ?', [{}])).rejects.toBe(failure);
+    expect(entries()[0]).toMatchObject({ msg: 'Slow query', error_code: 'ER_DUP_ENTRY' });
+  });
+});
@@ -0,0 +1,64 @@
+// test/openapi.test.js - the OpenAPI document matches the routers
+const { api } = require('./helpers/app');
+const { spec, toOpenApiPath } = require('../src/docs/openapi');
+const auditRoutes = require('../src/routes/audit');
+const authRoutes = require('../src/routes/auth');
+const docsRoutes = require('../src/routes/docs');
+const graphqlRoutes = require('../src/routes/graphql');
+const statsRoutes = require('../src/routes/stats');
+const userRoutes = require('../src/routes/users');
+const webhookRoutes = require('../src/routes/webhooks');
+
+// "METHOD /path" for every route registered on an Express router
+function routesOf(router, prefix = '') {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(
+      method => `${method.toUpperCase()} ${toOpenApiPath(prefix + layer.route.path)}`
+    ));
+}
+
+function documentedRoutes() {
+  return Object.entries(spec.paths).flatMap(
+    ([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`)
+  );
+}
+
+describe('OpenAPI document', () => {
+  test('documents every route and nothing else', () => {
+    const registered = [
+      ...routesOf(authRoutes, '/auth'),
+      ...routesOf(auditRoutes),
+      ...routesOf(docsRoutes),
+      ...routesOf(graphqlRoutes),
+      ...routesOf(statsRoutes),
+      ...routesOf(userRoutes),
+      ...routesOf(webhookRoutes)
+    ];
+
+    expect(documentedRoutes().sort()).toEqual([...new Set(registered)].sort());
+  });
+
+  test('every $ref points at a component schema', () => {
+    const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+
+    for (const ref of new Set(refs)) {
+      expect(spec.components.schemas).toHaveProperty(ref.split('/').pop());
+    }
+  });
+
+  test('is served at /api/openapi.json without a token', async () => {
+    const res = await api().get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths['/users/{id}/profile'].put.requestBody).toBeDefined();
+  });
+
+  test('serves the docs page', async () => {
+    const res = await api().get('/api/docs/');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('swagger-ui');
+  });
+});
@@ -0,0 +1,184 @@
+// test/rateLimit.test.js - token buckets, route groups and daily quotas
+const express = require('express');
+const request = require('supertest');
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const rateLimitConfig = require('../src/config/rateLimit');
+const { rateLimit, groupOf } = require('../src/middleware/rateLimit');
+const { MemoryRateLimitStore, RepositoryRateLimitStore } = require('../src/ratelimit/stores');
+const { parseTrustProxy } = require('../src/config/server');
+
+const { ADMIN_ID, ALICE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const patchAlice = (token = admin()) => api().patch(`/api/users/${ALICE_ID}`).set('Authorization', token).send({ first_name: 'Al' });
+
+const defaults = JSON.parse(JSON.stringify(rateLimitConfig));
+
+beforeEach(loadFixtures);
+
+afterEach(() => {
+  Object.assign(rateLimitConfig, JSON.parse(JSON.stringify(defaults)));
+});
+
+describe('rate limits', () => {
+  test('report the bucket in RateLimit headers', async () => {
+    const res = await api().get('/api/users').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.headers).toMatchObject({
+      'ratelimit-limit': '300',
+      'ratelimit-remaining': '299',
+      'ratelimit-policy': '300;w=60',
+      'x-quota-limit': String(defaults.dailyQuota)
+    });
+    expect(Number(res.headers['ratelimit-reset'])).toBeGreaterThan(0);
+  });
+
+  test('refuse writes past the burst with Retry-After, leaving reads alone', async () => {
+    rateLimitConfig.groups.write = { burst: 2, perMinute: 1 };
+
+    expect((await patchAlice()).status).toBe(200);
+    expect((await patchAlice()).status).toBe(200);
+    const refused = await patchAlice();
+    const read = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+
+    expect(refused.status).toBe(429);
+    expect(refused.body).toMatchObject({ error: 'Too many requests', group: 'write' });
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThanOrEqual(59);
+    expect(refused.headers['ratelimit-remaining']).toBe('0');
+    expect(read.status).toBe(200);
+  });
+
+  test('keep every client in its own bucket', async () => {
+    rateLimitConfig.groups.write = { burst: 1, perMinute: 1 };
+
+    expect((await patchAlice()).status).toBe(200);
+    expect((await patchAlice()).status).toBe(429);
+    expect((await patchAlice(bearer(ALICE_ID))).status).toBe(200);
+  });
+
+  test('put auth, bulk and export routes in stricter groups than plain writes and reads', () => {
+    const req = (method, path) => ({ method, path });
+
+    expect(groupOf(req('POST', '/auth/login'))).toBe('auth');
+    expect(groupOf(req('POST', '/users/bulk'))).toBe('bulk');
+    expect(groupOf(req('POST', '/users/import'))).toBe('bulk');
+    expect(groupOf(req('GET', '/users/export'))).toBe('bulk');
+    expect(groupOf(req('GET', '/users/bulk/jobs/abc'))).toBe('read');
+    expect(groupOf(req('POST', '/users/search'))).toBe('read');
+    expect(groupOf(req('DELETE', '/users/1'))).toBe('write');
+
+    const { auth, bulk, write, read } = defaults.groups;
+    expect(bulk.perMinute).toBeLessThan(write.perMinute);
+    expect(auth.perMinute).toBeLessThan(write.perMinute);
+    expect(write.perMinute).toBeLessThan(read.perMinute);
+  });
+
+  test('enforce daily quotas, with per-client overrides', async () => {
+    rateLimitConfig.dailyQuota = 2;
+    rateLimitConfig.clientQuotas = { [`user:${ALICE_ID}`]: 5 };
+    const get = (token) => api().get(`/api/users/${ALICE_ID}`).set('Authorization', token);
+
+    await get(admin());
+    const last = await get(admin());
+    const over = await get(admin());
+    await get(bearer(ALICE_ID));
+    await get(bearer(ALICE_ID));
+    const alice = await get(bearer(ALICE_ID));
+
+    expect(last.headers['x-quota-remaining']).toBe('0');
+    expect(over.status).toBe(429);
+    expect(over.body).toMatchObject({ error: 'Daily quota exceeded', quota: 2 });
+    expect(Number(over.headers['retry-after'])).toBeLessThanOrEqual(24 * 60 * 60);
+    expect(alice.status).toBe(200);
+    expect(alice.headers).toMatchObject({ 'x-quota-limit': '5', 'x-quota-remaining': '2' });
+  });
+
+  test('give anonymous clients behind a trusted proxy a bucket each', async () => {
+    rateLimitConfig.groups.auth = { burst: 1, perMinute: 1 };
+    const login = (ip) => api()
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send({ username: 'alice', password: 'wrong' });
+
+    const first = await login('203.0.113.1');
+    const again = await login('203.0.113.1');
+    const other = await login('203.0.113.2');
+
+    expect(first.status).toBe(401);
+    expect(again.status).toBe(429);
+    expect(other.status).toBe(401);
+  });
+
+  test('read TRUST_PROXY as a flag, a hop count or a list of addresses', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('1')).toBe(1);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8')).toEqual(['loopback', '10.0.0.0/8']);
+  });
+
+  test('turn the daily quota off with RATE_LIMIT_DAILY_QUOTA=0', () => {
+    const quotaWith = (value) => {
+      const saved = process.env.RATE_LIMIT_DAILY_QUOTA;
+      process.env.RATE_LIMIT_DAILY_QUOTA = value;
+      try {
+        let config;
+        jest.isolateModules(() => {
+          config = require('../src/config/rateLimit');
+        });
+        return config.dailyQuota;
+      } finally {
+        if (saved === undefined) {
+          delete process.env.RATE_LIMIT_DAILY_QUOTA;
+        } else {
+          process.env.RATE_LIMIT_DAILY_QUOTA = saved;
+        }
+      }
+    };
+
+    expect(quotaWith('0')).toBe(0);
+    expect(quotaWith('250')).toBe(250);
+    expect(quotaWith('')).toBe(100000);
+  });
+
+  test('serve requests anyway when the store fails', async () => {
+    const app = express();
+    app.use(rateLimit({ store: { take: async () => { throw new Error('store down'); } } }));
+    app.get('/ping', (req, res) => res.json({ ok: true }));
+
+    const res = await request(app).get('/ping');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
+
+describe('rate limit stores', () => {
+  const rule = { burst: 2, perMinute: 60 };
+
+  test('refill buckets over time', async () => {
+    const store = new MemoryRateLimitStore();
+
+    await store.take('k', rule, 0);
+    await store.take('k', rule, 0);
+    const empty = await store.take('k', rule, 500);
+    const refilled = await store.take('k', rule, 1000);
+
+    expect(empty).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 500 });
+    expect(refilled).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  test('share buckets and counters between instances through the repositories', async () => {
+    const first = new RepositoryRateLimitStore(repositories);
+    const second = new RepositoryRateLimitStore(repositories);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    await first.take('shared', rule, 0);
+    await second.take('shared', rule, 0);
+
+    expect(await first.take('shared', rule, 0)).toMatchObject({ allowed: false });
+    expect(await first.increment('quota', tomorrow)).toBe(1);
+    expect(await second.increment('quota', tomorrow)).toBe(2);
+  });
+});
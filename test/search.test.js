@@ -0,0 +1,240 @@
+// test/search.test.js - search and debug routes
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+beforeEach(loadFixtures);
+
+describe('GET /api/users/search', () => {
+  test('is routed before /users/:id', async () => {
+    const res = await api().get('/api/users/search').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination.total).toBe(fixtures.users.length);
+  });
+
+  test('matches q against names and email', async () => {
+    const res = await api().get('/api/users/search?q=ANDERSON').set('Authorization', admin());
+
+    expect(res.body.data.map(user => user.id)).toEqual([ALICE_ID]);
+  });
+
+  test('filters on account and address columns', async () => {
+    const byStatus = await api().get('/api/users/search?status=inactive').set('Authorization', admin());
+    const byCity = await api().get('/api/users/search?city=Bandung&role=user').set('Authorization', admin());
+
+    expect(byStatus.body.data.map(user => user.id)).toEqual([BOB_ID]);
+    expect(byCity.body.data).toEqual([expect.objectContaining({ id: ALICE_ID, city: 'Bandung', province: 'Jawa Barat' })]);
+  });
+
+  test('pages results', async () => {
+    const res = await api().get('/api/users/search?limit=2&page=2').set('Authorization', admin());
+
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.pagination).toMatchObject({ page: 2, limit: 2, total: 4, totalPages: 2 });
+  });
+
+  test('shares the cursor, sort and fields contract with GET /users', async () => {
+    const first = await api().get('/api/users/search?sort=-city&fields=id,city&limit=1').set('Authorization', admin());
+    const second = await api()
+      .get(`/api/users/search?limit=1&fields=id,city&cursor=${first.body.pagination.next_cursor}`)
+      .set('Authorization', admin());
+
+    expect(first.body.pagination).toMatchObject({ sort: '-city,-id', total: 4, page: 1 });
+    expect(first.body.data).toHaveLength(1);
+    expect(Object.keys(first.body.data[0])).toEqual(['id', 'city']);
+    expect(second.body.data[0].id).not.toBe(first.body.data[0].id);
+    expect(second.body.pagination.prev_cursor).not.toBeNull();
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().get('/api/users/search').set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/users/search?q=', () => {
+  const search = (query) => api().get(`/api/users/search?${query}`).set('Authorization', admin());
+  const ids = (res) => res.body.data.map(user => user.id);
+
+  test('finds users by profile and address fields', async () => {
+    expect(ids(await search('q=writes'))).toEqual([ALICE_ID]);
+    expect(ids(await search('q=pemuda'))).toEqual([BOB_ID]);
+  });
+
+  test('matches word prefixes and tolerates typos', async () => {
+    expect(ids(await search('q=merd'))).toEqual([ALICE_ID]);
+    expect(ids(await search('q=surabya'))).toEqual([BOB_ID]);
+    expect(ids(await search('q=andersen'))).toEqual([ALICE_ID]);
+  });
+
+  test('needs every word of a multi-word query to match', async () => {
+    expect(ids(await search('q=alice%20bandung'))).toEqual([ALICE_ID]);
+    expect(ids(await search('q=alice%20surabaya'))).toEqual([]);
+  });
+
+  test('ranks by score and highlights the matching fields', async () => {
+    const res = await search('q=jawa');
+
+    expect(res.body.pagination.sort).toBe('-score,-id');
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data.map(user => user.score)).toEqual([1, 1]);
+    expect(res.body.data.map(user => user.highlights)).toEqual([
+      { province: '<mark>Jawa</mark> Timur' },
+      { province: '<mark>Jawa</mark> Barat' }
+    ]);
+
+    const exact = await search('q=alice');
+    expect(exact.body.data[0].id).toBe(ALICE_ID);
+    expect(exact.body.data[0].highlights).toEqual({
+      username: '<mark>alice</mark>',
+      first_name: '<mark>Alice</mark>',
+      email: '<mark>alice</mark>@test.local',
+      instagram: '<mark>alice</mark>'
+    });
+    expect(exact.body.data[0].score).toBeGreaterThan(res.body.data[0].score);
+  });
+
+  test('ranks exact matches above prefixes and typos', async () => {
+    await repositories.users.create({ username: 'bobby', email: 'bobby@test.local' });
+    await repositories.users.create({ username: 'bop', email: 'bop@test.local' });
+
+    const res = await search('q=bob&fields=username,score');
+
+    expect(res.body.data.map(user => user.username)).toEqual(['bob', 'bobby']);
+    expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+  });
+
+  test('combines with the filters and other sorts', async () => {
+    const filtered = await search('q=jawa&status=inactive');
+    const sorted = await search('q=indonesia&sort=username&fields=username');
+
+    expect(ids(filtered)).toEqual([BOB_ID]);
+    expect(sorted.body.data).toEqual([{ username: 'alice' }, { username: 'bob' }]);
+  });
+
+  test('keeps the index in step with writes', async () => {
+    await api().post(`/api/users/${BOB_ID}/profile`).set('Authorization', admin()).send({ bio: 'Keeps bees' });
+    await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({ last_name: 'Zimmer' });
+
+    expect(ids(await search('q=bees'))).toEqual([BOB_ID]);
+    expect(ids(await search('q=anderson'))).toEqual([]);
+    expect(ids(await search('q=zimmer'))).toEqual([ALICE_ID]);
+  });
+
+  test('leaves trashed users out', async () => {
+    await repositories.users.softDelete(ALICE_ID);
+
+    expect(ids(await search('q=alice'))).toEqual([]);
+  });
+
+  test('refuses to sort by score without a query', async () => {
+    const res = await search('sort=-score');
+
+    expect(res.status).toBe(422);
+  });
+});
+
+describe('search filters', () => {
+  const search = (query) => api().get(`/api/users/search?sort=id&${query}`).set('Authorization', admin());
+  const post = (body) => api().post('/api/users/search?sort=id').set('Authorization', admin()).send(body);
+  const ids = (res) => res.body.data.map(user => user.id);
+
+  test('compares dates, including relative ones', async () => {
+    expect(ids(await search('filter[date_of_birth][lt]=1990-01-01'))).toEqual([ADMIN_ID, BOB_ID]);
+    expect(ids(await search('filter[created_at][gte]=now-30d'))).toEqual([ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID]);
+    expect(ids(await search('filter[created_at][lt]=now-30d'))).toEqual([]);
+  });
+
+  test('takes in/nin lists, flags and null checks across the related tables', async () => {
+    expect(ids(await search('filter[account.status][in]=inactive,suspended'))).toEqual([BOB_ID]);
+    expect(ids(await search('filter[account.subscription][nin]=free,basic'))).toEqual([ADMIN_ID, ALICE_ID]);
+    expect(ids(await search('filter[preferences.notify_sms]=true'))).toEqual([ALICE_ID]);
+    expect(ids(await search('filter[address][null]=true'))).toEqual([ADMIN_ID, BARE_ID]);
+    expect(ids(await search('filter[profile.website][null]=false'))).toEqual([ALICE_ID]);
+    expect(ids(await search('filter[first_name][ne]=alice'))).toEqual([ADMIN_ID, BOB_ID]);
+  });
+
+  test('combines and/or groups in a JSON body', async () => {
+    const res = await post({
+      filter: {
+        or: [
+          { 'account.role': 'admin' },
+          { and: [{ 'address.city': 'surabaya' }, { gender: { in: ['male', 'other'] } }] }
+        ]
+      }
+    });
+
+    expect(res.status).toBe(200);
+    expect(ids(res)).toEqual([ADMIN_ID, BOB_ID]);
+  });
+
+  test('combines with q and the older parameters', async () => {
+    const res = await post({ q: 'jawa', filter: { 'preferences.language': 'en' }, fields: ['id', 'score'], limit: 5 });
+
+    expect(res.body.data).toEqual([{ id: BOB_ID, score: 1 }]);
+    expect(ids(await search('status=active&filter[date_of_birth][gte]=1985-01-01'))).toEqual([ALICE_ID]);
+  });
+
+  test('applies to the export', async () => {
+    const res = await api()
+      .get('/api/users/export?format=ndjson&filter[account.status]=inactive')
+      .set('Authorization', admin());
+
+    expect(res.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([BOB_ID]);
+  });
+
+  test('rejects unknown columns, operators and badly typed values', async () => {
+    const res = await search('filter[password_hash]=x&filter[email][like]=a&filter[created_at][gte]=yesterday&filter[account.role][in]=root');
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => [detail.field, detail.rule])).toEqual([
+      ['filter.password_hash', 'unknown_field'],
+      ['filter.email.like', 'operator'],
+      ['filter.created_at.gte', 'type'],
+      ['filter.account.role.in', 'type']
+    ]);
+  });
+
+  test('validates the body of POST /users/search', async () => {
+    const res = await post({ filter: { or: [] }, colour: 'red' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field)).toEqual(['colour']);
+    expect((await post({ filter: { or: [] } })).body.details[0]).toMatchObject({ field: 'filter.or', rule: 'type' });
+  });
+});
+
+describe('GET /api/users/search/email/:email', () => {
+  test('finds a user with account columns', async () => {
+    const res = await api().get('/api/users/search/email/bob@test.local').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: BOB_ID, status: 'inactive' });
+  });
+
+  test('returns 404 with sample emails', async () => {
+    const res = await api().get('/api/users/search/email/ghost@test.local').set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+    expect(res.body.available_emails).toContain('alice@test.local');
+  });
+});
+
+describe('GET /api/debug/db-test', () => {
+  test('reports the store and sample users', async () => {
+    const res = await api().get('/api/debug/db-test').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ database_connected: true, driver: 'memory', total_users: 4 });
+    expect(res.body.sample_users).toHaveLength(3);
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().get('/api/debug/db-test').set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,10 @@
+// test/setup.js - runs before every test file, before any app module is loaded
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+process.env.MEMORY_SEED = 'false';
+process.env.JWT_SECRET = 'test-secret';
+process.env.UPLOAD_STORAGE = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.LOG_LEVEL = 'silent';
+// supertest connects over loopback; X-Forwarded-For stands in for clients behind a proxy
+process.env.TRUST_PROXY = 'loopback';
@@ -0,0 +1,141 @@
+// test/stats.test.js - the /stats/users analytics endpoints
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+const stats = (path) => api().get(`/api/stats/users${path}`).set('Authorization', admin());
+
+// Backdate signups: { [userId]: 'YYYY-MM-DD' }
+function signedUp(dates) {
+  for (const [id, date] of Object.entries(dates)) {
+    repositories.store.table('users').get(id).created_at = new Date(`${date}T12:00:00Z`);
+  }
+}
+
+beforeEach(loadFixtures);
+
+describe('GET /api/stats/users', () => {
+  test('counts users by role, subscription and gender', async () => {
+    const res = await api().get('/api/stats/users').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total_users: 4, active_users: 2 });
+    expect(res.body.by_role).toEqual(expect.arrayContaining([{ role: 'user', count: 2 }, { role: 'admin', count: 1 }]));
+    expect(res.body.by_gender).toEqual(expect.arrayContaining([{ gender: 'female', count: 2 }, { gender: 'male', count: 1 }]));
+  });
+
+  test('takes the search filters and a signup range', async () => {
+    signedUp({ [ADMIN_ID]: '2024-01-03', [ALICE_ID]: '2024-01-10', [BOB_ID]: '2024-02-05', [BARE_ID]: '2024-02-20' });
+
+    const filtered = await stats('?filter[address.province][in]=Jawa Barat,Jawa Timur');
+    const ranged = await stats('?from=2024-01-01&to=2024-01-31');
+
+    expect(filtered.body).toMatchObject({ total_users: 2, active_users: 1 });
+    expect(ranged.body).toMatchObject({ total_users: 2, active_users: 2 });
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().get('/api/stats/users').set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/stats/users/signups', () => {
+  beforeEach(() => {
+    signedUp({ [ADMIN_ID]: '2024-01-03', [ALICE_ID]: '2024-01-10', [BOB_ID]: '2024-02-05', [BARE_ID]: '2024-02-20' });
+  });
+
+  test('counts signups per month, split by the current status of each cohort', async () => {
+    const res = await stats('/signups?interval=month&from=2024-01-01&to=2024-02-29');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ interval: 'month', from: '2024-01-01T00:00:00.000Z', to: '2024-03-01T00:00:00.000Z' });
+    expect(res.body.data).toEqual([
+      { period: '2024-01-01', signups: 2, active_now: 2, inactive_now: 0, cumulative_active_now: 2, cumulative_inactive_now: 0 },
+      { period: '2024-02-01', signups: 2, active_now: 0, inactive_now: 2, cumulative_active_now: 2, cumulative_inactive_now: 2 }
+    ]);
+  });
+
+  test('fills empty weeks and starts the running totals before the range', async () => {
+    const res = await stats('/signups?interval=week&from=2024-01-08&to=2024-01-21');
+
+    expect(res.body.data).toEqual([
+      { period: '2024-01-08', signups: 1, active_now: 1, inactive_now: 0, cumulative_active_now: 2, cumulative_inactive_now: 0 },
+      { period: '2024-01-15', signups: 0, active_now: 0, inactive_now: 0, cumulative_active_now: 2, cumulative_inactive_now: 0 }
+    ]);
+  });
+
+  test('rejects reversed and overly long ranges', async () => {
+    const reversed = await stats('/signups?from=2024-02-01&to=2024-01-01');
+    const tooLong = await stats('/signups?interval=day&from=2000-01-01&to=2024-01-01');
+
+    expect(reversed.status).toBe(422);
+    expect(tooLong.status).toBe(422);
+    expect(tooLong.body.details[0]).toMatchObject({ field: 'from', rule: 'range' });
+  });
+});
+
+describe('GET /api/stats/users/breakdown', () => {
+  test('counts users per value, with missing values as null', async () => {
+    const res = await stats('/breakdown?by=province');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ by: 'province', total: 4 });
+    expect(res.body.data).toEqual([
+      { value: null, count: 2, share: 0.5 },
+      { value: 'Jawa Barat', count: 1, share: 0.25 },
+      { value: 'Jawa Timur', count: 1, share: 0.25 }
+    ]);
+  });
+
+  test('groups ages into bands and applies filters', async () => {
+    const year = new Date().getUTCFullYear();
+    repositories.store.table('users').get(String(ALICE_ID)).date_of_birth = new Date(Date.UTC(year - 30, 0, 1));
+    repositories.store.table('users').get(String(BOB_ID)).date_of_birth = new Date(Date.UTC(year - 70, 0, 1));
+
+    const res = await stats('/breakdown?by=age_band&filter[account.role]=user');
+
+    expect(res.body.data.map(row => row.value)).toEqual(['25-34', '65+']);
+  });
+
+  test('needs a known dimension', async () => {
+    expect((await stats('/breakdown')).status).toBe(422);
+    expect((await stats('/breakdown?by=password_hash')).status).toBe(422);
+  });
+});
+
+describe('GET /api/stats/users/cohorts', () => {
+  test('reports retention per signup cohort and subscription, counting trashed users as churned', async () => {
+    signedUp({ [ADMIN_ID]: '2024-01-03', [ALICE_ID]: '2024-01-10', [BOB_ID]: '2024-02-05', [BARE_ID]: '2024-02-20' });
+    await repositories.users.softDelete(ALICE_ID);
+
+    const res = await stats('/cohorts?from=2024-01-01&to=2024-02-29');
+
+    expect(res.status).toBe(200);
+    expect(res.body.interval).toBe('month');
+    expect(res.body.data).toEqual([
+      { cohort: '2024-01-01', subscription: 'enterprise', users: 1, retained: 1, retention_rate: 1 },
+      { cohort: '2024-01-01', subscription: 'premium', users: 1, retained: 0, retention_rate: 0 },
+      { cohort: '2024-02-01', subscription: 'free', users: 1, retained: 0, retention_rate: 0 },
+      { cohort: '2024-02-01', subscription: null, users: 1, retained: 0, retention_rate: 0 }
+    ]);
+  });
+});
+
+describe('analytics cache', () => {
+  test('serves repeated queries from the cache until it expires', async () => {
+    const first = await stats('/breakdown?by=city');
+    await repositories.users.softDelete(ALICE_ID);
+    const second = await stats('/breakdown?by=city');
+    const other = await stats('/breakdown?by=city&status=active');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.headers['cache-control']).toMatch(/^private, max-age=\d+$/);
+    expect(second.body).toEqual(first.body);
+    expect(other.headers['x-cache']).toBe('MISS');
+    expect(other.body.total).toBe(1);
+  });
+});
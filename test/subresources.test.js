@@ -0,0 +1,142 @@
+// test/subresources.test.js - /api/users/:id/{account,address,preferences,profile}
+const { api, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+beforeEach(loadFixtures);
+
+// path, 404 label, a valid POST body, a valid full PUT body, a column to check
+const resources = [
+  ['account', 'Account',
+    { role: 'user' },
+    { status: 'suspended', role: 'user', subscription: 'basic' },
+    'status'],
+  ['address', 'Address',
+    { city: 'Depok' },
+    { street: 'Jl. Baru 2', city: 'Depok', province: 'Jawa Barat', postal_code: '16424', country: 'Indonesia' },
+    'street'],
+  ['preferences', 'Preferences',
+    { language: 'en' },
+    { language: 'en', timezone: 'UTC', notify_email: false, notify_sms: true, notify_push: true },
+    'timezone'],
+  ['profile', 'Profile',
+    { bio: 'Hi' },
+    { avatar: null, bio: 'Updated', website: null, instagram: 'bare_user', linkedin: 'https://linkedin.com/in/bare' },
+    'bio']
+];
+
+describe.each(resources)('/api/users/:id/%s', (path, label, createBody, replaceBody, column) => {
+  const url = (id) => `/api/users/${id}/${path}`;
+
+  test('GET returns 404 when the user has none', async () => {
+    const res = await api().get(url(BARE_ID)).set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe(`${label} not found`);
+  });
+
+  test('POST creates it, then GET returns it', async () => {
+    const created = await api().post(url(BARE_ID)).set('Authorization', admin()).send(createBody);
+    expect(created.status).toBe(201);
+
+    const res = await api().get(url(BARE_ID)).set('Authorization', admin());
+    expect(res.status).toBe(200);
+    expect(res.body.user_id).toBe(BARE_ID);
+  });
+
+  test('POST twice returns 409', async () => {
+    await api().post(url(BARE_ID)).set('Authorization', admin()).send(createBody);
+    const res = await api().post(url(BARE_ID)).set('Authorization', admin()).send(createBody);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('POST for an unknown user returns 400', async () => {
+    const res = await api().post(url(1)).set('Authorization', admin()).send(createBody);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid user ID. User does not exist.');
+  });
+
+  test('POST rejects unknown fields', async () => {
+    const res = await api().post(url(BARE_ID)).set('Authorization', admin()).send({ ...createBody, bogus: true });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual([expect.objectContaining({ field: 'bogus', rule: 'unknown_field' })]);
+  });
+
+  test('PUT replaces it', async () => {
+    await api().post(url(BARE_ID)).set('Authorization', admin()).send(createBody);
+    const res = await api().put(url(BARE_ID)).set('Authorization', admin()).send(replaceBody);
+    expect(res.status).toBe(200);
+
+    const after = await api().get(url(BARE_ID)).set('Authorization', admin());
+    expect(after.body[column]).toBe(replaceBody[column]);
+  });
+
+  test('PUT returns 404 when the user has none', async () => {
+    const res = await api().put(url(BARE_ID)).set('Authorization', admin()).send(replaceBody);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('PATCH changes only the given column', async () => {
+    await api().post(url(BARE_ID)).set('Authorization', admin()).send(createBody);
+    const before = await api().get(url(BARE_ID)).set('Authorization', admin());
+
+    const res = await api()
+      .patch(url(BARE_ID))
+      .set('Authorization', admin())
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ [column]: replaceBody[column] }));
+    const after = await api().get(url(BARE_ID)).set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(after.body).toEqual({ ...before.body, [column]: replaceBody[column], updated_at: expect.any(String) });
+  });
+
+  test('PATCH returns 404 when the user has none, and 422 for an empty body', async () => {
+    const missing = await api().patch(url(BARE_ID)).set('Authorization', admin()).send({ [column]: replaceBody[column] });
+    const empty = await api().patch(url(ALICE_ID)).set('Authorization', admin()).send({});
+
+    expect(missing.status).toBe(404);
+    expect(empty.status).toBe(422);
+  });
+
+  test('DELETE removes it, then returns 404', async () => {
+    await api().post(url(BARE_ID)).set('Authorization', admin()).send(createBody);
+
+    const first = await api().delete(url(BARE_ID)).set('Authorization', admin());
+    const second = await api().delete(url(BARE_ID)).set('Authorization', admin());
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(404);
+  });
+});
+
+describe('sub-resource permissions', () => {
+  test('users can edit their own address', async () => {
+    const res = await api()
+      .put(`/api/users/${ALICE_ID}/address`)
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ street: null, city: 'Bogor', province: null, postal_code: null, country: 'Indonesia' });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('users cannot change their own account', async () => {
+    const res = await api()
+      .put(`/api/users/${ALICE_ID}/account`)
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ status: 'active', role: 'admin', subscription: 'enterprise' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('users cannot read other users\' sub-resources', async () => {
+    const res = await api().get(`/api/users/${ADMIN_ID}/preferences`).set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
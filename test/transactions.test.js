@@ -0,0 +1,85 @@
+// test/transactions.test.js - repositories.transaction of both drivers
+const { createMemoryRepositories } = require('../src/repositories/memory');
+const { createMysqlRepositories } = require('../src/repositories/mysql');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('mysql transactions', () => {
+  test('give the connection back to the pool when BEGIN fails', async () => {
+    const connection = {
+      beginTransaction: jest.fn().mockRejectedValue(Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST' })),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    const repositories = createMysqlRepositories({ getConnection: async () => connection });
+    const fn = jest.fn();
+
+    await expect(repositories.transaction(fn)).rejects.toThrow('Connection lost');
+    expect(connection.release).toHaveBeenCalledTimes(1);
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe('memory transactions', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories();
+  });
+
+  test('a rollback keeps the writes of a transaction that committed meanwhile', async () => {
+    const failing = repositories.transaction(async (tx) => {
+      await tx.users.create({ username: 'rolled_back', email: 'rolled_back@test.local' });
+      await tick();
+      throw new Error('boom');
+    });
+    const committing = repositories.transaction(async (tx) => {
+      await tick();
+      return tx.users.create({ username: 'committed', email: 'committed@test.local' });
+    });
+
+    await expect(failing).rejects.toThrow('boom');
+    const id = await committing;
+
+    expect(await repositories.users.findById(id)).toMatchObject({ username: 'committed' });
+    expect(await repositories.users.findByLogin('rolled_back')).toBeNull();
+  });
+
+  test('a rollback keeps writes made outside any transaction meanwhile', async () => {
+    const failing = repositories.transaction(async (tx) => {
+      await tx.users.create({ username: 'rolled_back', email: 'rolled_back@test.local' });
+      await tick();
+      throw new Error('boom');
+    });
+    await tick();
+    const counted = repositories.rateLimits.increment('ip:127.0.0.1', new Date(Date.now() + 60000));
+
+    await expect(failing).rejects.toThrow('boom');
+    await counted;
+
+    expect(await repositories.rateLimits.increment('ip:127.0.0.1', new Date(Date.now() + 60000))).toBe(2);
+    expect(await repositories.users.findByLogin('rolled_back')).toBeNull();
+  });
+
+  test('run one at a time, in the order they were started', async () => {
+    const events = [];
+    const transaction = (name) => repositories.transaction(async () => {
+      events.push(`${name} start`);
+      await tick();
+      events.push(`${name} end`);
+    });
+
+    await Promise.all([transaction('a'), transaction('b')]);
+
+    expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+  });
+
+  test('a transaction started inside another joins it', async () => {
+    const id = await repositories.transaction(() => repositories.transaction(tx => tx.users.create({
+      username: 'nested',
+      email: 'nested@test.local'
+    })));
+
+    expect(await repositories.users.findById(id)).toMatchObject({ username: 'nested' });
+  });
+});
@@ -0,0 +1,112 @@
+// test/trash.test.js - soft delete, trash listing, restore and retention purge
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const { purgeTrash } = require('../src/jobs/purgeTrash');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+const trash = (id) => api().delete(`/api/users/${id}`).set('Authorization', admin());
+
+beforeEach(loadFixtures);
+
+describe('trashed users', () => {
+  beforeEach(() => trash(ALICE_ID));
+
+  test('are hidden from GET /users/:id, listings and search', async () => {
+    const byId = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+    const list = await api().get('/api/users').set('Authorization', admin());
+    const search = await api().get('/api/users/search?q=alice').set('Authorization', admin());
+
+    expect(byId.status).toBe(404);
+    expect(list.body.data.map(user => user.id)).not.toContain(ALICE_ID);
+    expect(search.body.data).toEqual([]);
+  });
+
+  test('have their related records hidden', async () => {
+    const res = await api().get(`/api/users/${ALICE_ID}/account`).set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('User not found');
+  });
+
+  test('can no longer authenticate', async () => {
+    const res = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(401);
+  });
+
+  test('are not counted in stats', async () => {
+    const res = await api().get('/api/stats/users').set('Authorization', admin());
+
+    expect(res.body.total_users).toBe(3);
+  });
+
+  test('keep their username and email reserved', async () => {
+    const res = await api()
+      .post('/api/users')
+      .set('Authorization', admin())
+      .send({ username: 'alice', email: 'other@test.local' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('are not trashed twice', async () => {
+    const res = await trash(ALICE_ID);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/users/trash', () => {
+  test('lists trashed users, most recently deleted first', async () => {
+    await trash(BOB_ID);
+    await trash(ALICE_ID);
+    const res = await api().get('/api/users/trash').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(user => user.id)).toEqual([ALICE_ID, BOB_ID]);
+    expect(res.body.data[0].deleted_at).toBeTruthy();
+    expect(res.body.pagination.total).toBe(2);
+    expect(res.body.retention_days).toBe(30);
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().get('/api/users/trash').set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/users/:id/restore', () => {
+  test('brings the user and its related records back', async () => {
+    await trash(ALICE_ID);
+    const res = await api().post(`/api/users/${ALICE_ID}/restore`).set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deleted_at).toBeNull();
+
+    const user = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', bearer(ALICE_ID));
+    expect(user.status).toBe(200);
+    expect(user.body.account).not.toBeNull();
+  });
+
+  test('returns 404 for users that are not in the trash', async () => {
+    const res = await api().post(`/api/users/${ALICE_ID}/restore`).set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('purgeTrash', () => {
+  test('permanently removes users trashed longer than the retention period', async () => {
+    await trash(ALICE_ID);
+    await trash(BOB_ID);
+    repositories.store.table('users').get(String(ALICE_ID)).deleted_at = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+
+    const purged = await purgeTrash(repositories, { retentionDays: 30 });
+
+    expect(purged).toBe(1);
+    expect(await repositories.users.exists(ALICE_ID)).toBe(false);
+    expect(await repositories.accounts.findByUserId(ALICE_ID)).toBeNull();
+    expect(await repositories.users.exists(BOB_ID)).toBe(true);
+  });
+});
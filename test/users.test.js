@@ -0,0 +1,401 @@
+// test/users.test.js - /api/users CRUD
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+
+const { ADMIN_ID, ALICE_ID, BOB_ID, BARE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+
+beforeEach(loadFixtures);
+
+describe('GET /api/users', () => {
+  test('pages through users newest first', async () => {
+    const res = await api().get('/api/users?page=2&limit=3').set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toEqual({
+      page: 2,
+      limit: 3,
+      total: 4,
+      totalPages: 2,
+      sort: '-created_at,-id',
+      next_cursor: null,
+      prev_cursor: expect.any(String)
+    });
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  test('includes account columns', async () => {
+    const res = await api().get('/api/users?limit=100').set('Authorization', admin());
+    const alice = res.body.data.find(user => user.id === ALICE_ID);
+
+    expect(alice).toMatchObject({ status: 'active', role: 'user', subscription: 'premium' });
+  });
+
+  test('clamps limit to 100', async () => {
+    const res = await api().get('/api/users?limit=500').set('Authorization', admin());
+
+    expect(res.body.pagination.limit).toBe(100);
+  });
+
+  test('walks forwards and back with cursors', async () => {
+    const get = (query) => api().get(`/api/users?${query}`).set('Authorization', admin());
+    const names = (res) => res.body.data.map(user => user.username);
+
+    const first = await get('sort=username&limit=2');
+    expect(names(first)).toEqual(['alice', 'bare']);
+    expect(first.body.pagination.prev_cursor).toBeNull();
+
+    const second = await get(`limit=2&cursor=${first.body.pagination.next_cursor}`);
+    expect(names(second)).toEqual(['bob', 'root_admin']);
+    expect(second.body.pagination).not.toHaveProperty('page');
+    expect(second.body.pagination.next_cursor).toBeNull();
+
+    const back = await get(`limit=2&cursor=${second.body.pagination.prev_cursor}`);
+    expect(names(back)).toEqual(['alice', 'bare']);
+    expect(back.body.pagination.prev_cursor).toBeNull();
+    expect(back.body.pagination.next_cursor).not.toBeNull();
+  });
+
+  test('does not drift when users are added ahead of the cursor', async () => {
+    const first = await api().get('/api/users?sort=username&limit=2').set('Authorization', admin());
+    await repositories.users.create({ username: 'aaron', email: 'aaron@test.local' });
+
+    const second = await api()
+      .get(`/api/users?limit=2&cursor=${first.body.pagination.next_cursor}`)
+      .set('Authorization', admin());
+
+    expect(second.body.data.map(user => user.username)).toEqual(['bob', 'root_admin']);
+  });
+
+  test('sorts on several columns, NULLs first ascending', async () => {
+    const res = await api().get('/api/users?sort=first_name,-username&fields=id,username,first_name').set('Authorization', admin());
+
+    expect(res.body.data.map(user => user.username)).toEqual(['bare', 'root_admin', 'alice', 'bob']);
+    expect(Object.keys(res.body.data[0])).toEqual(['id', 'username', 'first_name']);
+  });
+
+  test('pages with cursors over NULLs', async () => {
+    const seen = [];
+    let cursor = '';
+    do {
+      const res = await api().get(`/api/users?sort=-first_name&limit=1${cursor}`).set('Authorization', admin());
+      seen.push(...res.body.data.map(user => user.username));
+      cursor = res.body.pagination.next_cursor ? `&cursor=${res.body.pagination.next_cursor}` : '';
+    } while (cursor);
+
+    expect(seen).toEqual(['bob', 'alice', 'root_admin', 'bare']);
+  });
+
+  test('rejects unknown sort columns and fields', async () => {
+    const res = await api().get('/api/users?sort=password_hash&fields=id,secret').set('Authorization', admin());
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field)).toEqual(['sort', 'fields']);
+    expect(res.body.details[0].allowed).toContain('created_at');
+  });
+
+  test('rejects a malformed cursor, or one used with another sort', async () => {
+    const bad = await api().get('/api/users?cursor=not-a-cursor').set('Authorization', admin());
+    const first = await api().get('/api/users?sort=username&limit=1').set('Authorization', admin());
+    const mismatched = await api()
+      .get(`/api/users?sort=email&cursor=${first.body.pagination.next_cursor}`)
+      .set('Authorization', admin());
+
+    expect(bad.status).toBe(400);
+    expect(mismatched.status).toBe(400);
+  });
+
+  test('rejects a cursor whose key values were tampered with', async () => {
+    const forge = (v) => Buffer.from(JSON.stringify({ d: 'next', s: '-created_at,-id', v })).toString('base64url');
+    const tampered = [
+      [{ $date: 'not a date' }, 1],
+      [{ $date: 12 }, 1],
+      [{ $gt: '' }, 1],
+      [[], 1]
+    ];
+
+    for (const v of tampered) {
+      const res = await api().get(`/api/users?cursor=${forge(v)}`).set('Authorization', admin());
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid cursor');
+    }
+
+    const valid = await api().get(`/api/users?cursor=${forge([{ $date: new Date().toISOString() }, 1])}`).set('Authorization', admin());
+    expect(valid.status).toBe(200);
+  });
+});
+
+describe('POST /api/users', () => {
+  const payload = {
+    username: 'dave',
+    email: 'dave@test.local',
+    gender: 'male',
+    date_of_birth: '1999-09-09',
+    account: { role: 'user', subscription: 'basic' },
+    address: { city: 'Medan', country: 'Indonesia' },
+    preferences: { language: 'en', notify_sms: true },
+    profile: { bio: 'New here', website: 'https://dave.test' }
+  };
+
+  test('creates the user and every related record', async () => {
+    const res = await api().post('/api/users').set('Authorization', admin()).send(payload);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ username: 'dave', email: 'dave@test.local' });
+
+    const id = res.body.generated_id;
+    expect(await repositories.accounts.findByUserId(id)).toMatchObject({ status: 'active', subscription: 'basic' });
+    expect(await repositories.addresses.findByUserId(id)).toMatchObject({ city: 'Medan' });
+    expect(await repositories.preferences.findByUserId(id)).toMatchObject({ notify_sms: 1, notify_email: 1 });
+    expect(await repositories.profiles.findByUserId(id)).toMatchObject({ bio: 'New here' });
+  });
+
+  test('rolls everything back when a related insert fails', async () => {
+    const spy = jest.spyOn(repositories.profiles, 'create').mockRejectedValueOnce(new Error('disk full'));
+
+    const res = await api().post('/api/users').set('Authorization', admin()).send(payload);
+    spy.mockRestore();
+
+    expect(res.status).toBe(500);
+    expect(await repositories.users.findByLogin('dave')).toBeNull();
+    expect(await repositories.users.count()).toBe(fixtures.users.length);
+  });
+
+  test('returns 409 for a duplicate email', async () => {
+    const res = await api()
+      .post('/api/users')
+      .set('Authorization', admin())
+      .send({ username: 'someone', email: 'alice@test.local' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('returns 422 listing every invalid field', async () => {
+    const res = await api()
+      .post('/api/users')
+      .set('Authorization', admin())
+      .send({ username: 'x', email: 'not-an-email', gender: 'robot', extra: 1 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field).sort()).toEqual(['email', 'extra', 'gender', 'username']);
+  });
+});
+
+describe('GET /api/users/:id', () => {
+  test('returns the user with related records', async () => {
+    const res = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      username: 'alice',
+      account: { role: 'user' },
+      address: { city: 'Bandung' },
+      preferences: { language: 'id' },
+      profile: { bio: 'Writes tests' }
+    });
+  });
+
+  test('returns null for missing related records', async () => {
+    const res = await api().get(`/api/users/${fixtures.BARE_ID}`).set('Authorization', admin());
+
+    expect(res.body).toMatchObject({ account: null, address: null, preferences: null, profile: null });
+  });
+
+  test('lets users read themselves but not others', async () => {
+    const self = await api().get(`/api/users/${ALICE_ID}`).set('Authorization', bearer(ALICE_ID));
+    const other = await api().get(`/api/users/${BOB_ID}`).set('Authorization', bearer(ALICE_ID));
+
+    expect(self.status).toBe(200);
+    expect(other.status).toBe(403);
+  });
+
+  test('returns 404 for unknown IDs', async () => {
+    const res = await api().get('/api/users/1').set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PATCH /api/users/:id', () => {
+  test('updates the given columns', async () => {
+    const res = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ first_name: 'Alicia' });
+
+    expect(res.status).toBe(200);
+    expect(await repositories.users.findById(ALICE_ID)).toMatchObject({ first_name: 'Alicia', last_name: 'Anderson' });
+  });
+
+  test('returns 404 for unknown IDs', async () => {
+    const res = await api().patch('/api/users/1').set('Authorization', admin()).send({ first_name: 'X' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('returns 422 for an empty body', async () => {
+    const res = await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({});
+
+    expect(res.status).toBe(422);
+  });
+
+  test('returns 409 when taking another user\'s email', async () => {
+    const res = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .send({ email: 'bob@test.local' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('merges nested records as a JSON Merge Patch', async () => {
+    const res = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', bearer(ALICE_ID))
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ phone: null, address: { city: 'Bogor', street: null }, profile: null }));
+
+    expect(res.status).toBe(200);
+    expect(await repositories.users.findById(ALICE_ID)).toMatchObject({ first_name: 'Alice', phone: null });
+    expect(await repositories.addresses.findByUserId(ALICE_ID))
+      .toMatchObject({ city: 'Bogor', street: null, province: 'Jawa Barat', postal_code: '40111' });
+    expect(await repositories.profiles.findByUserId(ALICE_ID)).toBeNull();
+  });
+
+  test('creates a record the user does not have yet', async () => {
+    const res = await api()
+      .patch(`/api/users/${BARE_ID}`)
+      .set('Authorization', admin())
+      .send({ preferences: { language: 'id' } });
+
+    expect(res.status).toBe(200);
+    expect(await repositories.preferences.findByUserId(BARE_ID)).toMatchObject({ language: 'id', timezone: 'Asia/Jakarta', notify_email: 1 });
+  });
+
+  test('lets only admins change the account', async () => {
+    const self = (account) => api().patch(`/api/users/${ALICE_ID}`).set('Authorization', bearer(ALICE_ID)).send({ account });
+
+    const promote = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', bearer(ALICE_ID))
+      .send({ first_name: 'Mallory', account: { role: 'admin' } });
+    const unchanged = await self({ role: 'user', subscription: 'premium' });
+    const byAdmin = await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({ account: { subscription: 'basic' } });
+
+    expect(promote.status).toBe(403);
+    expect(promote.body.message).toBe('Only admins can change the account');
+    expect((await repositories.users.findById(ALICE_ID)).first_name).not.toBe('Mallory');
+    expect(unchanged.status).toBe(200);
+    expect(byAdmin.status).toBe(200);
+    expect(await repositories.accounts.findByUserId(ALICE_ID)).toMatchObject({ role: 'user', subscription: 'basic' });
+  });
+
+  test('validates nested records and rolls back a failed write', async () => {
+    const invalid = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .send({ preferences: { language: 'klingon' }, account: { role: 'owner' } });
+    const conflict = await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .send({ address: { city: 'Bogor' }, email: 'bob@test.local' });
+
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.details.map(detail => detail.field).sort()).toEqual(['account.role', 'preferences.language']);
+    expect(conflict.status).toBe(409);
+    expect(await repositories.addresses.findByUserId(ALICE_ID)).toMatchObject({ city: 'Bandung' });
+  });
+});
+
+describe('PUT /api/users/:id', () => {
+  const replacement = {
+    username: 'bare', email: 'bare@test.local',
+    first_name: 'Bare', last_name: 'Bones', phone: null, date_of_birth: '2000-02-29', gender: 'other',
+    account: { status: 'active', role: 'user', subscription: 'basic' },
+    address: { street: null, city: 'Depok', province: 'Jawa Barat', postal_code: null, country: 'Indonesia' },
+    preferences: { language: 'en', timezone: 'UTC', notify_email: true, notify_sms: false, notify_push: false },
+    profile: null
+  };
+
+  test('replaces the user and creates the records it was missing', async () => {
+    const res = await api().put(`/api/users/${BARE_ID}`).set('Authorization', admin()).send(replacement);
+    const user = await api().get(`/api/users/${BARE_ID}`).set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(user.body).toMatchObject({
+      first_name: 'Bare',
+      gender: 'other',
+      account: { subscription: 'basic' },
+      address: { city: 'Depok', street: null },
+      preferences: { timezone: 'UTC', notify_push: 0 },
+      profile: null
+    });
+  });
+
+  test('deletes records given as null', async () => {
+    const res = await api()
+      .put(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .send({ ...replacement, username: 'alice', email: 'alice@test.local', address: null });
+
+    expect(res.status).toBe(200);
+    expect(await repositories.addresses.findByUserId(ALICE_ID)).toBeNull();
+    expect(await repositories.profiles.findByUserId(ALICE_ID)).toBeNull();
+  });
+
+  test('requires every column and record', async () => {
+    const { gender, profile, ...partial } = replacement;
+    const res = await api()
+      .put(`/api/users/${BARE_ID}`)
+      .set('Authorization', admin())
+      .send({ ...partial, address: { city: 'Depok' } });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field).sort())
+      .toEqual(['address.country', 'address.postal_code', 'address.province', 'address.street', 'gender', 'profile']);
+  });
+
+  test('changes nothing when part of it fails', async () => {
+    const res = await api()
+      .put(`/api/users/${BARE_ID}`)
+      .set('Authorization', admin())
+      .send({ ...replacement, email: 'alice@test.local' });
+
+    expect(res.status).toBe(409);
+    expect(await repositories.accounts.findByUserId(BARE_ID)).toBeNull();
+    expect(await repositories.users.findById(BARE_ID)).toMatchObject({ first_name: null });
+  });
+});
+
+describe('DELETE /api/users/:id', () => {
+  test('moves the user to the trash and keeps its related records', async () => {
+    const res = await api().delete(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.permanent).toBe(false);
+    expect(await repositories.users.findById(ALICE_ID)).toBeNull();
+    expect(await repositories.users.findById(ALICE_ID, { withDeleted: true })).toHaveProperty('deleted_at');
+    expect(await repositories.accounts.findByUserId(ALICE_ID)).not.toBeNull();
+  });
+
+  test('deletes the user and its related records with ?permanent=true', async () => {
+    const res = await api().delete(`/api/users/${ALICE_ID}?permanent=true`).set('Authorization', admin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.permanent).toBe(true);
+    expect(await repositories.users.exists(ALICE_ID)).toBe(false);
+    expect(await repositories.accounts.findByUserId(ALICE_ID)).toBeNull();
+    expect(await repositories.profiles.findByUserId(ALICE_ID)).toBeNull();
+  });
+
+  test('is admin-only', async () => {
+    const res = await api().delete(`/api/users/${ALICE_ID}`).set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('returns 404 for unknown IDs', async () => {
+    const res = await api().delete('/api/users/1').set('Authorization', admin());
+
+    expect(res.status).toBe(404);
+  });
+});
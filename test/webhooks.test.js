@@ -0,0 +1,296 @@
+// test/webhooks.test.js - subscriptions, events from the user routes and delivery to a local receiver
+const http = require('http');
+const { api, repositories, loadFixtures, bearer, fixtures } = require('./helpers/app');
+const webhookConfig = require('../src/config/webhooks');
+const { deliverDue, backoffSeconds } = require('../src/webhooks/dispatcher');
+const { verifySignature } = require('../src/webhooks/signature');
+
+const { ADMIN_ID, ALICE_ID } = fixtures;
+const admin = () => bearer(ADMIN_ID);
+const SECRET = 'test-webhook-secret-0123456789';
+
+// Local HTTP receiver standing in for an n8n Webhook node
+let receiver;
+let received;
+let replyStatus;
+
+beforeAll(done => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      // A null status leaves the request hanging
+      if (replyStatus !== null) {
+        res.writeHead(replyStatus).end();
+      }
+    });
+  });
+  receiver.listen(0, '127.0.0.1', done);
+});
+
+afterAll(done => {
+  receiver.close(done);
+});
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+
+async function subscribe(events, extra = {}) {
+  const res = await api()
+    .post('/api/webhooks')
+    .set('Authorization', admin())
+    .send({ url: receiverUrl(), events, secret: SECRET, ...extra });
+  return res.body.data;
+}
+
+beforeEach(async () => {
+  await loadFixtures();
+  received = [];
+  replyStatus = 200;
+});
+
+describe('webhook subscriptions', () => {
+  test('are created with a generated secret that is shown only once', async () => {
+    const res = await api()
+      .post('/api/webhooks')
+      .set('Authorization', admin())
+      .send({ url: 'https://n8n.example.com/webhook/users', events: ['user.created'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.secret).toMatch(/^whsec_/);
+    expect(res.body.data).toMatchObject({ active: true, created_by: ADMIN_ID });
+
+    const fetched = await api().get(`/api/webhooks/${res.body.data.id}`).set('Authorization', admin());
+    expect(fetched.body).not.toHaveProperty('secret');
+  });
+
+  test('can be updated, listed and deleted', async () => {
+    const { id } = await subscribe(['user.created']);
+
+    const patched = await api()
+      .patch(`/api/webhooks/${id}`)
+      .set('Authorization', admin())
+      .send({ events: ['*'], active: false });
+    expect(patched.body.data).toMatchObject({ events: ['*'], active: false });
+
+    const list = await api().get('/api/webhooks').set('Authorization', admin());
+    expect(list.body.data).toHaveLength(1);
+
+    const deleted = await api().delete(`/api/webhooks/${id}`).set('Authorization', admin());
+    expect(deleted.status).toBe(200);
+    expect((await api().get(`/api/webhooks/${id}`).set('Authorization', admin())).status).toBe(404);
+  });
+
+  test('reject unknown events and non-http URLs', async () => {
+    const res = await api()
+      .post('/api/webhooks')
+      .set('Authorization', admin())
+      .send({ url: 'ftp://example.com', events: ['user.exploded'] });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.map(detail => detail.field).sort()).toEqual(['events[0]', 'url']);
+  });
+
+  test('are admin-only', async () => {
+    const res = await api().get('/api/webhooks').set('Authorization', bearer(ALICE_ID));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('webhook delivery', () => {
+  test('POSTs signed events from the user routes to the receiver', async () => {
+    await subscribe(['user.created']);
+
+    await api().post('/api/users').set('Authorization', admin()).set('X-Request-Id', 'create-carol')
+      .send({ username: 'carol', email: 'carol@test.local' });
+    const summary = await deliverDue(repositories);
+
+    expect(summary).toEqual({ succeeded: 1, retrying: 0, dead: 0 });
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    const payload = JSON.parse(body);
+    expect(headers['x-webhook-event']).toBe('user.created');
+    expect(verifySignature(SECRET, headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(true);
+    expect(verifySignature('wrong-secret', headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(false);
+    expect(payload).toMatchObject({
+      event: 'user.created',
+      actor_id: ADMIN_ID,
+      request_id: 'create-carol',
+      data: { user: { username: 'carol' } }
+    });
+    expect(headers['x-webhook-id']).toBe(payload.id);
+  });
+
+  test('only sends events the subscription asked for', async () => {
+    await subscribe(['account.role_changed']);
+
+    await api().patch(`/api/users/${ALICE_ID}`).set('Authorization', admin()).send({ first_name: 'Al' });
+    await api()
+      .put(`/api/users/${ALICE_ID}/account`)
+      .set('Authorization', admin())
+      .send({ status: 'active', role: 'admin', subscription: 'premium' });
+    await deliverDue(repositories);
+
+    expect(received.map(({ body }) => JSON.parse(body).event)).toEqual(['account.role_changed']);
+    expect(JSON.parse(received[0].body).data).toEqual({ user_id: ALICE_ID, from: 'user', to: 'admin' });
+  });
+
+  test('emits status changes, preference updates and deletes', async () => {
+    await subscribe(['*']);
+
+    await api()
+      .put(`/api/users/${ALICE_ID}/account`)
+      .set('Authorization', admin())
+      .send({ status: 'suspended', role: 'user', subscription: 'premium' });
+    await api()
+      .put(`/api/users/${ALICE_ID}/preferences`)
+      .set('Authorization', admin())
+      .send({ language: 'en', timezone: 'UTC', notify_email: true, notify_sms: false, notify_push: false });
+    await api().delete(`/api/users/${ALICE_ID}`).set('Authorization', admin());
+    await deliverDue(repositories);
+
+    expect(received.map(({ body }) => JSON.parse(body).event)).toEqual([
+      'account.status_changed',
+      'preferences.updated',
+      'user.deleted'
+    ]);
+  });
+
+  test('emits the events of each record a composite write changed', async () => {
+    await subscribe(['*']);
+
+    await api()
+      .patch(`/api/users/${ALICE_ID}`)
+      .set('Authorization', admin())
+      .send({ last_name: 'Anders', account: { role: 'admin' }, preferences: { notify_sms: 0 }, profile: null });
+    await deliverDue(repositories);
+
+    const events = received.map(({ body }) => JSON.parse(body));
+    expect(events.map(({ event }) => event)).toEqual(['user.updated', 'account.role_changed', 'preferences.updated']);
+    expect(events[0].data.changed_fields).toEqual(['last_name', 'account.role', 'preferences.notify_sms', 'profile']);
+    expect(events[0].data.user).toMatchObject({ id: ALICE_ID, last_name: 'Anders' });
+    expect(events[0].data.user).not.toHaveProperty('account');
+    expect(events[2].data.changed_fields).toEqual(['notify_sms']);
+  });
+
+  test('skips inactive subscriptions', async () => {
+    await subscribe(['user.created'], { active: false });
+
+    await api().post('/api/users').set('Authorization', admin()).send({ username: 'carol', email: 'carol@test.local' });
+
+    expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 0, dead: 0 });
+  });
+
+  test('holds queued deliveries while their subscription is deactivated', async () => {
+    const { id } = await subscribe(['user.created']);
+    const setActive = (active) => api().patch(`/api/webhooks/${id}`).set('Authorization', admin()).send({ active });
+
+    await api().post('/api/users').set('Authorization', admin()).send({ username: 'carol', email: 'carol@test.local' });
+    await setActive(false);
+
+    expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 0, dead: 0 });
+    expect(received).toEqual([]);
+
+    await setActive(true);
+
+    expect(await deliverDue(repositories)).toEqual({ succeeded: 1, retrying: 0, dead: 0 });
+    expect(JSON.parse(received[0].body).event).toBe('user.created');
+  });
+
+  test('retries failures with backoff, then dead-letters them', async () => {
+    const { id } = await subscribe(['user.created']);
+    const { maxAttempts } = webhookConfig;
+    webhookConfig.maxAttempts = 2;
+    replyStatus = 500;
+
+    try {
+      await api().post('/api/users').set('Authorization', admin()).send({ username: 'carol', email: 'carol@test.local' });
+
+      expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 1, dead: 0 });
+      // Not due again until the backoff has passed
+      expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 0, dead: 0 });
+
+      const [pending] = (await repositories.webhookDeliveries.list({ subscription_id: id }, { limit: 1, offset: 0 })).rows;
+      expect(pending).toMatchObject({ status: 'pending', attempts: 1, response_status: 500 });
+      await repositories.webhookDeliveries.recordAttempt(pending.id, { ...pending, next_attempt_at: new Date() });
+
+      expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 0, dead: 1 });
+    } finally {
+      webhookConfig.maxAttempts = maxAttempts;
+    }
+
+    const dead = await api().get('/api/webhooks/dead-letters').set('Authorization', admin());
+    expect(dead.body.data).toHaveLength(1);
+    expect(dead.body.data[0]).toMatchObject({ status: 'dead', attempts: 2, last_error: 'Receiver answered 500' });
+
+    replyStatus = 204;
+    const retry = await api()
+      .post(`/api/webhooks/deliveries/${dead.body.data[0].id}/retry`)
+      .set('Authorization', admin());
+    expect(retry.status).toBe(200);
+    expect(await deliverDue(repositories)).toEqual({ succeeded: 1, retrying: 0, dead: 0 });
+
+    const log = await api().get(`/api/webhooks/${id}/deliveries`).set('Authorization', admin());
+    expect(log.body.data[0]).toMatchObject({ status: 'succeeded', response_status: 204 });
+  });
+
+  test('treats an unreachable receiver as a failed attempt', async () => {
+    await api()
+      .post('/api/webhooks')
+      .set('Authorization', admin())
+      .send({ url: 'http://127.0.0.1:1/unreachable', events: ['user.created'] });
+
+    await api().post('/api/users').set('Authorization', admin()).send({ username: 'carol', email: 'carol@test.local' });
+
+    expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 1, dead: 0 });
+  });
+
+  test('gives up on a receiver that takes longer than the timeout', async () => {
+    await subscribe(['user.created']);
+    const { timeoutMs } = webhookConfig;
+    webhookConfig.timeoutMs = 50;
+    replyStatus = null;
+
+    try {
+      await api().post('/api/users').set('Authorization', admin()).send({ username: 'carol', email: 'carol@test.local' });
+      expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 1, dead: 0 });
+    } finally {
+      webhookConfig.timeoutMs = timeoutMs;
+    }
+
+    const [delivery] = (await repositories.webhookDeliveries.list({}, { limit: 1, offset: 0 })).rows;
+    expect(delivery).toMatchObject({ response_status: null, last_error: 'Timed out after 50ms' });
+  });
+
+  test('does not follow redirects', async () => {
+    await subscribe(['user.created']);
+    replyStatus = 302;
+
+    await api().post('/api/users').set('Authorization', admin()).send({ username: 'carol', email: 'carol@test.local' });
+
+    expect(await deliverDue(repositories)).toEqual({ succeeded: 0, retrying: 1, dead: 0 });
+    expect(received).toHaveLength(1);
+  });
+
+  test('POST /webhooks/:id/test queues a ping', async () => {
+    const { id } = await subscribe(['user.created']);
+
+    const res = await api().post(`/api/webhooks/${id}/test`).set('Authorization', admin());
+    await deliverDue(repositories);
+
+    expect(res.status).toBe(202);
+    expect(JSON.parse(received[0].body)).toMatchObject({ event: 'webhook.ping', data: { webhook_id: id } });
+  });
+});
+
+describe('backoffSeconds', () => {
+  test('doubles from the base delay up to the cap', () => {
+    const { retryBaseSeconds, retryMaxSeconds } = webhookConfig;
+
+    expect(backoffSeconds(1)).toBe(retryBaseSeconds);
+    expect(backoffSeconds(3)).toBe(retryBaseSeconds * 4);
+    expect(backoffSeconds(30)).toBe(retryMaxSeconds);
+  });
+});